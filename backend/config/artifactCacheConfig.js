@@ -0,0 +1,18 @@
+// backend/config/artifactCacheConfig.js - CONTENT-ADDRESSED ARTIFACT CACHE SETTINGS
+
+import { toPositiveInt } from './envParsers.js';
+
+export function getArtifactCacheConfig() {
+  return {
+    // Reuse extracted audio, transcriptions and translations across uploads of the same file
+    enabled: process.env.ARTIFACT_CACHE_ENABLED !== 'false',
+    // One directory per upload content hash, one entry per step and parameter set
+    cacheDir: process.env.ARTIFACT_CACHE_DIR || 'uploads/cache',
+    // Entries neither stored nor reused for this long are deleted
+    maxAgeDays: toPositiveInt(process.env.ARTIFACT_CACHE_MAX_AGE_DAYS, 30),
+    // How often to look for such entries
+    cleanupIntervalMs: toPositiveInt(process.env.ARTIFACT_CACHE_CLEANUP_INTERVAL_MS, 60 * 60 * 1000),
+    // Identical re-uploads become hard links to the first copy in uploads/originals
+    dedupeOriginals: process.env.DEDUPE_UPLOADS !== 'false'
+  };
+}
@@ -0,0 +1,35 @@
+// backend/config/audioConfig.js - BACKGROUND PRESERVATION, DIARIZATION AND AUDIO-ONLY OUTPUT SETTINGS
+
+import { parseNumber } from './envParsers.js';
+
+export function getAudioConfig() {
+  return {
+    // Keep music and ambient sound from the original under the dubbed voice
+    backgroundPreservation: process.env.BACKGROUND_PRESERVATION !== 'false',
+    // 'auto' tries the separation model and falls back to spectral subtraction; 'demucs' or 'spectral' force one
+    separationMethod: (process.env.BACKGROUND_SEPARATION_METHOD || 'auto').toLowerCase(),
+    separationModel: process.env.BACKGROUND_SEPARATION_MODEL || 'htdemucs',
+    separationTimeoutMs: parseInt(process.env.BACKGROUND_SEPARATION_TIMEOUT_MS, 10) || 30 * 60 * 1000,
+    // Level of the background bed relative to the original, in dB
+    bedGainDb: parseNumber(process.env.BACKGROUND_BED_GAIN_DB, -3),
+    // Sidechain ducking: the voice pushes the bed down while it is speaking
+    duckingThreshold: parseNumber(process.env.BACKGROUND_DUCKING_THRESHOLD, 0.03),
+    duckingRatio: parseNumber(process.env.BACKGROUND_DUCKING_RATIO, 8),
+    duckingAttackMs: parseNumber(process.env.BACKGROUND_DUCKING_ATTACK_MS, 20),
+    duckingReleaseMs: parseNumber(process.env.BACKGROUND_DUCKING_RELEASE_MS, 400),
+    // Speaker diarization: a local pyannote pipeline when configured, otherwise embedding clustering
+    diarizationModelPath: process.env.DIARIZATION_MODEL_PATH || null,
+    diarizationMaxSpeakers: parseInt(process.env.DIARIZATION_MAX_SPEAKERS, 10) || 4,
+    // Cosine distance at which clustered segments count as different speakers
+    diarizationThreshold: parseNumber(process.env.DIARIZATION_THRESHOLD, 0.6),
+    diarizationTimeoutMs: parseInt(process.env.DIARIZATION_TIMEOUT_MS, 10) || 15 * 60 * 1000,
+    // Python interpreter for the separation and diarization scripts
+    pythonPath: process.env.AUDIO_SCRIPTS_PYTHON || process.env.BACKGROUND_SEPARATION_PYTHON || 'python',
+    // Audio-only output (podcasts, radio lessons): EBU R128 loudness targets and the delivered format
+    audioOutputFormat: (process.env.AUDIO_OUTPUT_FORMAT || 'mp3').toLowerCase(),
+    audioOutputBitrate: process.env.AUDIO_OUTPUT_BITRATE || '192k',
+    loudnessTargetLufs: parseNumber(process.env.AUDIO_LOUDNESS_TARGET_LUFS, -16),
+    loudnessTruePeakDb: parseNumber(process.env.AUDIO_LOUDNESS_TRUE_PEAK_DB, -1.5),
+    loudnessRange: parseNumber(process.env.AUDIO_LOUDNESS_RANGE, 11)
+  };
+}
@@ -0,0 +1,18 @@
+// backend/config/envParsers.js - PARSING ENVIRONMENT VARIABLES FOR THE CONFIG MODULES
+
+// Unset, non-numeric, zero or negative values fall back
+export const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Any finite number, including negative ones such as a LUFS target
+export const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Comma-separated, trimmed and lower-cased
+export const toList = (value, fallback = []) => (value ? value.split(',') : fallback)
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
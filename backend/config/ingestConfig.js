@@ -0,0 +1,27 @@
+// backend/config/ingestConfig.js - URL DOWNLOADS AND WATCH-FOLDER INGEST
+
+import { toPositiveInt } from './envParsers.js';
+
+export function getIngestConfig() {
+  return {
+    // ===== POST /api/upload/from-url =====
+    // Whole download, headers to last byte
+    urlTimeoutMs: toPositiveInt(process.env.URL_INGEST_TIMEOUT_MS, 30 * 60 * 1000),
+    urlMaxRedirects: toPositiveInt(process.env.URL_INGEST_MAX_REDIRECTS, 5),
+    // Hosts downloads may come from, e.g. files.internal.example.org,cdn.example.org (any host when unset)
+    urlAllowedHosts: (process.env.URL_INGEST_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean),
+
+    // ===== WATCH FOLDER =====
+    // Disabled unless a directory is configured
+    watchFolder: process.env.WATCH_FOLDER || null,
+    watchIntervalMs: toPositiveInt(process.env.WATCH_FOLDER_INTERVAL_MS, 10 * 1000),
+    // A file is picked up once its size has not changed for this long (still being copied otherwise)
+    watchStableMs: toPositiveInt(process.env.WATCH_FOLDER_STABLE_MS, 30 * 1000),
+    // Used when neither a sidecar nor the folder name gives the languages
+    watchDefaultSourceLanguage: process.env.WATCH_FOLDER_SOURCE_LANGUAGE || null,
+    watchDefaultTargetLanguage: process.env.WATCH_FOLDER_TARGET_LANGUAGE || null
+  };
+}
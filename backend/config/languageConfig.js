@@ -16,3 +16,18 @@ const languageConfig = {
 export function getConfig(lang) {
   return languageConfig[lang] || languageConfig['en'];
 }
+
+export function getSupportedLanguageCodes() {
+  return Object.keys(languageConfig);
+}
+
+// ISO 639-2 codes, used to tag audio and subtitle streams in muxed outputs
+const iso6392Codes = {
+  'hi': 'hin', 'bn': 'ben', 'ta': 'tam', 'te': 'tel', 'mr': 'mar', 'gu': 'guj',
+  'kn': 'kan', 'ml': 'mal', 'pa': 'pan', 'ur': 'urd', 'en': 'eng',
+  'or': 'ori', 'as': 'asm', 'ne': 'nep'
+};
+
+export function getIso6392Code(lang) {
+  return iso6392Codes[(lang || '').toLowerCase()] || 'und';
+}
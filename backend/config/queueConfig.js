@@ -0,0 +1,16 @@
+// backend/config/queueConfig.js - JOB QUEUE SETTINGS
+
+import { toPositiveInt } from './envParsers.js';
+
+export function getQueueConfig() {
+  return {
+    // Number of pipelines a single server process may run at once
+    concurrency: toPositiveInt(process.env.QUEUE_CONCURRENCY, 1),
+    // How long a claimed job stays owned by a worker without a heartbeat
+    leaseMs: toPositiveInt(process.env.QUEUE_LEASE_MS, 2 * 60 * 1000),
+    // How often idle workers look for queued or expired jobs
+    pollIntervalMs: toPositiveInt(process.env.QUEUE_POLL_INTERVAL_MS, 5000),
+    // Lease expiries tolerated before a job is marked failed
+    maxAttempts: toPositiveInt(process.env.QUEUE_MAX_ATTEMPTS, 3)
+  };
+}
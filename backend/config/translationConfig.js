@@ -0,0 +1,33 @@
+// backend/config/translationConfig.js - TRANSLATION ENGINE SETTINGS
+
+import { toList } from './envParsers.js';
+
+const DEFAULT_ENGINE_CHAIN = ['openai', 'mymemory', 'google'];
+
+export function getTranslationConfig() {
+  const engineChain = toList(process.env.TRANSLATION_ENGINE_CHAIN);
+
+  return {
+    // Engines tried in order until one returns a translation
+    engineChain: engineChain.length > 0 ? engineChain : DEFAULT_ENGINE_CHAIN,
+    // LibreTranslate-compatible server, e.g. http://localhost:5000
+    libreTranslateUrl: (process.env.LIBRETRANSLATE_URL || '').replace(/\/+$/, '') || null,
+    libreTranslateApiKey: process.env.LIBRETRANSLATE_API_KEY || null,
+    // Offline engine: ONNX seq2seq model loaded from <offlineModelDir>/<offlineModel>, never downloaded
+    offlineModelDir: process.env.OFFLINE_TRANSLATION_MODEL_DIR || 'offline_models',
+    offlineModel: process.env.OFFLINE_TRANSLATION_MODEL || 'nllb-200-distilled-600M',
+    // 'flores' for NLLB / IndicTrans2 (hin_Deva), 'iso' for M2M100-style models (hi)
+    offlineLanguageCodes: (process.env.OFFLINE_TRANSLATION_LANGUAGE_CODES || 'flores').toLowerCase(),
+    offlineBatchSize: parseInt(process.env.OFFLINE_TRANSLATION_BATCH_SIZE, 10) || 8,
+    // Reachability check that decides when to switch to the offline engine
+    networkProbeUrl: process.env.TRANSLATION_NETWORK_PROBE_URL || 'https://api.mymemory.translated.net',
+    networkProbeTtlMs: parseInt(process.env.TRANSLATION_NETWORK_PROBE_TTL_MS, 10) || 60000,
+    // Translation memory: reuse earlier translations before calling any engine
+    memoryEnabled: process.env.TRANSLATION_MEMORY_ENABLED !== 'false',
+    // Minimum edit similarity (0-1) for a fuzzy match to be reused
+    memoryFuzzyThreshold: parseFloat(process.env.TRANSLATION_MEMORY_FUZZY_THRESHOLD) || 0.9,
+    memoryFuzzyCandidates: parseInt(process.env.TRANSLATION_MEMORY_FUZZY_CANDIDATES, 10) || 200,
+    // Per-request timeout for HTTP engines
+    requestTimeoutMs: parseInt(process.env.TRANSLATION_TIMEOUT_MS, 10) || 30000
+  };
+}
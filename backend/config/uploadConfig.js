@@ -0,0 +1,33 @@
+// backend/config/uploadConfig.js - UPLOAD LIMITS, RESUMABLE UPLOADS AND MEDIA CHECKS
+
+import { toPositiveInt, toList } from './envParsers.js';
+
+const MB = 1024 * 1024;
+
+// ffprobe codec names accepted at upload; anything else fails before a job is created
+const DEFAULT_VIDEO_CODECS = ['h264', 'hevc', 'mpeg4', 'mpeg2video', 'vp8', 'vp9', 'av1', 'prores', 'mjpeg', 'msmpeg4v2', 'msmpeg4v3', 'wmv1', 'wmv2', 'wmv3', 'vc1'];
+const DEFAULT_AUDIO_CODECS = ['aac', 'mp3', 'mp2', 'ac3', 'eac3', 'opus', 'vorbis', 'flac', 'alac', 'pcm_s16le', 'pcm_s24le', 'pcm_f32le', 'wmav1', 'wmav2', 'amr_nb'];
+
+export function getUploadConfig() {
+  const maxUploadSizeMb = toPositiveInt(process.env.MAX_UPLOAD_SIZE_MB, 2048);
+  const chunkSizeMb = toPositiveInt(process.env.UPLOAD_CHUNK_SIZE_MB, 8);
+
+  return {
+    // Largest video accepted, by single-request and resumable uploads alike
+    maxUploadSizeMb,
+    maxUploadSizeBytes: maxUploadSizeMb * MB,
+    // Largest body a single PATCH to an upload session may carry
+    chunkSizeBytes: chunkSizeMb * MB,
+    // Unfinished sessions (and their partial files) are removed after this
+    sessionTtlMs: toPositiveInt(process.env.UPLOAD_SESSION_TTL_HOURS, 24) * 60 * 60 * 1000,
+    // How often expired sessions are swept
+    cleanupIntervalMs: toPositiveInt(process.env.UPLOAD_CLEANUP_INTERVAL_MS, 60 * 60 * 1000),
+
+    // ===== MEDIA INSPECTION (ffprobe) =====
+    maxDurationMinutes: toPositiveInt(process.env.MAX_MEDIA_DURATION_MINUTES, 180),
+    supportedVideoCodecs: toList(process.env.SUPPORTED_VIDEO_CODECS, DEFAULT_VIDEO_CODECS),
+    supportedAudioCodecs: toList(process.env.SUPPORTED_AUDIO_CODECS, DEFAULT_AUDIO_CODECS),
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+    probeTimeoutMs: toPositiveInt(process.env.MEDIA_PROBE_TIMEOUT_MS, 30000)
+  };
+}
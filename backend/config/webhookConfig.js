@@ -0,0 +1,20 @@
+// backend/config/webhookConfig.js - OUTBOUND WEBHOOK SETTINGS
+
+import { toPositiveInt } from './envParsers.js';
+
+export function getWebhookConfig() {
+  return {
+    // Signs deliveries to per-upload callbackUrls that did not bring their own callbackSecret
+    defaultSecret: process.env.WEBHOOK_SECRET || null,
+    // Prefix for artifact URLs in payloads, e.g. https://dubbing.example.org (relative paths when unset)
+    publicBaseUrl: (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
+    // Attempts per delivery before it is marked failed
+    maxAttempts: toPositiveInt(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+    // Exponential backoff: base * 2^(attempt - 1), capped
+    retryBaseMs: toPositiveInt(process.env.WEBHOOK_RETRY_BASE_MS, 10 * 1000),
+    retryMaxMs: toPositiveInt(process.env.WEBHOOK_RETRY_MAX_MS, 60 * 60 * 1000),
+    timeoutMs: toPositiveInt(process.env.WEBHOOK_TIMEOUT_MS, 10 * 1000),
+    // How often the delivery worker looks for due retries
+    pollIntervalMs: toPositiveInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 5000)
+  };
+}
@@ -5,13 +5,39 @@ import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
 import fs from 'fs';
 import path from 'path';
-import { extractAudio, extractAudioForcedAlignment, alignTranslatedAudio } from '../services/audioService.js';
+import { extractAudio, extractAudioForcedAlignment, alignTranslatedAudio, separateBackground } from '../services/audioService.js';
 import { assembleVideoWithCaptions, assembleVideoWithAudioOnly } from '../services/videoService.js';
-import { transcribeAudio } from '../services/transcriptionService.js';
-import { translateText } from '../services/translationService.js';
+import { assembleAudioOutput } from '../services/audioOutputService.js';
+import { transcribeAudio, getWhisperModel } from '../services/transcriptionService.js';
+import { translateTranscription } from '../services/translationService.js';
 import { generateTTS } from '../services/ttsService.js';
 import { generateCaptions, generateAccurateCaptions } from '../services/captionService.js';
-import { validateTranslationQuality } from '../services/validationService.js';
+import { validateTranslationQuality, TranslationQualityError, QUALITY_THRESHOLD } from '../services/validationService.js';
+import { shouldPauseForReview } from '../services/reviewService.js';
+import { getQueueInfo } from '../services/jobQueueService.js';
+import Upload from '../models/uploadModel.js';
+import { getGlossaryTerms, buildTranscriptionPrompt } from '../services/glossaryService.js';
+import { storeTranslationMemory } from '../services/translationMemoryService.js';
+import { fanOutToChildJobs, getChildJobStatuses } from '../services/multiTargetJobService.js';
+import { saveSpeakers, resolveSpeakerVoices } from '../services/diarizationService.js';
+import { emitJobEvent, TERMINAL_EVENT_TYPES } from '../services/jobEventService.js';
+import { recordJobEvent, getJobTimeline } from '../services/jobStateService.js';
+import { restoreCachedArtifacts, storeCachedArtifacts, digestOf } from '../services/artifactCache.js';
+import { getAudioConfig } from '../config/audioConfig.js';
+import {
+  PIPELINE_STEPS,
+  isValidStep,
+  getArtifactPaths,
+  checkResumeArtifacts,
+  detectResumeStep,
+  loadTranscriptionArtifact,
+  loadTranslationArtifact,
+  saveTranslationArtifact,
+  loadTranslatedAlignmentArtifact,
+  saveTranslatedAlignmentArtifact,
+  MissingArtifactError
+} from '../services/jobArtifactService.js';
+import { throwIfCancelled, isJobCancelled, isJobShuttingDown, cleanupJobTempPaths, JobCancelledError, getJobContext } from '../utils/jobContext.js';
 
 
 // Set FFmpeg binary path
@@ -39,124 +65,355 @@ const getLanguageName = (languageCode) => {
 // ===== MAIN PROCESSING FUNCTION - CORRECTED PIPELINE LOGIC =====
 export const processVideo = async (jobId, options = {}) => {
   const startTime = new Date();
+  let currentStep = 'audio_extraction';
+  let stepStartedAt = null;
+
+  // Announces the end of the step in progress (job.step_completed webhooks)
+  const completeStep = () => {
+    if (!stepStartedAt) return;
+    emitJobEvent(jobId, 'step_completed', { step: currentStep, duration_ms: Date.now() - stepStartedAt });
+    stepStartedAt = null;
+  };
+
+  // Records the step and stops here if the job was cancelled meanwhile
+  const enterStep = async (step, additionalData = {}) => {
+    throwIfCancelled(jobId, step);
+    completeStep();
+    currentStep = step;
+    stepStartedAt = Date.now();
+    await logProcessingStep(jobId, 'processing', step, additionalData);
+  };
 
   // ✅ THIS ENTIRE 'try' BLOCK IS REPLACED WITH THE CORRECT PIPELINE LOGIC
   try {
     // Language setup remains the same
     const sourceLanguage = options.sourceLanguage || options.sourceLang || options.fromLang || 'hi';
     const targetLanguage = options.targetLanguage || options.targetLang || options.toLang || null;
-    if (!targetLanguage) {
+    // Multi-language parent: transcribes once, then hands translation onwards to one child job per language
+    const targetLanguages = Array.isArray(options.targetLanguages) ? options.targetLanguages : [];
+    const isMultiTarget = targetLanguages.length > 1;
+    if (!targetLanguage && !isMultiTarget) {
       throw new Error(`Target language not specified.`);
     }
-    console.log(`[${jobId}] 🎯 FINAL LANGUAGE CONFIGURATION: Source: ${sourceLanguage}, Target: ${targetLanguage}`);
-    await logProcessingStep(jobId, 'processing', 'audio_extraction', { source_language: sourceLanguage, target_language: targetLanguage });
-
-    // ===== STEP 1: EXTRACT AUDIO =====
-    console.log(`[${jobId}] PIPELINE STEP 1/7: Extracting Audio...`);
-    const audioResult = await extractAudio(jobId);
-    const audioPath = validateAndExtractAudioPath(audioResult, jobId); // Assuming this helper is in the file
-    if (!audioPath) throw new Error('Audio extraction failed to return a valid path.');
+    console.log(`[${jobId}] 🎯 FINAL LANGUAGE CONFIGURATION: Source: ${sourceLanguage}, Target: ${isMultiTarget ? targetLanguages.join(', ') : targetLanguage}`);
 
-    await logProcessingStep(jobId, 'processing', 'transcription');
-
-    // ===== STEP 2: TRANSCRIBE AUDIO =====
-    console.log(`[${jobId}] PIPELINE STEP 2/7: Transcribing Audio...`);
-    const transcription = await transcribeAudio(audioPath, jobId, sourceLanguage, targetLanguage, { enhancement: true });
+    // ===== RESUME SUPPORT: SKIP STEPS WHOSE ARTIFACTS ARE REUSED =====
+    const fromStep = options.fromStep || 'audio_extraction';
+    if (!isValidStep(fromStep)) {
+      throw new Error(`Unknown pipeline step '${fromStep}'. Valid steps: ${PIPELINE_STEPS.join(', ')}`);
+    }
+    const shouldRun = (step) => PIPELINE_STEPS.indexOf(step) >= PIPELINE_STEPS.indexOf(fromStep);
+    const artifacts = getArtifactPaths(jobId);
 
-    console.log(`[${jobId}] 🐛 DEBUG: Returned from transcribeAudio. Moving to Step 3.`);
+    emitJobEvent(jobId, 'started', {
+      from_step: fromStep,
+      source_language: sourceLanguage,
+      target_languages: isMultiTarget ? targetLanguages : [targetLanguage]
+    });
 
-    // ===== STEP 3: EXTRACT WORD ALIGNMENT (THE NEW WAY) =====
-    console.log(`[${jobId}] PIPELINE STEP 3/7: Extracting Word-Level Alignment...`);
-    const alignmentData = await extractAudioForcedAlignment(transcription, audioPath, jobId);
+    if (fromStep !== 'audio_extraction') {
+      const resumeCheck = checkResumeArtifacts(jobId, fromStep);
+      if (!resumeCheck.ok) {
+        throw new MissingArtifactError(jobId, fromStep, resumeCheck.missing);
+      }
+      console.log(`[${jobId}] ♻️ Resuming from '${fromStep}' using persisted artifacts`);
+      await logProcessingStep(jobId, 'processing', 'resumed', {
+        resumed_from: fromStep,
+        source_language: sourceLanguage,
+        target_language: targetLanguage
+      });
+    }
 
-    await logProcessingStep(jobId, 'processing', 'translation');
+    // ===== GLOSSARY FOR THIS LANGUAGE PAIR =====
+    // A multi-language parent only transcribes, so its Whisper prompt draws on every target's glossary
+    const glossary = isMultiTarget
+      ? (await Promise.all(targetLanguages.map(language => getGlossaryTerms(sourceLanguage, language, jobId)))).flat()
+      : await getGlossaryTerms(sourceLanguage, targetLanguage, jobId);
 
-    // ===== STEP 4: TRANSLATE TEXT =====
-    console.log(`[${jobId}] PIPELINE STEP 4/7: Translating Text...`);
-    const translation = await translateText(transcription.text, sourceLanguage, targetLanguage, jobId);
+    // Identical uploads share cached steps through their content hash
+    const contentHash = await loadContentHash(jobId);
 
+    // ===== STEP 1: EXTRACT AUDIO =====
+    let audioPath = artifacts.audio;
+    if (shouldRun('audio_extraction')) {
+      await enterStep('audio_extraction', { source_language: sourceLanguage, target_language: targetLanguage });
+      console.log(`[${jobId}] PIPELINE STEP 1/7: Extracting Audio...`);
+      const audioTargets = { audio: artifacts.audio, audio_hq: artifacts.audio_hq };
+      if (restoreCachedArtifacts(contentHash, 'audio_extraction', {}, audioTargets, jobId)) {
+        await Upload.findByIdAndUpdate(jobId, { audioExtracted: true, audioOutputPath: artifacts.audio });
+      } else {
+        const audioResult = await extractAudio(jobId);
+        audioPath = validateAndExtractAudioPath(audioResult, jobId); // Assuming this helper is in the file
+        if (!audioPath) throw new Error('Audio extraction failed to return a valid path.');
+        storeCachedArtifacts(contentHash, 'audio_extraction', {}, audioTargets, jobId);
+      }
+    }
 
-    try {
-  const translationsDir = path.join('uploads', 'translations');
-  if (!fs.existsSync(translationsDir)) {
-    fs.mkdirSync(translationsDir, { recursive: true });
-  }
-  const translationPath = path.join(translationsDir, `${jobId}_translation.json`);
-  fs.writeFileSync(translationPath, JSON.stringify(translation, null, 2), 'utf8');
-  console.log(`[${jobId}] ✅ Translation data saved for resume capability: ${translationPath}`);
-} catch (saveError) {
-  console.warn(`[${jobId}] ⚠️ Could not save translation file for resume capability: ${saveError.message}`);
-}
+    // ===== STEP 2: TRANSCRIBE AUDIO =====
+    let transcription = null;
+    if (shouldRun('transcription')) {
+      await enterStep('transcription');
+      console.log(`[${jobId}] PIPELINE STEP 2/7: Transcribing Audio...`);
+      const prompt = buildTranscriptionPrompt(glossary);
+      const transcriptionKey = {
+        language: sourceLanguage,
+        // Whichever engine answers first: the OpenAI API when configured, else local Whisper
+        models: [process.env.OPENAI_API_KEY ? 'whisper-1' : null, getWhisperModel()],
+        prompt: prompt ? digestOf(prompt) : null,
+        diarization: Boolean(options.diarization),
+        numSpeakers: options.numSpeakers || null
+      };
+
+      if (options.transcriptionProvided) {
+        // Seeded at upload, e.g. from an SRT/VTT file with accurate timings
+        transcription = loadTranscriptionArtifact(jobId);
+        console.log(`[${jobId}] 📝 Using supplied transcription (${transcription.segments?.length || 0} segments), Whisper skipped`);
+      } else if (restoreCachedArtifacts(contentHash, 'transcription', transcriptionKey, { transcription: artifacts.transcription }, jobId)) {
+        transcription = loadTranscriptionArtifact(jobId);
+      } else {
+        transcription = await transcribeAudio(audioPath, jobId, sourceLanguage, targetLanguage, {
+          enhancement: true,
+          prompt,
+          enableDiarization: Boolean(options.diarization),
+          numSpeakers: options.numSpeakers
+        });
+        // The placeholder from the last-resort fallback is never worth reusing
+        if (!transcription.needs_actual_transcription) {
+          storeCachedArtifacts(contentHash, 'transcription', transcriptionKey, { transcription: artifacts.transcription }, jobId);
+        }
+      }
+      await saveSpeakers(jobId, transcription);
+
+      // ===== STEP 3: EXTRACT WORD ALIGNMENT (THE NEW WAY) =====
+      console.log(`[${jobId}] PIPELINE STEP 3/7: Extracting Word-Level Alignment...`);
+      await extractAudioForcedAlignment(transcription, audioPath, jobId);
+    } else if (shouldRun('translation')) {
+      transcription = loadTranscriptionArtifact(jobId);
+      console.log(`[${jobId}] ♻️ Loaded transcription (${transcription.text?.length || 0} chars)`);
+    }
 
+    // ===== MULTI-LANGUAGE: FAN OUT TO CHILD JOBS =====
+    if (isMultiTarget) {
+      // Separate the background once here; the language jobs reuse it
+      await separateBackgroundCached(jobId, contentHash, transcription?.segments || []);
+      throwIfCancelled(jobId, 'fan_out');
+      const childJobs = await fanOutToChildJobs(jobId, { sourceLanguage, translationEngine: options.translationEngine, outputMode: options.outputMode, outputContainer: options.outputContainer, review: options.review });
+      completeStep();
+
+      await logProcessingStep(jobId, 'processing', 'awaiting_children', {
+        target_languages: targetLanguages,
+        child_jobs: childJobs
+      });
 
-    console.log(`🐛 [${jobId}] DEBUG (processVideo): Translation object received. Language: ${translation?.language}, Text length: ${translation?.text?.length}`);
-    console.log(`🐛 [${jobId}] DEBUG (processVideo): Passing this to assembleVideoWithCaptions.`);
+      console.log(`[${jobId}] 🌐 Transcription shared with ${childJobs.length} language jobs`);
+      return { success: true, awaiting_children: true, child_jobs: childJobs };
+    }
 
+    // ===== STEP 4: TRANSLATE TEXT =====
+    const reviewMode = options.review || 'off';
+    let translation = null;
+    if (shouldRun('translation')) {
+      await enterStep('translation');
+      console.log(`[${jobId}] PIPELINE STEP 4/7: Translating Text...`);
+      const translationKey = {
+        source: sourceLanguage,
+        target: targetLanguage,
+        engine: options.translationEngine || 'default',
+        glossary: digestOf(glossary),
+        // Edited or re-run transcriptions translate afresh
+        transcription: digestOf((transcription?.segments || []).map(segment => [segment.start, segment.end, segment.text, segment.speaker]))
+      };
+
+      let validation = null;
+      if (restoreCachedArtifacts(contentHash, 'translation', translationKey, { translation: artifacts.translation }, jobId)) {
+        // Validated when it was first produced
+        translation = loadTranslationArtifact(jobId);
+      } else {
+        // Per-segment translation keeps Whisper start/end for TTS, captions and validation
+        translation = await translateTranscription(transcription, sourceLanguage, targetLanguage, jobId, {
+          glossary,
+          engine: options.translationEngine
+        });
+
+        try {
+          const translationPath = saveTranslationArtifact(jobId, translation);
+          console.log(`[${jobId}] ✅ Translation data saved for resume capability: ${translationPath}`);
+        } catch (saveError) {
+          console.warn(`[${jobId}] ⚠️ Could not save translation file for resume capability: ${saveError.message}`);
+        }
 
-    console.log(`[${jobId}] 🐛 Translation result type:`, typeof translation);
-    console.log(`[${jobId}] 🐛 Translation.text:`, translation?.text?.substring(0, 100));
-    console.log(`[${jobId}] 🐛 Translation.text length:`, translation?.text?.length);
-    console.log(`[${jobId}] 🐛 Full translation object keys:`, Object.keys(translation || {}));
+        console.log(`[${jobId}] 🐛 Translation.text length:`, translation?.text?.length);
+
+        console.log(`[${jobId}] Step 4.5/7: Validating translation quality...`);
+        if (translation.segments && Array.isArray(translation.segments)) {
+          try {
+            validation = await validateTranslationQuality(translation.segments, translation.language, jobId, { sourceLanguage, glossary });
+          } catch (validationError) {
+            // With a review mode a low score goes to a reviewer instead of failing the job
+            if (!(validationError instanceof TranslationQualityError) || reviewMode === 'off') throw validationError;
+            validation = validationError.validation;
+          }
+        } else {
+          console.log(`[${jobId}] ⚠️ Translation validation skipped - no segments array`);
+        }
 
+        // Segments left in the source language (engine outage) are not cached, nor is a translation
+        // that only got past validation because a reviewer will look at it
+        const passedValidation = !validation || validation.overallScore >= QUALITY_THRESHOLD;
+        if (passedValidation && translation.totalsegments > 0 && translation.successfulsegments === translation.totalsegments) {
+          storeCachedArtifacts(contentHash, 'translation', translationKey, { translation: artifacts.translation }, jobId);
+        }
+      }
 
-    console.log(`[${jobId}] Step 4.5/7: Validating translation quality...`);
-    if (translation.segments && Array.isArray(translation.segments)) {
-    await validateTranslationQuality(translation.segments, translation.language, jobId);
+      // ===== REVIEW GATE =====
+      // Approval re-queues the job from tts_generation, so the gate is passed once per translation
+      if (shouldPauseForReview(reviewMode, validation)) {
+        throwIfCancelled(jobId, 'awaiting_review');
+        completeStep();
+        const qualityScore = validation?.overallScore ?? null;
+
+        await Upload.findByIdAndUpdate(jobId, {
+          review_requested_at: new Date(),
+          review_quality_score: qualityScore,
+          review_approved_at: null,
+          reviewed_by: null,
+          reviewed_segments: 0
+        });
+        await logProcessingStep(jobId, 'awaiting_review', 'awaiting_review', {
+          review_mode: reviewMode,
+          quality_score: qualityScore,
+          segments: translation.segments?.length || 0
+        });
+        emitJobEvent(jobId, 'awaiting_review', {
+          review_mode: reviewMode,
+          quality_score: qualityScore,
+          segments_url: `/api/process/jobs/${jobId}/segments`
+        });
+
+        console.log(`[${jobId}] 📝 Translation awaiting review (${reviewMode}${qualityScore !== null ? `, quality ${qualityScore}%` : ''})`);
+        return { success: true, awaiting_review: true };
+      }
     } else {
-              console.log(`[${jobId}] ⚠️ Translation validation skipped - no segments array`);
+      translation = loadTranslationArtifact(jobId);
+      console.log(`[${jobId}] ♻️ Loaded translation (${translation.text.length} chars in ${translation.language || targetLanguage})`);
     }
 
-    await logProcessingStep(jobId, 'processing', 'tts_generation');
-
-
-
-//Varunnnnnnnnnnnnnnn
-
-// ===== STEP 5: GENERATE TTS =====
-console.log(`[${jobId}] PIPELINE STEP 5/8: Generating Speech...`);
-// ✅ FIX: Capture the return value of generateTTS directly as a string.
-const translatedAudioPath = await generateTTS(translation, jobId, { targetLanguage: targetLanguage });
+    // ===== STEP 5: GENERATE TTS =====
+    let translatedAudioPath = artifacts.translated_audio;
+    if (shouldRun('tts_generation')) {
+      await enterStep('tts_generation');
+      console.log(`[${jobId}] PIPELINE STEP 5/8: Generating Speech...`);
+      // ✅ FIX: Capture the return value of generateTTS directly as a string.
+      // Diarized jobs speak each speaker's segments with that speaker's voice
+      const speakerVoices = await resolveSpeakerVoices(jobId, targetLanguage);
+      const voiceSelection = await loadVoiceSelection(jobId);
+      // Audio-only jobs have no video for TTS to take the target duration from
+      const sourceDuration = options.outputMode === 'audio' ? await loadSourceDuration(jobId) : null;
+      translatedAudioPath = await generateTTS(translation, jobId, { targetLanguage: targetLanguage, speakerVoices, voiceSelection, ...(sourceDuration && { sourceDuration }) });
+
+      // Add a validation check to ensure we got a valid path
+      if (!translatedAudioPath || typeof translatedAudioPath !== 'string') {
+        throw new Error('generateTTS did not return a valid audio file path.');
+      }
+    }
 
-// Add a validation check to ensure we got a valid path
-if (!translatedAudioPath || typeof translatedAudioPath !== 'string') {
-  throw new Error('generateTTS did not return a valid audio file path.');
-}
+    // ===== STEP 6: ALIGN TRANSLATED AUDIO =====
+    let translatedAlignmentData = null;
+    if (shouldRun('aligning_translation')) {
+      await enterStep('aligning_translation');
+      console.log(`[${jobId}] PIPELINE STEP 6/8: Aligning Translated Speech...`);
+      translatedAlignmentData = await alignTranslatedAudio(translatedAudioPath, jobId, targetLanguage);
 
-await logProcessingStep(jobId, 'processing', 'aligning_translation');
+      try {
+        saveTranslatedAlignmentArtifact(jobId, translatedAlignmentData);
+      } catch (saveError) {
+        console.warn(`[${jobId}] ⚠️ Could not save translated alignment for resume capability: ${saveError.message}`);
+      }
+    } else {
+      translatedAlignmentData = loadTranslatedAlignmentArtifact(jobId);
+      console.log(`[${jobId}] ♻️ Loaded translated audio alignment`);
+    }
 
-// ===== STEP 6: ALIGN TRANSLATED AUDIO (NEW STEP) =====
-console.log(`[${jobId}] PIPELINE STEP 6/8: Aligning Translated Speech...`);
-const translatedAlignmentData = await alignTranslatedAudio(translatedAudioPath, jobId, targetLanguage);
+    await enterStep('video_assembly');
 
-await logProcessingStep(jobId, 'processing', 'video_assembly');
+    // ===== STEP 7: ASSEMBLE FINAL VIDEO =====
+    console.log(`[${jobId}] PIPELINE STEP 7/8: Assembling Final ${options.outputMode === 'audio' ? 'Audio' : 'Video'}...`);
+    // Pass the NEW translatedAlignmentData instead of the old one. We pass null for lipSyncData.
+    if (!translation || !translation.text) {
+      throw new Error('Translation object missing required text field');
+    }
+    // Music and ambience from the original, mixed back under the dubbed voice
+    const background = await separateBackgroundCached(jobId, contentHash, translation.segments || []);
+
+    let finalVideoResult;
+    if (options.outputMode === 'audio') {
+      // No picture: lip sync, frame validation and caption burn-in don't apply
+      console.log(`[${jobId}] 🎧 Passing translation to audio-only assembly (${translation.text.length} chars in ${translation.language})`);
+      finalVideoResult = await assembleAudioOutput(jobId, translatedAudioPath, translation, {
+        format: options.outputContainer,
+        backgroundAudioPath: background?.path || null,
+        title: options.originalFilename ? `${path.parse(options.originalFilename).name} - ${getLanguageName(targetLanguage)}` : null
+      });
+    } else {
+      console.log(`[${jobId}] 🎬 Passing translation to video assembly (${translation.text.length} chars in ${translation.language})`);
+      finalVideoResult = await assembleVideoWithCaptions(jobId, translatedAlignmentData, translation, null, {
+        outputMode: options.outputMode,
+        outputContainer: options.outputContainer,
+        sourceLanguage,
+        backgroundAudioPath: background?.path || null
+      });
+    }
+    const finalVideoPath = finalVideoResult.outputPath;
 
-// ===== STEP 7: ASSEMBLE FINAL VIDEO =====
-console.log(`[${jobId}] PIPELINE STEP 7/8: Assembling Final Video...`);
-// Pass the NEW translatedAlignmentData instead of the old one. We pass null for lipSyncData.
-if (!translation || !translation.text) {
-  throw new Error('Translation object missing required text field');
-}
-console.log(`[${jobId}] 🎬 Passing translation to video assembly (${translation.text.length} chars in ${translation.language})`);
-const finalVideoResult = await assembleVideoWithCaptions(jobId, translatedAlignmentData, translation, null);
-const finalVideoPath = finalVideoResult.outputPath;
+    // ===== STEP 8: MARK JOB AS COMPLETED =====
+    console.log(`[${jobId}] PIPELINE STEP 8/8: Finalizing Job...`);
+    throwIfCancelled(jobId, 'completed');
+    completeStep();
+    const endTime = new Date();
+    const processingDuration = endTime - startTime;
 
-// ===== STEP 8: MARK JOB AS COMPLETED =====
-console.log(`[${jobId}] PIPELINE STEP 8/8: Finalizing Job...`);
-const endTime = new Date();
-const processingDuration = endTime - startTime;
+    await logProcessingStep(jobId, 'completed', 'completed', { 
+      completed_at: endTime,
+      processing_duration_ms: processingDuration,
+      processed_file_path: finalVideoPath,
+      artifacts: getArtifactUrls(jobId, finalVideoPath, options.outputMode),
+      ...(fromStep !== 'audio_extraction' && { resumed_from: fromStep })
+    });
 
-await logProcessingStep(jobId, 'completed', 'completed', { 
-    completed_at: endTime,
-    processing_duration_ms: processingDuration,
-    processed_file_path: finalVideoPath
-});
+    console.log(`[${jobId}] 🎉 PROCESSING COMPLETED SUCCESSFULLY!`);
 
-console.log(`[${jobId}] 🎉 PROCESSING COMPLETED SUCCESSFULLY!`);
+    // Reuse this job's segments for later uploads of the same material
+    await storeTranslationMemory(translation.segments, sourceLanguage, targetLanguage, jobId);
 
     // You can build and return a final success object if needed, but the core logic is complete.
     return { success: true, final_video_path: finalVideoPath };
 
   } catch (error) {
+    // ===== INTERRUPTED BY SHUTDOWN: ALREADY BACK IN THE QUEUE =====
+    // Its status, events and webhooks belong to whichever worker picks it up next
+    if (isJobShuttingDown(jobId)) {
+      console.log(`[${jobId}] ⏸️ Interrupted by shutdown at step: ${currentStep}; left queued for another worker`);
+      throw error;
+    }
+
+    // ===== CANCELLED: TERMINAL STATE, NOT A FAILURE =====
+    // Killed child processes surface as ordinary errors, so check the token as well
+    if (error instanceof JobCancelledError || isJobCancelled(jobId)) {
+      const cancelledStep = error.step || currentStep;
+      const reason = getJobContext(jobId)?.reason || error.reason || 'Job cancelled';
+      const removed = cleanupJobTempPaths(jobId, getJobTempPaths(jobId));
+
+      console.log(`[${jobId}] 🛑 PROCESSING CANCELLED at step: ${cancelledStep} (${removed} temp paths removed)`);
+      await logProcessingStep(jobId, 'cancelled', 'cancelled', {
+        cancelled_at: new Date(),
+        cancelled_step: cancelledStep,
+        cancellation_reason: reason,
+        processing_duration_ms: new Date() - startTime
+      });
+
+      throw error instanceof JobCancelledError ? error : new JobCancelledError(jobId, cancelledStep, reason);
+    }
+
     // Your existing catch block for error handling is fine.
     console.error(`[${jobId}] ❌ PROCESSING FAILED!`);
     console.error(`[${jobId}] Error message: ${error.message}`);
@@ -170,14 +427,84 @@ console.log(`[${jobId}] 🎉 PROCESSING COMPLETED SUCCESSFULLY!`);
         error_message: error.message,
         error_stack: error.stack,
       });
-      console.log(`[${jobId}] Error logged to filesystem`);
+      console.log(`[${jobId}] Error recorded in job history`);
     } catch (logError) {
-      console.error(`[${jobId}] Failed to log error to filesystem:`, logError.message);
+      console.error(`[${jobId}] Failed to record error:`, logError.message);
     }
     throw error;
   }
 };
 
+// ===== PER-JOB TEMP LOCATIONS REMOVED ON CANCELLATION =====
+const getJobTempPaths = (jobId) => {
+  const paths = [
+    `./uploads/lip_analysis/${jobId}`,
+    `./uploads/sync/${jobId}`,
+    `./uploads/phoneme_tts/${jobId}`,
+    `./uploads/phoneme_segments/${jobId}`
+  ];
+
+  // TTS segment files share one directory and are prefixed with the job ID
+  const ttsTempDir = './uploads/temp_audio';
+  if (fs.existsSync(ttsTempDir)) {
+    for (const file of fs.readdirSync(ttsTempDir)) {
+      if (file.startsWith(`${jobId}_`)) {
+        paths.push(path.join(ttsTempDir, file));
+      }
+    }
+  }
+
+  return paths;
+};
+
+// ===== ARTIFACT CACHE =====
+const loadContentHash = async (jobId) => {
+  const upload = await Upload.findById(jobId).select('content_hash').lean();
+  return upload?.content_hash || null;
+};
+
+// Background separation is the slowest step after Whisper, so it is cached by the speech timings it was given
+const separateBackgroundCached = async (jobId, contentHash, speechSegments) => {
+  const { separationMethod, separationModel } = getAudioConfig();
+  const key = {
+    method: separationMethod,
+    model: separationModel,
+    speech: digestOf(speechSegments.map(segment => [segment.start, segment.end]))
+  };
+  const { background: backgroundPath } = getArtifactPaths(jobId);
+
+  if (!fs.existsSync(backgroundPath)) {
+    restoreCachedArtifacts(contentHash, 'background', key, { background: backgroundPath }, jobId);
+  }
+
+  const background = await separateBackground(jobId, speechSegments);
+  if (background && background.method !== 'cached') {
+    storeCachedArtifacts(contentHash, 'background', key, { background: background.path }, jobId);
+  }
+  return background;
+};
+
+// ===== SOURCE DURATION =====
+// Probed at upload; audio-only jobs size their dubbed track to it, having no video to measure
+const loadSourceDuration = async (jobId) => {
+  const upload = await Upload.findById(jobId).select('duration_seconds').lean();
+  return upload?.duration_seconds || null;
+};
+
+// ===== PER-JOB VOICE SELECTION =====
+// Read from the job record so resumed jobs keep the voice chosen at upload
+const loadVoiceSelection = async (jobId) => {
+  const upload = await Upload.findById(jobId).select('tts_voice tts_voice_gender tts_base_rate tts_pitch').lean();
+  if (!upload) return null;
+
+  return {
+    voice: upload.tts_voice || null,
+    voiceGender: upload.tts_voice_gender || null,
+    baseRate: upload.tts_base_rate || null,
+    pitch: upload.tts_pitch || null
+  };
+};
+
 // ===== DISCOVER LANGUAGES FROM FILESYSTEM =====
 const discoverLanguagesFromFiles = async (jobId) => {
   console.log(`[${jobId}] Discovering languages from filesystem...`);
@@ -185,7 +512,6 @@ const discoverLanguagesFromFiles = async (jobId) => {
   // Try multiple possible file locations and formats
   const possibleConfigPaths = [
     `./uploads/jobs/${jobId}_config.json`,
-    `./uploads/logs/${jobId}_processing.json`,
     `./uploads/upload_info/${jobId}.json`,
     `./uploads/metadata/${jobId}_metadata.json`,
     `./uploads/language_config/${jobId}.json`
@@ -353,71 +679,43 @@ const getMimeType = (filePath) => {
 };
 
 
-// ===== FILESYSTEM-BASED STATUS LOGGING WITH LANGUAGE INFO =====
+// ===== JOB STATE RECORDING =====
+// A failed write must not fail the pipeline; the live event is published either way
 const logProcessingStep = async (jobId, status, step, additionalData = {}) => {
   try {
-    const logsDir = './uploads/logs';
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-    }
-    
-    const logFile = path.join(logsDir, `${jobId}_processing.json`);
-    
-    // Read existing log or create new one
-    let processingLog = {
-      jobId: jobId,
-      created_at: new Date().toISOString(),
-      status: 'uploaded',
-      step: 'queued',
-      steps_completed: [],
-      languages: {
-        source: additionalData.source_language || 'hi',
-        target: additionalData.target_language || null,
-        source_name: additionalData.source_language_name || 'Hindi',
-        target_name: additionalData.target_language_name || null
-      }
-    };
-    
-    if (fs.existsSync(logFile)) {
-      const existingLog = fs.readFileSync(logFile, 'utf8');
-      processingLog = JSON.parse(existingLog);
-    }
-    
-    // Update current status
-    processingLog.status = status;
-    processingLog.step = step;
-    processingLog.last_updated = new Date().toISOString();
-    
-    // Update language info if provided
-    if (additionalData.source_language) {
-      processingLog.languages.source = additionalData.source_language;
-    }
-    if (additionalData.target_language) {
-      processingLog.languages.target = additionalData.target_language;
-    }
-    if (additionalData.source_language_name) {
-      processingLog.languages.source_name = additionalData.source_language_name;
-    }
-    if (additionalData.target_language_name) {
-      processingLog.languages.target_name = additionalData.target_language_name;
-    }
-    
-    // Add step completion record
-    processingLog.steps_completed.push({
-      step: step,
-      status: status,
-      timestamp: new Date().toISOString(),
-      ...additionalData
-    });
-    
-    // Write updated log
-    fs.writeFileSync(logFile, JSON.stringify(processingLog, null, 2));
-    
-    console.log(`[${jobId}] Status logged: ${status} - ${step}`);
-    
+    await recordJobEvent(jobId, status, step, additionalData);
+    console.log(`[${jobId}] Status recorded: ${status} - ${step}`);
   } catch (error) {
-    console.warn(`[${jobId}] Failed to log processing step:`, error.message);
+    console.warn(`[${jobId}] Failed to record processing step:`, error.message);
+    const { error_stack, ...eventData } = additionalData;
+    emitJobEvent(jobId, TERMINAL_EVENT_TYPES.includes(status) ? status : 'step', { status, step, ...eventData });
+  }
+};
+
+// ===== PUBLIC URLS OF A JOB'S OUTPUTS =====
+const getArtifactUrls = (jobId, finalVideoPath = null, outputMode = null) => {
+  const toUrl = (filePath) => (filePath && fs.existsSync(filePath) ? `/${path.relative('.', filePath).split(path.sep).join('/')}` : null);
+
+  // Audio-only jobs deliver an MP3/M4A with captions and a transcript beside it
+  if (outputMode === 'audio') {
+    const sidecar = (extension) => toUrl(finalVideoPath?.replace(/\.[^.]+$/, extension));
+    return {
+      final_video: null,
+      final_audio: toUrl(finalVideoPath),
+      translated_audio: toUrl(`uploads/translated_audio/${jobId}_translated.wav`),
+      captions: sidecar('.vtt'),
+      srt: sidecar('.srt'),
+      transcript: sidecar('.txt')
+    };
   }
+
+  return {
+    final_video: toUrl(finalVideoPath),
+    translated_audio: toUrl(`uploads/translated_audio/${jobId}_translated.wav`),
+    captions: toUrl(`uploads/captions/${jobId}_captions.vtt`),
+    captions_accurate: toUrl(`uploads/captions/${jobId}_captions_accurate.vtt`),
+    srt: toUrl(`uploads/captions/${jobId}_captions.srt`)
+  };
 };
 
 // ===== FILE DISCOVERY FUNCTIONS =====
@@ -492,26 +790,65 @@ const findTranslationFile = async (jobId) => {
   return null;
 };
 
+// ===== MULTI-LANGUAGE PARENT / CHILD STATUS =====
+// Extra status fields for jobs created from an upload with several target languages
+const getMultiLanguageStatus = async (job) => {
+  if (job.parent_job_id) {
+    return { parent_job_id: job.parent_job_id.toString() };
+  }
+  
+  if (!job.child_job_ids?.length) {
+    return {};
+  }
+  
+  const { summary, children } = await getChildJobStatuses(job._id);
+  
+  return {
+    target_languages: job.target_languages || children.map(child => child.target_language),
+    progress_percentage: job.fanned_out_at ? summary.progress_percentage : 0,
+    languages_summary: summary,
+    children: children,
+    ...(job.fanned_out_at && {
+      aggregate_status: {
+        status: job.processing_status,
+        step: job.processing_step,
+        error_message: job.error_message || null
+      }
+    })
+  };
+};
+
 // ===== STATUS CHECKING FUNCTION - ENHANCED WITH LANGUAGE INFO =====
+// Current state from the Upload record, history from the job's JobEvents
 export const getProcessingStatus = async (req, res) => {
   try {
     const jobId = req.params.jobId;
-    console.log(`[${jobId}] Status check requested (filesystem with language info)`);
+    console.log(`[${jobId}] Status check requested`);
     
-    const logFile = `./uploads/logs/${jobId}_processing.json`;
+    const job = await Upload.findById(jobId)
+      .select('processing_status processing_step source_language target_language target_languages child_job_ids parent_job_id fanned_out_at error_message cancelled_step createdAt updatedAt last_event_at')
+      .lean();
     
-    if (!fs.existsSync(logFile)) {
-      console.log(`[${jobId}] Job log not found in filesystem`);
+    if (!job) {
+      console.log(`[${jobId}] Job not found`);
       return res.status(404).json({ 
         success: false,
         error: 'Job not found',
         jobId: jobId,
-        message: 'The requested job ID does not exist in filesystem logs'
+        message: 'The requested job ID does not exist'
       });
     }
     
-    const logData = fs.readFileSync(logFile, 'utf8');
-    const processingLog = JSON.parse(logData);
+    // ===== QUEUE STATE =====
+    let queue = null;
+    try {
+      queue = await getQueueInfo(jobId);
+    } catch (queueError) {
+      console.warn(`[${jobId}] Queue lookup failed:`, queueError.message);
+    }
+    const isWaiting = queue && ['queued', 'leased'].includes(queue.state);
+    const multiLanguage = await getMultiLanguageStatus(job);
+    const stepsCompleted = await getJobTimeline(jobId);
     
     // Discover current files
     const files = {
@@ -523,34 +860,43 @@ export const getProcessingStatus = async (req, res) => {
       captions: fs.existsSync(`./uploads/captions/${jobId}_captions.vtt`) ? `./uploads/captions/${jobId}_captions.vtt` : null,
       srt: fs.existsSync(`./uploads/captions/${jobId}_captions.srt`) ? `./uploads/captions/${jobId}_captions.srt` : null,
       transcript: fs.existsSync(`./uploads/transcripts/${jobId}_transcript.txt`) ? `./uploads/transcripts/${jobId}_transcript.txt` : null,
-      final_video: fs.existsSync(`./uploads/processed/${jobId}_final.mp4`) ? `./uploads/processed/${jobId}_final.mp4` : null
+      final_video: ['mp4', 'mkv'].map(ext => `./uploads/processed/${jobId}_final.${ext}`).find(file => fs.existsSync(file)) || null,
+      final_audio: ['mp3', 'm4a'].map(ext => `./uploads/processed/${jobId}_final.${ext}`).find(file => fs.existsSync(file)) || null
     };
     
+    const status = job.processing_status || 'uploaded';
+    const sourceLanguage = job.source_language || 'hi';
+    const targetLanguage = job.target_language || null;
+    
     const statusResponse = {
       success: true,
       jobId: jobId,
-      status: processingLog.status || 'uploaded',
-      step: processingLog.step || 'queued',
-      created_at: processingLog.created_at,
-      last_updated: processingLog.last_updated || null,
+      status: isWaiting ? 'queued' : status,
+      step: isWaiting ? 'queued' : (job.processing_step || 'queued'),
+      queue: queue,
+      created_at: job.createdAt,
+      last_updated: job.last_event_at || job.updatedAt || null,
       
       // ✅ ENHANCED: Include language information
       languages: {
         source: {
-          code: processingLog.languages?.source || 'hi',
-          name: processingLog.languages?.source_name || getLanguageName(processingLog.languages?.source || 'hi')
+          code: sourceLanguage,
+          name: getLanguageName(sourceLanguage)
         },
         target: {
-          code: processingLog.languages?.target || null,
-          name: processingLog.languages?.target_name || (processingLog.languages?.target ? getLanguageName(processingLog.languages.target) : null)
+          code: targetLanguage,
+          name: targetLanguage ? getLanguageName(targetLanguage) : null
         }
       },
       
-      steps_completed: processingLog.steps_completed || [],
+      steps_completed: stepsCompleted,
       files: files,
-      processing_completed: processingLog.status === 'completed',
-      processing_failed: processingLog.status === 'failed',
-      error_message: processingLog.steps_completed?.find(s => s.error_message)?.error_message || null
+      processing_completed: ['completed', 'partially_completed'].includes(status),
+      processing_failed: status === 'failed',
+      processing_cancelled: status === 'cancelled',
+      cancelled_step: job.cancelled_step || null,
+      error_message: job.error_message || null,
+      ...multiLanguage
     };
     
     console.log(`[${jobId}] Status: ${statusResponse.status}, Step: ${statusResponse.step}`);
@@ -559,11 +905,11 @@ export const getProcessingStatus = async (req, res) => {
     res.json(statusResponse);
     
   } catch (error) {
-    console.error('Status check filesystem error:', error.message);
+    console.error('Status check error:', error.message);
     res.status(500).json({ 
       success: false,
       error: 'Status check failed',
-      message: 'Unable to retrieve job status from filesystem',
+      message: 'Unable to retrieve job status',
       details: error.message
     });
   }
@@ -572,64 +918,44 @@ export const getProcessingStatus = async (req, res) => {
 // ===== PROCESSING STATISTICS WITH LANGUAGE BREAKDOWN =====
 export const getProcessingStats = async () => {
   try {
-    const logsDir = './uploads/logs';
-    if (!fs.existsSync(logsDir)) {
-      return { total: 0, completed: 0, failed: 0, processing: 0 };
-    }
-    
-    const logFiles = fs.readdirSync(logsDir).filter(file => file.endsWith('_processing.json'));
+    const [statusCounts, languagePairs, durations] = await Promise.all([
+      Upload.aggregate([
+        { $group: { _id: '$processing_status', count: { $sum: 1 } } }
+      ]),
+      Upload.aggregate([
+        { $match: { source_language: { $ne: null }, target_language: { $ne: null } } },
+        { $group: { _id: { source: '$source_language', target: '$target_language' }, count: { $sum: 1 } } }
+      ]),
+      Upload.aggregate([
+        { $match: { processing_status: 'completed', processing_duration_ms: { $gt: 0 } } },
+        { $group: { _id: null, avgDuration: { $avg: '$processing_duration_ms' } } }
+      ])
+    ]);
     
     let stats = {
-      total: logFiles.length,
+      total: 0,
       completed: 0,
       failed: 0,
       processing: 0,
+      cancelled: 0,
       uploaded: 0,
-      avgDuration: 0,
+      avgDuration: durations[0]?.avgDuration || 0,
       languagePairs: {},
       popularTargetLanguages: {}
     };
     
-    let totalDuration = 0;
-    let completedCount = 0;
-    
-    for (const logFile of logFiles) {
-      try {
-        const logData = fs.readFileSync(path.join(logsDir, logFile), 'utf8');
-        const log = JSON.parse(logData);
-        
-        // Track language pairs
-        if (log.languages?.source && log.languages?.target) {
-          const pair = `${log.languages.source}-${log.languages.target}`;
-          stats.languagePairs[pair] = (stats.languagePairs[pair] || 0) + 1;
-          stats.popularTargetLanguages[log.languages.target] = (stats.popularTargetLanguages[log.languages.target] || 0) + 1;
-        }
-        
-        switch (log.status) {
-          case 'completed':
-            stats.completed++;
-            const completedStep = log.steps_completed.find(s => s.step === 'completed');
-            if (completedStep && completedStep.processing_duration_ms) {
-              totalDuration += completedStep.processing_duration_ms;
-              completedCount++;
-            }
-            break;
-          case 'failed':
-            stats.failed++;
-            break;
-          case 'processing':
-            stats.processing++;
-            break;
-          default:
-            stats.uploaded++;
-        }
-      } catch (parseError) {
-        console.warn(`Failed to parse log file ${logFile}:`, parseError.message);
+    for (const { _id: status, count } of statusCounts) {
+      stats.total += count;
+      if (['completed', 'failed', 'processing', 'cancelled'].includes(status)) {
+        stats[status] += count;
+      } else {
+        stats.uploaded += count;
       }
     }
     
-    if (completedCount > 0) {
-      stats.avgDuration = totalDuration / completedCount;
+    for (const { _id: pair, count } of languagePairs) {
+      stats.languagePairs[`${pair.source}-${pair.target}`] = count;
+      stats.popularTargetLanguages[pair.target] = (stats.popularTargetLanguages[pair.target] || 0) + count;
     }
     
     return stats;
@@ -641,37 +967,32 @@ export const getProcessingStats = async () => {
 };
 
 // ===== RESUME PROCESSING WITH LANGUAGE PRESERVATION =====
+// Re-runs the pipeline from fromStep (auto-detected from artifacts when omitted),
+// reloading everything upstream from disk
 export const resumeProcessing = async (jobId, fromStep = null, options = {}) => {
   try {
-    console.log(`[${jobId}] Resuming processing from step: ${fromStep || 'auto-detect'}`);
-    
-    const logFile = `./uploads/logs/${jobId}_processing.json`;
+    const resumeStep = fromStep || detectResumeStep(jobId);
+    console.log(`[${jobId}] Resuming processing from step: ${resumeStep}${fromStep ? '' : ' (auto-detected)'}`);
     
-    if (!fs.existsSync(logFile)) {
-      console.log(`[${jobId}] No existing log found, starting fresh processing`);
-      return await processVideo(jobId, options);
+    const resumeCheck = checkResumeArtifacts(jobId, resumeStep);
+    if (!resumeCheck.ok) {
+      throw new MissingArtifactError(jobId, resumeStep, resumeCheck.missing);
     }
     
-    const logData = fs.readFileSync(logFile, 'utf8');
-    const processingLog = JSON.parse(logData);
-    
-    // ✅ PRESERVE LANGUAGES FROM LOG
+    // ✅ PRESERVE LANGUAGES FROM THE JOB RECORD, FALLING BACK TO JOB CONFIG FILES
+    const job = await Upload.findById(jobId).select('source_language target_language').lean();
+    const discovered = job?.target_language
+      ? { sourceLanguage: job.source_language, targetLanguage: job.target_language }
+      : await discoverLanguagesFromFiles(jobId);
     const preservedOptions = {
       ...options,
-      sourceLanguage: processingLog.languages?.source || options.sourceLanguage || 'hi',
-      targetLanguage: processingLog.languages?.target || options.targetLanguage,
+      sourceLanguage: options.sourceLanguage || discovered.sourceLanguage || 'hi',
+      targetLanguage: options.targetLanguage || discovered.targetLanguage,
+      fromStep: resumeStep
     };
     
-    console.log(`[${jobId}] Current status: ${processingLog.status}, Last step: ${processingLog.step}`);
     console.log(`[${jobId}] Preserved languages: ${preservedOptions.sourceLanguage} → ${preservedOptions.targetLanguage}`);
     
-    if (processingLog.status === 'completed') {
-      console.log(`[${jobId}] Processing already completed`);
-      return { success: true, message: 'Processing already completed', jobId };
-    }
-    
-    // Resume processing with preserved language settings
-    console.log(`[${jobId}] Resuming full processing pipeline with preserved languages...`);
     return await processVideo(jobId, preservedOptions);
     
   } catch (error) {
@@ -680,47 +1001,10 @@ export const resumeProcessing = async (jobId, fromStep = null, options = {}) =>
   }
 };
 
-// ===== CLEANUP FUNCTIONS =====
-export const cleanupOldLogs = async (days = 7) => {
-  try {
-    const logsDir = './uploads/logs';
-    if (!fs.existsSync(logsDir)) {
-      return 0;
-    }
-    
-    const cutoffDate = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
-    const logFiles = fs.readdirSync(logsDir);
-    
-    let cleanedCount = 0;
-    
-    for (const logFile of logFiles) {
-      try {
-        const filePath = path.join(logsDir, logFile);
-        const stats = fs.statSync(filePath);
-        
-        if (stats.mtime < cutoffDate) {
-          fs.unlinkSync(filePath);
-          cleanedCount++;
-        }
-      } catch (fileError) {
-        console.warn(`Failed to cleanup log file ${logFile}:`, fileError.message);
-      }
-    }
-    
-    console.log(`Cleaned up ${cleanedCount} log files older than ${days} days`);
-    return cleanedCount;
-    
-  } catch (error) {
-    console.error('Failed to cleanup log files:', error.message);
-    throw error;
-  }
-};
-
 // ===== EXPORT ALL FUNCTIONS =====
 export default {
   processVideo,
   getProcessingStatus,
   getProcessingStats,
-  cleanupOldLogs,
   resumeProcessing
 };
@@ -0,0 +1,170 @@
+// controllers/subtitleController.js - TRANSLATE EXISTING SRT / WEBVTT FILES
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseUploadOptions, validateUploadOptions, createJobFromFile } from './uploadController.js';
+import { parseSubtitles, subtitlesToTranscription, SubtitleParseError, SUBTITLE_FORMATS } from '../services/subtitleService.js';
+import { translateTranscription } from '../services/translationService.js';
+import { getGlossaryTerms } from '../services/glossaryService.js';
+import { generateWebVTT, generateSRT } from '../services/captionService.js';
+import { MediaProbeError } from '../services/mediaProbeService.js';
+import { SUBTITLE_FIELD } from '../middleware/multer.js';
+
+const CAPTIONS_DIR = path.join('uploads', 'captions');
+
+// ===== SUBTITLE INPUT =====
+// An uploaded .srt/.vtt file, or the file's text in the 'subtitles' field
+const readSubtitleInput = (req) => {
+  const file = req.files?.[SUBTITLE_FIELD]?.[0];
+  if (file) {
+    return {
+      content: fs.readFileSync(file.path, 'utf8'),
+      format: path.extname(file.originalname).slice(1).toLowerCase(),
+      name: file.originalname
+    };
+  }
+
+  const content = typeof req.body?.subtitles === 'string' ? req.body.subtitles : null;
+  const format = String(req.body?.format || '').trim().toLowerCase() || null;
+  return content ? { content, format, name: null } : null;
+};
+
+// The subtitle file is only read once; an attached video stays only after a job has taken it
+const removeRequestFiles = (req, { keepVideo }) => {
+  for (const file of Object.values(req.files || {}).flat()) {
+    if (keepVideo && file.fieldname === 'video') continue;
+    fs.rmSync(file.path, { force: true });
+  }
+};
+
+// ===== TEXT-ONLY TRANSLATION =====
+// Translated cues keep the source timings; both caption formats are written for each language
+const translateCues = async (transcription, options, subtitleId) => {
+  const { fromLang, targetLanguages, translationEngine } = options;
+  const results = [];
+
+  for (const targetLanguage of targetLanguages) {
+    const glossary = await getGlossaryTerms(fromLang, targetLanguage, subtitleId);
+    const translation = await translateTranscription(transcription, fromLang, targetLanguage, subtitleId, {
+      glossary,
+      engine: translationEngine
+    });
+
+    const languageName = translation.languagename || targetLanguage;
+    const vtt = await generateWebVTT(translation.segments, targetLanguage, languageName, subtitleId, { preserveSegments: true });
+    const srt = await generateSRT(translation.segments, subtitleId, { preserveSegments: true });
+
+    fs.mkdirSync(CAPTIONS_DIR, { recursive: true });
+    const baseName = `${subtitleId}_${targetLanguage}`;
+    fs.writeFileSync(path.join(CAPTIONS_DIR, `${baseName}.vtt`), vtt, 'utf8');
+    fs.writeFileSync(path.join(CAPTIONS_DIR, `${baseName}.srt`), srt, 'utf8');
+
+    results.push({
+      language: targetLanguage,
+      languageName,
+      engine: translation.engine,
+      translatedSegments: translation.successfulsegments,
+      totalSegments: translation.totalsegments,
+      glossaryViolations: translation.glossary_violation_segments || 0,
+      files: {
+        vtt: `/uploads/captions/${baseName}.vtt`,
+        srt: `/uploads/captions/${baseName}.srt`
+      },
+      segments: translation.segments.map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        original_text: segment.original_text,
+        text: segment.text
+      }))
+    });
+  }
+
+  return results;
+};
+
+// ===== POST /api/subtitles/translate =====
+// multipart: subtitles (.srt/.vtt), optional video, plus the upload form fields (fromLang, toLang, translationEngine, ...)
+export const translateSubtitles = async (req, res) => {
+  let videoAccepted = false;
+
+  try {
+    const input = readSubtitleInput(req);
+    if (!input) {
+      return res.status(400).json({
+        error: "No subtitles provided",
+        message: "Attach an .srt or .vtt file as 'subtitles', or send its text in the 'subtitles' field",
+        supported: SUBTITLE_FORMATS
+      });
+    }
+
+    const options = parseUploadOptions(req.body);
+    const invalid = validateUploadOptions(options);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
+    }
+
+    const segments = parseSubtitles(input.content, input.format);
+    const transcription = subtitlesToTranscription(segments, options.fromLang);
+    console.log(`[SUBTITLES] 📝 Parsed ${segments.length} cues${input.name ? ` from ${input.name}` : ''} (${options.fromLang} → ${options.targetLanguages.join(', ')})`);
+
+    // ===== WITH A VIDEO: A REGULAR JOB THAT SKIPS WHISPER =====
+    const video = req.files?.video?.[0];
+    if (video) {
+      const response = await createJobFromFile(video, options, {
+        baseUrl: `${req.protocol}://${req.get('host')}`,
+        transcription
+      });
+      videoAccepted = true;
+      return res.status(200).json({
+        ...response,
+        subtitles: { cues: segments.length, duration: transcription.duration }
+      });
+    }
+
+    // ===== WITHOUT A VIDEO: TRANSLATED CAPTION FILES =====
+    const subtitleId = `subtitles_${crypto.randomUUID()}`;
+    const translations = await translateCues(transcription, options, subtitleId);
+
+    res.status(200).json({
+      success: true,
+      subtitleId,
+      message: `Translated ${segments.length} cues into ${translations.length} language(s)`,
+      source: {
+        language: options.fromLang,
+        cues: segments.length,
+        duration: transcription.duration
+      },
+      translations
+    });
+
+  } catch (error) {
+    if (error instanceof SubtitleParseError) {
+      return res.status(error.status).json({
+        error: "Invalid subtitle file",
+        message: error.message,
+        ...error.details
+      });
+    }
+    if (error instanceof MediaProbeError) {
+      return res.status(error.status).json({
+        error: "Unsupported media file",
+        message: error.message,
+        reason: error.reason,
+        ...error.details
+      });
+    }
+
+    console.error("[SUBTITLES] ❌ Subtitle translation failed:", error.message);
+    res.status(500).json({
+      error: "Server error during subtitle translation",
+      message: error.message
+    });
+  } finally {
+    removeRequestFiles(req, { keepVideo: videoAccepted });
+  }
+};
+
+export default {
+  translateSubtitles
+};
@@ -1,7 +1,31 @@
 // controllers/uploadController.js - ENHANCED UPLOAD CONTROLLER WITH FIXED LANGUAGE EXTRACTION
 
 import Upload from "../models/uploadModel.js";
-import { processVideo } from "../controllers/processController.js";
+import { enqueueJob } from "../services/jobQueueService.js";
+import { recordJobEvent } from "../services/jobStateService.js";
+import { isKnownEngine, listTranslationEngines } from "../services/translationService.js";
+import { parseTargetLanguages, createChildJobs } from "../services/multiTargetJobService.js";
+import { OUTPUT_MODES, OUTPUT_CONTAINERS } from "../services/videoService.js";
+import { AUDIO_OUTPUT_FORMATS } from "../services/audioOutputService.js";
+import { validateVoiceSelection, getVoiceCatalogue } from "../services/ttsService.js";
+import { validateWebhookUrl, generateWebhookSecret } from "../services/webhookService.js";
+import { getWebhookConfig } from "../config/webhookConfig.js";
+import { getArtifactCacheConfig } from "../config/artifactCacheConfig.js";
+import { getAudioConfig } from "../config/audioConfig.js";
+import { hashFile } from "../services/artifactCache.js";
+import { validateUploadedMedia, toUploadMediaFields, MediaProbeError } from "../services/mediaProbeService.js";
+import { downloadVideoFromUrl, UrlIngestError } from "../services/urlIngestService.js";
+import { saveTranscriptionArtifact } from "../services/jobArtifactService.js";
+import { REVIEW_MODES, parseReviewMode } from "../services/reviewService.js";
+import {
+  UploadSessionError,
+  createUploadSession,
+  getUploadSession,
+  appendChunk,
+  completeUploadSession,
+  abortUploadSession,
+  toSessionSummary
+} from "../services/uploadSessionService.js";
 import fs from 'fs';
 import path from 'path';
 
@@ -34,23 +58,513 @@ const validateLanguage = (languageCode, type = 'language') => {
   return supportedLanguages.includes(languageCode);
 };
 
+// ===== UPLOAD OPTIONS FROM THE REQUEST BODY =====
+// Shared by single-request uploads and resumable upload sessions (which store the same fields)
+export const parseUploadOptions = (body = {}) => {
+  // ✅ ENHANCED: Extract language parameters with multiple fallback keys
+  const fromLang = body.fromLang || 
+                   body.sourceLang || 
+                   body.sourceLanguage || 
+                   body.source_language ||
+                   'hi'; // Default to Hindi as source
+                   
+  // One code, a comma-separated list ("bn,ta,te") or a repeated field
+  const targetLanguages = parseTargetLanguages(
+    body.toLang || 
+    body.targetLang || 
+    body.targetLanguage ||
+    body.target_language ||
+    body.targetLanguages ||
+    null // No default for target language
+  );
+  const isMultiTarget = targetLanguages.length > 1;
+  const toLang = targetLanguages[0] || null;
+  
+  // Optional engine to try first; the configured chain remains the fallback
+  const translationEngine = String(body.translationEngine || body.translation_engine || '').trim().toLowerCase() || null;
+  
+  // Output: 'burned' replaces the audio and burns in captions, 'multitrack' keeps the original audio
+  // next to the dubbed track(s) with soft subtitles, in an MP4 or MKV container; 'audio' delivers
+  // an MP3 or M4A with sidecar captions (and is chosen automatically for audio-only uploads)
+  const requestedOutputMode = String(body.outputMode || body.output_mode || '').trim().toLowerCase() || null;
+  const outputMode = requestedOutputMode || 'burned';
+  const outputContainer = String(body.outputContainer || body.output_container || '').trim().toLowerCase()
+    || (outputMode === 'audio' ? getAudioConfig().audioOutputFormat : 'mp4');
+  
+  // Speaker diarization: one TTS voice per detected speaker; numSpeakers pins the count when known
+  const diarization = ['true', '1', 'on'].includes(String(body.diarization ?? body.enableDiarization ?? '').toLowerCase());
+  const numSpeakers = body.numSpeakers ? parseInt(body.numSpeakers, 10) : null;
+  
+  // Review: pause after translation for a reviewer always, or only when validation scores it too low
+  const review = parseReviewMode(body.review ?? body.reviewMode ?? body.review_mode);
+  
+  // Voice: a catalogue voice (GET /api/voices) or a gender, plus an optional base rate and pitch
+  const voiceSelection = {
+    voice: String(body.voice || '').trim() || null,
+    voiceGender: String(body.voiceGender || body.voice_gender || '').trim().toLowerCase() || null,
+    baseRate: String(body.baseRate || body.base_rate || '').trim() || null,
+    pitch: String(body.pitch || '').trim() || null
+  };
+  
+  // Webhook for this upload's lifecycle events; signed with callbackSecret, WEBHOOK_SECRET or a generated secret
+  const callbackUrl = String(body.callbackUrl || body.callback_url || '').trim() || null;
+  const providedCallbackSecret = String(body.callbackSecret || body.callback_secret || '').trim() || null;
+  
+  return {
+    fromLang,
+    targetLanguages,
+    isMultiTarget,
+    toLang,
+    translationEngine,
+    outputMode,
+    outputModeRequested: Boolean(requestedOutputMode),
+    outputContainer,
+    diarization,
+    numSpeakers,
+    rawNumSpeakers: body.numSpeakers,
+    review,
+    voiceSelection,
+    callbackUrl,
+    providedCallbackSecret
+  };
+};
+
+// ===== VALIDATE UPLOAD OPTIONS =====
+// Returns the 400 response for the first invalid option, or null
+export const validateUploadOptions = (options) => {
+  const { fromLang, targetLanguages, toLang, translationEngine, outputMode, outputContainer, numSpeakers, rawNumSpeakers, review, voiceSelection, callbackUrl } = options;
+  
+  // ✅ CRITICAL: Strict validation for target language
+  if (!toLang) {
+    return { status: 400, body: { 
+      error: 'Target language is required',
+      message: 'Please select a target language for translation',
+      availableLanguages: {
+        'hi': 'हिंदी (Hindi)',
+        'bn': 'বাংলা (Bengali)', 
+        'ta': 'தமிழ் (Tamil)',
+        'te': 'తెలుగు (Telugu)',
+        'mr': 'मराठी (Marathi)',
+        'gu': 'ગુજરાતી (Gujarati)',
+        'kn': 'ಕನ್ನಡ (Kannada)',
+        'ml': 'മലയാளം (Malayalam)',
+        'pa': 'ਪੰਜਾਬੀ (Punjabi)',
+        'ur': 'اردو (Urdu)',
+        'en': 'English'
+      }
+    } };
+  }
+  
+  // ✅ VALIDATE LANGUAGE SUPPORT
+  if (!validateLanguage(fromLang, 'source')) {
+    return { status: 400, body: {
+      error: 'Unsupported source language',
+      message: `Source language '${fromLang}' is not supported`,
+      received: fromLang,
+      supported: ['hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'pa', 'ur', 'en']
+    } };
+  }
+  
+  const unsupportedTarget = targetLanguages.find(language => !validateLanguage(language, 'target'));
+  if (unsupportedTarget) {
+    return { status: 400, body: {
+      error: 'Unsupported target language',
+      message: `Target language '${unsupportedTarget}' is not supported`,
+      received: unsupportedTarget,
+      supported: ['hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'pa', 'ur', 'en']
+    } };
+  }
+  
+  if (translationEngine && !isKnownEngine(translationEngine)) {
+    return { status: 400, body: {
+      error: 'Unsupported translation engine',
+      message: `Translation engine '${translationEngine}' is not registered`,
+      received: translationEngine,
+      supported: listTranslationEngines().map(engine => engine.name)
+    } };
+  }
+  
+  if (!OUTPUT_MODES.includes(outputMode)) {
+    return { status: 400, body: {
+      error: 'Unsupported output mode',
+      message: `Output mode '${outputMode}' is not supported`,
+      received: outputMode,
+      supported: OUTPUT_MODES
+    } };
+  }
+  
+  if (outputMode === 'audio' && !AUDIO_OUTPUT_FORMATS.includes(outputContainer)) {
+    return { status: 400, body: {
+      error: 'Unsupported output container',
+      message: `Audio-only output is MP3 or M4A, not '${outputContainer}'`,
+      received: outputContainer,
+      supported: AUDIO_OUTPUT_FORMATS
+    } };
+  }
+  
+  if (outputMode !== 'audio' && (!OUTPUT_CONTAINERS.includes(outputContainer) || (outputMode === 'burned' && outputContainer !== 'mp4'))) {
+    return { status: 400, body: {
+      error: 'Unsupported output container',
+      message: outputMode === 'burned'
+        ? `Burned-in output is always MP4; use outputMode=multitrack for '${outputContainer}'`
+        : `Output container '${outputContainer}' is not supported`,
+      received: outputContainer,
+      supported: OUTPUT_CONTAINERS
+    } };
+  }
+  
+  if (!REVIEW_MODES.includes(review)) {
+    return { status: 400, body: {
+      error: 'Unsupported review mode',
+      message: `Review mode '${review}' is not supported`,
+      received: review,
+      supported: REVIEW_MODES
+    } };
+  }
+  
+  if (numSpeakers !== null && !(numSpeakers >= 1 && numSpeakers <= 10)) {
+    return { status: 400, body: {
+      error: 'Invalid speaker count',
+      message: 'numSpeakers must be a number between 1 and 10',
+      received: rawNumSpeakers
+    } };
+  }
+  
+  const voiceError = validateVoiceSelection(targetLanguages, voiceSelection);
+  if (voiceError) {
+    return { status: 400, body: {
+      error: 'Invalid voice options',
+      message: voiceError,
+      received: voiceSelection,
+      supported: getVoiceCatalogue().filter(entry => targetLanguages.includes(entry.language))
+    } };
+  }
+  
+  const callbackError = callbackUrl ? validateWebhookUrl(callbackUrl) : null;
+  if (callbackError) {
+    return { status: 400, body: {
+      error: 'Invalid callback URL',
+      message: callbackError,
+      received: callbackUrl
+    } };
+  }
+  
+  return null;
+};
+
+// ===== CREATE A JOB FROM A FILE IN uploads/originals =====
+// Earlier upload of the same bytes whose original is still on disk
+const findStoredDuplicate = async (contentHash) => {
+  const candidates = await Upload.find({ content_hash: contentHash, parent_job_id: null })
+    .sort({ createdAt: 1 })
+    .select('file_path')
+    .lean();
+  return candidates.find(candidate => candidate.file_path && fs.existsSync(candidate.file_path)) || null;
+};
+
+// Keep one copy on disk: the new file becomes a hard link to the stored one.
+// Deleting either job only removes its own link.
+const linkToDuplicate = (filePath, existingPath) => {
+  const tempPath = `${filePath}.link`;
+  try {
+    fs.linkSync(existingPath, tempPath);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    console.warn(`[UPLOAD] ⚠️ Keeping a separate copy, could not link to ${existingPath}:`, error.message);
+  }
+};
+
+/**
+ * Record the upload, create its language jobs and queue processing
+ * @param {Object} file - { filename (in uploads/originals), originalname, size }
+ * @param {Object} options - From parseUploadOptions, already validated
+ * @param {Object} context - { baseUrl } for the download URL; { transcription } replaces Whisper (e.g. parsed subtitles)
+ * @returns {Promise<Object>} - Response body of a successful upload
+ */
+export const createJobFromFile = async (file, options, { baseUrl, transcription = null }) => {
+  const { fromLang, targetLanguages, isMultiTarget, toLang, translationEngine, outputModeRequested, diarization, numSpeakers, review, voiceSelection, callbackUrl, providedCallbackSecret } = options;
+  let { outputMode, outputContainer } = options;
+  const generatedCallbackSecret = callbackUrl && !providedCallbackSecret && !getWebhookConfig().defaultSecret
+    ? generateWebhookSecret()
+    : null;
+  
+  // ✅ ENHANCED LOGGING
+  console.log(`[UPLOAD] ✅ Language Selection Received and Validated:`);
+  console.log(`  From: ${fromLang} → ${getLanguageName(fromLang)}`);
+  console.log(`  To: ${targetLanguages.map(language => `${language} → ${getLanguageName(language)}`).join(', ')}`);
+  console.log(`  File: ${file.originalname} (${Math.round(file.size / 1024)}KB)`);
+  console.log(`  Translation engine: ${translationEngine || 'default chain'}`);
+  console.log(`  Output: ${outputMode} (${outputContainer})`);
+  console.log(`  Diarization: ${diarization ? `on${numSpeakers ? ` (${numSpeakers} speakers)` : ''}` : 'off'}`);
+  console.log(`  Review: ${review}`);
+  console.log(`  Callback: ${callbackUrl || 'none'}`);
+  console.log(`  Voice: ${voiceSelection.voice || voiceSelection.voiceGender || 'default'} (rate ${voiceSelection.baseRate || '+0%'}, pitch ${voiceSelection.pitch || '+0Hz'})`);
+  
+  // ===== CONSTRUCT FILE PATH =====
+  const filePath = `uploads/originals/${file.filename}`;
+  
+  // ✅ VERIFY FILE EXISTS
+  if (!fs.existsSync(filePath)) {
+    throw new Error('Uploaded file could not be found on server');
+  }
+  
+  // ===== INSPECT THE MEDIA BEFORE ACCEPTING IT =====
+  // Audio-only files are accepted unless a video output was asked for explicitly
+  let media;
+  try {
+    media = await validateUploadedMedia(filePath, { requireVideo: outputModeRequested && outputMode !== 'audio' });
+  } catch (error) {
+    if (error instanceof MediaProbeError) {
+      console.warn(`[UPLOAD] 🚫 Rejected ${file.originalname}: ${error.message} (${error.reason})`);
+      fs.rmSync(filePath, { force: true });
+    }
+    throw error;
+  }
+  console.log(`[UPLOAD] 🔎 Media: ${media.format}, ${Math.round(media.duration)}s, ${media.video ? `${media.video.codec} ${media.video.width}x${media.video.height}` : 'audio only'}, ${media.audio.codec} ${media.audio.channels}ch`);
+  
+  // ===== AUDIO-ONLY INPUT: DUBBED AUDIO FILE WITH SIDECAR CAPTIONS =====
+  if (media.audio_only && outputMode !== 'audio') {
+    outputMode = 'audio';
+    outputContainer = AUDIO_OUTPUT_FORMATS.includes(outputContainer) ? outputContainer : getAudioConfig().audioOutputFormat;
+    console.log(`[UPLOAD] 🎧 Audio-only upload, output switched to ${outputContainer.toUpperCase()} with sidecar captions`);
+  }
+  
+  // ===== CONTENT HASH AND DEDUPLICATION =====
+  const contentHash = await hashFile(filePath);
+  const duplicate = await findStoredDuplicate(contentHash);
+  if (duplicate) {
+    console.log(`[UPLOAD] ♻️ Identical to job ${duplicate._id} (${contentHash.slice(0, 12)}), its cached steps will be reused`);
+    if (getArtifactCacheConfig().dedupeOriginals) {
+      linkToDuplicate(filePath, duplicate.file_path);
+    }
+  }
+  
+  // ===== CREATE UPLOAD RECORD WITH COMPREHENSIVE LANGUAGE FIELDS =====
+  console.log(`[UPLOAD] Creating database record with explicit language fields...`);
+  
+  // A multi-language parent has no single target; each child job gets one
+  const recordTarget = isMultiTarget ? null : toLang;
+  
+  const upload = new Upload({
+    filename: file.filename,
+    originalName: file.originalname,
+    size: file.size,
+    file_path: filePath,
+    
+    // ✅ MULTIPLE LANGUAGE FIELD FORMATS FOR COMPATIBILITY
+    source_language: fromLang,    // Original format
+    target_language: recordTarget, // Original format
+    sourceLanguage: fromLang,     // Camel case format
+    targetLanguage: recordTarget, // Camel case format
+    sourceLang: fromLang,         // Short format
+    targetLang: recordTarget,     // Short format
+    fromLang: fromLang,           // Frontend format
+    toLang: recordTarget,         // Frontend format
+    target_languages: targetLanguages,
+    
+    // ✅ LANGUAGE METADATA
+    sourceLanguageName: getLanguageName(fromLang),
+    targetLanguageName: isMultiTarget ? targetLanguages.map(getLanguageName).join(', ') : getLanguageName(toLang),
+    translation_engine: translationEngine,
+    output_mode: outputMode,
+    output_container: outputContainer,
+    diarization_enabled: diarization,
+    review_mode: review,
+    tts_voice: voiceSelection.voice,
+    tts_voice_gender: voiceSelection.voiceGender,
+    tts_base_rate: voiceSelection.baseRate,
+    tts_pitch: voiceSelection.pitch,
+    callback_url: callbackUrl,
+    callback_secret: callbackUrl ? (providedCallbackSecret || generatedCallbackSecret) : null,
+    content_hash: contentHash,
+    duplicate_of: duplicate?._id || null,
+    ...toUploadMediaFields(media),
+    
+    // ✅ PROCESSING STATUS
+    processing_status: "uploaded",
+    processingstatus: "uploaded",  // Alternative format
+    
+    // ✅ TIMESTAMPS
+    uploadedAt: new Date(),
+    createdAt: new Date()
+  });
+  
+  const savedUpload = await upload.save();
+  await recordJobEvent(savedUpload._id, 'uploaded', 'pending', {
+    source_language: fromLang,
+    target_language: recordTarget,
+    ...(isMultiTarget && { target_languages: targetLanguages })
+  }, { source: 'api', emit: false });
+  
+  console.log(`[UPLOAD] ✅ Database record created successfully:`);
+  console.log(`  Job ID: ${savedUpload._id.toString()}`);
+  console.log(`  Source: ${fromLang} (${getLanguageName(fromLang)})`);
+  console.log(`  Target: ${targetLanguages.join(', ')}`);
+  console.log(`  File Path: ${filePath}`);
+  
+  // ===== SUPPLIED TRANSCRIPTION: THE PIPELINE TRANSLATES IT INSTEAD OF TRANSCRIBING =====
+  if (transcription) {
+    saveTranscriptionArtifact(savedUpload._id.toString(), transcription);
+    console.log(`[UPLOAD] 📝 Using supplied ${transcription.transcription_source || 'transcription'} (${transcription.segments.length} segments)`);
+  }
+  
+  // ===== MULTI-LANGUAGE: ONE CHILD JOB PER TARGET =====
+  const childJobs = isMultiTarget
+    ? await createChildJobs(savedUpload, targetLanguages, getLanguageName)
+    : [];
+  if (childJobs.length > 0) {
+    console.log(`[UPLOAD] 🌐 Created ${childJobs.length} language jobs: ${childJobs.map(child => `${child.target_language}=${child._id}`).join(', ')}`);
+  }
+  
+  // ===== SAVE LANGUAGE CONFIG TO FILESYSTEM =====
+  try {
+    const configDir = './uploads/jobs';
+    if (!fs.existsSync(configDir)) {
+      fs.mkdirSync(configDir, { recursive: true });
+    }
+    
+    const languageConfig = {
+      jobId: savedUpload._id.toString(),
+      sourceLanguage: fromLang,
+      targetLanguage: recordTarget,
+      sourceLang: fromLang,
+      targetLang: recordTarget,
+      fromLang: fromLang,
+      toLang: recordTarget,
+      targetLanguages: targetLanguages,
+      sourceLanguageName: getLanguageName(fromLang),
+      targetLanguageName: recordTarget ? getLanguageName(recordTarget) : null,
+      timestamp: new Date().toISOString(),
+      originalFilename: file.originalname,
+      uploadedFilename: file.filename
+    };
+    
+    const configPath = path.join(configDir, `${savedUpload._id.toString()}_config.json`);
+    fs.writeFileSync(configPath, JSON.stringify(languageConfig, null, 2));
+    
+    console.log(`[UPLOAD] ✅ Language configuration saved: ${configPath}`);
+  } catch (configError) {
+    console.warn(`[UPLOAD] ⚠️ Failed to save language config:`, configError.message);
+    // Don't fail the upload for this
+  }
+  
+  // ===== QUEUE PROCESSING WITH EXPLICIT LANGUAGE PARAMETERS =====
+  console.log(`[UPLOAD] 📥 Queueing video processing with explicit languages...`);
+  
+  await enqueueJob(savedUpload._id.toString(), {
+    sourceLanguage: fromLang,
+    targetLanguage: recordTarget,
+    ...(isMultiTarget && { targetLanguages: targetLanguages }),
+    sourceLanguageName: getLanguageName(fromLang),
+    targetLanguageName: recordTarget ? getLanguageName(recordTarget) : null,
+    translationEngine: translationEngine,
+    outputMode: outputMode,
+    outputContainer: outputContainer,
+    diarization: diarization,
+    numSpeakers: numSpeakers,
+    review: review,
+    voiceSelection: voiceSelection,
+    ...(transcription && { transcriptionProvided: true }),
+    originalFilename: file.originalname,
+    uploadedFilename: file.filename,
+    filePath: filePath,
+    jobId: savedUpload._id.toString(),
+    fileSize: file.size,
+    uploadTimestamp: new Date()
+  });
+  
+  const queuePosition = await Upload.getQueuePosition(savedUpload._id);
+  
+  // ===== RETURN SUCCESS RESPONSE =====
+  const downloadUrl = `${baseUrl}/uploads/originals/${file.filename}`;
+  
+  const response = {
+    success: true,
+    downloadUrl,
+    jobId: savedUpload._id.toString(),
+    status: "queued",
+    message: "Upload successful, job queued for processing",
+    
+    // ✅ INCLUDE LANGUAGE CONFIRMATION IN RESPONSE
+    languages: {
+      source: {
+        code: fromLang,
+        name: getLanguageName(fromLang)
+      },
+      target: isMultiTarget ? null : {
+        code: toLang,
+        name: getLanguageName(toLang)
+      },
+      targets: targetLanguages.map(language => ({
+        code: language,
+        name: getLanguageName(language)
+      }))
+    },
+    
+    // ✅ MULTI-LANGUAGE: PER-LANGUAGE JOBS, PROGRESS AGGREGATED ON THE PARENT JOB ID
+    ...(isMultiTarget && {
+      childJobs: childJobs.map(child => ({
+        jobId: child._id.toString(),
+        targetLanguage: child.target_language,
+        status: 'waiting'
+      }))
+    }),
+    
+    media: {
+      duration: media.duration,
+      format: media.format,
+      video: media.video,
+      audio: media.audio
+    },
+    ...(duplicate && { duplicateOf: duplicate._id.toString() }),
+    
+    // A generated signing secret is only ever shown here
+    ...(callbackUrl && {
+      callback: {
+        url: callbackUrl,
+        ...(generatedCallbackSecret && { secret: generatedCallbackSecret })
+      }
+    }),
+    
+    file: {
+      originalName: file.originalname,
+      filename: file.filename,
+      size: file.size,
+      sizeFormatted: `${Math.round(file.size / 1024)}KB`
+    },
+    
+    processing: {
+      queued: true,
+      queuePosition,
+      translationEngine: translationEngine || 'default',
+      output: { mode: outputMode, container: outputContainer },
+      diarization: diarization,
+      review: review,
+      voice: voiceSelection,
+      estimatedTime: "2-5 minutes",
+      steps: [
+        "Audio extraction",
+        "Speech transcription", 
+        `Translation to ${targetLanguages.map(getLanguageName).join(', ')}`,
+        "Text-to-speech generation",
+        outputMode === 'audio' ? "Loudness normalization" : "Video synchronization",
+        "Caption generation"
+      ]
+    }
+  };
+  
+  console.log(`[UPLOAD] ✅ Upload completed successfully for job ${savedUpload._id.toString()}`);
+  console.log(`[UPLOAD] 🎯 Languages confirmed: ${fromLang} → ${targetLanguages.join(', ')}`);
+  
+  return response;
+};
+
 // ===== MAIN UPLOAD FUNCTION - FIXED LANGUAGE EXTRACTION =====
 export const uploadVideo = async (req, res) => {
   try {
     const file = req.file;
-    
-    // ✅ ENHANCED: Extract language parameters with multiple fallback keys
-    const fromLang = req.body.fromLang || 
-                     req.body.sourceLang || 
-                     req.body.sourceLanguage || 
-                     req.body.source_language ||
-                     'hi'; // Default to Hindi as source
-                     
-    const toLang = req.body.toLang || 
-                   req.body.targetLang || 
-                   req.body.targetLanguage ||
-                   req.body.target_language ||
-                   null; // No default for target language
+    const options = parseUploadOptions(req.body);
     
     console.log(`[UPLOAD] Raw request body language parameters:`, {
       fromLang: req.body.fromLang,
@@ -65,226 +579,218 @@ export const uploadVideo = async (req, res) => {
     if (!file) {
       return res.status(400).json({ 
         error: "No video file uploaded",
-        message: "Please select a video file to upload"
+        message: "Please select a video or audio file to upload"
       });
     }
     
-    // ✅ CRITICAL: Strict validation for target language
-    if (!toLang) {
-      return res.status(400).json({ 
-        error: 'Target language is required',
-        message: 'Please select a target language for translation',
-        availableLanguages: {
-          'hi': 'हिंदी (Hindi)',
-          'bn': 'বাংলা (Bengali)', 
-          'ta': 'தமிழ் (Tamil)',
-          'te': 'తెలుగు (Telugu)',
-          'mr': 'मराठी (Marathi)',
-          'gu': 'ગુજરાતી (Gujarati)',
-          'kn': 'ಕನ್ನಡ (Kannada)',
-          'ml': 'മലയാளം (Malayalam)',
-          'pa': 'ਪੰਜਾਬੀ (Punjabi)',
-          'ur': 'اردو (Urdu)',
-          'en': 'English'
-        }
-      });
+    const invalid = validateUploadOptions(options);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
     }
     
-    // ✅ VALIDATE LANGUAGE SUPPORT
-    if (!validateLanguage(fromLang, 'source')) {
-      return res.status(400).json({
-        error: 'Unsupported source language',
-        message: `Source language '${fromLang}' is not supported`,
-        received: fromLang,
-        supported: ['hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'pa', 'ur', 'en']
-      });
+    const response = await createJobFromFile(file, options, { baseUrl: `${req.protocol}://${req.get('host')}` });
+    
+    res.status(200).json(response);
+    
+  } catch (error) {
+    if (error instanceof MediaProbeError) {
+      return sendMediaRejection(res, error);
     }
+    console.error("[UPLOAD] ❌ Upload error:", error.message);
+    console.error("[UPLOAD] Error stack:", error.stack);
+    
+    res.status(500).json({ 
+      error: "Server error during upload",
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// 422 with the ffprobe findings, so the client can tell the user what is wrong with the file
+const sendMediaRejection = (res, error) => res.status(error.status).json({
+  error: "Unsupported media file",
+  message: error.message,
+  reason: error.reason,
+  ...error.details
+});
+
+// ===== UPLOAD BY URL =====
+// POST /api/upload/from-url - { url, ...same fields as POST /api/upload }
+export const uploadFromUrl = async (req, res) => {
+  let downloaded = null;
+  try {
+    const { url, ...fields } = req.body || {};
     
-    if (!validateLanguage(toLang, 'target')) {
+    if (!url || typeof url !== 'string') {
       return res.status(400).json({
-        error: 'Unsupported target language',
-        message: `Target language '${toLang}' is not supported`,
-        received: toLang,
-        supported: ['hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'pa', 'ur', 'en']
+        error: "No video URL provided",
+        message: "Send the http(s) address of the video as 'url'"
       });
     }
     
-    // ✅ ENHANCED LOGGING
-    console.log(`[UPLOAD] ✅ Language Selection Received and Validated:`);
-    console.log(`  From: ${fromLang} → ${getLanguageName(fromLang)}`);
-    console.log(`  To: ${toLang} → ${getLanguageName(toLang)}`);
-    console.log(`  File: ${file.originalname} (${Math.round(file.size / 1024)}KB)`);
-    
-    // ===== CONSTRUCT FILE PATH =====
-    const filePath = `uploads/originals/${file.filename}`;
-    
-    // ✅ VERIFY FILE EXISTS
-    if (!fs.existsSync(filePath)) {
-      return res.status(500).json({
-        error: 'File upload failed',
-        message: 'Uploaded file could not be found on server'
-      });
+    // Reject bad options before downloading anything
+    const options = parseUploadOptions(fields);
+    const invalid = validateUploadOptions(options);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
     }
     
-    // ===== CREATE UPLOAD RECORD WITH COMPREHENSIVE LANGUAGE FIELDS =====
-    console.log(`[UPLOAD] Creating database record with explicit language fields...`);
+    downloaded = await downloadVideoFromUrl(url.trim());
+    const response = await createJobFromFile(downloaded.file, options, { baseUrl: `${req.protocol}://${req.get('host')}` });
     
-    const upload = new Upload({
-      filename: file.filename,
-      originalName: file.originalname,
-      size: file.size,
-      file_path: filePath,
-      
-      // ✅ MULTIPLE LANGUAGE FIELD FORMATS FOR COMPATIBILITY
-      source_language: fromLang,    // Original format
-      target_language: toLang,      // Original format
-      sourceLanguage: fromLang,     // Camel case format
-      targetLanguage: toLang,       // Camel case format
-      sourceLang: fromLang,         // Short format
-      targetLang: toLang,           // Short format
-      fromLang: fromLang,           // Frontend format
-      toLang: toLang,               // Frontend format
-      
-      // ✅ LANGUAGE METADATA
-      sourceLanguageName: getLanguageName(fromLang),
-      targetLanguageName: getLanguageName(toLang),
-      
-      // ✅ PROCESSING STATUS
-      processing_status: "uploaded",
-      processingstatus: "uploaded",  // Alternative format
-      
-      // ✅ TIMESTAMPS
-      uploadedAt: new Date(),
-      createdAt: new Date()
+    res.status(200).json({
+      ...response,
+      source: { url, finalUrl: downloaded.finalUrl }
     });
     
-    const savedUpload = await upload.save();
+  } catch (error) {
+    if (error instanceof UrlIngestError) {
+      return res.status(error.status).json({
+        error: "Could not download video",
+        message: error.message,
+        ...error.details
+      });
+    }
+    if (error instanceof MediaProbeError) {
+      return sendMediaRejection(res, error);
+    }
     
-    console.log(`[UPLOAD] ✅ Database record created successfully:`);
-    console.log(`  Job ID: ${savedUpload._id.toString()}`);
-    console.log(`  Source: ${fromLang} (${getLanguageName(fromLang)})`);
-    console.log(`  Target: ${toLang} (${getLanguageName(toLang)})`);
-    console.log(`  File Path: ${filePath}`);
+    // Nothing refers to a download whose job wasn't created
+    if (downloaded) {
+      fs.rmSync(path.join('uploads/originals', downloaded.file.filename), { force: true });
+    }
+    console.error("[UPLOAD] ❌ Upload from URL failed:", error.message);
+    res.status(500).json({
+      error: "Server error during upload",
+      message: error.message
+    });
+  }
+};
+
+// ===== WATCH FOLDER =====
+// Jobs for files the watch folder ingester copied into uploads/originals; fields come from a sidecar or folder name
+export const createJobFromFields = async (file, fields, context) => {
+  const options = parseUploadOptions(fields);
+  const invalid = validateUploadOptions(options);
+  if (invalid) {
+    throw new Error(invalid.body.message || invalid.body.error);
+  }
+  return createJobFromFile(file, options, context);
+};
+
+// ===== RESUMABLE UPLOADS =====
+// Same error shape as the single-request upload; UploadSessionError carries its own status
+const sendSessionError = (res, error, fallbackMessage) => {
+  if (error instanceof MediaProbeError) {
+    return sendMediaRejection(res, error);
+  }
+  if (error instanceof UploadSessionError) {
+    if (error.details.offset !== undefined) {
+      res.set('Upload-Offset', String(error.details.offset));
+    }
+    return res.status(error.status).json({
+      error: fallbackMessage,
+      message: error.message,
+      ...error.details
+    });
+  }
+  console.error(`[UPLOAD] ❌ ${fallbackMessage}:`, error.message);
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message
+  });
+};
+
+const sendSession = (res, session, status = 200) => {
+  res.set('Upload-Offset', String(session.offset));
+  res.set('Upload-Length', String(session.size));
+  res.status(status).json({
+    success: true,
+    ...toSessionSummary(session),
+    ...(session.job_response && { job: session.job_response })
+  });
+};
+
+// Creates the job from the session's stored options once the whole file is in
+const finishSession = (req, sessionId) => completeUploadSession(sessionId, async (file) => {
+  const session = await getUploadSession(sessionId);
+  return createJobFromFile(file, parseUploadOptions(session.upload_options), { baseUrl: `${req.protocol}://${req.get('host')}` });
+});
+
+// POST /api/upload/sessions - { fileName, size, mimeType, ...same fields as POST /api/upload }
+export const createResumableUpload = async (req, res) => {
+  try {
+    const { fileName, size, mimeType, ...uploadOptions } = req.body || {};
     
-    // ===== SAVE LANGUAGE CONFIG TO FILESYSTEM =====
-    try {
-      const configDir = './uploads/jobs';
-      if (!fs.existsSync(configDir)) {
-        fs.mkdirSync(configDir, { recursive: true });
-      }
-      
-      const languageConfig = {
-        jobId: savedUpload._id.toString(),
-        sourceLanguage: fromLang,
-        targetLanguage: toLang,
-        sourceLang: fromLang,
-        targetLang: toLang,
-        fromLang: fromLang,
-        toLang: toLang,
-        sourceLanguageName: getLanguageName(fromLang),
-        targetLanguageName: getLanguageName(toLang),
-        timestamp: new Date().toISOString(),
-        originalFilename: file.originalname,
-        uploadedFilename: file.filename
-      };
-      
-      const configPath = path.join(configDir, `${savedUpload._id.toString()}_config.json`);
-      fs.writeFileSync(configPath, JSON.stringify(languageConfig, null, 2));
-      
-      console.log(`[UPLOAD] ✅ Language configuration saved: ${configPath}`);
-    } catch (configError) {
-      console.warn(`[UPLOAD] ⚠️ Failed to save language config:`, configError.message);
-      // Don't fail the upload for this
+    // Reject bad options before any bytes are sent
+    const invalid = validateUploadOptions(parseUploadOptions(uploadOptions));
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
     }
     
-    // ✅ CRITICAL: Start processing with explicit language parameters
-    console.log(`[UPLOAD] 🚀 Starting video processing with explicit languages...`);
-    
-processVideo(savedUpload._id.toString(), {
-  sourceLanguage: fromLang,
-  targetLanguage: toLang,
-  sourceLanguageName: getLanguageName(fromLang),
-  targetLanguageName: getLanguageName(toLang),
-  originalFilename: file.originalname,
-  uploadedFilename: file.filename,
-  filePath: filePath,
-  jobId: savedUpload._id.toString(),
-  fileSize: file.size,
-  uploadTimestamp: new Date()
-}).catch(async (error) => {
-  console.error(`[UPLOAD] ❌ Processing error for job ${savedUpload._id.toString()}:`, error.message);
-  
-  try {
-    await Upload.findByIdAndUpdate(savedUpload._id, {
-      processing_status: 'failed',
-      processingstatus: 'failed',
-      errorMessage: error.message,
-      errorTimestamp: new Date()
+    const session = await createUploadSession({
+      originalName: fileName,
+      mimeType,
+      size: Number(size),
+      uploadOptions
     });
-  } catch (updateError) {
-    console.error(`Failed to update error status:`, updateError.message);
+    
+    res.set('Location', `${req.baseUrl}/sessions/${session._id}`);
+    sendSession(res, session, 201);
+    
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to start upload');
   }
-});
+};
 
+// GET (or HEAD) /api/upload/sessions/:sessionId - offset to resume from
+export const getResumableUpload = async (req, res) => {
+  try {
+    sendSession(res, await getUploadSession(req.params.sessionId));
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to read upload session');
+  }
+};
 
+// PATCH /api/upload/sessions/:sessionId - one chunk; the last one creates the job
+export const uploadResumableChunk = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const offset = parseInt(req.get('Upload-Offset'), 10);
     
-    // ===== RETURN SUCCESS RESPONSE =====
-    const downloadUrl = `${req.protocol}://${req.get('host')}/uploads/originals/${file.filename}`;
-    
-    const response = {
-      success: true,
-      downloadUrl,
-      jobId: savedUpload._id.toString(),
-      status: "uploaded",
-      message: "Upload successful, processing started",
-      
-      // ✅ INCLUDE LANGUAGE CONFIRMATION IN RESPONSE
-      languages: {
-        source: {
-          code: fromLang,
-          name: getLanguageName(fromLang)
-        },
-        target: {
-          code: toLang,
-          name: getLanguageName(toLang)
-        }
-      },
-      
-      file: {
-        originalName: file.originalname,
-        filename: file.filename,
-        size: file.size,
-        sizeFormatted: `${Math.round(file.size / 1024)}KB`
-      },
-      
-      processing: {
-        started: true,
-        estimatedTime: "2-5 minutes",
-        steps: [
-          "Audio extraction",
-          "Speech transcription", 
-          `Translation to ${getLanguageName(toLang)}`,
-          "Text-to-speech generation",
-          "Video synchronization",
-          "Caption generation"
-        ]
-      }
-    };
+    let session = await appendChunk(sessionId, offset, req.body, req.get('Upload-Checksum'));
     
-    console.log(`[UPLOAD] ✅ Upload completed successfully for job ${savedUpload._id.toString()}`);
-    console.log(`[UPLOAD] 🎯 Languages confirmed: ${fromLang} → ${toLang}`);
+    if (session.offset >= session.size) {
+      session = await finishSession(req, sessionId);
+    }
     
-    res.status(200).json(response);
+    sendSession(res, session);
     
   } catch (error) {
-    console.error("[UPLOAD] ❌ Upload error:", error.message);
-    console.error("[UPLOAD] Error stack:", error.stack);
-    
-    res.status(500).json({ 
-      error: "Server error during upload",
-      message: error.message,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    sendSessionError(res, error, 'Failed to store chunk');
+  }
+};
+
+// POST /api/upload/sessions/:sessionId/complete - retry job creation for a fully received file
+export const completeResumableUpload = async (req, res) => {
+  try {
+    sendSession(res, await finishSession(req, req.params.sessionId));
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to complete upload');
+  }
+};
+
+// DELETE /api/upload/sessions/:sessionId - give up and remove the partial file
+export const abortResumableUpload = async (req, res) => {
+  try {
+    await abortUploadSession(req.params.sessionId);
+    res.json({
+      success: true,
+      message: 'Upload aborted'
     });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to abort upload');
   }
 };
 
@@ -315,9 +821,16 @@ export const getUploadStatus = async (req, res) => {
         target: {
           code: upload.targetLanguage || upload.target_language || upload.toLang,
           name: getLanguageName(upload.targetLanguage || upload.target_language || upload.toLang)
-        }
+        },
+        ...(upload.target_languages?.length > 1 && {
+          targets: upload.target_languages.map(language => ({ code: language, name: getLanguageName(language) }))
+        })
       },
       
+      // Multi-language uploads: per-language jobs (see GET /api/process/status/:jobId)
+      ...(upload.child_job_ids?.length > 0 && { childJobIds: upload.child_job_ids.map(id => id.toString()) }),
+      ...(upload.parent_job_id && { parentJobId: upload.parent_job_id.toString() }),
+      
       file: {
         originalName: upload.originalName,
         filename: upload.filename,
@@ -380,6 +893,11 @@ export const getSupportedLanguages = async (req, res) => {
 // ===== EXPORT ALL FUNCTIONS =====
 export default {
   uploadVideo,
+  createResumableUpload,
+  getResumableUpload,
+  uploadResumableChunk,
+  completeResumableUpload,
+  abortResumableUpload,
   getUploadStatus,
   getSupportedLanguages
 };
@@ -1,20 +1,48 @@
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import { getUploadConfig } from "../config/uploadConfig.js";
 
 // Correct folder name
-const uploadPath = "uploads/originals"; 
+const uploadPath = "uploads/originals";
 if (!fs.existsSync(uploadPath)) fs.mkdirSync(uploadPath, { recursive: true });
+const subtitlePath = "uploads/subtitles";
+if (!fs.existsSync(subtitlePath)) fs.mkdirSync(subtitlePath, { recursive: true });
+
+export const ALLOWED_VIDEO_TYPES = ["video/mp4","video/avi","video/quicktime","video/x-ms-wmv"];
+// Podcasts and radio lessons: dubbed into an audio file with sidecar captions instead of a video
+export const ALLOWED_AUDIO_TYPES = ["audio/mpeg","audio/mp3","audio/wav","audio/x-wav","audio/wave","audio/mp4","audio/x-m4a","audio/ogg"];
+export const ALLOWED_MEDIA_TYPES = [...ALLOWED_VIDEO_TYPES, ...ALLOWED_AUDIO_TYPES];
+// Browsers send SRT/VTT as text/plain, application/x-subrip or nothing useful, so go by extension
+export const SUBTITLE_EXTENSIONS = [".srt", ".vtt"];
+export const SUBTITLE_FIELD = "subtitles";
+
+// Same naming for files that arrive in one request or through a resumable upload session
+export const generateStoredFilename = (originalName) => Date.now() + path.extname(originalName);
 
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadPath),
-  filename: (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname))
+  destination: (req, file, cb) => cb(null, file.fieldname === SUBTITLE_FIELD ? subtitlePath : uploadPath),
+  filename: (req, file, cb) => cb(null, generateStoredFilename(file.originalname))
 });
 
+// First gate only: the contents are checked with ffprobe before a job is created
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ["video/mp4","video/avi","video/quicktime","video/x-ms-wmv"];
-  cb(null, allowedTypes.includes(file.mimetype));
+  if (file.fieldname === SUBTITLE_FIELD) {
+    return cb(null, SUBTITLE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()));
+  }
+  cb(null, ALLOWED_MEDIA_TYPES.includes(file.mimetype));
+};
+
+// Built per request so MAX_UPLOAD_SIZE_MB is read after dotenv has loaded
+const createMulter = () => multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: getUploadConfig().maxUploadSizeBytes }
+});
+
+const upload = {
+  single: (fieldName) => (req, res, next) => createMulter().single(fieldName)(req, res, next),
+  fields: (fields) => (req, res, next) => createMulter().fields(fields)(req, res, next)
 };
 
-const upload = multer({ storage, fileFilter });
 export default upload;
@@ -0,0 +1,99 @@
+// migrateJobLogs.js - Import uploads/logs/<jobId>_processing.json files into the JobEvent store
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import connectDB from './config/db.js';
+import { importJobHistory } from './services/jobStateService.js';
+
+dotenv.config();
+
+const LOGS_DIR = './uploads/logs';
+const ARCHIVE_DIR = path.join(LOGS_DIR, 'imported');
+
+const dryRun = process.argv.includes('--dry-run');
+const archive = process.argv.includes('--archive');
+
+// Each steps_completed entry becomes one event; its extra fields are the event data
+const toEvents = (processingLog) => (processingLog.steps_completed || []).map(({ step, status, timestamp, ...data }) => ({
+  status: status || processingLog.status || 'processing',
+  step: step || processingLog.step || 'unknown',
+  timestamp: new Date(timestamp || processingLog.last_updated || processingLog.created_at || Date.now()),
+  data: {
+    ...data,
+    ...(processingLog.languages?.source && !data.source_language && { source_language: processingLog.languages.source }),
+    ...(processingLog.languages?.target && !data.target_language && { target_language: processingLog.languages.target })
+  }
+}));
+
+async function migrateJobLogs() {
+  if (!fs.existsSync(LOGS_DIR)) {
+    console.log(`📂 No ${LOGS_DIR} directory, nothing to migrate`);
+    return;
+  }
+
+  const logFiles = fs.readdirSync(LOGS_DIR).filter(file => file.endsWith('_processing.json'));
+  console.log(`📋 Found ${logFiles.length} job log files${dryRun ? ' (dry run)' : ''}`);
+
+  if (!dryRun) {
+    await connectDB();
+  }
+
+  const totals = { imported: 0, events: 0, updated: 0, skipped: 0, failed: 0 };
+
+  for (const logFile of logFiles) {
+    const jobId = logFile.replace(/_processing\.json$/, '');
+    const filePath = path.join(LOGS_DIR, logFile);
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        console.warn(`⚠️ [${jobId}] Not a job ID, skipped`);
+        totals.skipped++;
+        continue;
+      }
+
+      const events = toEvents(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+
+      if (dryRun) {
+        console.log(`🔍 [${jobId}] ${events.length} events, latest: ${events.at(-1)?.status || 'none'} - ${events.at(-1)?.step || 'none'}`);
+        continue;
+      }
+
+      const result = await importJobHistory(jobId, events);
+
+      if (result.skipped) {
+        console.log(`⏭️  [${jobId}] Skipped: ${result.skipped}`);
+        totals.skipped++;
+      } else {
+        console.log(`✅ [${jobId}] Imported ${result.imported} events${result.updated ? ', status updated' : ''}`);
+        totals.imported++;
+        totals.events += result.imported;
+        if (result.updated) totals.updated++;
+      }
+
+      if (archive && result.skipped !== 'job not found') {
+        fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+        fs.renameSync(filePath, path.join(ARCHIVE_DIR, logFile));
+      }
+    } catch (error) {
+      console.error(`❌ [${jobId}] Import failed: ${error.message}`);
+      totals.failed++;
+    }
+  }
+
+  console.log(`\n🎉 Migration finished: ${totals.imported} jobs imported (${totals.events} events, ${totals.updated} statuses updated), ${totals.skipped} skipped, ${totals.failed} failed`);
+  if (totals.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// --- Script Execution ---
+// Usage: node migrateJobLogs.js [--dry-run] [--archive]
+//   --dry-run  Parse the log files and print what would be imported
+//   --archive  Move imported files to uploads/logs/imported/
+migrateJobLogs()
+  .catch(error => {
+    console.error(`\n❌ Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,81 @@
+// models/glossaryModel.js
+
+import mongoose from "mongoose";
+
+const glossaryTermSchema = new mongoose.Schema({
+  // ===== LANGUAGE PAIR =====
+  source_language: { type: String, required: true, lowercase: true, trim: true },
+  target_language: { type: String, required: true, lowercase: true, trim: true },
+
+  // ===== TERM =====
+  source_term: { type: String, required: true, trim: true },
+  target_term: { type: String, trim: true },           // Required unless do_not_translate
+  do_not_translate: { type: Boolean, default: false }, // Keep the source term as-is (brand, scheme or institution names)
+  case_sensitive: { type: Boolean, default: false },
+  notes: String,
+
+  // ===== METADATA =====
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// ===== VALIDATION =====
+glossaryTermSchema.pre('validate', function(next) {
+  if (!this.do_not_translate && !this.target_term) {
+    this.invalidate('target_term', 'target_term is required unless do_not_translate is set');
+  }
+  next();
+});
+
+// ===== MIDDLEWARE TO UPDATE 'updatedAt' ON SAVE =====
+glossaryTermSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+glossaryTermSchema.pre(['updateOne', 'findOneAndUpdate', 'findByIdAndUpdate'], function(next) {
+  this.set({ updatedAt: new Date() });
+  next();
+});
+
+// ===== VIRTUAL FIELDS =====
+
+// Text the term must appear as in the translation
+glossaryTermSchema.virtual('expectedTarget').get(function() {
+  return this.do_not_translate ? this.source_term : this.target_term;
+});
+
+// ===== STATIC METHODS =====
+
+// Terms for a language pair, longest first so multi-word terms win over their parts
+glossaryTermSchema.statics.findForPair = function(sourceLanguage, targetLanguage) {
+  const filter = { target_language: targetLanguage };
+  if (sourceLanguage) {
+    filter.source_language = sourceLanguage;
+  }
+  return this.find(filter).lean().then(terms =>
+    terms.sort((a, b) => b.source_term.length - a.source_term.length)
+  );
+};
+
+// Term counts per language pair
+glossaryTermSchema.statics.getPairSummary = function() {
+  return this.aggregate([
+    {
+      $group: {
+        _id: { source_language: '$source_language', target_language: '$target_language' },
+        terms: { $sum: 1 },
+        do_not_translate: { $sum: { $cond: ['$do_not_translate', 1, 0] } },
+        updatedAt: { $max: '$updatedAt' }
+      }
+    },
+    { $sort: { '_id.source_language': 1, '_id.target_language': 1 } }
+  ]);
+};
+
+// ===== INDEXES FOR PERFORMANCE =====
+glossaryTermSchema.index({ source_language: 1, target_language: 1, source_term: 1 }, { unique: true });
+glossaryTermSchema.index({ target_language: 1 });
+
+// ===== EXPORT MODEL =====
+export default mongoose.models.GlossaryTerm || mongoose.model("GlossaryTerm", glossaryTermSchema);
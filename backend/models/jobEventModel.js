@@ -0,0 +1,41 @@
+// models/jobEventModel.js
+
+import mongoose from "mongoose";
+
+// Append-only history of a job's state changes; the Upload record carries the latest one
+const jobEventSchema = new mongoose.Schema({
+  // ===== WHICH JOB =====
+  job_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Upload', required: true },
+
+  // ===== STATE CHANGE =====
+  status: { type: String, required: true },  // uploaded, waiting, queued, processing, completed, partially_completed, failed, cancelled
+  step: { type: String, required: true },    // queued, audio_extraction, transcription, ..., completed
+  data: mongoose.Schema.Types.Mixed,          // Step details: languages, error message and stack, durations, ...
+  source: { type: String, default: 'pipeline' }, // pipeline, queue, api, migration
+
+  // ===== METADATA =====
+  timestamp: { type: Date, default: Date.now }
+});
+
+// ===== STATIC METHODS =====
+
+// Every event of a job, oldest first
+jobEventSchema.statics.getTimeline = function(jobId) {
+  return this.find({ job_id: jobId })
+    .sort({ timestamp: 1, _id: 1 })
+    .lean();
+};
+
+// Most recent event of a job
+jobEventSchema.statics.getLatest = function(jobId) {
+  return this.findOne({ job_id: jobId })
+    .sort({ timestamp: -1, _id: -1 })
+    .lean();
+};
+
+// ===== INDEXES FOR PERFORMANCE =====
+jobEventSchema.index({ job_id: 1, timestamp: 1 });
+jobEventSchema.index({ timestamp: 1 });
+
+// ===== EXPORT MODEL =====
+export default mongoose.models.JobEvent || mongoose.model("JobEvent", jobEventSchema);
@@ -0,0 +1,78 @@
+// models/translationMemoryModel.js
+
+import mongoose from "mongoose";
+
+const translationMemorySchema = new mongoose.Schema({
+  // ===== LANGUAGE PAIR =====
+  source_language: { type: String, required: true, lowercase: true, trim: true },
+  target_language: { type: String, required: true, lowercase: true, trim: true },
+
+  // ===== SEGMENT =====
+  source_text: { type: String, required: true },
+  normalized_source: { type: String, required: true }, // Lookup key: lowercase, no punctuation, single spaces
+  source_length: { type: Number, required: true },     // Length of normalized_source, narrows fuzzy candidates
+  target_text: { type: String, required: true },
+
+  // ===== ORIGIN =====
+  origin: { type: String, enum: ['job', 'import', 'manual'], default: 'job' },
+  engine: String,   // Engine that produced the translation, when it came from a job
+  job_id: String,
+
+  // ===== USAGE =====
+  usage_count: { type: Number, default: 0 },
+  last_used_at: Date,
+
+  // ===== METADATA =====
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// ===== MIDDLEWARE TO UPDATE 'updatedAt' ON SAVE =====
+translationMemorySchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+translationMemorySchema.pre(['updateOne', 'findOneAndUpdate', 'findByIdAndUpdate'], function(next) {
+  this.set({ updatedAt: new Date() });
+  next();
+});
+
+// ===== STATIC METHODS =====
+
+// Entries for a language pair whose length could reach the similarity threshold
+translationMemorySchema.statics.findFuzzyCandidates = function(sourceLanguage, targetLanguage, length, threshold, limit) {
+  return this.find({
+    source_language: sourceLanguage,
+    target_language: targetLanguage,
+    source_length: {
+      $gte: Math.floor(length * threshold),
+      $lte: Math.ceil(length / threshold)
+    }
+  })
+    .sort({ usage_count: -1, updatedAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Entry counts per language pair
+translationMemorySchema.statics.getPairSummary = function() {
+  return this.aggregate([
+    {
+      $group: {
+        _id: { source_language: '$source_language', target_language: '$target_language' },
+        entries: { $sum: 1 },
+        reused: { $sum: '$usage_count' },
+        updatedAt: { $max: '$updatedAt' }
+      }
+    },
+    { $sort: { '_id.source_language': 1, '_id.target_language': 1 } }
+  ]);
+};
+
+// ===== INDEXES FOR PERFORMANCE =====
+translationMemorySchema.index({ source_language: 1, target_language: 1, normalized_source: 1 }, { unique: true });
+translationMemorySchema.index({ source_language: 1, target_language: 1, source_length: 1 });
+
+// ===== EXPORT MODEL =====
+export default mongoose.models.TranslationMemory || mongoose.model("TranslationMemory", translationMemorySchema);
@@ -14,14 +14,64 @@ const uploadSchema = new mongoose.Schema({
   target_language: String,  // Language to translate to
   source_language: String,  // Original video language
   detected_language: String,  // Language detected by Whisper
+  translation_engine: String,  // Preferred translation engine for this job (null = configured chain)
+  output_mode: { type: String, enum: ['burned', 'multitrack', 'audio'], default: 'burned' }, // Burned-in captions, original + dubbed audio tracks with soft subtitles, or a dubbed audio file with sidecar captions
+  output_container: { type: String, enum: ['mp4', 'mkv', 'mp3', 'm4a'], default: 'mp4' },
+  
+  // ===== HUMAN REVIEW =====
+  review_mode: { type: String, enum: ['off', 'always', 'auto'], default: 'off' }, // Pause after translation always, or only below the quality threshold
+  review_requested_at: Date,   // Entered awaiting_review
+  review_quality_score: Number, // Validation score when it paused (null when validation didn't run)
+  review_approved_at: { type: Date, default: null },
+  reviewed_by: String,
+  reviewed_segments: Number,   // Segments whose translation the reviewer changed
+  
+  // ===== TRANSCRIPT CORRECTIONS =====
+  transcript_edited_at: Date,  // Last edit, merge or split of the source transcript
+  transcript_applied_at: Date, // Last time edits were re-translated and queued for re-dubbing
+  transcript_edited_segments: Number, // Segments whose source text or timing differs from the recogniser's
+  
+  // ===== CONTENT DEDUPLICATION =====
+  content_hash: String,        // SHA-256 of the original; keys the artifact cache
+  duplicate_of: { type: mongoose.Schema.Types.ObjectId, ref: 'Upload', default: null }, // Earlier upload with identical content, whose file this one links to
+  
+  // ===== MULTI-LANGUAGE JOBS =====
+  target_languages: [String],  // Parent job: every target language of the upload
+  child_job_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Upload' }], // Parent job: one child per target language
+  parent_job_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Upload', default: null }, // Child job: upload it was fanned out from
+  fanned_out_at: Date,         // Parent job: when the children were seeded and queued
+  
+  // ===== SPEAKERS =====
+  diarization_enabled: { type: Boolean, default: false },
+  diarization_method: String,  // pyannote or embedding_clustering
+  speakers: [{                 // Detected on the job that transcribed (the parent for multi-language uploads)
+    _id: false,
+    speaker_id: String,        // SPEAKER_00, SPEAKER_01, ...
+    gender: String,            // male / female from median pitch, null if unvoiced
+    median_f0: Number,
+    segment_count: Number,
+    total_duration: Number
+  }],
+  speaker_voices: mongoose.Schema.Types.Mixed, // { SPEAKER_00: { voice, pitch, gender, source: 'auto' | 'manual' } } for this job's language
+
+  // ===== WEBHOOKS =====
+  callback_url: String,        // Receives this job's lifecycle events (job.started, job.completed, ...)
+  callback_secret: { type: String, select: false }, // HMAC key for the callback's X-Webhook-Signature
+
+  // ===== VOICE SELECTION =====
+  tts_voice: String,           // Catalogue voice chosen at upload (single-language jobs)
+  tts_voice_gender: { type: String, enum: ['female', 'male', null], default: null }, // Picks the language's voice of this gender
+  tts_base_rate: String,       // Added to every segment's speech rate, e.g. +10%
+  tts_pitch: String,           // Pitch shift for every segment, e.g. -8Hz
   
   // ===== PROCESSING STATUS TRACKING =====
-  processing_status: { type: String, default: "uploaded" }, // uploaded, processing, completed, failed, cancelled
+  processing_status: { type: String, default: "uploaded" }, // uploaded, waiting, queued, processing, awaiting_review, completed, partially_completed, failed, cancelled
   processing_step: { type: String, default: "pending" }, // audio_extraction, transcription, translation, etc.
   processing_started_at: Date,
   completed_at: Date,
   failed_at: Date,
   processing_duration_ms: Number,
+  last_event_at: Date,       // Latest JobEvent; the full history is in the JobEvent collection
   
   // ===== DETAILED PROCESSING TIMESTAMPS =====
   transcription_completed_at: Date,
@@ -46,11 +96,19 @@ const uploadSchema = new mongoose.Schema({
   audioExtracted: { type: Boolean, default: false },
   
   // ===== VIDEO/AUDIO TECHNICAL INFO =====
+  // Recorded from ffprobe when the upload is accepted
   processed_file_size: Number,
+  media_type: { type: String, enum: ['video', 'audio'], default: 'video' }, // 'audio' for podcasts and other uploads without a picture
   video_codec: String,
   audio_codec: String,
-  video_resolution: String,
+  video_resolution: String,     // e.g. 1920x1080
+  video_frame_rate: Number,
+  audio_channels: Number,
+  audio_sample_rate: Number,
+  duration_seconds: Number,
+  container_format: String,     // ffprobe format_name, e.g. mov,mp4,m4a,3gp,3g2,mj2
   has_embedded_captions: Boolean,
+  media_probed_at: Date,
   
   // ===== SERVICE TRACKING =====
   processing_service: String,   // Which service processed (ffmpeg, whisper, etc.)
@@ -65,7 +123,18 @@ const uploadSchema = new mongoose.Schema({
   // ===== CANCELLATION SUPPORT =====
   cancelled_at: Date,
   cancellation_reason: String,
-  
+  cancelled_step: String,    // Pipeline step that was running when the job stopped
+  cancel_requested: { type: Boolean, default: false }, // Picked up by the worker that owns the lease
+
+  // ===== JOB QUEUE =====
+  queue_state: { type: String, default: null }, // queued, leased, running, done
+  queue_priority: { type: Number, default: 0 },  // Higher runs first
+  queued_at: Date,
+  lease_owner: String,       // Worker ID currently holding the job
+  lease_expires_at: Date,    // Job can be reclaimed by another worker after this
+  attempts: { type: Number, default: 0 },
+  job_options: mongoose.Schema.Types.Mixed,  // Options handed to processVideo
+
   // ===== METADATA =====
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -221,11 +290,31 @@ uploadSchema.statics.findByStatus = function(status, limit = 50) {
     .limit(limit);
 };
 
+// Position of a queued job (1 = next to run), null when not queued
+uploadSchema.statics.getQueuePosition = async function(jobId) {
+  const job = await this.findById(jobId).select('queue_state queue_priority queued_at').lean();
+  if (!job || job.queue_state !== 'queued') return null;
+
+  const ahead = await this.countDocuments({
+    queue_state: 'queued',
+    $or: [
+      { queue_priority: { $gt: job.queue_priority || 0 } },
+      { queue_priority: job.queue_priority || 0, queued_at: { $lt: job.queued_at } }
+    ]
+  });
+
+  return ahead + 1;
+};
+
 // ===== INDEXES FOR PERFORMANCE =====
 uploadSchema.index({ processing_status: 1 });
+uploadSchema.index({ queue_state: 1, queue_priority: -1, queued_at: 1 });
+uploadSchema.index({ queue_state: 1, lease_expires_at: 1 });
 uploadSchema.index({ createdAt: -1 });
 uploadSchema.index({ processing_started_at: 1 });
 uploadSchema.index({ target_language: 1 });
+uploadSchema.index({ parent_job_id: 1 });
+uploadSchema.index({ content_hash: 1 });
 
 // ===== EXPORT MODEL - FIXED TO PREVENT OVERWRITE ERROR =====
 export default mongoose.models.Upload || mongoose.model("Upload", uploadSchema);
@@ -0,0 +1,46 @@
+// models/uploadSessionModel.js
+
+import mongoose from "mongoose";
+
+const uploadSessionSchema = new mongoose.Schema({
+  // ===== FILE BEING UPLOADED =====
+  original_name: { type: String, required: true },
+  mime_type: String,
+  size: { type: Number, required: true },       // Total bytes announced when the session was created
+  part_path: { type: String, required: true },  // uploads/chunks/<sessionId>.part until complete
+
+  // ===== PROGRESS =====
+  offset: { type: Number, default: 0 },         // Bytes received and verified so far
+  chunks_received: { type: Number, default: 0 },
+  last_chunk_at: Date,
+  chunk_lock_until: { type: Date, default: null }, // Set while a chunk is written; lapses if its writer dies
+  status: { type: String, enum: ['uploading', 'assembling', 'completed', 'rejected', 'aborted'], default: 'uploading' },
+
+  // ===== RESULTING JOB =====
+  upload_options: mongoose.Schema.Types.Mixed,  // Same fields as a POST /api/upload form, applied once the file is complete
+  job_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Upload', default: null },
+  job_response: mongoose.Schema.Types.Mixed,    // What POST /api/upload would have returned; replayed to retries
+  error_message: String,
+
+  // ===== METADATA =====
+  expires_at: { type: Date, required: true },   // Pushed back with every chunk
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// ===== MIDDLEWARE TO UPDATE 'updatedAt' ON SAVE =====
+uploadSessionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+uploadSessionSchema.pre(['updateOne', 'findOneAndUpdate'], function(next) {
+  this.set({ updatedAt: new Date() });
+  next();
+});
+
+// ===== INDEXES FOR PERFORMANCE =====
+uploadSessionSchema.index({ status: 1, expires_at: 1 });
+
+// ===== EXPORT MODEL =====
+export default mongoose.models.UploadSession || mongoose.model("UploadSession", uploadSessionSchema);
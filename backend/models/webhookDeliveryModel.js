@@ -0,0 +1,40 @@
+// models/webhookDeliveryModel.js
+
+import mongoose from "mongoose";
+
+const webhookDeliverySchema = new mongoose.Schema({
+  // ===== WHAT AND WHERE =====
+  job_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Upload', required: true },
+  subscription_id: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', default: null }, // null = the upload's callbackUrl
+  url: { type: String, required: true },
+  event: { type: String, required: true },       // job.started, job.step_completed, job.awaiting_review, job.completed, job.failed, job.cancelled
+  payload: mongoose.Schema.Types.Mixed,           // Exact JSON body that is signed and sent
+  redelivery_of: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+
+  // ===== DELIVERY STATE =====
+  status: { type: String, enum: ['pending', 'delivering', 'delivered', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: { type: Date, default: Date.now },
+  lease_expires_at: Date,       // A worker that died mid-request releases the delivery after this
+  last_attempt_at: Date,
+  last_status_code: Number,
+  last_error: String,
+  delivered_at: Date,
+  attempt_log: [{
+    _id: false,
+    at: Date,
+    status_code: Number,
+    error: String,
+    duration_ms: Number
+  }],
+
+  // ===== METADATA =====
+  createdAt: { type: Date, default: Date.now }
+});
+
+// ===== INDEXES FOR PERFORMANCE =====
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ job_id: 1, createdAt: 1 });
+
+// ===== EXPORT MODEL =====
+export default mongoose.models.WebhookDelivery || mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,43 @@
+// models/webhookSubscriptionModel.js
+
+import mongoose from "mongoose";
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  // ===== ENDPOINT =====
+  url: { type: String, required: true, trim: true },
+  secret: { type: String, required: true, select: false }, // HMAC key for the X-Webhook-Signature header
+  events: [String],            // job.started, job.completed, ... (empty = every event)
+  description: String,
+  active: { type: Boolean, default: true },
+
+  // ===== METADATA =====
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// ===== MIDDLEWARE TO UPDATE 'updatedAt' ON SAVE =====
+webhookSubscriptionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+webhookSubscriptionSchema.pre(['updateOne', 'findOneAndUpdate', 'findByIdAndUpdate'], function(next) {
+  this.set({ updatedAt: new Date() });
+  next();
+});
+
+// ===== STATIC METHODS =====
+
+// Active subscriptions that want an event, secrets included for signing
+webhookSubscriptionSchema.statics.findForEvent = function(event) {
+  return this.find({
+    active: true,
+    $or: [{ events: { $size: 0 } }, { events: event }]
+  }).select('+secret').lean();
+};
+
+// ===== INDEXES FOR PERFORMANCE =====
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+// ===== EXPORT MODEL =====
+export default mongoose.models.WebhookSubscription || mongoose.model("WebhookSubscription", webhookSubscriptionSchema);
@@ -0,0 +1,284 @@
+// routes/glossaryRoutes.js
+
+// ===== IMPORT REQUIRED MODULES =====
+import express from 'express';
+import mongoose from 'mongoose';
+import GlossaryTerm from '../models/glossaryModel.js';
+
+const router = express.Router();
+
+const TERM_FIELDS = ['source_language', 'target_language', 'source_term', 'target_term', 'do_not_translate', 'case_sensitive', 'notes'];
+
+const pickTermFields = (body = {}) => Object.fromEntries(
+  TERM_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// A malformed ID names no term; answer 404 instead of letting findById throw a CastError
+router.param('termId', (req, res, next, termId) => {
+  if (mongoose.isValidObjectId(termId)) return next();
+  res.status(404).json({
+    success: false,
+    error: 'Glossary term not found',
+    termId
+  });
+});
+
+// ===== LIST =====
+
+/**
+ * GET /api/glossary
+ * List glossary terms, optionally for one language pair
+ * Optional query parameters: source, target, q (substring search on source_term)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { source, target, q } = req.query;
+
+    const filter = {};
+    if (source) filter.source_language = source.toLowerCase();
+    if (target) filter.target_language = target.toLowerCase();
+    if (q) filter.source_term = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const terms = await GlossaryTerm.find(filter)
+      .sort({ source_language: 1, target_language: 1, source_term: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: terms.length,
+      terms
+    });
+
+  } catch (error) {
+    console.error('❌ Glossary list error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list glossary terms',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/glossary/pairs
+ * Language pairs that have glossary terms, with term counts
+ */
+router.get('/pairs', async (req, res) => {
+  try {
+    const pairs = await GlossaryTerm.getPairSummary();
+
+    res.json({
+      success: true,
+      pairs: pairs.map(pair => ({
+        source_language: pair._id.source_language,
+        target_language: pair._id.target_language,
+        terms: pair.terms,
+        do_not_translate: pair.do_not_translate,
+        updated_at: pair.updatedAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Glossary pairs error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list glossary language pairs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/glossary/:termId
+ * Get a single glossary term
+ */
+router.get('/:termId', async (req, res) => {
+  try {
+    const term = await GlossaryTerm.findById(req.params.termId).lean();
+
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        error: 'Glossary term not found',
+        termId: req.params.termId
+      });
+    }
+
+    res.json({ success: true, term });
+
+  } catch (error) {
+    console.error('❌ Glossary term error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get glossary term',
+      message: error.message
+    });
+  }
+});
+
+// ===== CREATE =====
+
+/**
+ * POST /api/glossary
+ * Create one term, or upsert a batch for a language pair:
+ * { source_language, target_language, terms: [{ source_term, target_term, do_not_translate, case_sensitive }] }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    if (Array.isArray(body.terms)) {
+      if (!body.source_language || !body.target_language) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing language pair',
+          message: 'source_language and target_language are required for a batch of terms'
+        });
+      }
+
+      const results = { created: 0, updated: 0, errors: [] };
+
+      for (const [index, entry] of body.terms.entries()) {
+        try {
+          const fields = {
+            ...pickTermFields(entry),
+            source_language: body.source_language.toLowerCase(),
+            target_language: body.target_language.toLowerCase()
+          };
+          const term = new GlossaryTerm(fields);
+          await term.validate();
+
+          const existing = await GlossaryTerm.findOneAndUpdate(
+            { source_language: fields.source_language, target_language: fields.target_language, source_term: term.source_term },
+            fields,
+            { upsert: true, new: false, runValidators: true }
+          );
+          existing ? results.updated++ : results.created++;
+        } catch (termError) {
+          results.errors.push({ index, source_term: entry?.source_term, message: termError.message });
+        }
+      }
+
+      console.log(`📘 Glossary batch ${body.source_language} → ${body.target_language}: ${results.created} created, ${results.updated} updated, ${results.errors.length} failed`);
+
+      return res.status(results.errors.length === body.terms.length && body.terms.length > 0 ? 400 : 200).json({
+        success: results.errors.length === 0,
+        ...results
+      });
+    }
+
+    const term = await GlossaryTerm.create(pickTermFields(body));
+    console.log(`📘 Glossary term added: "${term.source_term}" (${term.source_language} → ${term.target_language})`);
+
+    res.status(201).json({ success: true, term });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate term',
+        message: 'This source term already exists for the language pair'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Glossary create error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create glossary term',
+      message: error.message
+    });
+  }
+});
+
+// ===== UPDATE =====
+
+/**
+ * PUT /api/glossary/:termId
+ * Update fields of a glossary term
+ */
+router.put('/:termId', async (req, res) => {
+  try {
+    const term = await GlossaryTerm.findById(req.params.termId);
+
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        error: 'Glossary term not found',
+        termId: req.params.termId
+      });
+    }
+
+    term.set(pickTermFields(req.body));
+    await term.save();
+
+    res.json({ success: true, term });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate term',
+        message: 'This source term already exists for the language pair'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Glossary update error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update glossary term',
+      message: error.message
+    });
+  }
+});
+
+// ===== DELETE =====
+
+/**
+ * DELETE /api/glossary/:termId
+ * Remove a glossary term
+ */
+router.delete('/:termId', async (req, res) => {
+  try {
+    const term = await GlossaryTerm.findByIdAndDelete(req.params.termId);
+
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        error: 'Glossary term not found',
+        termId: req.params.termId
+      });
+    }
+
+    console.log(`🗑️ Glossary term removed: "${term.source_term}" (${term.source_language} → ${term.target_language})`);
+
+    res.json({
+      success: true,
+      message: 'Glossary term deleted',
+      termId: req.params.termId
+    });
+
+  } catch (error) {
+    console.error('❌ Glossary delete error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete glossary term',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -4,6 +4,25 @@
 import express from 'express';
 import { getProcessingStatus } from '../controllers/processController.js';
 import Upload from '../models/uploadModel.js';
+import { getQueueStats, enqueueJob } from '../services/jobQueueService.js';
+import { PIPELINE_STEPS, isValidStep, checkResumeArtifacts, detectResumeStep } from '../services/jobArtifactService.js';
+import { cancelJob } from '../utils/jobContext.js';
+import { listTranslationEngines } from '../services/translationService.js';
+import { getTranslationConfig } from '../config/translationConfig.js';
+import { cancelChildJobs } from '../services/multiTargetJobService.js';
+import { getJobSpeakers, setSpeakerVoice, resetSpeakerVoice, SpeakerVoiceError } from '../services/diarizationService.js';
+import { getSupportedVoices } from '../services/ttsService.js';
+import { getReviewSegments, updateReviewSegments, approveReview, ReviewError } from '../services/reviewService.js';
+import {
+  getTranscript,
+  updateTranscriptSegments,
+  mergeTranscriptSegments,
+  splitTranscriptSegment,
+  applyTranscriptEdits,
+  TranscriptEditError
+} from '../services/transcriptEditService.js';
+import { subscribeToJobEvents, getRecentJobEvents, TERMINAL_EVENT_TYPES } from '../services/jobEventService.js';
+import { recordJobEvent, getJobTimeline, deleteJobEvents } from '../services/jobStateService.js';
 
 const router = express.Router();
 
@@ -91,7 +110,7 @@ router.get('/jobs', async (req, res) => {
 /**
  * GET /api/process/status/:jobId/detailed
  * Get detailed processing status with full metadata
- * Includes file paths, processing stats, error details, etc.
+ * Includes file paths, processing stats, error details and the recorded state history
  */
 router.get('/status/:jobId/detailed', async (req, res) => {
   try {
@@ -134,6 +153,7 @@ router.get('/status/:jobId/detailed', async (req, res) => {
         completed_at: video.completed_at || null,
         failed_at: video.failed_at || null,
         cancelled_at: video.cancelled_at || null,
+        last_event_at: video.last_event_at || null,
         updated_at: video.updatedAt || null
       },
       
@@ -185,7 +205,10 @@ router.get('/status/:jobId/detailed', async (req, res) => {
       content: {
         transcription_text: video.transcriptionText || null,
         translated_text: video.translatedText || null
-      }
+      },
+      
+      // ===== STATE HISTORY =====
+      history: await getJobTimeline(jobId)
     };
     
     console.log(`🔍 [${jobId}] Detailed status: ${detailedStatus.status} (${detailedStatus.step})`);
@@ -335,13 +358,14 @@ router.get('/stats', async (req, res) => {
 
 /**
  * POST /api/process/jobs/:jobId/cancel
- * Cancel a processing job (if still in progress)
- * Note: This is a placeholder - actual cancellation would require more complex logic
+ * Cancel a queued or running job
+ * Queued jobs are cancelled immediately; running jobs kill their child processes
+ * and stop at the next step boundary (responds 202 with status 'cancelling')
  */
 router.post('/jobs/:jobId/cancel', async (req, res) => {
   try {
     const jobId = req.params.jobId;
-    const { reason = 'User requested cancellation' } = req.body;
+    const { reason = 'User requested cancellation' } = req.body || {};
     console.log(`🚫 [${jobId}] Job cancellation requested`);
     
     const video = await Upload.findById(jobId);
@@ -382,24 +406,57 @@ router.post('/jobs/:jobId/cancel', async (req, res) => {
       });
     }
     
-    // ===== MARK JOB AS CANCELLED =====
-    await Upload.findByIdAndUpdate(jobId, {
-      processing_status: 'cancelled',
-      processing_step: 'cancelled',
+    // ===== RUNNING JOB: SIGNAL THE PIPELINE =====
+    // The owning worker stops at the next step boundary and records the terminal state
+    if (['leased', 'running'].includes(video.queue_state)) {
+      await Upload.findByIdAndUpdate(jobId, {
+        cancel_requested: true,
+        cancellation_reason: reason
+      });
+      
+      const stoppedLocally = cancelJob(jobId, reason);
+      console.log(`🚫 [${jobId}] Cancellation signalled (${stoppedLocally ? 'this worker' : 'owning worker'})`);
+      
+      return res.status(202).json({
+        success: true,
+        jobId: jobId,
+        status: 'cancelling',
+        message: 'Cancellation requested, the pipeline will stop at the current step',
+        step: video.processing_step,
+        reason: reason
+      });
+    }
+    
+    // ===== NOT RUNNING: MARK JOB AS CANCELLED =====
+    await recordJobEvent(jobId, 'cancelled', 'cancelled', {
       cancelled_at: new Date(),
-      cancellation_reason: reason,
-      updatedAt: new Date()
+      cancelled_step: video.processing_step,
+      cancellation_reason: reason
+    }, {
+      source: 'api',
+      // Take it off the queue so no worker claims it
+      update: video.queue_state === 'queued' ? { queue_state: 'done' } : {}
     });
     
     console.log(`🚫 [${jobId}] Job marked as cancelled`);
     
+    // Multi-language parent: stop the language jobs it fanned out to
+    const cancelledChildren = video.child_job_ids?.length > 0
+      ? await cancelChildJobs(jobId, reason)
+      : 0;
+    if (cancelledChildren > 0) {
+      console.log(`🚫 [${jobId}] Cancelled ${cancelledChildren} language jobs`);
+    }
+    
     res.json({
       success: true,
       jobId: jobId,
       status: 'cancelled',
-      message: 'Job cancellation requested',
+      message: 'Job cancelled',
       cancelled_at: new Date(),
-      reason: reason
+      cancelled_step: video.processing_step,
+      reason: reason,
+      ...(video.child_job_ids?.length > 0 && { cancelled_child_jobs: cancelledChildren })
     });
     
   } catch (error) {
@@ -412,6 +469,97 @@ router.post('/jobs/:jobId/cancel', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/process/jobs/:jobId/resume?fromStep=translation
+ * Re-queue a job starting at the given pipeline step
+ * Upstream artifacts (audio, transcription, translation, translated audio) are reloaded
+ * from disk; responds 409 listing what is missing if they are not there.
+ * Without fromStep the first step whose output is missing is used.
+ */
+router.post('/jobs/:jobId/resume', async (req, res) => {
+  try {
+    const jobId = req.params.jobId;
+    const requestedStep = req.query.fromStep || req.body?.fromStep || null;
+    console.log(`▶️ [${jobId}] Resume requested from step: ${requestedStep || 'auto-detect'}`);
+    
+    if (requestedStep && !isValidStep(requestedStep)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid step',
+        message: `Unknown pipeline step '${requestedStep}'`,
+        validSteps: PIPELINE_STEPS
+      });
+    }
+    
+    const video = await Upload.findById(jobId);
+    
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        jobId: jobId
+      });
+    }
+    
+    if (['queued', 'leased', 'running'].includes(video.queue_state)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is already queued or running',
+        jobId: jobId,
+        status: video.processing_status,
+        queue_state: video.queue_state
+      });
+    }
+    
+    const fromStep = requestedStep || detectResumeStep(jobId);
+    const resumeCheck = checkResumeArtifacts(jobId, fromStep);
+    
+    if (!resumeCheck.ok) {
+      return res.status(409).json({
+        success: false,
+        error: 'Missing upstream artifacts',
+        message: `Cannot resume from '${fromStep}': ${resumeCheck.missing.map(m => `${m.artifact} (produced by ${m.produced_by})`).join(', ')} not found`,
+        jobId: jobId,
+        fromStep: fromStep,
+        missing: resumeCheck.missing
+      });
+    }
+    
+    // ===== RE-QUEUE WITH THE ORIGINAL OPTIONS =====
+    const previousOptions = video.job_options || {};
+    const options = {
+      ...previousOptions,
+      sourceLanguage: previousOptions.sourceLanguage || video.source_language || 'hi',
+      targetLanguage: previousOptions.targetLanguage || video.target_language,
+      jobId: jobId,
+      fromStep: fromStep
+    };
+    
+    await enqueueJob(jobId, options);
+    const queuePosition = await Upload.getQueuePosition(jobId);
+    
+    console.log(`▶️ [${jobId}] Job re-queued from '${fromStep}' (position ${queuePosition})`);
+    
+    res.status(202).json({
+      success: true,
+      jobId: jobId,
+      status: 'queued',
+      message: `Job queued to resume from '${fromStep}'`,
+      fromStep: fromStep,
+      rerunSteps: PIPELINE_STEPS.slice(PIPELINE_STEPS.indexOf(fromStep)),
+      queuePosition: queuePosition
+    });
+    
+  } catch (error) {
+    console.error('❌ Job resume error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume job',
+      message: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/process/jobs/:jobId
  * Delete a job and its associated files
@@ -442,8 +590,9 @@ router.delete('/jobs/:jobId', async (req, res) => {
       });
     }
     
-    // Delete the job record
+    // Delete the job record and its history
     await Upload.findByIdAndDelete(jobId);
+    await deleteJobEvents(jobId);
     
     console.log(`🗑️ [${jobId}] Job deleted successfully`);
     
@@ -464,6 +613,398 @@ router.delete('/jobs/:jobId', async (req, res) => {
   }
 });
 
+// ===== LIVE PROGRESS (SERVER-SENT EVENTS) =====
+
+// Close functions of open streams; they never end on their own while a job runs
+const openEventStreams = new Set();
+
+/**
+ * End every open event stream, so server.close() isn't held up by watching clients
+ * Clients reconnect (retry: 5000) to whichever instance serves the API next
+ */
+export const closeJobEventStreams = () => {
+  for (const close of [...openEventStreams]) close();
+};
+
+/**
+ * GET /api/process/jobs/:jobId/events
+ * Stream a job's progress as Server-Sent Events: step, progress (e.g. TTS segment N of M), warning,
+ * then one of completed / partially_completed / failed / cancelled with the artifact URLs.
+ * Opens with a snapshot of the stored status; a reconnecting client (Last-Event-ID) gets the events it missed.
+ */
+router.get('/jobs/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const upload = await Upload.findById(jobId)
+      .select('processing_status processing_step queue_state error_message processed_file_path output_mode target_language target_languages child_job_ids')
+      .lean();
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        jobId: jobId
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event) => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+    res.write('retry: 5000\n\n');
+    res.write(`event: snapshot\ndata: ${JSON.stringify({
+      jobId,
+      status: upload.processing_status,
+      step: upload.processing_step,
+      queue_state: upload.queue_state || null,
+      target_languages: upload.target_languages?.length ? upload.target_languages : [upload.target_language].filter(Boolean),
+      child_jobs: (upload.child_job_ids || []).map(String),
+      error_message: upload.error_message || null,
+      artifacts: {
+        [upload.output_mode === 'audio' ? 'final_audio' : 'final_video']: upload.processed_file_path ? `/${upload.processed_file_path.replace(/\\/g, '/').replace(/^\.?\//, '')}` : null
+      }
+    })}\n\n`);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    const missed = getRecentJobEvents(jobId, lastEventId);
+    missed.forEach(send);
+
+    // Already finished: the snapshot (and any buffered final event) is all there is
+    if (TERMINAL_EVENT_TYPES.includes(upload.processing_status) || missed.some(event => TERMINAL_EVENT_TYPES.includes(event.type))) {
+      return res.end();
+    }
+
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      openEventStreams.delete(close);
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    const unsubscribe = subscribeToJobEvents(jobId, (event) => {
+      send(event);
+      if (TERMINAL_EVENT_TYPES.includes(event.type)) close();
+    });
+
+    openEventStreams.add(close);
+    req.on('close', close);
+
+  } catch (error) {
+    console.error('❌ Job event stream error:', error.message);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open event stream',
+      message: error.message
+    });
+  }
+});
+
+// ===== SPEAKERS AND VOICES =====
+
+/**
+ * GET /api/process/jobs/:jobId/speakers
+ * Diarized speakers of a job and the voice each one is dubbed with
+ */
+router.get('/jobs/:jobId/speakers', async (req, res) => {
+  try {
+    const result = await getJobSpeakers(req.params.jobId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        jobId: req.params.jobId
+      });
+    }
+
+    const languageVoices = result.target_language ? getSupportedVoices()[result.target_language] : null;
+
+    res.json({
+      success: true,
+      jobId: req.params.jobId,
+      ...result,
+      available_voices: languageVoices ? [
+        { voice: languageVoices.voice, gender: languageVoices.gender },
+        { voice: languageVoices.alternative, gender: languageVoices.alternativeGender }
+      ] : []
+    });
+
+  } catch (error) {
+    console.error('❌ Speakers fetch error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get speakers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/process/jobs/:jobId/speakers/:speakerId
+ * Pin a speaker to a voice: { voice, pitch }
+ * Takes effect the next time TTS runs - resume the job from tts_generation to re-dub
+ */
+router.put('/jobs/:jobId/speakers/:speakerId', async (req, res) => {
+  try {
+    const { voice, pitch } = req.body || {};
+    const voices = await setSpeakerVoice(req.params.jobId, req.params.speakerId, { voice, pitch });
+
+    console.log(`🗣️ [${req.params.jobId}] ${req.params.speakerId} voice set to ${voice}${pitch ? ` (${pitch})` : ''}`);
+
+    res.json({
+      success: true,
+      jobId: req.params.jobId,
+      speaker_voices: voices,
+      message: 'Voice saved. Resume the job from tts_generation to apply it.',
+      resume: `/api/process/jobs/${req.params.jobId}/resume?fromStep=tts_generation`
+    });
+
+  } catch (error) {
+    if (error instanceof SpeakerVoiceError) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Cannot set speaker voice',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Speaker voice update error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set speaker voice',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/process/jobs/:jobId/speakers/:speakerId
+ * Drop a manual voice choice and go back to automatic assignment
+ */
+router.delete('/jobs/:jobId/speakers/:speakerId', async (req, res) => {
+  try {
+    const voices = await resetSpeakerVoice(req.params.jobId, req.params.speakerId);
+
+    res.json({
+      success: true,
+      jobId: req.params.jobId,
+      speaker_voices: voices
+    });
+
+  } catch (error) {
+    if (error instanceof SpeakerVoiceError) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Cannot reset speaker voice',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Speaker voice reset error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset speaker voice',
+      message: error.message
+    });
+  }
+});
+
+// ===== TRANSLATION REVIEW =====
+const sendReviewError = (res, error, fallbackMessage) => {
+  if (error instanceof ReviewError) {
+    return res.status(error.status).json({
+      success: false,
+      error: fallbackMessage,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error.message);
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    message: error.message
+  });
+};
+
+/**
+ * GET /api/process/jobs/:jobId/segments
+ * Translated segments with their source text, duration budget (estimated speech vs. slot length)
+ * and validation issues, for reviewing a job in awaiting_review
+ */
+router.get('/jobs/:jobId/segments', async (req, res) => {
+  try {
+    const result = await getReviewSegments(req.params.jobId);
+    res.json({ success: true, jobId: req.params.jobId, ...result });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to get segments');
+  }
+});
+
+/**
+ * PUT /api/process/jobs/:jobId/segments
+ * Edit translated text while the job awaits review: { segments: [{ index, text }, ...] }
+ * Responds with the updated table so new duration budget warnings show straight away
+ */
+router.put('/jobs/:jobId/segments', async (req, res) => {
+  try {
+    const result = await updateReviewSegments(req.params.jobId, req.body?.segments);
+    res.json({ success: true, jobId: req.params.jobId, ...result });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to update segments');
+  }
+});
+
+/**
+ * POST /api/process/jobs/:jobId/approve
+ * Accept the reviewed translation; the job is queued again from tts_generation
+ * Optional body: { reviewer }
+ */
+router.post('/jobs/:jobId/approve', async (req, res) => {
+  try {
+    const reviewer = String(req.body?.reviewer || '').trim() || null;
+    const { queuePosition, reviewedSegments } = await approveReview(req.params.jobId, { reviewer });
+
+    res.status(202).json({
+      success: true,
+      jobId: req.params.jobId,
+      status: 'queued',
+      message: 'Translation approved, job queued for speech generation',
+      fromStep: 'tts_generation',
+      reviewedSegments,
+      queuePosition
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to approve review');
+  }
+});
+
+// ===== TRANSCRIPT CORRECTIONS =====
+const sendTranscriptError = (res, error, fallbackMessage) => {
+  if (error instanceof TranscriptEditError) {
+    return res.status(error.status).json({
+      success: false,
+      error: fallbackMessage,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error.message);
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    message: error.message
+  });
+};
+
+/**
+ * GET /api/process/jobs/:jobId/transcript
+ * Source transcript segments as recognised (or as last corrected), with the recogniser's
+ * original text kept on edited segments and whether edits are waiting to be applied
+ */
+router.get('/jobs/:jobId/transcript', async (req, res) => {
+  try {
+    const result = await getTranscript(req.params.jobId);
+    res.json({ success: true, jobId: req.params.jobId, ...result });
+  } catch (error) {
+    sendTranscriptError(res, error, 'Failed to get transcript');
+  }
+});
+
+/**
+ * PUT /api/process/jobs/:jobId/transcript/segments
+ * Correct source text and timings: { segments: [{ index, text?, start?, end? }, ...] }
+ * Timings must stay in order without overlaps; nothing is saved if any edit is invalid
+ */
+router.put('/jobs/:jobId/transcript/segments', async (req, res) => {
+  try {
+    const result = await updateTranscriptSegments(req.params.jobId, req.body?.segments);
+    res.json({ success: true, jobId: req.params.jobId, ...result });
+  } catch (error) {
+    sendTranscriptError(res, error, 'Failed to update transcript');
+  }
+});
+
+/**
+ * POST /api/process/jobs/:jobId/transcript/merge
+ * Merge consecutive segments: { indexes: [3, 4], text? }
+ */
+router.post('/jobs/:jobId/transcript/merge', async (req, res) => {
+  try {
+    const result = await mergeTranscriptSegments(req.params.jobId, req.body?.indexes, { text: req.body?.text });
+    res.json({ success: true, jobId: req.params.jobId, ...result });
+  } catch (error) {
+    sendTranscriptError(res, error, 'Failed to merge segments');
+  }
+});
+
+/**
+ * POST /api/process/jobs/:jobId/transcript/split
+ * Split a segment at a time in seconds: { index, at, texts?: [before, after] }
+ * Without texts the words are divided by their timings, or in proportion to time
+ */
+router.post('/jobs/:jobId/transcript/split', async (req, res) => {
+  try {
+    const { index, at, texts } = req.body || {};
+    const result = await splitTranscriptSegment(req.params.jobId, index, at, { texts });
+    res.json({ success: true, jobId: req.params.jobId, ...result });
+  } catch (error) {
+    sendTranscriptError(res, error, 'Failed to split segment');
+  }
+});
+
+/**
+ * POST /api/process/jobs/:jobId/transcript/apply
+ * Re-translate the corrected segments and queue the job from tts_generation; segments whose
+ * source text is unchanged keep their translation and their generated speech
+ */
+router.post('/jobs/:jobId/transcript/apply', async (req, res) => {
+  try {
+    const result = await applyTranscriptEdits(req.params.jobId);
+
+    res.status(result.queued ? 202 : 200).json({
+      success: true,
+      jobId: req.params.jobId,
+      status: result.queued ? 'queued' : 'awaiting_review',
+      message: result.queued
+        ? `Re-translated ${result.retranslated} segment(s), job queued for speech generation`
+        : `Re-translated ${result.retranslated} segment(s); approve the review to dub them`,
+      ...result
+    });
+  } catch (error) {
+    sendTranscriptError(res, error, 'Failed to apply transcript edits');
+  }
+});
+
+// ===== TRANSLATION ENGINES =====
+/**
+ * GET /api/process/translation-engines
+ * Registered translation engines, whether each is configured, and the fallback chain
+ * Any listed name can be sent as `translationEngine` on upload
+ */
+router.get('/translation-engines', (req, res) => {
+  res.json({
+    success: true,
+    engines: listTranslationEngines(),
+    chain: getTranslationConfig().engineChain
+  });
+});
+
 // ===== HEALTH CHECK ENDPOINT =====
 /**
  * GET /api/process/health
@@ -477,6 +1018,7 @@ router.get('/health', async (req, res) => {
     // Get basic system stats
     const totalJobs = await Upload.countDocuments();
     const activeJobs = await Upload.countDocuments({ processing_status: 'processing' });
+    const queue = await getQueueStats();
     
     res.json({
       success: true,
@@ -489,7 +1031,8 @@ router.get('/health', async (req, res) => {
       stats: {
         total_jobs: totalJobs,
         active_jobs: activeJobs
-      }
+      },
+      queue: queue
     });
     
   } catch (error) {
@@ -0,0 +1,10 @@
+import express from "express";
+import { translateSubtitles } from "../controllers/subtitleController.js";
+import upload, { SUBTITLE_FIELD } from "../middleware/multer.js";
+
+const router = express.Router();
+
+// Translate an SRT/VTT file; with a video attached the job continues into TTS and assembly on the cue timings
+router.post("/translate", upload.fields([{ name: SUBTITLE_FIELD, maxCount: 1 }, { name: "video", maxCount: 1 }]), translateSubtitles);
+
+export default router;
@@ -0,0 +1,276 @@
+// routes/translationMemoryRoutes.js
+
+// ===== IMPORT REQUIRED MODULES =====
+import express from 'express';
+import mongoose from 'mongoose';
+import TranslationMemory from '../models/translationMemoryModel.js';
+import { lookupTranslationMemory, exportTmx, importTmx } from '../services/translationMemoryService.js';
+
+const router = express.Router();
+
+// TMX files are usually posted as raw XML rather than JSON
+const tmxBody = express.text({
+  type: ['application/xml', 'text/xml', 'application/x-tmx+xml', 'text/plain'],
+  limit: '50mb'
+});
+
+// ===== QUERY PARAMETERS =====
+// Repeated parameters arrive as arrays, so everything is coerced before use
+const LANGUAGE_CODE = /^[a-z]{2,3}$/;
+
+// null when absent, false when not a language code
+const parseLanguage = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const code = String(value).trim().toLowerCase();
+  return LANGUAGE_CODE.test(code) ? code : false;
+};
+
+const sendInvalidLanguage = (res) => res.status(400).json({
+  success: false,
+  error: 'Invalid language',
+  message: 'source and target must be two- or three-letter language codes, e.g. hi or en'
+});
+
+// ===== LIST =====
+
+/**
+ * GET /api/translation-memory
+ * List memory entries, optionally for one language pair
+ * Optional query parameters: source, target, q (substring search on source_text), limit, skip
+ */
+router.get('/', async (req, res) => {
+  try {
+    const source = parseLanguage(req.query.source);
+    const target = parseLanguage(req.query.target);
+    if (source === false || target === false) return sendInvalidLanguage(res);
+
+    const q = req.query.q ? String(req.query.q) : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const filter = {};
+    if (source) filter.source_language = source;
+    if (target) filter.target_language = target;
+    if (q) filter.source_text = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const [entries, total] = await Promise.all([
+      TranslationMemory.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-normalized_source -source_length')
+        .lean(),
+      TranslationMemory.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      total,
+      count: entries.length,
+      skip,
+      limit,
+      entries
+    });
+
+  } catch (error) {
+    console.error('❌ Translation memory list error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list translation memory',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/translation-memory/pairs
+ * Language pairs in the memory, with entry and reuse counts
+ */
+router.get('/pairs', async (req, res) => {
+  try {
+    const pairs = await TranslationMemory.getPairSummary();
+
+    res.json({
+      success: true,
+      pairs: pairs.map(pair => ({
+        source_language: pair._id.source_language,
+        target_language: pair._id.target_language,
+        entries: pair.entries,
+        reused: pair.reused,
+        updated_at: pair.updatedAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Translation memory pairs error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list translation memory language pairs',
+      message: error.message
+    });
+  }
+});
+
+// ===== LOOKUP =====
+
+/**
+ * POST /api/translation-memory/lookup
+ * Check what the memory would return for a segment: { text, source, target }
+ */
+router.post('/lookup', async (req, res) => {
+  try {
+    const text = req.body?.text ? String(req.body.text) : null;
+    const source = parseLanguage(req.body?.source);
+    const target = parseLanguage(req.body?.target);
+    if (source === false || target === false) return sendInvalidLanguage(res);
+
+    if (!text || !source || !target) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing parameters',
+        message: 'text, source and target are required'
+      });
+    }
+
+    const match = await lookupTranslationMemory(text, source, target, 'tm-lookup');
+
+    res.json({
+      success: true,
+      found: Boolean(match),
+      match
+    });
+
+  } catch (error) {
+    console.error('❌ Translation memory lookup error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up translation memory',
+      message: error.message
+    });
+  }
+});
+
+// ===== TMX EXPORT / IMPORT =====
+
+/**
+ * GET /api/translation-memory/export?source=&target=
+ * Download the memory (or one language pair) as TMX 1.4
+ */
+router.get('/export', async (req, res) => {
+  try {
+    // Both end up in the Content-Disposition file name
+    const source = parseLanguage(req.query.source);
+    const target = parseLanguage(req.query.target);
+    if (source === false || target === false) return sendInvalidLanguage(res);
+
+    const { tmx, count } = await exportTmx({ source, target });
+
+    const fileName = `translation-memory${source ? `-${source}` : ''}${target ? `-${target}` : ''}.tmx`;
+    console.log(`🧠 TMX export: ${count} entries (${fileName})`);
+
+    res.setHeader('Content-Type', 'application/x-tmx+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(tmx);
+
+  } catch (error) {
+    console.error('❌ TMX export error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export translation memory',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/translation-memory/import?source=&target=
+ * Import a TMX document sent as raw XML, or as JSON { tmx, source, target }
+ * source overrides the header srclang; target keeps only that language
+ */
+router.post('/import', tmxBody, async (req, res) => {
+  try {
+    const body = req.body;
+    const xml = typeof body === 'string' ? body : body?.tmx;
+    // TMX-style codes such as en-US are accepted here; parseTmx keeps the language part
+    const source = req.query.source || body?.source ? String(req.query.source || body.source) : null;
+    const target = req.query.target || body?.target ? String(req.query.target || body.target) : null;
+
+    if (!xml) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing TMX',
+        message: 'Send the TMX document as the request body (application/xml) or as { "tmx": "..." }'
+      });
+    }
+
+    const result = await importTmx(xml, { source, target });
+
+    if (result.units === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No translation units imported',
+        message: 'The TMX has no <tu> with both a source and a target segment. Pass ?source= if the header srclang is missing or *all*.',
+        ...result
+      });
+    }
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    if (error.message.startsWith('Not a TMX document')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid TMX',
+        message: error.message
+      });
+    }
+
+    console.error('❌ TMX import error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import translation memory',
+      message: error.message
+    });
+  }
+});
+
+// ===== DELETE =====
+
+/**
+ * DELETE /api/translation-memory/:entryId
+ * Remove a memory entry, e.g. a bad translation that keeps being reused
+ */
+router.delete('/:entryId', async (req, res) => {
+  try {
+    // A malformed ID names no entry; findById would throw a CastError
+    const entry = mongoose.isValidObjectId(req.params.entryId)
+      ? await TranslationMemory.findByIdAndDelete(req.params.entryId)
+      : null;
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Translation memory entry not found',
+        entryId: req.params.entryId
+      });
+    }
+
+    console.log(`🗑️ Translation memory entry removed (${entry.source_language} → ${entry.target_language})`);
+
+    res.json({
+      success: true,
+      message: 'Translation memory entry deleted',
+      entryId: req.params.entryId
+    });
+
+  } catch (error) {
+    console.error('❌ Translation memory delete error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete translation memory entry',
+      message: error.message
+    });
+  }
+});
+
+export default router;
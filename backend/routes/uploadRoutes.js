@@ -1,10 +1,35 @@
 import express from "express";
-import { uploadVideo } from "../controllers/uploadController.js";
+import {
+  uploadVideo,
+  uploadFromUrl,
+  createResumableUpload,
+  getResumableUpload,
+  uploadResumableChunk,
+  completeResumableUpload,
+  abortResumableUpload
+} from "../controllers/uploadController.js";
 import upload from "../middleware/multer.js";
+import { getUploadConfig } from "../config/uploadConfig.js";
 
 const router = express.Router();
 
+// Chunk bodies, capped at the configured chunk size (read per request, after dotenv)
+const chunkBody = (req, res, next) => express.raw({
+  type: ["application/offset+octet-stream", "application/octet-stream"],
+  limit: getUploadConfig().chunkSizeBytes
+})(req, res, next);
+
 // Single video upload
 router.post("/", upload.single("video"), uploadVideo);
 
+// Download from an http(s) URL instead of sending the file
+router.post("/from-url", uploadFromUrl);
+
+// Resumable upload: create a session, PATCH chunks at Upload-Offset, resume from GET/HEAD after a drop
+router.post("/sessions", createResumableUpload);
+router.get("/sessions/:sessionId", getResumableUpload);
+router.patch("/sessions/:sessionId", chunkBody, uploadResumableChunk);
+router.post("/sessions/:sessionId/complete", completeResumableUpload);
+router.delete("/sessions/:sessionId", abortResumableUpload);
+
 export default router;
@@ -0,0 +1,50 @@
+// routes/voiceRoutes.js
+
+// ===== IMPORT REQUIRED MODULES =====
+import express from 'express';
+import { getVoiceCatalogue, VOICE_GENDERS, MAX_BASE_RATE_PERCENT, MAX_PITCH_HZ } from '../services/ttsService.js';
+
+const router = express.Router();
+
+// ===== CATALOGUE =====
+
+/**
+ * GET /api/voices
+ * TTS voices per language, as accepted by the upload's voice option
+ * Optional query parameter: lang (one language code)
+ */
+router.get('/', (req, res) => {
+  try {
+    const language = req.query.lang ? String(req.query.lang).trim().toLowerCase() : null;
+    const languages = getVoiceCatalogue(language);
+
+    if (language && languages.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unsupported language',
+        message: `No TTS voices for language '${language}'`,
+        supported: getVoiceCatalogue().map(entry => entry.language)
+      });
+    }
+
+    res.json({
+      success: true,
+      count: languages.length,
+      languages,
+      options: {
+        voiceGender: VOICE_GENDERS,
+        baseRate: `-${MAX_BASE_RATE_PERCENT}% to +${MAX_BASE_RATE_PERCENT}%`,
+        pitch: `-${MAX_PITCH_HZ}Hz to +${MAX_PITCH_HZ}Hz`
+      }
+    });
+  } catch (error) {
+    console.error('❌ Voice catalogue error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list voices',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,167 @@
+// routes/webhookRoutes.js
+
+// ===== IMPORT REQUIRED MODULES =====
+import express from 'express';
+import WebhookSubscription from '../models/webhookSubscriptionModel.js';
+import {
+  WEBHOOK_EVENTS,
+  WebhookError,
+  getJobDeliveries,
+  redeliverWebhook,
+  createWebhookSubscription,
+  updateWebhookSubscription
+} from '../services/webhookService.js';
+
+const router = express.Router();
+
+// Same error shape everywhere; WebhookError carries its own status
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof WebhookError) {
+    return res.status(error.status).json({
+      success: false,
+      error: fallbackMessage,
+      message: error.message
+    });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error.message);
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    message: error.message
+  });
+};
+
+// ===== EVENTS =====
+
+/**
+ * GET /api/webhooks/events
+ * Events a subscription or callbackUrl can receive
+ */
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    events: WEBHOOK_EVENTS,
+    signature: {
+      header: 'X-Webhook-Signature',
+      scheme: 'sha256=HMAC_SHA256(secret, X-Webhook-Timestamp + "." + raw body)'
+    }
+  });
+});
+
+// ===== GLOBAL SUBSCRIPTIONS =====
+
+/**
+ * GET /api/webhooks/subscriptions
+ * List global webhook subscriptions (secrets are never returned here)
+ */
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: 1 }).lean();
+    res.json({
+      success: true,
+      count: subscriptions.length,
+      subscriptions
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list webhook subscriptions');
+  }
+});
+
+/**
+ * POST /api/webhooks/subscriptions
+ * Receive job events for every upload: { url, events?, secret?, description? }
+ * The response contains the signing secret; store it, it is not shown again
+ */
+router.post('/subscriptions', async (req, res) => {
+  try {
+    const { url, events, secret, description } = req.body || {};
+    const subscription = await createWebhookSubscription({ url, events, secret, description });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook subscription created',
+      subscription
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create webhook subscription');
+  }
+});
+
+/**
+ * PUT /api/webhooks/subscriptions/:subscriptionId
+ * Change url, events, secret, description or active
+ */
+router.put('/subscriptions/:subscriptionId', async (req, res) => {
+  try {
+    const subscription = await updateWebhookSubscription(req.params.subscriptionId, req.body || {});
+    res.json({
+      success: true,
+      message: 'Webhook subscription updated',
+      subscription
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update webhook subscription');
+  }
+});
+
+/**
+ * DELETE /api/webhooks/subscriptions/:subscriptionId
+ * Stop sending events to a subscription; its past deliveries stay in the log
+ */
+router.delete('/subscriptions/:subscriptionId', async (req, res) => {
+  try {
+    const deleted = await WebhookSubscription.findByIdAndDelete(req.params.subscriptionId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete webhook subscription');
+  }
+});
+
+// ===== DELIVERIES =====
+
+/**
+ * GET /api/webhooks/jobs/:jobId/deliveries
+ * Delivery log of a job: every event sent, to whom, and each attempt's outcome
+ */
+router.get('/jobs/:jobId/deliveries', async (req, res) => {
+  try {
+    const deliveries = await getJobDeliveries(req.params.jobId);
+    res.json({
+      success: true,
+      jobId: req.params.jobId,
+      count: deliveries.length,
+      deliveries
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list webhook deliveries');
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Send a delivery's payload again (as a new delivery with fresh retries)
+ */
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await redeliverWebhook(req.params.deliveryId);
+    res.status(202).json({
+      success: true,
+      message: 'Redelivery queued',
+      delivery
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to redeliver webhook');
+  }
+});
+
+export default router;
@@ -0,0 +1,190 @@
+import argparse
+import json
+import os
+import sys
+
+import numpy as np
+import soundfile as sf
+
+# Median F0 below this is treated as a male voice, above as female
+GENDER_F0_SPLIT_HZ = 165.0
+MIN_EMBEDDING_SECONDS = 0.5
+
+
+def load_segments(segments_path):
+    with open(segments_path, 'r', encoding='utf-8') as f:
+        segments = json.load(f)
+    return [(float(s['start']), float(s['end'])) for s in segments]
+
+
+def load_audio(audio_path):
+    audio, sample_rate = sf.read(audio_path, dtype='float32', always_2d=True)
+    return audio.mean(axis=1), sample_rate
+
+
+def slice_audio(audio, sample_rate, start, end):
+    return audio[int(start * sample_rate):int(end * sample_rate)]
+
+
+def diarize_with_pyannote(audio_path, segments, model_path, num_speakers, max_speakers):
+    """
+    Runs a locally stored pyannote pipeline and gives each transcription segment
+    the speaker it overlaps most.
+    """
+    from pyannote.audio import Pipeline
+
+    pipeline = Pipeline.from_pretrained(model_path)
+    kwargs = {'num_speakers': num_speakers} if num_speakers else {'max_speakers': max_speakers}
+    annotation = pipeline(audio_path, **kwargs)
+    turns = [(turn.start, turn.end, speaker) for turn, _, speaker in annotation.itertracks(yield_label=True)]
+
+    labels = []
+    for start, end in segments:
+        overlap = {}
+        for turn_start, turn_end, speaker in turns:
+            shared = min(end, turn_end) - max(start, turn_start)
+            if shared > 0:
+                overlap[speaker] = overlap.get(speaker, 0) + shared
+        labels.append(max(overlap, key=overlap.get) if overlap else None)
+
+    # Renumber in order of first appearance
+    order = {}
+    for label in labels:
+        if label is not None and label not in order:
+            order[label] = len(order)
+    return [order.get(label, 0) for label in labels]
+
+
+def segment_embedding(samples, sample_rate):
+    import librosa
+
+    mfcc = librosa.feature.mfcc(y=samples, sr=sample_rate, n_mfcc=20)
+    delta = librosa.feature.delta(mfcc)
+    return np.concatenate([mfcc.mean(axis=1), mfcc.std(axis=1), delta.mean(axis=1)])
+
+
+def diarize_with_clustering(audio, sample_rate, segments, num_speakers, max_speakers, threshold):
+    """
+    Whisper segments as speaker turns: one MFCC embedding per segment, grouped by
+    agglomerative clustering on cosine distance.
+    """
+    from sklearn.cluster import AgglomerativeClustering
+    from sklearn.preprocessing import StandardScaler
+
+    usable = [i for i, (start, end) in enumerate(segments) if end - start >= MIN_EMBEDDING_SECONDS]
+    if len(usable) < 2:
+        return [0] * len(segments)
+
+    embeddings = np.array([
+        segment_embedding(slice_audio(audio, sample_rate, *segments[i]), sample_rate) for i in usable
+    ])
+    embeddings = StandardScaler().fit_transform(embeddings)
+
+    if num_speakers:
+        clustering = AgglomerativeClustering(n_clusters=min(num_speakers, len(usable)), metric='cosine', linkage='average')
+    else:
+        clustering = AgglomerativeClustering(n_clusters=None, distance_threshold=threshold, metric='cosine', linkage='average')
+    raw_labels = clustering.fit_predict(embeddings)
+
+    # Fold the smallest clusters into their nearest neighbour until max_speakers remain
+    while len(set(raw_labels)) > max_speakers:
+        sizes = {label: (raw_labels == label).sum() for label in set(raw_labels)}
+        smallest = min(sizes, key=sizes.get)
+        centroids = {label: embeddings[raw_labels == label].mean(axis=0) for label in sizes if label != smallest}
+        source = embeddings[raw_labels == smallest].mean(axis=0)
+        nearest = max(centroids, key=lambda label: np.dot(centroids[label], source) /
+                      (np.linalg.norm(centroids[label]) * np.linalg.norm(source) + 1e-8))
+        raw_labels[raw_labels == smallest] = nearest
+
+    # Short segments inherit the previous speaker; number speakers by first appearance
+    labels = [None] * len(segments)
+    for index, label in zip(usable, raw_labels):
+        labels[index] = int(label)
+    previous = next(label for label in labels if label is not None)
+    for i, label in enumerate(labels):
+        if label is None:
+            labels[i] = previous
+        previous = labels[i]
+
+    order = {}
+    for label in labels:
+        order.setdefault(label, len(order))
+    return [order[label] for label in labels]
+
+
+def estimate_gender(audio, sample_rate, speaker_segments):
+    """
+    Median fundamental frequency over (up to) 30 seconds of the speaker's segments.
+    """
+    import librosa
+
+    pieces, total = [], 0.0
+    for start, end in speaker_segments:
+        pieces.append(slice_audio(audio, sample_rate, start, end))
+        total += end - start
+        if total >= 30:
+            break
+    if not pieces:
+        return None, None
+
+    f0, voiced, _ = librosa.pyin(np.concatenate(pieces), fmin=60, fmax=400, sr=sample_rate)
+    f0 = f0[voiced & ~np.isnan(f0)] if f0 is not None else np.array([])
+    if f0.size == 0:
+        return None, None
+
+    median_f0 = float(np.median(f0))
+    return ('male' if median_f0 < GENDER_F0_SPLIT_HZ else 'female'), round(median_f0, 1)
+
+
+if __name__ == "__main__":
+    parser = argparse.ArgumentParser(description="Assign speaker labels to transcription segments.")
+    parser.add_argument("audio_path", type=str, help="Path to the audio file.")
+    parser.add_argument("segments_path", type=str, help="JSON file with the transcription segments' start/end.")
+    parser.add_argument("output_path", type=str, help="Path to save the diarization JSON.")
+    parser.add_argument("--model", type=str, default=None, help="Local pyannote pipeline (directory or config.yaml).")
+    parser.add_argument("--num-speakers", type=int, default=None, help="Exact number of speakers, when known.")
+    parser.add_argument("--max-speakers", type=int, default=4, help="Upper bound on the number of speakers.")
+    parser.add_argument("--threshold", type=float, default=0.6, help="Cosine distance threshold for clustering.")
+
+    args = parser.parse_args()
+
+    try:
+        segments = load_segments(args.segments_path)
+        audio, sample_rate = load_audio(args.audio_path)
+
+        labels, method = None, None
+        if args.model and os.path.exists(args.model):
+            try:
+                labels = diarize_with_pyannote(args.audio_path, segments, args.model, args.num_speakers, args.max_speakers)
+                method = 'pyannote'
+            except Exception as e:
+                print(f"[!] pyannote diarization unavailable: {e}", file=sys.stderr)
+
+        if labels is None:
+            labels = diarize_with_clustering(audio, sample_rate, segments, args.num_speakers, args.max_speakers, args.threshold)
+            method = 'embedding_clustering'
+
+        speakers = []
+        for speaker in sorted(set(labels)):
+            speaker_segments = [segments[i] for i, label in enumerate(labels) if label == speaker]
+            gender, median_f0 = estimate_gender(audio, sample_rate, speaker_segments)
+            speakers.append({
+                'speaker_id': f'SPEAKER_{speaker:02d}',
+                'gender': gender,
+                'median_f0': median_f0,
+                'segment_count': len(speaker_segments),
+                'total_duration': round(sum(end - start for start, end in speaker_segments), 2)
+            })
+
+        result = {
+            'method': method,
+            'speakers': speakers,
+            'labels': [f'SPEAKER_{label:02d}' for label in labels]
+        }
+    except Exception as e:
+        print(f"❌ Diarization failed: {e}", file=sys.stderr)
+        sys.exit(1)
+
+    with open(args.output_path, 'w', encoding='utf-8') as f:
+        json.dump(result, f, ensure_ascii=False, indent=2)
+    print(f"[+] Diarization complete: {len(result['speakers'])} speaker(s) via {method}")
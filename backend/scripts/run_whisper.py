@@ -3,7 +3,7 @@ import argparse
 import json
 import os
 
-def transcribe_audio(audio_path, output_path, language_code):
+def transcribe_audio(audio_path, output_path, language_code, initial_prompt=None, model_name="tiny"):
     """
     Transcribes an audio file using whisper_timestamped to get word-level timings.
     """
@@ -13,10 +13,11 @@ def transcribe_audio(audio_path, output_path, language_code):
         os.makedirs(os.path.dirname(output_path), exist_ok=True)
 
         audio = whisper.load_audio(audio_path)
-        # You can change the model size here if needed (e.g., "base", "medium")
-        model = whisper.load_model("tiny", device="cpu") 
+        # Model size comes from WHISPER_MODEL via --model (e.g., "tiny", "base", "medium")
+        model = whisper.load_model(model_name, device="cpu")
 
-        result = whisper.transcribe(model, audio, language=language_code)
+        # An initial prompt (e.g. glossary terms) biases Whisper towards those spellings
+        result = whisper.transcribe(model, audio, language=language_code, initial_prompt=initial_prompt)
 
         # Save the full result as a JSON file
         with open(output_path, 'w', encoding='utf-8') as f:
@@ -35,7 +36,9 @@ if __name__ == "__main__":
     parser.add_argument("audio_path", type=str, help="Path to the audio file.")
     parser.add_argument("output_path", type=str, help="Path to save the output JSON.")
     parser.add_argument("--language", type=str, default="en", help="Language code (e.g., 'en', 'hi', 'gu').")
+    parser.add_argument("--initial-prompt", type=str, default=None, help="Text to condition the transcription on (e.g., glossary terms).")
+    parser.add_argument("--model", type=str, default="tiny", help="Whisper model size (e.g., 'tiny', 'base', 'medium').")
 
     args = parser.parse_args()
 
-    transcribe_audio(args.audio_path, args.output_path, args.language)
\ No newline at end of file
+    transcribe_audio(args.audio_path, args.output_path, args.language, args.initial_prompt, args.model)
\ No newline at end of file
@@ -0,0 +1,140 @@
+import argparse
+import json
+import os
+import sys
+
+import numpy as np
+import soundfile as sf
+
+
+def load_speech_segments(segments_path):
+    """
+    Reads [{"start": s, "end": e}, ...] written by the Node side (transcription timings).
+    """
+    if not segments_path or not os.path.exists(segments_path):
+        return []
+    with open(segments_path, 'r', encoding='utf-8') as f:
+        segments = json.load(f)
+    return [(float(s['start']), float(s['end'])) for s in segments if s.get('end', 0) > s.get('start', 0)]
+
+
+def separate_with_demucs(audio_path, output_path, model_name):
+    """
+    Runs a Demucs source separation model on CPU and keeps everything except the vocals stem.
+    """
+    import torch
+    import torchaudio
+    from demucs.apply import apply_model
+    from demucs.pretrained import get_model
+
+    model = get_model(model_name)
+    model.cpu()
+    model.eval()
+
+    audio, sample_rate = sf.read(audio_path, dtype='float32', always_2d=True)
+    wav = torch.from_numpy(audio.T.copy())
+
+    if sample_rate != model.samplerate:
+        wav = torchaudio.functional.resample(wav, sample_rate, model.samplerate)
+    if wav.shape[0] == 1 and model.audio_channels == 2:
+        wav = wav.repeat(2, 1)
+    elif wav.shape[0] > model.audio_channels:
+        wav = wav[:model.audio_channels]
+
+    # Same normalisation as the demucs CLI
+    ref = wav.mean(0)
+    mean, std = ref.mean(), ref.std() + 1e-8
+    wav = (wav - mean) / std
+
+    with torch.no_grad():
+        sources = apply_model(model, wav[None], device='cpu', split=True, overlap=0.25, shifts=0, progress=False)[0]
+    sources = sources * std + mean
+
+    vocals_index = model.sources.index('vocals')
+    background = sum(sources[i] for i in range(len(model.sources)) if i != vocals_index)
+
+    sf.write(output_path, background.numpy().T, model.samplerate, subtype='PCM_16')
+    return {'method': 'demucs', 'model': model_name, 'sample_rate': model.samplerate}
+
+
+def separate_with_spectral_subtraction(audio_path, output_path, speech_segments):
+    """
+    Fallback without a model: learns the background spectrum from non-speech frames and,
+    inside speech, keeps only the energy that matches that profile.
+    """
+    from scipy.signal import stft, istft
+
+    audio, sample_rate = sf.read(audio_path, dtype='float32', always_2d=True)
+    n_fft, hop = 2048, 512
+
+    frame_times = None
+    channels = []
+    for channel in audio.T:
+        _, times, spectrum = stft(channel, fs=sample_rate, nperseg=n_fft, noverlap=n_fft - hop)
+        frame_times = times
+        channels.append(spectrum)
+
+    magnitude = np.mean([np.abs(s) for s in channels], axis=0)
+    in_speech = np.zeros(len(frame_times), dtype=bool)
+    for start, end in speech_segments:
+        in_speech |= (frame_times >= start) & (frame_times <= end)
+
+    # Background profile: median of the non-speech frames, or the quietest fifth when speech never stops
+    if (~in_speech).sum() >= 10:
+        profile = np.median(magnitude[:, ~in_speech], axis=1)
+    else:
+        quiet = magnitude.sum(axis=0) <= np.percentile(magnitude.sum(axis=0), 20)
+        profile = np.median(magnitude[:, quiet], axis=1)
+
+    # Gain per bin: 1 outside speech, profile / magnitude (capped at 1) inside speech
+    gain = np.minimum(1.0, (1.5 * profile[:, None]) / (magnitude + 1e-8))
+    gain[:, ~in_speech] = 1.0
+
+    # Smooth across time so the bed does not "pump" at segment edges
+    kernel = np.ones(5) / 5
+    gain = np.apply_along_axis(lambda row: np.convolve(row, kernel, mode='same'), 1, gain)
+
+    output = []
+    for spectrum in channels:
+        _, restored = istft(spectrum * gain, fs=sample_rate, nperseg=n_fft, noverlap=n_fft - hop)
+        output.append(restored[:audio.shape[0]])
+
+    sf.write(output_path, np.stack(output, axis=1), sample_rate, subtype='PCM_16')
+    return {
+        'method': 'spectral_subtraction',
+        'sample_rate': sample_rate,
+        'speech_frames': int(in_speech.sum()),
+        'background_frames': int((~in_speech).sum())
+    }
+
+
+if __name__ == "__main__":
+    parser = argparse.ArgumentParser(description="Separate the non-speech background (music, ambience) from an audio track.")
+    parser.add_argument("audio_path", type=str, help="Path to the original audio file.")
+    parser.add_argument("output_path", type=str, help="Path to save the background WAV.")
+    parser.add_argument("--method", type=str, default="auto", choices=["auto", "demucs", "spectral"], help="Separation method.")
+    parser.add_argument("--model", type=str, default="htdemucs", help="Demucs model name.")
+    parser.add_argument("--speech-segments", type=str, default=None, help="JSON file with speech start/end times, used by the spectral fallback.")
+
+    args = parser.parse_args()
+    os.makedirs(os.path.dirname(os.path.abspath(args.output_path)), exist_ok=True)
+
+    result = None
+    if args.method in ("auto", "demucs"):
+        try:
+            result = separate_with_demucs(args.audio_path, args.output_path, args.model)
+        except Exception as e:
+            print(f"[!] Demucs separation unavailable: {e}", file=sys.stderr)
+            if args.method == "demucs":
+                sys.exit(1)
+
+    if result is None:
+        try:
+            result = separate_with_spectral_subtraction(args.audio_path, args.output_path, load_speech_segments(args.speech_segments))
+        except Exception as e:
+            print(f"❌ Background separation failed: {e}", file=sys.stderr)
+            sys.exit(1)
+
+    result['output'] = args.output_path
+    # Last stdout line is read by audioService.js
+    print(json.dumps(result))
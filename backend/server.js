@@ -13,7 +13,25 @@ import connectDB from "./config/db.js";
 // Import route handlers
 import uploadRoutes from "./routes/uploadRoutes.js";
 import streamRoutes from "./routes/streamRoutes.js"; 
-import processRoutes from "./routes/processRoutes.js";
+import processRoutes, { closeJobEventStreams } from "./routes/processRoutes.js";
+import glossaryRoutes from "./routes/glossaryRoutes.js";
+import translationMemoryRoutes from "./routes/translationMemoryRoutes.js";
+import voiceRoutes from "./routes/voiceRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import subtitleRoutes from "./routes/subtitleRoutes.js";
+
+// Import job queue worker
+import { processVideo } from "./controllers/processController.js";
+import { createJobFromFields } from "./controllers/uploadController.js";
+import { startQueueWorker, stopQueueWorker } from "./services/jobQueueService.js";
+import { startWebhookWorker, stopWebhookWorker } from "./services/webhookService.js";
+import { startUploadSessionCleanup, stopUploadSessionCleanup } from "./services/uploadSessionService.js";
+import { startArtifactCacheCleanup, stopArtifactCacheCleanup } from "./services/artifactCache.js";
+import { startWatchFolder, stopWatchFolder } from "./services/watchFolderService.js";
+import { getUploadConfig } from "./config/uploadConfig.js";
+import { getWebhookConfig } from "./config/webhookConfig.js";
+import { handleJobSettled } from "./services/multiTargetJobService.js";
+import { terminateTrackedProcesses } from "./utils/jobContext.js";
 
 // ===== INITIALIZE ENVIRONMENT AND DATABASE =====
 dotenv.config();
@@ -26,9 +44,9 @@ const app = express();
 // Enable CORS for frontend (running outside backend folder)
 app.use(cors({
     origin: "*",
-    methods: ["GET", "POST", "HEAD", "OPTIONS", "PUT", "DELETE"],
-    allowedHeaders: ["Content-Type", "Range", "Accept-Ranges", "Authorization"],
-    exposedHeaders: ["Content-Range", "Accept-Ranges", "Content-Length"],
+    methods: ["GET", "POST", "HEAD", "OPTIONS", "PUT", "PATCH", "DELETE"],
+    allowedHeaders: ["Content-Type", "Range", "Accept-Ranges", "Authorization", "Upload-Offset", "Upload-Checksum", "Upload-Length"],
+    exposedHeaders: ["Content-Range", "Accept-Ranges", "Content-Length", "Upload-Offset", "Upload-Length", "Location"],
     credentials: true
 }));
 
@@ -41,6 +59,9 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 const uploadDirs = [
     'uploads',
     'uploads/originals',
+    'uploads/chunks',
+    'uploads/cache',
+    'uploads/subtitles',
     'uploads/audio',
     'uploads/translated_audio',
     'uploads/captions',
@@ -85,6 +106,11 @@ app.use((req, res, next) => {
 app.use("/api/upload", uploadRoutes);
 app.use("/uploads", streamRoutes);
 app.use("/api/process", processRoutes);
+app.use("/api/glossary", glossaryRoutes);
+app.use("/api/translation-memory", translationMemoryRoutes);
+app.use("/api/voices", voiceRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/subtitles", subtitleRoutes);
 
 // ===== ROOT ENDPOINT =====
 app.get("/", (req, res) => {
@@ -95,6 +121,11 @@ app.get("/", (req, res) => {
         endpoints: {
             upload: "/api/upload",
             process: "/api/process", 
+            glossary: "/api/glossary",
+            translationMemory: "/api/translation-memory",
+            voices: "/api/voices",
+            webhooks: "/api/webhooks",
+            subtitles: "/api/subtitles",
             stream: "/uploads",
             health: "/api/process/health"
         },
@@ -119,13 +150,53 @@ app.get("/api", (req, res) => {
         api: "Video Translation Processing API",
         version: "1.0.0",
         routes: {
-            "POST /api/upload": "Upload video file for processing",
+            "POST /api/upload": "Upload video or audio file for processing (toLang may list several languages; outputMode=multitrack keeps the original audio as a separate track; outputMode=audio, automatic for MP3/WAV/M4A/OGG uploads, delivers a loudness-normalized MP3 or M4A with VTT/SRT/transcript sidecars; voice/voiceGender, baseRate and pitch pick the dubbing voice; review=always|auto pauses after translation for human review; callbackUrl receives signed lifecycle webhooks)",
+            "POST /api/upload/from-url": "Download a video from an http(s) URL: { url, ...upload fields }",
+            "POST /api/upload/sessions": "Start a resumable upload: { fileName, size, mimeType, ...upload fields }",
+            "GET /api/upload/sessions/:sessionId": "Offset to resume a resumable upload from (also HEAD)",
+            "PATCH /api/upload/sessions/:sessionId": "Send a chunk at Upload-Offset with Upload-Checksum: sha256 <base64>; the last chunk queues the job",
+            "POST /api/upload/sessions/:sessionId/complete": "Retry job creation for a fully received upload",
+            "DELETE /api/upload/sessions/:sessionId": "Abort a resumable upload",
             "GET /api/process/status/:jobId": "Get processing status",
             "GET /api/process/jobs": "List all processing jobs",
             "GET /api/process/stats": "Get processing statistics",
             "POST /api/process/jobs/:jobId/cancel": "Cancel a processing job",
+            "POST /api/process/jobs/:jobId/resume?fromStep=": "Resume a job from a pipeline step",
+            "GET /api/process/jobs/:jobId/events": "Stream job progress as Server-Sent Events",
             "DELETE /api/process/jobs/:jobId": "Delete a processing job",
             "GET /api/process/health": "System health check",
+            "GET /api/process/translation-engines": "List translation engines and the fallback chain",
+            "GET /api/process/jobs/:jobId/speakers": "List diarized speakers and their dubbing voices",
+            "PUT /api/process/jobs/:jobId/speakers/:speakerId": "Set the voice (and pitch) for a speaker",
+            "DELETE /api/process/jobs/:jobId/speakers/:speakerId": "Return a speaker to the automatic voice",
+            "GET /api/process/jobs/:jobId/segments": "Translated segments with duration budgets and validation issues (upload with review=always|auto to pause for review)",
+            "PUT /api/process/jobs/:jobId/segments": "Edit translated text while a job awaits review: { segments: [{ index, text }] }",
+            "POST /api/process/jobs/:jobId/approve": "Approve the reviewed translation and continue from speech generation",
+            "GET /api/process/jobs/:jobId/transcript": "Source transcript segments, with the recogniser's text kept on corrected ones",
+            "PUT /api/process/jobs/:jobId/transcript/segments": "Correct source text and timings: { segments: [{ index, text, start, end }] }",
+            "POST /api/process/jobs/:jobId/transcript/merge": "Merge consecutive transcript segments: { indexes, text? }",
+            "POST /api/process/jobs/:jobId/transcript/split": "Split a transcript segment at a time: { index, at, texts? }",
+            "POST /api/process/jobs/:jobId/transcript/apply": "Re-translate corrected segments and re-dub; unchanged segments keep their translation and speech",
+            "GET /api/glossary?source=&target=": "List glossary terms for a language pair",
+            "GET /api/glossary/pairs": "List glossary language pairs",
+            "POST /api/glossary": "Add a glossary term or a batch of terms",
+            "PUT /api/glossary/:termId": "Update a glossary term",
+            "DELETE /api/glossary/:termId": "Delete a glossary term",
+            "GET /api/translation-memory?source=&target=": "List translation memory entries",
+            "GET /api/translation-memory/pairs": "List translation memory language pairs",
+            "POST /api/translation-memory/lookup": "Look up a segment in the translation memory",
+            "GET /api/translation-memory/export?source=&target=": "Export the translation memory as TMX",
+            "POST /api/translation-memory/import": "Import a TMX file into the translation memory",
+            "DELETE /api/translation-memory/:entryId": "Delete a translation memory entry",
+            "GET /api/voices?lang=": "List TTS voices per language for the upload voice options",
+            "POST /api/subtitles/translate": "Translate an SRT/VTT file into VTT and SRT; with a video attached, dub it on the subtitle timings without Whisper",
+            "GET /api/webhooks/events": "List webhook events and the signature scheme",
+            "GET /api/webhooks/subscriptions": "List global webhook subscriptions",
+            "POST /api/webhooks/subscriptions": "Subscribe a URL to job events of every upload",
+            "PUT /api/webhooks/subscriptions/:subscriptionId": "Update a webhook subscription",
+            "DELETE /api/webhooks/subscriptions/:subscriptionId": "Delete a webhook subscription",
+            "GET /api/webhooks/jobs/:jobId/deliveries": "Webhook delivery log of a job",
+            "POST /api/webhooks/deliveries/:deliveryId/redeliver": "Send a webhook delivery again",
             "GET /uploads/:filename": "Stream uploaded/processed files"
         },
         documentation: "Visit /api/docs for detailed API documentation",
@@ -186,12 +257,22 @@ app.use((error, req, res, next) => {
     console.error('🔥 Server Error:', error);
     
     // Handle specific error types
-    if (error.type === 'entity.too.large') {
+    if (error.code === 'LIMIT_FILE_SIZE') {
         return res.status(413).json({
             success: false,
             error: "File too large",
             message: "The uploaded file exceeds the maximum size limit",
-            maxSize: "50MB"
+            maxSize: `${getUploadConfig().maxUploadSizeMb}MB`
+        });
+    }
+    
+    // JSON bodies and resumable upload chunks
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            error: "Request too large",
+            message: "The request body exceeds the maximum size limit",
+            maxSize: `${Math.round(error.limit / 1024 / 1024)}MB`
         });
     }
     
@@ -226,18 +307,31 @@ app.use((error, req, res, next) => {
 const gracefulShutdown = (signal) => {
     console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
     
-    server.close(() => {
-        console.log('✅ HTTP server closed');
-        
-        // Close database connections
-        process.exit(0);
-    });
-    
     // Force close after 10 seconds
     setTimeout(() => {
         console.log('⚠️  Forcing shutdown after 10 seconds');
         process.exit(1);
     }, 10000);
+    
+    // Hand in-flight jobs back to the queue and stop child processes first:
+    // server.close waits for open connections, e.g. a long upload, to finish
+    stopQueueWorker()
+        .catch(error => console.error('❌ Failed to stop queue worker:', error.message))
+        .finally(() => {
+            stopWebhookWorker();
+            stopUploadSessionCleanup();
+            stopArtifactCacheCleanup();
+            stopWatchFolder();
+            terminateTrackedProcesses();
+            closeJobEventStreams();
+            
+            server.close(() => {
+                console.log('✅ HTTP server closed');
+                
+                // Close database connections
+                process.exit(0);
+            });
+        });
 };
 
 // ===== START SERVER =====
@@ -253,6 +347,22 @@ const server = app.listen(PORT, () => {
     console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`💾 Node.js version: ${process.version}`);
     console.log(`⚡ Ready for video processing requests!`);
+    
+    // Start pulling jobs from the Mongo-backed queue
+    // Settled child jobs update their multi-language parent
+    startQueueWorker({ handler: processVideo, onJobSettled: handleJobSettled });
+    // Job events go out to callback URLs and webhook subscriptions, with retries
+    startWebhookWorker();
+    // Unfinished resumable uploads are removed once they expire
+    startUploadSessionCleanup();
+    // Artifact cache entries unused for ARTIFACT_CACHE_MAX_AGE_DAYS are removed
+    startArtifactCacheCleanup();
+    // Videos dropped into WATCH_FOLDER become jobs (off unless configured)
+    startWatchFolder({
+        createJob: (file, fields) => createJobFromFields(file, fields, {
+            baseUrl: getWebhookConfig().publicBaseUrl || `http://localhost:${PORT}`
+        })
+    });
 });
 
 // Handle graceful shutdown
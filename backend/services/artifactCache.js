@@ -0,0 +1,212 @@
+// services/artifactCache.js - INTERMEDIATE ARTIFACTS KEYED BY UPLOAD CONTENT
+//
+// Uploads are hashed (SHA-256) on receipt. Step outputs are stored under that hash plus the
+// parameters that shaped them, e.g. uploads/cache/<hash>/transcription_<key>/, so a later job
+// for an identical file (another target language, a re-upload) copies them instead of re-running
+// audio extraction, Whisper, background separation or translation.
+// Entries are copied rather than linked both ways: jobs rewrite their own artifacts in place.
+// Entries unused for ARTIFACT_CACHE_MAX_AGE_DAYS are removed by a periodic cleanup.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getArtifactCacheConfig } from '../config/artifactCacheConfig.js';
+
+const MANIFEST = 'manifest.json';
+
+let cleanupTimer = null;
+
+// ===== HASHING =====
+/**
+ * SHA-256 of a file, streamed
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Key order doesn't change the digest
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Short digest of any JSON value (glossary terms, a transcription's segments, ...)
+export const digestOf = (value) => crypto.createHash('sha256').update(stableStringify(value)).digest('hex').slice(0, 16);
+
+const getEntryDir = (contentHash, step, params) => path.join(
+  getArtifactCacheConfig().cacheDir,
+  contentHash,
+  `${step}_${digestOf(params)}`
+);
+
+const copyFile = (from, to) => {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.copyFileSync(from, to, fs.constants.COPYFILE_FICLONE);
+};
+
+const isUsable = (contentHash) => Boolean(contentHash) && getArtifactCacheConfig().enabled;
+
+// ===== RESTORE =====
+/**
+ * Copy a cached step's outputs into a job's artifact locations
+ * @param {string} contentHash - Upload content hash
+ * @param {string} step - Pipeline step (audio_extraction, transcription, background, translation)
+ * @param {Object} params - Everything besides the input file that shaped the outputs
+ * @param {Object} targets - { artifactName: destination path }
+ * @param {string} jobId - Job ID, for logging
+ * @returns {Object|null} - Entry manifest, or null on a cache miss
+ */
+export const restoreCachedArtifacts = (contentHash, step, params, targets, jobId) => {
+  if (!isUsable(contentHash)) return null;
+
+  const entryDir = getEntryDir(contentHash, step, params);
+  const manifestPath = path.join(entryDir, MANIFEST);
+  if (!fs.existsSync(manifestPath)) return null;
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const names = Object.keys(targets).filter(name => manifest.files.includes(name));
+    if (names.length === 0 || names.some(name => !fs.existsSync(path.join(entryDir, name)))) {
+      return null;
+    }
+
+    for (const name of names) {
+      copyFile(path.join(entryDir, name), targets[name]);
+    }
+    // Mark the entry as recently used so eviction keeps it
+    const now = new Date();
+    fs.utimesSync(manifestPath, now, now);
+
+    console.log(`[${jobId}] ♻️ Reused cached ${step} from job ${manifest.job_id} (${names.join(', ')})`);
+    return manifest;
+  } catch (error) {
+    console.warn(`[${jobId}] ⚠️ Ignoring unreadable cache entry ${entryDir}: ${error.message}`);
+    return null;
+  }
+};
+
+// ===== STORE =====
+/**
+ * Save a finished step's outputs for later jobs on the same content
+ * A failure to cache never fails the job
+ * @param {string} contentHash - Upload content hash
+ * @param {string} step - Pipeline step
+ * @param {Object} params - Same parameters restoreCachedArtifacts will be called with
+ * @param {Object} sources - { artifactName: path }; missing files are left out
+ * @param {string} jobId - Job that produced them
+ * @returns {boolean} - Whether an entry was written
+ */
+export const storeCachedArtifacts = (contentHash, step, params, sources, jobId) => {
+  if (!isUsable(contentHash)) return false;
+
+  const entryDir = getEntryDir(contentHash, step, params);
+  const stagingDir = `${entryDir}.${process.pid}.${Date.now()}.tmp`;
+
+  try {
+    const files = Object.entries(sources).filter(([, filePath]) => filePath && fs.existsSync(filePath));
+    if (files.length === 0) return false;
+
+    for (const [name, filePath] of files) {
+      copyFile(filePath, path.join(stagingDir, name));
+    }
+    fs.writeFileSync(path.join(stagingDir, MANIFEST), JSON.stringify({
+      step,
+      params,
+      files: files.map(([name]) => name),
+      job_id: jobId,
+      created_at: new Date().toISOString()
+    }, null, 2));
+
+    // Swap in the complete entry so readers never see a half-written one
+    fs.rmSync(entryDir, { recursive: true, force: true });
+    fs.renameSync(stagingDir, entryDir);
+
+    console.log(`[${jobId}] 💾 Cached ${step} for content ${contentHash.slice(0, 12)}`);
+    return true;
+  } catch (error) {
+    console.warn(`[${jobId}] ⚠️ Could not cache ${step}: ${error.message}`);
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    return false;
+  }
+};
+
+// ===== EVICTION =====
+/**
+ * Remove cache entries no job has stored or restored within ARTIFACT_CACHE_MAX_AGE_DAYS
+ * Restores touch the entry's manifest, so its mtime is the last use
+ * @returns {number} - Entries removed
+ */
+export const pruneCachedArtifacts = () => {
+  const { cacheDir, maxAgeDays } = getArtifactCacheConfig();
+  if (!fs.existsSync(cacheDir)) return 0;
+
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  let removed = 0;
+
+  for (const hashEntry of fs.readdirSync(cacheDir, { withFileTypes: true })) {
+    if (!hashEntry.isDirectory()) continue;
+    const hashDir = path.join(cacheDir, hashEntry.name);
+
+    for (const entry of fs.readdirSync(hashDir)) {
+      const entryDir = path.join(hashDir, entry);
+      const manifestPath = path.join(entryDir, MANIFEST);
+      // Leftover staging directories have no manifest; their own mtime tells their age
+      const { mtimeMs } = fs.statSync(fs.existsSync(manifestPath) ? manifestPath : entryDir);
+      if (mtimeMs < cutoff) {
+        fs.rmSync(entryDir, { recursive: true, force: true });
+        removed++;
+      }
+    }
+
+    if (fs.readdirSync(hashDir).length === 0) {
+      fs.rmdirSync(hashDir);
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`[CACHE] 🗑️ Removed ${removed} artifact cache entries unused for ${maxAgeDays} days`);
+  }
+  return removed;
+};
+
+export const startArtifactCacheCleanup = () => {
+  if (cleanupTimer) return;
+
+  const runCleanup = () => {
+    try {
+      pruneCachedArtifacts();
+    } catch (error) {
+      console.warn(`[CACHE] ⚠️ Artifact cache cleanup failed:`, error.message);
+    }
+  };
+
+  runCleanup();
+  cleanupTimer = setInterval(runCleanup, getArtifactCacheConfig().cleanupIntervalMs);
+  cleanupTimer.unref?.();
+};
+
+export const stopArtifactCacheCleanup = () => {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+};
+
+export default {
+  hashFile,
+  digestOf,
+  restoreCachedArtifacts,
+  storeCachedArtifacts,
+  pruneCachedArtifacts,
+  startArtifactCacheCleanup,
+  stopArtifactCacheCleanup
+};
@@ -0,0 +1,203 @@
+// services/audioOutputService.js - AUDIO-ONLY OUTPUT (PODCASTS, RADIO LESSONS)
+//
+// Jobs in the 'audio' output mode stop before any video work: the dubbed voice is mixed over the
+// original background, loudness-normalised to a podcast target (two-pass EBU R128 loudnorm, so the
+// whole episode is measured before the gain is applied) and encoded to MP3 or M4A. Captions and a
+// timestamped transcript are written next to it, one cue per translated segment.
+
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import fs from 'fs';
+import path from 'path';
+import { trackFfmpegCommand } from '../utils/jobContext.js';
+import { getAudioConfig } from '../config/audioConfig.js';
+import { getIso6392Code } from '../config/languageConfig.js';
+import { mixBackgroundUnderVoice } from './audioService.js';
+import { generateWebVTT, generateSRT } from './captionService.js';
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+export const AUDIO_OUTPUT_FORMATS = ['mp3', 'm4a'];
+
+const PROCESSED_DIR = path.join('uploads', 'processed');
+
+// ===== LOUDNESS NORMALISATION =====
+const loudnormTarget = () => {
+  const { loudnessTargetLufs, loudnessTruePeakDb, loudnessRange } = getAudioConfig();
+  return `I=${loudnessTargetLufs}:TP=${loudnessTruePeakDb}:LRA=${loudnessRange}`;
+};
+
+// First pass: loudnorm only measures, and prints its figures as JSON at the end of stderr
+const measureLoudness = (inputPath, jobId) => new Promise((resolve, reject) => {
+  trackFfmpegCommand(ffmpeg(inputPath))
+    .audioFilters(`loudnorm=${loudnormTarget()}:print_format=json`)
+    .format('null')
+    .output('-')
+    .on('end', (stdout, stderr) => {
+      const json = String(stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/);
+      try {
+        const measured = JSON.parse(json?.[0]);
+        console.log(`[${jobId}] 📏 Measured loudness: ${measured.input_i} LUFS, true peak ${measured.input_tp} dBTP, range ${measured.input_lra} LU`);
+        resolve(measured);
+      } catch {
+        reject(new Error('loudnorm did not report measurements'));
+      }
+    })
+    .on('error', reject)
+    .run();
+});
+
+const buildLoudnormFilter = (measured) => {
+  if (!measured) {
+    return `loudnorm=${loudnormTarget()}`;
+  }
+  return [
+    `loudnorm=${loudnormTarget()}`,
+    `measured_I=${measured.input_i}`,
+    `measured_TP=${measured.input_tp}`,
+    `measured_LRA=${measured.input_lra}`,
+    `measured_thresh=${measured.input_thresh}`,
+    `offset=${measured.target_offset}`,
+    'linear=true'
+  ].join(':');
+};
+
+// Second pass: apply the measured correction and encode the deliverable
+const encodeNormalizedAudio = (inputPath, outputPath, format, measured, metadata, jobId) => new Promise((resolve, reject) => {
+  const { audioOutputBitrate } = getAudioConfig();
+  const command = trackFfmpegCommand(ffmpeg(inputPath))
+    .noVideo()
+    // loudnorm works at 192kHz internally
+    .audioFilters([buildLoudnormFilter(measured), 'aresample=44100'])
+    .audioChannels(2)
+    .audioBitrate(audioOutputBitrate)
+    .outputOptions([
+      '-metadata', `title=${metadata.title}`,
+      '-metadata', `language=${metadata.language}`,
+      '-metadata:s:a:0', `language=${metadata.language}`
+    ]);
+
+  if (format === 'm4a') {
+    command.audioCodec('aac').format('ipod').outputOptions('-movflags', '+faststart');
+  } else {
+    command.audioCodec('libmp3lame').format('mp3').outputOptions('-id3v2_version', '3');
+  }
+
+  command
+    .output(outputPath)
+    .on('start', (commandLine) => {
+      console.log(`[${jobId}] 🎙️ Encoding normalised ${format.toUpperCase()}: ${commandLine}`);
+    })
+    .on('end', () => resolve(outputPath))
+    .on('error', reject)
+    .run();
+});
+
+// ===== SIDECAR TRANSCRIPT =====
+const formatTimestamp = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+};
+
+// Show-notes style: one timestamped line per segment, with the speaker when diarized
+const buildTranscript = (segments, languageName) => [
+  `${languageName} transcript`,
+  '',
+  ...segments
+    .filter(segment => segment.text && segment.text.trim())
+    .map(segment => `[${formatTimestamp(segment.start)}] ${segment.speaker ? `${segment.speaker}: ` : ''}${segment.text.trim()}`)
+].join('\n') + '\n';
+
+// ===== ASSEMBLY =====
+/**
+ * Produce the dubbed audio file and its sidecar captions for an audio-only job
+ * @param {string} jobId - Job ID
+ * @param {string} voicePath - Generated TTS track
+ * @param {Object} translation - Translated segments and language
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'mp3' or 'm4a'; AUDIO_OUTPUT_FORMAT by default
+ * @param {string} [options.backgroundAudioPath] - Separated music/ambience to mix under the dubbed voice
+ * @param {string} [options.title] - Title tag for the encoded file
+ * @returns {Promise<Object>} - { outputPath, format, captions: { vtt, srt }, transcriptPath, loudness, backgroundPreserved }
+ */
+export const assembleAudioOutput = async (jobId, voicePath, translation, options = {}) => {
+  const { audioOutputFormat, loudnessTargetLufs, loudnessTruePeakDb } = getAudioConfig();
+  const format = AUDIO_OUTPUT_FORMATS.includes(options.format) ? options.format : audioOutputFormat;
+  const language = translation.language;
+  const languageName = translation.languagename || language;
+
+  if (!voicePath || !fs.existsSync(voicePath)) {
+    throw new Error(`Translated audio file not found: ${voicePath}`);
+  }
+  fs.mkdirSync(PROCESSED_DIR, { recursive: true });
+
+  console.log(`[${jobId}] 🎧 Assembling audio-only output (${format.toUpperCase()}, ${loudnessTargetLufs} LUFS)...`);
+
+  // ===== BACKGROUND =====
+  let mixedPath = voicePath;
+  let backgroundMixedPath = null;
+  if (options.backgroundAudioPath && fs.existsSync(options.backgroundAudioPath)) {
+    try {
+      backgroundMixedPath = await mixBackgroundUnderVoice(
+        voicePath,
+        options.backgroundAudioPath,
+        `./uploads/translated_audio/${jobId}_with_background.wav`,
+        jobId
+      );
+      mixedPath = backgroundMixedPath;
+    } catch (mixError) {
+      console.warn(`[${jobId}] ⚠️ Background mix failed, delivering voice only: ${mixError.message}`);
+    }
+  }
+
+  // ===== LOUDNESS =====
+  // Without a measurement, single-pass loudnorm still lands near the target
+  let measured = null;
+  try {
+    measured = await measureLoudness(mixedPath, jobId);
+  } catch (measureError) {
+    console.warn(`[${jobId}] ⚠️ Loudness measurement failed, normalising in one pass: ${measureError.message}`);
+  }
+
+  const outputPath = path.join(PROCESSED_DIR, `${jobId}_final.${format}`);
+  await encodeNormalizedAudio(mixedPath, outputPath, format, measured, {
+    title: options.title || `${jobId} (${languageName})`,
+    language: getIso6392Code(language)
+  }, jobId);
+
+  if (backgroundMixedPath) {
+    fs.rmSync(backgroundMixedPath, { force: true });
+  }
+
+  // ===== SIDECAR CAPTIONS AND TRANSCRIPT =====
+  const segments = translation.segments || [];
+  const basePath = path.join(PROCESSED_DIR, `${jobId}_final`);
+  const captions = { vtt: `${basePath}.vtt`, srt: `${basePath}.srt` };
+  const transcriptPath = `${basePath}.txt`;
+
+  fs.writeFileSync(captions.vtt, await generateWebVTT(segments, language, languageName, jobId, { preserveSegments: true }), 'utf8');
+  fs.writeFileSync(captions.srt, await generateSRT(segments, jobId, { preserveSegments: true }), 'utf8');
+  fs.writeFileSync(transcriptPath, buildTranscript(segments, languageName), 'utf8');
+
+  console.log(`[${jobId}] ✅ Audio-only output ready: ${outputPath} (+ VTT, SRT, transcript)`);
+
+  return {
+    outputPath,
+    outputMode: 'audio',
+    format,
+    captions,
+    transcriptPath,
+    loudness: {
+      targetLufs: loudnessTargetLufs,
+      truePeakDb: loudnessTruePeakDb,
+      measured: measured ? { input_i: Number(measured.input_i), input_tp: Number(measured.input_tp), input_lra: Number(measured.input_lra) } : null
+    },
+    backgroundPreserved: Boolean(backgroundMixedPath)
+  };
+};
+
+export default {
+  AUDIO_OUTPUT_FORMATS,
+  assembleAudioOutput
+};
@@ -5,9 +5,12 @@ import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
 import fs from 'fs';
 import path from 'path';
-import { exec } from 'child_process';
+import { promisify } from 'util';
+import { exec, trackFfmpegCommand, registerTempPath } from '../utils/jobContext.js';
 import Upload from '../models/uploadModel.js';
 import { getFilePath } from '../utils/fileUtils.js';
+import { getAudioConfig } from '../config/audioConfig.js';
+import { reportProgress, reportWarning } from './jobEventService.js';
 import { transcribeWithLocalWhisper } from './transcriptionService.js';
 import {
   detectAudioVideoSync,
@@ -97,7 +100,7 @@ const processAudioExtraction = async (video, jobId, resolve, reject) => {
   console.log(`[${jobId}] Step 1/3: Extracting high quality audio for forced alignment...`);
 
   const highQualityExtractionPromise = new Promise((hqResolve, hqReject) => {
-    ffmpeg(inputVideoPath)
+    trackFfmpegCommand(ffmpeg(inputVideoPath))
       .noVideo()
       .audioCodec('pcm_s24le')
       .audioChannels(2)
@@ -124,7 +127,7 @@ const processAudioExtraction = async (video, jobId, resolve, reject) => {
 
   console.log(`[${jobId}] Step 2/3: Extracting Whisper-compatible audio...`);
 
-  ffmpeg(inputVideoPath)
+  trackFfmpegCommand(ffmpeg(inputVideoPath))
     .noVideo()
     .audioCodec('pcm_s16le')
     .audioChannels(1)
@@ -139,6 +142,7 @@ const processAudioExtraction = async (video, jobId, resolve, reject) => {
     .on('progress', (progress) => {
       if (progress.percent) {
         console.log(`[${jobId}] Audio extraction progress: ${Math.round(progress.percent)}%`);
+        reportProgress(jobId, 'audio_extraction', progress.percent, 100);
       }
     })
 
@@ -466,7 +470,7 @@ export const replaceAudioInVideo = async (jobId) => {
     }
 
     return new Promise((resolve, reject) => {
-      ffmpeg()
+      trackFfmpegCommand(ffmpeg())
         .input(originalVideoPath)
         .input(finalAudioPath)
         .videoCodec('copy')
@@ -570,6 +574,127 @@ export const replaceAudioInVideo = async (jobId) => {
 };
 
 
+// ===== BACKGROUND PRESERVATION (MUSIC / AMBIENCE UNDER THE DUBBED VOICE) =====
+const execAsync = promisify(exec);
+
+/**
+ * Separate the non-speech bed (music, ambience) from the job's original audio
+ * Uses a local separation model when installed, otherwise spectral subtraction guided by speech timings
+ * @param {string} jobId - Job ID
+ * @param {Object[]} speechSegments - Segments with source start/end (seconds)
+ * @returns {Promise<Object|null>} - { path, method } or null when separation is disabled or failed
+ */
+export const separateBackground = async (jobId, speechSegments = []) => {
+  const config = getAudioConfig();
+  if (!config.backgroundPreservation) {
+    console.log(`[${jobId}] 🎵 Background preservation disabled`);
+    return null;
+  }
+
+  const backgroundPath = getFilePath('audio', jobId, '_background.wav');
+  if (fs.existsSync(backgroundPath) && fs.statSync(backgroundPath).size > 0) {
+    console.log(`[${jobId}] ♻️ Reusing separated background: ${backgroundPath}`);
+    return { path: backgroundPath, method: 'cached' };
+  }
+
+  // The 44.1kHz stereo extraction keeps far more of the music than the 16kHz Whisper copy
+  const highQualityPath = getFilePath('audio', jobId, '_hq.wav');
+  const sourcePath = fs.existsSync(highQualityPath) ? highQualityPath : getFilePath('audio', jobId, '.wav');
+  if (!fs.existsSync(sourcePath)) {
+    console.warn(`[${jobId}] ⚠️ No extracted audio to separate background from`);
+    return null;
+  }
+
+  const scriptPath = path.join(process.cwd(), 'scripts', 'separate_background.py');
+  // Timestamped, so cancellation only finds it through the job context
+  const tempDir = registerTempPath(path.join(process.cwd(), 'uploads', 'temp', `separation_${jobId}_${Date.now()}`));
+  const segmentsPath = path.join(tempDir, 'speech_segments.json');
+
+  try {
+    fs.mkdirSync(tempDir, { recursive: true });
+    fs.writeFileSync(segmentsPath, JSON.stringify(
+      speechSegments
+        .filter(seg => Number.isFinite(seg.start) && Number.isFinite(seg.end))
+        .map(seg => ({ start: seg.start, end: seg.end }))
+    ));
+
+    const command = `${config.pythonPath} "${scriptPath}" "${sourcePath}" "${backgroundPath}" --method ${config.separationMethod} --model ${config.separationModel} --speech-segments "${segmentsPath}"`;
+    console.log(`[${jobId}] 🎵 Separating background audio (${config.separationMethod})...`);
+
+    const { stdout, stderr } = await execAsync(command, {
+      timeout: config.separationTimeoutMs,
+      maxBuffer: 10 * 1024 * 1024
+    });
+    if (stderr) {
+      console.warn(`[${jobId}] Background separation stderr: ${stderr.trim().slice(-500)}`);
+    }
+
+    const result = JSON.parse(stdout.trim().split('\n').pop());
+    if (!fs.existsSync(backgroundPath)) {
+      throw new Error('Separation script did not produce an output file');
+    }
+
+    console.log(`[${jobId}] ✅ Background separated with ${result.method}${result.model ? ` (${result.model})` : ''}`);
+    return { path: backgroundPath, method: result.method };
+
+  } catch (error) {
+    console.warn(`[${jobId}] ⚠️ Background separation failed, continuing with voice only: ${error.message}`);
+    reportWarning(jobId, 'Background music could not be separated; the dub will have voice only', { step: 'video_assembly' });
+    if (fs.existsSync(backgroundPath)) fs.unlinkSync(backgroundPath);
+    return null;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Mix the background bed under the translated voice, ducking the bed while the voice is speaking
+ * @param {string} voicePath - Translated (synced) voice track
+ * @param {string} backgroundPath - Separated background bed
+ * @param {string} outputPath - Mixed WAV
+ * @param {string} jobId - Job ID
+ * @param {Object} [options]
+ * @param {number} [options.voiceOffset=0] - Sync correction for the voice only (seconds, + delays); the bed stays put
+ * @returns {Promise<string>} - outputPath
+ */
+export const mixBackgroundUnderVoice = (voicePath, backgroundPath, outputPath, jobId, options = {}) => {
+  const config = getAudioConfig();
+  const offset = options.voiceOffset || 0;
+  const offsetFilter = Math.abs(offset) > 0.01
+    ? (offset > 0 ? `adelay=${Math.round(offset * 1000)}:all=1,` : `atrim=start=${Math.abs(offset)},asetpts=PTS-STARTPTS,`)
+    : '';
+
+  // The voice is split so one copy drives the sidechain compressor on the bed
+  const filterGraph = [
+    `[0:a]${offsetFilter}aresample=44100,aformat=channel_layouts=stereo,asplit=2[voice][trigger]`,
+    `[1:a]aresample=44100,aformat=channel_layouts=stereo,volume=${config.bedGainDb}dB[bed]`,
+    `[bed][trigger]sidechaincompress=threshold=${config.duckingThreshold}:ratio=${config.duckingRatio}:attack=${config.duckingAttackMs}:release=${config.duckingReleaseMs}[ducked]`,
+    '[voice][ducked]amix=inputs=2:duration=first:dropout_transition=0:normalize=0,alimiter=limit=0.95[mixed]'
+  ];
+
+  return new Promise((resolve, reject) => {
+    trackFfmpegCommand(ffmpeg())
+      .input(voicePath)
+      .input(backgroundPath)
+      .complexFilter(filterGraph, 'mixed')
+      .audioCodec('pcm_s16le')
+      .format('wav')
+      .output(outputPath)
+      .on('start', (commandLine) => {
+        console.log(`[${jobId}] 🎚️ Mixing background under voice with ducking: ${commandLine}`);
+      })
+      .on('end', () => {
+        console.log(`[${jobId}] ✅ Background mixed under dubbed voice: ${outputPath}`);
+        resolve(outputPath);
+      })
+      .on('error', (error) => {
+        console.error(`[${jobId}] ❌ Background mix failed: ${error.message}`);
+        reject(error);
+      })
+      .run();
+  });
+};
+
 const correctAudioDurationWithTimingMetadata = async (audioPath, targetDuration, timingMetadata, jobId) => {
   try {
     const currentDuration = await getAudioDuration(audioPath);
@@ -740,6 +865,8 @@ export default {
   extractAudio,
   extractAudioForcedAlignment,
   replaceAudioInVideo,
+  separateBackground,
+  mixBackgroundUnderVoice,
   correctAudioDurationWithTimingMetadata,
   getVideoMetadata,
   getAudioDuration
@@ -2,7 +2,7 @@
 
 import fs from 'fs';
 import path from 'path';
-import { exec } from 'child_process';
+import { exec } from '../utils/jobContext.js';
 import { promisify } from 'util';
 import { validateTranslationQuality } from './validationService.js';
 import { getConfig } from '../config/languageConfig.js';
@@ -28,6 +28,9 @@ export const generateCaptions = async (translation, jobId) => {
         throw new Error('Invalid translation object provided');
       }
       
+      // Checked before the fallback below, which only has a guessed duration
+      const sourceTimed = hasSourceTiming(translation.segments);
+      
       if (!translation.segments || translation.segments.length === 0) {
         console.warn(`[${jobId}] No segments provided, creating single segment from full text`);
         translation.segments = [{
@@ -108,7 +111,12 @@ console.log(`[${jobId}] 🔧 Creating segments with language-aware chunking...`)
 
 let timedSegments;
 
-if (translation.text && translation.text.trim().length > 0) {
+if (sourceTimed) {
+  // Segment-level translation keeps Whisper timing - the dubbed audio is laid out on the same timeline
+  const config = getConfig(targetLanguage);
+  timedSegments = chunkSegmentsWithSourceTiming(translation.segments, config);
+  console.log(`[${jobId}] ✅ Created ${timedSegments.length} captions from ${translation.segments.length} source-timed segments (${config.name} rules)`);
+} else if (translation.text && translation.text.trim().length > 0) {
   console.log(`[${jobId}] ✅ Creating segments from TRANSLATED text (${targetLanguageName})`);
   
   // GET LANGUAGE CONFIG
@@ -260,6 +268,25 @@ export const generateAccurateCaptions = async (translatedWordAlignment, translat
   
   console.log(`[${jobId}] Original text: ${text.length} chars, ${segments.length} segments`);
   
+  const captionsDir = './uploads/captions';
+  const vttPath = path.join(captionsDir, `${jobId}_captions_accurate.vtt`);
+  
+  // Prefer the source segment timing carried by the translation over spreading chunks evenly
+  if (hasSourceTiming(translatedText.segments)) {
+    const timedCaptions = chunkSegmentsWithSourceTiming(translatedText.segments, config);
+    
+    let timedVtt = `WEBVTT\nKind: captions\nLanguage: ${targetLanguage}\n\n`;
+    timedCaptions.forEach((cap, i) => {
+      timedVtt += `${i + 1}\n${formatVTTTime(cap.start)} --> ${formatVTTTime(cap.end)}\n${cap.text}\n\n`;
+    });
+    
+    fs.mkdirSync(captionsDir, { recursive: true });
+    fs.writeFileSync(vttPath, timedVtt, 'utf8');
+    
+    console.log(`[${jobId}] ✅ VTT saved: ${timedCaptions.length} captions using source segment timing`);
+    return vttPath;
+  }
+  
   const chunks = chunkText(text, config);
   console.log(`[${jobId}] ✅ Chunked into ${chunks.length} captions (was ${segments.length})`);
   
@@ -280,18 +307,89 @@ export const generateAccurateCaptions = async (translatedWordAlignment, translat
     vtt += `${i + 1}\n${formatVTTTime(cap.start)} --> ${formatVTTTime(cap.end)}\n${cap.text}\n\n`;
   });
   
-  const captionsDir = './uploads/captions';
   if (!fs.existsSync(captionsDir)) {
     fs.mkdirSync(captionsDir, { recursive: true });
   }
   
-  const vttPath = path.join(captionsDir, `${jobId}_captions_accurate.vtt`);
   fs.writeFileSync(vttPath, vtt, 'utf8');
   
   console.log(`[${jobId}] ✅ VTT saved: ${captions.length} captions, avg ${durationPerChunk.toFixed(2)}s each`);
   return vttPath;
 };
 
+// Source-language captions from the original text of translated segments, for a soft subtitle track
+export const generateSourceCaptions = async (segments, jobId, sourceLanguage) => {
+  const sourceSegments = (segments || [])
+    .map(seg => ({ id: seg.id, start: seg.start, end: seg.end, text: (seg.original_text ?? seg.originaltext ?? '').trim() }))
+    .filter(seg => seg.text);
+
+  if (!hasSourceTiming(sourceSegments)) {
+    console.warn(`[${jobId}] ⚠️ No timed source segments, skipping source-language captions`);
+    return null;
+  }
+
+  const captions = chunkSegmentsWithSourceTiming(sourceSegments, getConfig(sourceLanguage));
+
+  let vtt = `WEBVTT\nKind: captions\nLanguage: ${sourceLanguage}\n\n`;
+  captions.forEach((cap, i) => {
+    vtt += `${i + 1}\n${formatVTTTime(cap.start)} --> ${formatVTTTime(cap.end)}\n${cap.text}\n\n`;
+  });
+
+  const captionsDir = './uploads/captions';
+  const vttPath = path.join(captionsDir, `${jobId}_captions_source.vtt`);
+  fs.mkdirSync(captionsDir, { recursive: true });
+  fs.writeFileSync(vttPath, vtt, 'utf8');
+
+  console.log(`[${jobId}] ✅ Source VTT saved: ${captions.length} captions (${sourceLanguage})`);
+  return vttPath;
+};
+
+// True when every segment carries a usable source start/end
+function hasSourceTiming(segments) {
+  return Array.isArray(segments) && segments.length > 0 && segments.every(seg =>
+    Number.isFinite(seg.start) && Number.isFinite(seg.end) && seg.end > seg.start
+  );
+}
+
+// Split each translated segment into caption-sized chunks inside its own start/end,
+// sharing the segment's time by word count
+function chunkSegmentsWithSourceTiming(segments, config) {
+  const captions = [];
+  
+  segments.forEach((segment) => {
+    const text = (segment.translated_text ?? segment.text ?? '').trim();
+    if (!text) return;
+    
+    const chunks = chunkText(text, config);
+    const wordCounts = chunks.map(c => c.split(/\s+/).length);
+    const totalWords = wordCounts.reduce((sum, count) => sum + count, 0) || 1;
+    const segmentDuration = segment.end - segment.start;
+    let currentTime = segment.start;
+    
+    chunks.forEach((chunk, index) => {
+      const duration = segmentDuration * (wordCounts[index] / totalWords);
+      const end = index === chunks.length - 1 ? segment.end : currentTime + duration;
+      
+      captions.push({
+        id: captions.length + 1,
+        start: currentTime,
+        end,
+        text: chunk.trim(),
+        originaltext: segment.original_text ?? segment.originaltext ?? '',
+        duration: end - currentTime,
+        wordCount: wordCounts[index],
+        index: captions.length + 1,
+        sourceSegmentId: segment.id,
+        sourceTiming: true
+      });
+      
+      currentTime = end;
+    });
+  });
+  
+  return captions;
+}
+
 function chunkText(text, config) {
   const chunks = [];
   const sentences = text.split(config.delimiter);
@@ -376,8 +474,19 @@ const regenerateSegmentTiming = async (segments, totalDuration, jobId) => {
   return timedSegments;
 };
 
+// Cue timings supplied by a person (translated SRT/VTT files) are kept as they are
+const segmentsAsCues = (segments, maxCharsPerLine) => segments
+  .filter(segment => segment.text && segment.text.trim().length > 0)
+  .map((segment, index) => ({
+    index: index + 1,
+    start: segment.start,
+    end: segment.end,
+    text: breakLongLines(segment.text.trim(), maxCharsPerLine)
+  }));
+
 // GENERATE WEBVTT WITH GROUPED WORDS (4-6 WORDS PER CAPTION)
-const generateWebVTT = async (segments, targetLanguage, targetLanguageName, jobId) => {
+// options.preserveSegments: one cue per segment instead of regrouping words
+export const generateWebVTT = async (segments, targetLanguage, targetLanguageName, jobId, options = {}) => {
   console.log(`[${jobId}] Generating WebVTT format for ${segments.length} segments...`);
   
   // ✅ FIX: Group words for better readability
@@ -397,6 +506,15 @@ Generated: ${new Date().toISOString()}
 
 `;
 
+  if (options.preserveSegments) {
+    const cues = segmentsAsCues(segments, MAX_CHARS_PER_LINE);
+    cues.forEach(cue => {
+      webvtt += `${cue.index}\n${formatTimeWebVTT(cue.start)} --> ${formatTimeWebVTT(cue.end)}\n${cue.text}\n\n`;
+    });
+    console.log(`[${jobId}] ✅ WebVTT generation completed: ${cues.length} captions kept from the source cues`);
+    return webvtt;
+  }
+
   // ✅ NEW: Process all segments to extract words with timings
   const allWordsWithTiming = [];
   
@@ -457,12 +575,22 @@ const words = segment.text.trim()
 
 
 // GENERATE SRT WITH GROUPED WORDS
-const generateSRT = async (segments, jobId) => {
+// options.preserveSegments: one cue per segment instead of regrouping words
+export const generateSRT = async (segments, jobId, options = {}) => {
   console.log(`[${jobId}] Generating SRT format for ${segments.length} segments...`);
   
   const WORDS_PER_CAPTION = 5;  // Show 4-6 words at a time
   const MAX_CHARS_PER_LINE = 42;
   
+  if (options.preserveSegments) {
+    const cues = segmentsAsCues(segments, MAX_CHARS_PER_LINE);
+    const srt = cues
+      .map(cue => `${cue.index}\n${formatTimeSRT(cue.start)} --> ${formatTimeSRT(cue.end)}\n${cue.text}\n\n`)
+      .join('');
+    console.log(`[${jobId}] ✅ SRT generation completed: ${cues.length} captions kept from the source cues`);
+    return srt;
+  }
+  
   // Extract all words with timing
   const allWordsWithTiming = [];
   
@@ -907,6 +1035,7 @@ export const generateWordLevelCaptions = async (segments, jobId) => {
 export default {
   generateCaptions,
   generateAccurateCaptions,  // <-- ADD THIS LINE
+  generateSourceCaptions,
   generateWebVTT: generateWebVTT,
   generateSRT,
   generatePlainTextTranscript,
@@ -0,0 +1,272 @@
+// services/diarizationService.js - SPEAKER DIARIZATION AND PER-SPEAKER VOICES
+//
+// Transcription segments are labelled SPEAKER_00, SPEAKER_01, ... by scripts/diarize.py.
+// Each job then maps every speaker to a TTS voice of its target language: automatically by
+// detected gender, or manually through the speakers API.
+
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { exec, registerTempPath } from '../utils/jobContext.js';
+import Upload from '../models/uploadModel.js';
+import { getAudioConfig } from '../config/audioConfig.js';
+import { getSupportedVoices, validateVoiceSelection } from './ttsService.js';
+import { reportWarning } from './jobEventService.js';
+
+const execAsync = promisify(exec);
+
+// Same-gender speakers share a voice, so they are told apart by pitch
+const PITCH_STEPS = ['+0Hz', '-12Hz', '+12Hz', '-24Hz', '+24Hz'];
+
+const PITCH_PATTERN = /^[+-]\d{1,3}Hz$/;
+
+// ===== ERRORS =====
+export class SpeakerVoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SpeakerVoiceError';
+    this.status = status;
+  }
+}
+
+// Job whose speakers can be given voices: it needs a single target language
+const loadVoiceJob = async (jobId) => {
+  const upload = await Upload.findById(jobId).select('speakers speaker_voices parent_job_id target_language').lean();
+  if (!upload) throw new SpeakerVoiceError(`Job ${jobId} not found`, 404);
+  if (!upload.target_language) {
+    throw new SpeakerVoiceError(`Job ${jobId} has no single target language; set voices on its language jobs`);
+  }
+  return upload;
+};
+
+// ===== DIARIZATION =====
+/**
+ * Label transcription segments with speakers (in place)
+ * @param {Object} transcription - Transcription result with timed segments
+ * @param {string} audioPath - Audio the transcription was made from
+ * @param {string} jobId - Job ID
+ * @param {Object} [options] - { numSpeakers } when the speaker count is known
+ * @returns {Promise<Object>} - The transcription, with segment.speaker, speakers and diarization set on success
+ */
+export const diarizeTranscription = async (transcription, audioPath, jobId, options = {}) => {
+  const segments = transcription?.segments || [];
+  const timed = segments.every(seg => Number.isFinite(seg.start) && Number.isFinite(seg.end));
+
+  if (segments.length === 0 || !timed) {
+    console.warn(`[${jobId}] ⚠️ Diarization skipped: transcription has no timed segments`);
+    return transcription;
+  }
+
+  const config = getAudioConfig();
+  const scriptPath = path.join(process.cwd(), 'scripts', 'diarize.py');
+  const tempDir = registerTempPath(path.join(process.cwd(), 'uploads', 'temp', `diarization_${jobId}_${Date.now()}`));
+  const segmentsPath = path.join(tempDir, 'segments.json');
+  const outputPath = path.join(tempDir, 'diarization.json');
+
+  try {
+    fs.mkdirSync(tempDir, { recursive: true });
+    fs.writeFileSync(segmentsPath, JSON.stringify(segments.map(seg => ({ start: seg.start, end: seg.end }))));
+
+    let command = `${config.pythonPath} "${scriptPath}" "${audioPath}" "${segmentsPath}" "${outputPath}"`;
+    command += ` --max-speakers ${config.diarizationMaxSpeakers} --threshold ${config.diarizationThreshold}`;
+    if (options.numSpeakers) command += ` --num-speakers ${parseInt(options.numSpeakers, 10)}`;
+    if (config.diarizationModelPath) command += ` --model "${config.diarizationModelPath}"`;
+
+    console.log(`[${jobId}] 🗣️ Running speaker diarization on ${segments.length} segments...`);
+    const { stderr } = await execAsync(command, { timeout: config.diarizationTimeoutMs, maxBuffer: 10 * 1024 * 1024 });
+    if (stderr) {
+      console.warn(`[${jobId}] Diarization stderr: ${stderr.trim().slice(-500)}`);
+    }
+
+    const result = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    if (!Array.isArray(result.labels) || result.labels.length !== segments.length) {
+      throw new Error('Diarization output does not match the transcription segments');
+    }
+
+    segments.forEach((segment, i) => { segment.speaker = result.labels[i]; });
+    transcription.speakers = result.speakers;
+    transcription.diarization = { method: result.method, speaker_count: result.speakers.length };
+
+    console.log(`[${jobId}] ✅ Diarization (${result.method}): ${result.speakers.map(s => `${s.speaker_id}=${s.gender || 'unknown'}`).join(', ')}`);
+
+  } catch (error) {
+    console.warn(`[${jobId}] ⚠️ Speaker diarization failed, continuing with a single voice: ${error.message}`);
+    reportWarning(jobId, 'Speaker diarization failed; all speakers will use one voice', { step: 'transcription' });
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  return transcription;
+};
+
+// Persist the detected speakers on the job
+export const saveSpeakers = async (jobId, transcription) => {
+  if (!transcription?.speakers?.length) return null;
+
+  return Upload.findByIdAndUpdate(jobId, {
+    speakers: transcription.speakers,
+    diarization_method: transcription.diarization?.method || null
+  });
+};
+
+// ===== VOICE MAPPING =====
+/**
+ * Map speakers to voices of the target language
+ * Speakers get the language's voice for their gender (voice/gender or alternative/alternativeGender);
+ * further speakers of the same gender get the same voice at a different pitch.
+ * @param {Object[]} speakers - [{ speaker_id, gender }]
+ * @param {string} targetLanguage - Language code
+ * @param {Object} [current] - Existing mapping; 'manual' entries are kept
+ * @returns {Object} - { SPEAKER_00: { voice, pitch, gender, source } }
+ */
+export const assignSpeakerVoices = (speakers, targetLanguage, current = {}) => {
+  const voices = getSupportedVoices();
+  const voiceConfig = voices[targetLanguage] || voices.en;
+  const voiceByGender = {
+    [voiceConfig.gender]: voiceConfig.voice,
+    [voiceConfig.alternativeGender]: voiceConfig.alternative
+  };
+
+  const mapping = {};
+  const uses = {};
+  const countUse = (voice) => (uses[voice] = (uses[voice] || 0) + 1);
+
+  // Manual choices first, so automatic pitches steer around them
+  for (const speaker of speakers) {
+    const existing = current[speaker.speaker_id];
+    if (existing?.source === 'manual') {
+      mapping[speaker.speaker_id] = existing;
+      countUse(existing.voice);
+    }
+  }
+
+  for (const speaker of speakers) {
+    if (mapping[speaker.speaker_id]) continue;
+
+    const gender = speaker.gender || voiceConfig.gender;
+    const voice = voiceByGender[gender] || voiceConfig.voice;
+    const use = countUse(voice);
+
+    mapping[speaker.speaker_id] = {
+      voice,
+      pitch: PITCH_STEPS[(use - 1) % PITCH_STEPS.length],
+      gender,
+      source: 'auto'
+    };
+  }
+
+  return mapping;
+};
+
+// Speakers come from the job itself, or from the parent that transcribed for it
+const loadJobSpeakers = async (upload) => {
+  if (upload.speakers?.length > 0) return upload.speakers;
+  if (!upload.parent_job_id) return [];
+
+  const parent = await Upload.findById(upload.parent_job_id).select('speakers').lean();
+  return parent?.speakers || [];
+};
+
+/**
+ * Speaker -> voice mapping for a job's TTS, saved back on the job
+ * @param {string} jobId - Job ID
+ * @param {string} targetLanguage - Language code
+ * @returns {Promise<Object|null>} - Mapping, or null when the job has no diarized speakers
+ */
+export const resolveSpeakerVoices = async (jobId, targetLanguage) => {
+  try {
+    const upload = await Upload.findById(jobId).select('speakers speaker_voices parent_job_id').lean();
+    if (!upload) return null;
+
+    const speakers = await loadJobSpeakers(upload);
+    if (speakers.length === 0) return null;
+
+    const mapping = assignSpeakerVoices(speakers, targetLanguage, upload.speaker_voices || {});
+    await Upload.findByIdAndUpdate(jobId, { speaker_voices: mapping });
+
+    console.log(`[${jobId}] 🗣️ Speaker voices: ${Object.entries(mapping).map(([id, v]) => `${id}→${v.voice} ${v.pitch}`).join(', ')}`);
+    return mapping;
+
+  } catch (error) {
+    console.warn(`[${jobId}] ⚠️ Could not resolve speaker voices: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Speakers of a job with their current voices
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - { speakers, voices, target_language, diarization_method } or null if the job is missing
+ */
+export const getJobSpeakers = async (jobId) => {
+  const upload = await Upload.findById(jobId)
+    .select('speakers speaker_voices parent_job_id target_language diarization_method diarization_enabled')
+    .lean();
+  if (!upload) return null;
+
+  const speakers = await loadJobSpeakers(upload);
+  const voices = upload.target_language
+    ? assignSpeakerVoices(speakers, upload.target_language, upload.speaker_voices || {})
+    : {};
+
+  return {
+    diarization_enabled: Boolean(upload.diarization_enabled),
+    diarization_method: upload.diarization_method || null,
+    target_language: upload.target_language || null,
+    speakers: speakers.map(speaker => ({ ...speaker, voice: voices[speaker.speaker_id] || null }))
+  };
+};
+
+/**
+ * Pin a speaker to a voice (and optionally a pitch) for this job
+ * @param {string} jobId - Job ID
+ * @param {string} speakerId - e.g. SPEAKER_01
+ * @param {Object} choice - { voice, pitch }
+ * @returns {Promise<Object>} - Updated mapping
+ */
+export const setSpeakerVoice = async (jobId, speakerId, { voice, pitch = '+0Hz' }) => {
+  if (!voice) {
+    throw new SpeakerVoiceError('Send the voice to use, e.g. { "voice": "hi-IN-MadhurNeural" }');
+  }
+  if (!PITCH_PATTERN.test(pitch)) {
+    throw new SpeakerVoiceError(`Invalid pitch '${pitch}': expected e.g. +0Hz or -12Hz`);
+  }
+
+  const upload = await loadVoiceJob(jobId);
+
+  // Same catalogue as the upload form's voice option
+  const invalid = validateVoiceSelection([upload.target_language], { voice });
+  if (invalid) throw new SpeakerVoiceError(invalid);
+  const speakers = await loadJobSpeakers(upload);
+  const speaker = speakers.find(s => s.speaker_id === speakerId);
+  if (!speaker) throw new SpeakerVoiceError(`Speaker ${speakerId} not found for job ${jobId}`, 404);
+
+  const current = { ...(upload.speaker_voices || {}) };
+  current[speakerId] = { voice, pitch, gender: speaker.gender || null, source: 'manual' };
+
+  const mapping = assignSpeakerVoices(speakers, upload.target_language, current);
+  await Upload.findByIdAndUpdate(jobId, { speaker_voices: mapping });
+  return mapping;
+};
+
+// Back to automatic assignment for one speaker
+export const resetSpeakerVoice = async (jobId, speakerId) => {
+  const upload = await loadVoiceJob(jobId);
+
+  const current = { ...(upload.speaker_voices || {}) };
+  delete current[speakerId];
+
+  const mapping = assignSpeakerVoices(await loadJobSpeakers(upload), upload.target_language, current);
+  await Upload.findByIdAndUpdate(jobId, { speaker_voices: mapping });
+  return mapping;
+};
+
+export default {
+  diarizeTranscription,
+  saveSpeakers,
+  assignSpeakerVoices,
+  resolveSpeakerVoices,
+  getJobSpeakers,
+  setSpeakerVoice,
+  resetSpeakerVoice
+};
@@ -0,0 +1,192 @@
+// services/glossaryService.js - GLOSSARY / TERMBASE ENFORCEMENT
+
+import GlossaryTerm from '../models/glossaryModel.js';
+
+// Whisper only looks at the last ~224 tokens of its prompt
+const MAX_TRANSCRIPTION_PROMPT_CHARS = 600;
+
+// ===== LOOKUP =====
+export const getGlossaryTerms = async (sourceLanguage, targetLanguage, jobId = 'unknown') => {
+  try {
+    const terms = await GlossaryTerm.findForPair(sourceLanguage, targetLanguage);
+    if (terms.length > 0) {
+      console.log(`[${jobId}] 📘 Loaded ${terms.length} glossary terms for ${sourceLanguage || '*'} → ${targetLanguage}`);
+    }
+    return terms;
+  } catch (error) {
+    console.warn(`[${jobId}] ⚠️ Glossary lookup failed, continuing without glossary: ${error.message}`);
+    return [];
+  }
+};
+
+const getExpectedTarget = (term) => term.do_not_translate ? term.source_term : term.target_term;
+
+// ===== MATCHING =====
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// \b only understands ASCII, so use Unicode letter/mark/number lookarounds for Indic scripts
+const buildTermPattern = (termText, caseSensitive, global = true) => {
+  const flags = `u${global ? 'g' : ''}${caseSensitive ? '' : 'i'}`;
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(termText)}(?![\\p{L}\\p{M}\\p{N}])`, flags);
+};
+
+const countMatches = (text, termText, caseSensitive) => {
+  if (!text || !termText) return 0;
+  return (text.match(buildTermPattern(termText, caseSensitive)) || []).length;
+};
+
+// Glossary terms that occur in a source text
+export const findTermsInText = (text, terms = []) => {
+  return terms.filter(term => countMatches(text, term.source_term, term.case_sensitive) > 0);
+};
+
+// ===== ENFORCEMENT BEFORE TRANSLATION =====
+// Swap glossary terms for placeholders the translation engines pass through unchanged
+export const protectTerms = (text, terms = []) => {
+  // Collect non-overlapping matches on the original text; longer terms come first and win
+  const matches = [];
+  for (const term of terms) {
+    for (const match of text.matchAll(buildTermPattern(term.source_term, term.case_sensitive))) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!matches.some(m => start < m.end && end > m.start)) {
+        matches.push({ start, end, term });
+      }
+    }
+  }
+  matches.sort((a, b) => a.start - b.start);
+
+  const placeholders = [];
+  let protectedText = '';
+  let cursor = 0;
+
+  for (const match of matches) {
+    const token = `__TERM_${placeholders.length}__`;
+    placeholders.push({ token, term: match.term });
+    protectedText += text.slice(cursor, match.start) + token;
+    cursor = match.end;
+  }
+  protectedText += text.slice(cursor);
+
+  return { text: protectedText, placeholders };
+};
+
+// ===== ENFORCEMENT AFTER TRANSLATION =====
+// Put the glossary target back where each placeholder survived translation
+export const restoreTerms = (translatedText, placeholders = []) => {
+  const restored = new Set();
+
+  // Engines sometimes add spaces or change case inside the token
+  const text = translatedText.replace(/_{1,2}\s*TERM\s*_?\s*(\d+)\s*_{1,2}/gi, (match, index) => {
+    const placeholder = placeholders[parseInt(index, 10)];
+    if (!placeholder) return match;
+    restored.add(placeholder.token);
+    return getExpectedTarget(placeholder.term);
+  });
+
+  const lost = placeholders.filter(p => !restored.has(p.token)).map(p => p.term);
+  return { text, lost };
+};
+
+// Normalise case-insensitive hits of a target term to the glossary spelling
+export const enforceTargetTerms = (translatedText, terms = []) => {
+  let text = translatedText;
+  for (const term of terms) {
+    const expected = getExpectedTarget(term);
+    if (!expected || term.case_sensitive) continue;
+    text = text.replace(buildTermPattern(expected, false), expected);
+  }
+  return text;
+};
+
+// ===== VIOLATION CHECK =====
+// Every glossary term in the source must show up as its target in the translation
+export const findGlossaryViolations = (sourceText, translatedText, terms = []) => {
+  const violations = [];
+
+  for (const term of findTermsInText(sourceText, terms)) {
+    const expected = getExpectedTarget(term);
+    const sourceCount = countMatches(sourceText, term.source_term, term.case_sensitive);
+    const targetCount = countMatches(translatedText, expected, term.case_sensitive);
+
+    if (targetCount < sourceCount) {
+      violations.push({
+        source_term: term.source_term,
+        expected_term: expected,
+        do_not_translate: !!term.do_not_translate,
+        expected_count: sourceCount,
+        found_count: targetCount,
+        issue: targetCount === 0 ? 'missing_term' : 'term_count_mismatch'
+      });
+    }
+  }
+
+  return violations;
+};
+
+// ===== TRANSLATION WRAPPER =====
+// Split in two so batch engines can protect many texts, translate them together, then restore
+export const prepareGlossaryText = (text, terms = []) => {
+  const matchedTerms = findTermsInText(text, terms);
+  if (matchedTerms.length === 0) {
+    return { text, placeholders: [], matchedTerms };
+  }
+  const { text: protectedText, placeholders } = protectTerms(text, matchedTerms);
+  return { text: protectedText, placeholders, matchedTerms };
+};
+
+export const finishGlossaryText = (sourceText, translatedText, prepared) => {
+  if (prepared.matchedTerms.length === 0) {
+    return { text: translatedText, glossary_terms: [], glossary_violations: [] };
+  }
+
+  const { text: restoredText } = restoreTerms(translatedText, prepared.placeholders);
+  const finalText = enforceTargetTerms(restoredText, prepared.matchedTerms);
+
+  return {
+    text: finalText,
+    glossary_terms: prepared.matchedTerms.map(term => term.source_term),
+    glossary_violations: findGlossaryViolations(sourceText, finalText, prepared.matchedTerms)
+  };
+};
+
+/**
+ * Translate one text with glossary terms protected, restored and checked
+ * @param {string} text - Source text
+ * @param {Object[]} terms - Glossary terms for the language pair
+ * @param {Function} translateFn - (protectedText) => Promise<{ text, ... }>
+ * @returns {Promise<Object>} - Translation result plus glossary_violations
+ */
+export const translateWithGlossary = async (text, terms, translateFn) => {
+  const prepared = prepareGlossaryText(text, terms);
+  const result = await translateFn(prepared.text);
+  return { ...result, ...finishGlossaryText(text, result.text, prepared) };
+};
+
+// ===== TRANSCRIPTION HINT =====
+// Source terms as a Whisper prompt so domain names are spelled consistently in the transcript
+export const buildTranscriptionPrompt = (terms = []) => {
+  const sourceTerms = [...new Set(terms.map(term => term.source_term))];
+  let prompt = '';
+
+  for (const term of sourceTerms) {
+    const next = prompt ? `${prompt}, ${term}` : term;
+    if (next.length > MAX_TRANSCRIPTION_PROMPT_CHARS) break;
+    prompt = next;
+  }
+
+  return prompt || null;
+};
+
+export default {
+  getGlossaryTerms,
+  findTermsInText,
+  protectTerms,
+  restoreTerms,
+  enforceTargetTerms,
+  findGlossaryViolations,
+  prepareGlossaryText,
+  finishGlossaryText,
+  translateWithGlossary,
+  buildTranscriptionPrompt
+};
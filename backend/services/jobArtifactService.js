@@ -0,0 +1,160 @@
+// services/jobArtifactService.js - PERSISTED PIPELINE ARTIFACTS FOR RESUME
+
+import fs from 'fs';
+import path from 'path';
+
+// ===== PIPELINE STEP ORDER (matches logProcessingStep names in processVideo) =====
+export const PIPELINE_STEPS = [
+  'audio_extraction',
+  'transcription',
+  'translation',
+  'tts_generation',
+  'aligning_translation',
+  'video_assembly'
+];
+
+// ===== ARTIFACT LOCATIONS =====
+export const getArtifactPaths = (jobId) => ({
+  audio: path.join('uploads', 'audio', `${jobId}_audio.wav`),
+  audio_hq: path.join('uploads', 'audio', `${jobId}_audio_hq.wav`),
+  background: path.join('uploads', 'audio', `${jobId}_audio_background.wav`),
+  transcription: path.join('uploads', 'transcription', jobId, 'transcription_results.json'),
+  translation: path.join('uploads', 'translations', `${jobId}_translation.json`),
+  translated_audio: path.join('uploads', 'translated_audio', `${jobId}_translated.wav`),
+  translated_alignment: path.join('uploads', 'alignment', `${jobId}_translated_alignment.json`)
+});
+
+// Artifact each step leaves behind, and what a step needs from upstream
+const STEP_OUTPUTS = {
+  audio_extraction: 'audio',
+  transcription: 'transcription',
+  translation: 'translation',
+  tts_generation: 'translated_audio',
+  aligning_translation: 'translated_alignment'
+};
+
+const STEP_INPUTS = {
+  audio_extraction: [],
+  transcription: ['audio'],
+  translation: ['transcription'],
+  tts_generation: ['translation'],
+  aligning_translation: ['translation', 'translated_audio'],
+  video_assembly: ['translation', 'translated_audio', 'translated_alignment']
+};
+
+// ===== ERRORS =====
+export class MissingArtifactError extends Error {
+  constructor(jobId, fromStep, missing) {
+    super(`Cannot resume job ${jobId} from '${fromStep}': missing ${missing.map(m => m.artifact).join(', ')}`);
+    this.name = 'MissingArtifactError';
+    this.jobId = jobId;
+    this.fromStep = fromStep;
+    this.missing = missing;
+  }
+}
+
+// ===== RESUME CHECKS =====
+export const isValidStep = (step) => PIPELINE_STEPS.includes(step);
+
+// Upstream artifacts that must exist on disk to start the pipeline at fromStep
+export const checkResumeArtifacts = (jobId, fromStep) => {
+  if (!isValidStep(fromStep)) {
+    throw new Error(`Unknown pipeline step '${fromStep}'. Valid steps: ${PIPELINE_STEPS.join(', ')}`);
+  }
+
+  const paths = getArtifactPaths(jobId);
+  const producedBy = Object.fromEntries(Object.entries(STEP_OUTPUTS).map(([step, artifact]) => [artifact, step]));
+
+  const missing = STEP_INPUTS[fromStep]
+    .filter(artifact => !fs.existsSync(paths[artifact]))
+    .map(artifact => ({
+      artifact,
+      path: paths[artifact],
+      produced_by: producedBy[artifact]
+    }));
+
+  return { ok: missing.length === 0, fromStep, missing };
+};
+
+// Earliest step whose output is missing - where an automatic resume should start
+export const detectResumeStep = (jobId) => {
+  const paths = getArtifactPaths(jobId);
+
+  for (const step of PIPELINE_STEPS) {
+    const artifact = STEP_OUTPUTS[step];
+    if (!artifact || !fs.existsSync(paths[artifact])) {
+      return step;
+    }
+  }
+
+  return 'video_assembly';
+};
+
+// ===== LOADERS =====
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+const writeJson = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+  return filePath;
+};
+
+// transcription_results.json wraps the Whisper result in { jobId, timestamp, transcription, ... }
+export const loadTranscriptionArtifact = (jobId) => {
+  const data = readJson(getArtifactPaths(jobId).transcription);
+  const transcription = data.transcription || data;
+
+  if (!transcription.text && !Array.isArray(transcription.segments)) {
+    throw new Error(`Transcription artifact for job ${jobId} has no text or segments`);
+  }
+  return transcription;
+};
+
+// Transcriptions that didn't come from Whisper, e.g. cues of an uploaded subtitle file
+export const saveTranscriptionArtifact = (jobId, transcription) => {
+  return writeJson(getArtifactPaths(jobId).transcription, transcription);
+};
+
+// Corrected transcriptions go back inside the Whisper wrapper when the file has one
+export const updateTranscriptionArtifact = (jobId, transcription) => {
+  const filePath = getArtifactPaths(jobId).transcription;
+  const data = readJson(filePath);
+  return writeJson(filePath, data.transcription ? { ...data, transcription } : transcription);
+};
+
+export const loadTranslationArtifact = (jobId) => {
+  const translation = readJson(getArtifactPaths(jobId).translation);
+
+  if (!translation.text) {
+    throw new Error(`Translation artifact for job ${jobId} has no text`);
+  }
+  return translation;
+};
+
+export const saveTranslationArtifact = (jobId, translation) => {
+  return writeJson(getArtifactPaths(jobId).translation, translation);
+};
+
+export const loadTranslatedAlignmentArtifact = (jobId) => {
+  return readJson(getArtifactPaths(jobId).translated_alignment);
+};
+
+export const saveTranslatedAlignmentArtifact = (jobId, alignment) => {
+  return writeJson(getArtifactPaths(jobId).translated_alignment, alignment);
+};
+
+export default {
+  PIPELINE_STEPS,
+  getArtifactPaths,
+  isValidStep,
+  checkResumeArtifacts,
+  detectResumeStep,
+  loadTranscriptionArtifact,
+  saveTranscriptionArtifact,
+  updateTranscriptionArtifact,
+  loadTranslationArtifact,
+  saveTranslationArtifact,
+  loadTranslatedAlignmentArtifact,
+  saveTranslatedAlignmentArtifact,
+  MissingArtifactError
+};
@@ -0,0 +1,133 @@
+// services/jobEventService.js - LIVE JOB PROGRESS EVENTS
+//
+// The pipeline and its services publish step transitions, per-step progress and warnings here;
+// GET /api/process/jobs/:jobId/events streams them to clients as Server-Sent Events.
+// Events live in this process only: a client connected to another instance sees the status
+// snapshot sent on connect, and the live stream once the job runs where it is connected.
+
+import { EventEmitter } from 'events';
+
+export const TERMINAL_EVENT_TYPES = ['completed', 'partially_completed', 'failed', 'cancelled'];
+
+// Channel carrying every job's events (webhooks)
+const ALL_JOBS = '*';
+
+// Recent events per job, replayed to clients that (re)connect with Last-Event-ID
+const MAX_BUFFERED_EVENTS = 200;
+// Buffers of finished jobs are kept briefly for late subscribers
+const FINISHED_RETENTION_MS = 5 * 60 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffers = new Map(); // jobId -> { lastId, events, progress, cleanupTimer }
+
+const getBuffer = (jobId) => {
+  let buffer = buffers.get(jobId);
+  if (!buffer) {
+    buffer = { lastId: 0, events: [], progress: new Map(), cleanupTimer: null };
+    buffers.set(jobId, buffer);
+  }
+  return buffer;
+};
+
+/**
+ * Publish an event for a job
+ * @param {string} jobId - Job ID
+ * @param {string} type - started, step, step_completed, progress, warning, awaiting_review, or a terminal type (completed, failed, ...)
+ * @param {Object} [data] - Event payload
+ * @returns {Object} - The event { id, type, jobId, timestamp, ...data }
+ */
+export const emitJobEvent = (jobId, type, data = {}) => {
+  const key = String(jobId);
+  const buffer = getBuffer(key);
+
+  // A resumed job starts a new run on the same buffer
+  if (buffer.cleanupTimer && !TERMINAL_EVENT_TYPES.includes(type)) {
+    clearTimeout(buffer.cleanupTimer);
+    buffer.cleanupTimer = null;
+  }
+
+  const event = { id: ++buffer.lastId, type, jobId: key, timestamp: new Date().toISOString(), ...data };
+  buffer.events.push(event);
+  if (buffer.events.length > MAX_BUFFERED_EVENTS) {
+    buffer.events.shift();
+  }
+
+  if (type === 'step') {
+    buffer.progress.clear();
+  }
+
+  if (TERMINAL_EVENT_TYPES.includes(type)) {
+    clearTimeout(buffer.cleanupTimer);
+    buffer.cleanupTimer = setTimeout(() => buffers.delete(key), FINISHED_RETENTION_MS);
+    buffer.cleanupTimer.unref?.();
+  }
+
+  emitter.emit(key, event);
+  emitter.emit(ALL_JOBS, event);
+  return event;
+};
+
+/**
+ * Report progress within a step; repeated calls only publish when the whole percentage changes
+ * @param {string} jobId - Job ID
+ * @param {string} step - Pipeline step
+ * @param {number} current - Items done (or seconds processed)
+ * @param {number} total - Items (or seconds) in the step
+ * @param {string} [message] - e.g. 'TTS segment 4/20'
+ */
+export const reportProgress = (jobId, step, current, total, message = null) => {
+  if (!jobId || !(total > 0)) return null;
+
+  const percent = Math.max(0, Math.min(100, Math.round((current / total) * 100)));
+  const progress = getBuffer(String(jobId)).progress;
+  if (progress.get(step) === percent) return null;
+  progress.set(step, percent);
+
+  return emitJobEvent(jobId, 'progress', { step, current, total, percent, ...(message && { message }) });
+};
+
+// Non-fatal problem worth showing to the user (a segment fell back to silence, ...)
+export const reportWarning = (jobId, message, data = {}) => {
+  if (!jobId) return null;
+  return emitJobEvent(jobId, 'warning', { message, ...data });
+};
+
+/**
+ * Buffered events of a job after a given event ID
+ * @param {string} jobId - Job ID
+ * @param {number} [afterId] - Last event ID the client saw
+ * @returns {Object[]}
+ */
+export const getRecentJobEvents = (jobId, afterId = 0) => {
+  const buffer = buffers.get(String(jobId));
+  return buffer ? buffer.events.filter(event => event.id > afterId) : [];
+};
+
+/**
+ * Listen to a job's events
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with each event
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToJobEvents = (jobId, listener) => {
+  const key = String(jobId);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+// Listen to the events of every job in this process
+export const subscribeToAllJobEvents = (listener) => {
+  emitter.on(ALL_JOBS, listener);
+  return () => emitter.off(ALL_JOBS, listener);
+};
+
+export default {
+  emitJobEvent,
+  reportProgress,
+  reportWarning,
+  getRecentJobEvents,
+  subscribeToJobEvents,
+  subscribeToAllJobEvents
+};
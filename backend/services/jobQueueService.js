@@ -0,0 +1,352 @@
+// services/jobQueueService.js - MONGO-BACKED JOB QUEUE WITH BOUNDED CONCURRENCY
+
+import os from 'os';
+import Upload from '../models/uploadModel.js';
+import { getQueueConfig } from '../config/queueConfig.js';
+import { runWithJobContext, cancelJob, JobCancelledError } from '../utils/jobContext.js';
+import { recordJobEvent } from './jobStateService.js';
+
+// ===== WORKER STATE =====
+const workerId = `${os.hostname()}-${process.pid}`;
+const activeJobs = new Map(); // jobId -> heartbeat interval
+let jobHandler = null;
+let settledHandler = null; // Called with (jobId, job, status) once a job reaches a terminal state
+let pollTimer = null;
+let polling = false;
+let stopping = false;
+
+// Queue fields cleared when a job leaves the worker
+const RELEASED_LEASE = { queue_state: 'done', lease_owner: null, lease_expires_at: null };
+
+// ===== ENQUEUE =====
+export const enqueueJob = async (jobId, options = {}, { priority = 0 } = {}) => {
+  const job = await recordJobEvent(jobId, 'queued', 'queued', {
+    priority,
+    ...(options.fromStep && { from_step: options.fromStep })
+  }, {
+    source: 'queue',
+    update: {
+      queue_state: 'queued',
+      queue_priority: priority,
+      queued_at: new Date(),
+      lease_owner: null,
+      lease_expires_at: null,
+      attempts: 0,
+      cancel_requested: false,
+      job_options: options
+    }
+  });
+
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+
+  console.log(`[${jobId}] 📥 Job queued (priority ${priority})`);
+
+  // Wake the local worker instead of waiting for the next poll
+  if (jobHandler && !stopping) {
+    setImmediate(pollQueue);
+  }
+
+  return job;
+};
+
+// ===== CLAIM NEXT JOB =====
+// Takes the oldest queued job, or a job whose lease ran out because its worker died
+const claimNextJob = async () => {
+  const { leaseMs } = getQueueConfig();
+  const now = new Date();
+
+  return Upload.findOneAndUpdate(
+    {
+      $or: [
+        { queue_state: 'queued' },
+        { queue_state: { $in: ['leased', 'running'] }, lease_expires_at: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        queue_state: 'leased',
+        lease_owner: workerId,
+        lease_expires_at: new Date(now.getTime() + leaseMs)
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { queue_priority: -1, queued_at: 1 }, new: true }
+  );
+};
+
+// ===== LEASE HEARTBEAT =====
+const renewLease = async (jobId) => {
+  const { leaseMs } = getQueueConfig();
+
+  try {
+    const renewed = await Upload.findOneAndUpdate(
+      { _id: jobId, lease_owner: workerId },
+      { lease_expires_at: new Date(Date.now() + leaseMs) }
+    );
+
+    if (!renewed) {
+      console.warn(`[${jobId}] ⚠️ Lease lost - job is now owned by another worker`);
+    } else if (renewed.cancel_requested) {
+      // Cancellation requested through an API instance that doesn't own this job
+      cancelJob(jobId, renewed.cancellation_reason || 'User requested cancellation');
+    }
+  } catch (error) {
+    console.warn(`[${jobId}] ⚠️ Lease renewal failed:`, error.message);
+  }
+};
+
+// ===== TERMINAL STATE =====
+// The pipeline records its own outcome; the queue only fills in when it didn't get that far
+const settleJob = async (jobId, status, data = {}) => {
+  const job = await Upload.findOneAndUpdate(
+    { _id: jobId, lease_owner: workerId },
+    { ...RELEASED_LEASE, cancel_requested: false },
+    { new: true }
+  ).select('processing_status').lean();
+
+  if (job && job.processing_status !== status) {
+    await recordJobEvent(jobId, status, status, data, { source: 'queue' });
+  }
+};
+
+// ===== SETTLED HOOK =====
+const notifySettled = async (jobId, job, status) => {
+  if (!settledHandler) return;
+  try {
+    await settledHandler(jobId, job, status);
+  } catch (error) {
+    console.warn(`[${jobId}] ⚠️ Settled hook failed:`, error.message);
+  }
+};
+
+// ===== RUN A CLAIMED JOB =====
+const runJob = async (job) => {
+  const jobId = job._id.toString();
+  const { leaseMs, maxAttempts } = getQueueConfig();
+
+  if (job.attempts > maxAttempts) {
+    console.error(`[${jobId}] ❌ Giving up after ${job.attempts - 1} expired leases`);
+    await recordJobEvent(jobId, 'failed', 'failed', {
+      failed_at: new Date(),
+      error_message: `Job abandoned after ${job.attempts - 1} worker lease expiries`
+    }, { source: 'queue', update: RELEASED_LEASE });
+    activeJobs.delete(jobId);
+    await notifySettled(jobId, job, 'failed');
+    return;
+  }
+
+  if (job.attempts > 1) {
+    console.log(`[${jobId}] ♻️ Reclaimed expired lease (attempt ${job.attempts}/${maxAttempts})`);
+  }
+
+  const heartbeat = setInterval(() => renewLease(jobId), Math.max(1000, Math.floor(leaseMs / 3)));
+  activeJobs.set(jobId, heartbeat);
+
+  try {
+    await recordJobEvent(jobId, 'processing', 'starting', { worker: workerId, attempt: job.attempts }, {
+      source: 'queue',
+      filter: { lease_owner: workerId },
+      update: {
+        queue_state: 'running',
+        processing_started_at: job.processing_started_at || new Date()
+      }
+    });
+
+    console.log(`[${jobId}] 🏃 Worker ${workerId} started job (${activeJobs.size} active)`);
+
+    const result = await runWithJobContext(jobId, () => jobHandler(jobId, job.job_options || {}));
+
+    // Multi-language parent: its child jobs carry on, their results decide the final status
+    if (result?.awaiting_children) {
+      // The pipeline recorded 'awaiting_children'; only the lease is left to release
+      await Upload.findOneAndUpdate({ _id: jobId, lease_owner: workerId }, RELEASED_LEASE);
+
+      console.log(`[${jobId}] ✅ Job handed over to ${result.child_jobs?.length || 0} child jobs`);
+      return;
+    }
+
+    // Paused for a reviewer; approving the translation queues it again from tts_generation
+    if (result?.awaiting_review) {
+      await Upload.findOneAndUpdate({ _id: jobId, lease_owner: workerId }, RELEASED_LEASE);
+
+      console.log(`[${jobId}] 📝 Job paused for translation review`);
+      return;
+    }
+
+    const completedAt = new Date();
+    await settleJob(jobId, 'completed', {
+      completed_at: completedAt,
+      processing_duration_ms: completedAt - (job.processing_started_at || job.queued_at || completedAt),
+      ...(result?.final_video_path && { processed_file_path: result.final_video_path })
+    });
+
+    console.log(`[${jobId}] ✅ Job finished`);
+    await notifySettled(jobId, job, 'completed');
+
+  } catch (error) {
+    // stopQueueWorker already handed the job back; it is not settled
+    if (stopping) {
+      console.log(`[${jobId}] ⏸️ Stopped by shutdown, left in the queue`);
+      return;
+    }
+
+    if (error instanceof JobCancelledError) {
+      console.log(`[${jobId}] 🛑 Job cancelled at step: ${error.step || 'unknown'}`);
+
+      try {
+        await settleJob(jobId, 'cancelled', {
+          cancelled_at: new Date(),
+          cancelled_step: error.step || null,
+          cancellation_reason: error.reason
+        });
+      } catch (updateError) {
+        console.error(`[${jobId}] Failed to update cancelled status:`, updateError.message);
+      }
+      await notifySettled(jobId, job, 'cancelled');
+      return;
+    }
+
+    console.error(`[${jobId}] ❌ Processing error:`, error.message);
+
+    try {
+      await settleJob(jobId, 'failed', {
+        failed_at: new Date(),
+        error_message: error.message
+      });
+    } catch (updateError) {
+      console.error(`[${jobId}] Failed to update error status:`, updateError.message);
+    }
+    await notifySettled(jobId, job, 'failed');
+
+  } finally {
+    clearInterval(heartbeat);
+    activeJobs.delete(jobId);
+
+    if (!stopping) {
+      setImmediate(pollQueue);
+    }
+  }
+};
+
+// ===== POLL LOOP =====
+const pollQueue = async () => {
+  if (polling || stopping || !jobHandler) return;
+  polling = true;
+
+  try {
+    const { concurrency } = getQueueConfig();
+
+    while (activeJobs.size < concurrency && !stopping) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      // Reserve the slot before the async run starts
+      activeJobs.set(job._id.toString(), null);
+      runJob(job).catch(error => {
+        console.error(`[${job._id}] ❌ Worker error:`, error.message);
+        activeJobs.delete(job._id.toString());
+      });
+    }
+  } catch (error) {
+    console.warn(`[QUEUE] ⚠️ Poll failed:`, error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+// ===== START / STOP =====
+export const startQueueWorker = ({ handler, onJobSettled = null }) => {
+  if (pollTimer) return;
+
+  const { concurrency, pollIntervalMs, leaseMs } = getQueueConfig();
+  jobHandler = handler;
+  settledHandler = onJobSettled;
+  stopping = false;
+
+  pollTimer = setInterval(pollQueue, pollIntervalMs);
+  setImmediate(pollQueue);
+
+  console.log(`[QUEUE] 🚦 Worker ${workerId} started (concurrency ${concurrency}, lease ${Math.round(leaseMs / 1000)}s)`);
+};
+
+// Hands in-flight jobs back to the queue so they restart without waiting for lease expiry
+export const stopQueueWorker = async () => {
+  stopping = true;
+
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  const jobIds = [...activeJobs.keys()];
+  for (const heartbeat of activeJobs.values()) {
+    if (heartbeat) clearInterval(heartbeat);
+  }
+
+  if (jobIds.length === 0) return;
+
+  try {
+    for (const jobId of jobIds) {
+      await recordJobEvent(jobId, 'queued', 'queued', { reason: 'Worker shutting down' }, {
+        source: 'queue',
+        filter: { lease_owner: workerId },
+        update: {
+          queue_state: 'queued',
+          lease_owner: null,
+          lease_expires_at: null,
+          $inc: { attempts: -1 }
+        }
+      });
+    }
+    console.log(`[QUEUE] 🔁 Released ${jobIds.length} in-flight job(s) back to the queue`);
+  } catch (error) {
+    console.warn(`[QUEUE] ⚠️ Failed to release jobs on shutdown:`, error.message);
+  }
+};
+
+// ===== QUEUE INFO =====
+export const getQueueInfo = async (jobId) => {
+  const job = await Upload.findById(jobId)
+    .select('queue_state queued_at lease_owner lease_expires_at attempts')
+    .lean();
+
+  if (!job || !job.queue_state) return null;
+
+  return {
+    state: job.queue_state,
+    position: await Upload.getQueuePosition(jobId),
+    queued_at: job.queued_at,
+    attempts: job.attempts,
+    worker: job.lease_owner || null,
+    lease_expires_at: job.lease_expires_at || null
+  };
+};
+
+export const getQueueStats = async () => {
+  const { concurrency } = getQueueConfig();
+  const counts = await Upload.aggregate([
+    { $match: { queue_state: { $in: ['queued', 'leased', 'running'] } } },
+    { $group: { _id: '$queue_state', count: { $sum: 1 } } }
+  ]);
+
+  const byState = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+  return {
+    worker: workerId,
+    concurrency,
+    active_on_worker: activeJobs.size,
+    queued: byState.queued || 0,
+    leased: byState.leased || 0,
+    running: byState.running || 0
+  };
+};
+
+export default {
+  enqueueJob,
+  startQueueWorker,
+  stopQueueWorker,
+  getQueueInfo,
+  getQueueStats
+};
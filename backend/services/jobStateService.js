@@ -0,0 +1,161 @@
+// services/jobStateService.js - JOB STATE: EVENT HISTORY PLUS CURRENT STATUS
+//
+// Every state change of a job goes through recordJobEvent: it appends a JobEvent, copies the
+// new status, step and related fields onto the Upload record, and publishes the live event.
+// Routes read the Upload for the current state and the JobEvent timeline for the history.
+
+import Upload from '../models/uploadModel.js';
+import JobEvent from '../models/jobEventModel.js';
+import { emitJobEvent, TERMINAL_EVENT_TYPES } from './jobEventService.js';
+
+// Event data copied onto the Upload record as-is
+const DENORMALIZED_FIELDS = [
+  'source_language',
+  'target_language',
+  'error_message',
+  'completed_at',
+  'failed_at',
+  'cancelled_at',
+  'cancelled_step',
+  'cancellation_reason',
+  'processing_duration_ms',
+  'processed_file_path'
+];
+
+const pickDenormalized = (data = {}) => {
+  const fields = {};
+  for (const field of DENORMALIZED_FIELDS) {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  }
+  return fields;
+};
+
+/**
+ * Record a job state change
+ * @param {string} jobId - Job ID
+ * @param {string} status - queued, processing, completed, failed, cancelled, ...
+ * @param {string} step - Pipeline step (or the status for terminal states)
+ * @param {Object} [data] - Event details; known fields (error_message, completed_at, ...) also land on the Upload
+ * @param {Object} [options]
+ * @param {string} [options.source] - Who recorded it: pipeline, queue, api, migration
+ * @param {Object} [options.update] - Extra Upload fields to set in the same write (queue state, ...)
+ * @param {Object} [options.filter] - Extra match conditions; nothing is recorded when the job doesn't match
+ * @param {boolean} [options.emit] - Publish the live event (default true)
+ * @returns {Promise<Object|null>} - Updated Upload, or null when the job doesn't exist or match
+ */
+export const recordJobEvent = async (jobId, status, step, data = {}, { source = 'pipeline', update = {}, filter = {}, emit = true } = {}) => {
+  const timestamp = new Date();
+
+  const upload = await Upload.findOneAndUpdate(
+    { _id: jobId, ...filter },
+    {
+      ...pickDenormalized(data),
+      ...update,
+      processing_status: status,
+      processing_step: step,
+      last_event_at: timestamp
+    },
+    { new: true }
+  );
+
+  if (!upload) return null;
+
+  await JobEvent.create({ job_id: jobId, status, step, data, source, timestamp });
+
+  // Live progress stream and webhooks; stack traces stay in the stored event
+  if (emit) {
+    const { error_stack, ...eventData } = data;
+    emitJobEvent(jobId, TERMINAL_EVENT_TYPES.includes(status) ? status : 'step', { status, step, ...eventData });
+  }
+
+  return upload;
+};
+
+/**
+ * A job's recorded state changes, oldest first
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object[]>} - [{ status, step, timestamp, source, ...data }]
+ */
+export const getJobTimeline = async (jobId) => {
+  const events = await JobEvent.getTimeline(jobId);
+  return events.map(event => ({
+    step: event.step,
+    status: event.status,
+    timestamp: event.timestamp,
+    source: event.source,
+    ...(event.data || {})
+  }));
+};
+
+/**
+ * Import a job's history recorded elsewhere (the former uploads/logs/<jobId>_processing.json files)
+ * The Upload takes the imported latest state unless it already has newer events, or the queue
+ * settled the job while the imported history stops mid-pipeline. Importing a job twice is a no-op.
+ * @param {string} jobId - Job ID
+ * @param {Object[]} events - [{ status, step, timestamp, data }], oldest first
+ * @returns {Promise<Object>} - { imported, updated, skipped }
+ */
+export const importJobHistory = async (jobId, events) => {
+  const upload = await Upload.findById(jobId).select('processing_status last_event_at').lean();
+  if (!upload) {
+    return { imported: 0, updated: false, skipped: 'job not found' };
+  }
+  if (events.length === 0) {
+    return { imported: 0, updated: false, skipped: 'no events' };
+  }
+  if (await JobEvent.exists({ job_id: jobId, source: 'migration' })) {
+    return { imported: 0, updated: false, skipped: 'already imported' };
+  }
+
+  await JobEvent.insertMany(events.map(event => ({
+    job_id: jobId,
+    status: event.status,
+    step: event.step,
+    data: event.data || {},
+    source: 'migration',
+    timestamp: event.timestamp
+  })));
+
+  const latest = events[events.length - 1];
+  const hasNewerEvents = upload.last_event_at && upload.last_event_at >= latest.timestamp;
+  const settledByQueue = TERMINAL_EVENT_TYPES.includes(upload.processing_status) && !TERMINAL_EVENT_TYPES.includes(latest.status);
+
+  if (hasNewerEvents || settledByQueue) {
+    return { imported: events.length, updated: false, skipped: null };
+  }
+
+  await Upload.findByIdAndUpdate(jobId, {
+    ...pickDenormalized(Object.assign({}, ...events.map(event => event.data || {}))),
+    processing_status: latest.status,
+    processing_step: latest.step,
+    last_event_at: latest.timestamp
+  });
+
+  return { imported: events.length, updated: true, skipped: null };
+};
+
+// Remove a deleted job's history
+export const deleteJobEvents = (jobId) => JobEvent.deleteMany({ job_id: jobId });
+
+/**
+ * Drop events older than the retention period; the Upload keeps each job's latest state
+ * @param {number} [days] - Retention in days
+ * @returns {Promise<number>} - Events removed
+ */
+export const cleanupOldJobEvents = async (days = 30) => {
+  const cutoffDate = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
+  const result = await JobEvent.deleteMany({ timestamp: { $lt: cutoffDate } });
+
+  console.log(`Cleaned up ${result.deletedCount} job events older than ${days} days`);
+  return result.deletedCount;
+};
+
+export default {
+  recordJobEvent,
+  getJobTimeline,
+  importJobHistory,
+  deleteJobEvents,
+  cleanupOldJobEvents
+};
@@ -1,6 +1,6 @@
 // services/lipSyncAnalyzer.js - FIXED PATH ESCAPING & VIDEO OPENING
 
-import { exec } from 'child_process';
+import { exec } from '../utils/jobContext.js';
 import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
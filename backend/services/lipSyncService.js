@@ -1,6 +1,6 @@
 // services/lipSyncService.js - FIXED VERSION FOR WINDOWS
 
-import { exec } from 'child_process';
+import { exec } from '../utils/jobContext.js';
 import { promisify } from 'util';
 import path from 'path';
 import fs from 'fs';
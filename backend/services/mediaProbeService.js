@@ -0,0 +1,214 @@
+// services/mediaProbeService.js - UPLOAD-TIME MEDIA INSPECTION
+//
+// The browser-supplied MIME type says nothing about what is inside the file. Every new upload is
+// run through ffprobe before its job is created, so files the pipeline cannot process (no audio
+// to transcribe, a broken container, a codec ffmpeg won't decode, hours over the limit) are
+// rejected with a 422 naming the reason instead of failing later in extractAudio.
+
+import { execFile } from 'child_process';
+import fs from 'fs';
+import { getUploadConfig } from '../config/uploadConfig.js';
+
+export class MediaProbeError extends Error {
+  constructor(message, reason, details = {}) {
+    super(message);
+    this.name = 'MediaProbeError';
+    this.status = 422;
+    this.reason = reason;     // no_audio_stream, no_video_stream, corrupt_container, unsupported_*_codec, duration_exceeded
+    this.details = details;
+  }
+}
+
+// ===== FFPROBE =====
+const runFfprobe = (filePath) => new Promise((resolve, reject) => {
+  const { ffprobePath, probeTimeoutMs } = getUploadConfig();
+  const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath];
+
+  execFile(ffprobePath, args, { timeout: probeTimeoutMs, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+    if (error?.code === 'ENOENT') {
+      // Not the file's fault: the server can't inspect anything
+      reject(new Error(`ffprobe not found at '${ffprobePath}'; install ffmpeg or set FFPROBE_PATH`));
+      return;
+    }
+    if (error?.killed) {
+      reject(new MediaProbeError(`Media inspection timed out after ${probeTimeoutMs}ms`, 'corrupt_container'));
+      return;
+    }
+    if (error) {
+      reject(new MediaProbeError('File could not be read as a media container', 'corrupt_container', {
+        ffprobe: (stderr || error.message).trim().slice(-500)
+      }));
+      return;
+    }
+
+    try {
+      resolve(JSON.parse(stdout));
+    } catch (parseError) {
+      reject(new MediaProbeError('File could not be read as a media container', 'corrupt_container'));
+    }
+  });
+});
+
+const parseFrameRate = (rate) => {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  return num > 0 && den > 0 ? Math.round((num / den) * 1000) / 1000 : null;
+};
+
+// ===== CONTENT SNIFFING =====
+// Container signatures of the accepted video and audio types, for files that arrive without a
+// trustworthy MIME type (URL downloads, watch-folder drops)
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+const ASF_HEADER = Buffer.from('3026b2758e66cf11a6d900aa0062ce6c', 'hex');
+const AUDIO_MP4_BRANDS = ['M4A ', 'M4B ', 'M4P '];
+
+// MPEG audio without an ID3 tag starts on a frame sync: eleven set bits
+const isMpegAudioFrame = (header) => header[0] === 0xff && (header[1] & 0xe0) === 0xe0;
+
+/**
+ * Media MIME type from the file's leading bytes
+ * @param {string} filePath - File to sniff
+ * @returns {string|null} - One of ALLOWED_MEDIA_TYPES, or null when unrecognised
+ */
+export const sniffMediaType = (filePath) => {
+  const header = Buffer.alloc(16);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const box = header.toString('latin1', 4, 8);
+  if (box === 'ftyp') {
+    const brand = header.toString('latin1', 8, 12);
+    if (AUDIO_MP4_BRANDS.includes(brand)) return 'audio/mp4';
+    return brand === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+  }
+  if (QUICKTIME_ATOMS.includes(box)) return 'video/quicktime';
+  if (header.toString('latin1', 0, 4) === 'RIFF') {
+    const form = header.toString('latin1', 8, 12);
+    if (form === 'AVI ') return 'video/avi';
+    if (form === 'WAVE') return 'audio/wav';
+  }
+  if (header.equals(ASF_HEADER)) return 'video/x-ms-wmv';
+  if (header.toString('latin1', 0, 4) === 'OggS') return 'audio/ogg';
+  if (header.toString('latin1', 0, 3) === 'ID3' || isMpegAudioFrame(header)) return 'audio/mpeg';
+  return null;
+};
+
+// File extension for a sniffed type, when the source name has none
+export const EXTENSION_FOR_TYPE = {
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/avi': '.avi',
+  'video/x-ms-wmv': '.wmv',
+  'audio/mp4': '.m4a',
+  'audio/wav': '.wav',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3'
+};
+
+// ===== INSPECTION =====
+/**
+ * Inspect a media file with ffprobe
+ * @param {string} filePath - File to inspect
+ * @returns {Promise<Object>} - Duration, container, stream and codec summary
+ */
+export const probeMedia = async (filePath) => {
+  const data = await runFfprobe(filePath);
+  const streams = Array.isArray(data.streams) ? data.streams : [];
+  const videoStream = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audioStreams = streams.filter(stream => stream.codec_type === 'audio');
+  const audioStream = audioStreams[0];
+
+  const duration = parseFloat(data.format?.duration ?? videoStream?.duration ?? audioStream?.duration);
+
+  return {
+    format: data.format?.format_name || null,
+    duration: Number.isFinite(duration) ? Math.round(duration * 1000) / 1000 : null,
+    bit_rate: parseInt(data.format?.bit_rate, 10) || null,
+    video: videoStream ? {
+      codec: videoStream.codec_name,
+      width: videoStream.width || null,
+      height: videoStream.height || null,
+      frame_rate: parseFrameRate(videoStream.avg_frame_rate || videoStream.r_frame_rate)
+    } : null,
+    audio: audioStream ? {
+      codec: audioStream.codec_name,
+      channels: audioStream.channels || null,
+      sample_rate: parseInt(audioStream.sample_rate, 10) || null
+    } : null,
+    audio_stream_count: audioStreams.length,
+    subtitle_stream_count: streams.filter(stream => stream.codec_type === 'subtitle').length
+  };
+};
+
+/**
+ * Inspect an upload and reject what the pipeline cannot process
+ * @param {string} filePath - Uploaded file
+ * @param {Object} [options]
+ * @param {boolean} [options.requireVideo=false] - Reject audio-only files (an output mode that needs a picture)
+ * @returns {Promise<Object>} - probeMedia result for a file that passed; audio_only is set when it has no picture
+ * @throws {MediaProbeError} - With a reason code and the inspected media
+ */
+export const validateUploadedMedia = async (filePath, { requireVideo = false } = {}) => {
+  const { maxDurationMinutes, supportedVideoCodecs, supportedAudioCodecs } = getUploadConfig();
+  const media = await probeMedia(filePath);
+
+  if (!media.format || (!media.video && !media.audio)) {
+    throw new MediaProbeError('File contains no readable audio or video streams', 'corrupt_container', { media });
+  }
+  if (!media.video && requireVideo) {
+    throw new MediaProbeError('File has no video stream', 'no_video_stream', { media });
+  }
+  if (!media.audio) {
+    throw new MediaProbeError('Video has no audio stream, so there is no speech to translate', 'no_audio_stream', { media });
+  }
+  if (!media.duration || media.duration <= 0) {
+    throw new MediaProbeError('Media duration could not be determined; the file may be truncated', 'corrupt_container', { media });
+  }
+  if (media.video && !supportedVideoCodecs.includes(media.video.codec)) {
+    throw new MediaProbeError(`Video codec '${media.video.codec}' is not supported`, 'unsupported_video_codec', {
+      media,
+      supported: supportedVideoCodecs
+    });
+  }
+  if (!supportedAudioCodecs.includes(media.audio.codec)) {
+    throw new MediaProbeError(`Audio codec '${media.audio.codec}' is not supported`, 'unsupported_audio_codec', {
+      media,
+      supported: supportedAudioCodecs
+    });
+  }
+  if (media.duration > maxDurationMinutes * 60) {
+    throw new MediaProbeError(
+      `Media is ${Math.ceil(media.duration / 60)} minutes long; the limit is ${maxDurationMinutes} minutes`,
+      'duration_exceeded',
+      { media, maxDurationMinutes }
+    );
+  }
+
+  return { ...media, audio_only: !media.video };
+};
+
+// Upload fields recorded from the inspection
+export const toUploadMediaFields = (media) => ({
+  duration_seconds: media.duration,
+  container_format: media.format,
+  video_codec: media.video?.codec || null,
+  video_resolution: media.video?.width && media.video?.height ? `${media.video.width}x${media.video.height}` : null,
+  video_frame_rate: media.video?.frame_rate || null,
+  audio_codec: media.audio?.codec || null,
+  audio_channels: media.audio?.channels || null,
+  audio_sample_rate: media.audio?.sample_rate || null,
+  has_embedded_captions: media.subtitle_stream_count > 0,
+  media_type: media.video ? 'video' : 'audio',
+  media_probed_at: new Date()
+});
+
+export default {
+  sniffMediaType,
+  probeMedia,
+  validateUploadedMedia,
+  toUploadMediaFields,
+  MediaProbeError
+};
@@ -0,0 +1,392 @@
+// services/multiTargetJobService.js - ONE UPLOAD, SEVERAL TARGET LANGUAGES
+//
+// The parent job extracts audio and transcribes once. It then seeds one child job per
+// target language with those artifacts and queues each child from the translation step.
+// The parent's status is recomputed from its children whenever one of them settles.
+
+import fs from 'fs';
+import path from 'path';
+import Upload from '../models/uploadModel.js';
+import { enqueueJob } from './jobQueueService.js';
+import { getArtifactPaths } from './jobArtifactService.js';
+import { cancelJob } from '../utils/jobContext.js';
+import { muxMultiTrackVideo } from './videoService.js';
+import { reportProgress } from './jobEventService.js';
+import { recordJobEvent } from './jobStateService.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// ===== TARGET LANGUAGE LIST =====
+// Accepts ['bn', 'ta'], 'bn,ta' or 'bn' - duplicates and blanks are dropped
+export const parseTargetLanguages = (value) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(items.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+};
+
+// ===== CHILD CREATION =====
+/**
+ * Create one child Upload per target language; they wait until the parent has transcribed
+ * @param {Object} parent - Saved parent Upload document
+ * @param {string[]} targetLanguages - Target language codes
+ * @param {Function} getLanguageName - Code -> display name
+ * @returns {Promise<Object[]>} - Child Upload documents, in targetLanguages order
+ */
+export const createChildJobs = async (parent, targetLanguages, getLanguageName) => {
+  const children = await Upload.insertMany(targetLanguages.map(targetLanguage => ({
+    filename: parent.filename,
+    originalName: parent.originalName,
+    size: parent.size,
+    file_path: parent.file_path,
+    content_hash: parent.content_hash,
+
+    source_language: parent.source_language,
+    sourceLanguage: parent.source_language,
+    sourceLang: parent.source_language,
+    fromLang: parent.source_language,
+    target_language: targetLanguage,
+    targetLanguage: targetLanguage,
+    targetLang: targetLanguage,
+    toLang: targetLanguage,
+    sourceLanguageName: getLanguageName(parent.source_language),
+    targetLanguageName: getLanguageName(targetLanguage),
+    translation_engine: parent.translation_engine,
+    output_mode: parent.output_mode,
+    output_container: parent.output_container,
+    review_mode: parent.review_mode,
+    diarization_enabled: parent.diarization_enabled,
+    tts_voice_gender: parent.tts_voice_gender,
+    tts_base_rate: parent.tts_base_rate,
+    tts_pitch: parent.tts_pitch,
+    callback_url: parent.callback_url,
+    callback_secret: parent.callback_secret,
+
+    parent_job_id: parent._id,
+    processing_status: 'waiting',
+    processing_step: 'waiting_for_transcription',
+    uploadedAt: parent.uploadedAt || new Date(),
+    createdAt: new Date()
+  })));
+
+  await Upload.findByIdAndUpdate(parent._id, {
+    child_job_ids: children.map(child => child._id)
+  });
+
+  for (const child of children) {
+    await recordJobEvent(child._id, 'waiting', 'waiting_for_transcription', {
+      parent_job_id: parent._id.toString(),
+      target_language: child.target_language
+    }, { source: 'api', emit: false });
+  }
+
+  return children;
+};
+
+// ===== FAN-OUT =====
+// Hard links keep the seeded copies free; fall back to a copy across filesystems
+const linkOrCopy = (from, to) => {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  if (fs.existsSync(to)) {
+    fs.unlinkSync(to);
+  }
+  try {
+    fs.linkSync(from, to);
+  } catch {
+    fs.copyFileSync(from, to);
+  }
+};
+
+// Give a child the parent's audio, transcription and (under its own ID) the original video
+const seedChildArtifacts = (parentJobId, child) => {
+  const childJobId = child._id.toString();
+  const parentPaths = getArtifactPaths(parentJobId);
+  const childPaths = getArtifactPaths(childJobId);
+
+  // Original audio, plus the high quality copy and separated background when the parent made them
+  for (const artifact of ['audio', 'audio_hq', 'background']) {
+    if (fs.existsSync(parentPaths[artifact])) {
+      linkOrCopy(parentPaths[artifact], childPaths[artifact]);
+    }
+  }
+
+  // The transcription file is rewritten per job later on, so copy rather than link
+  fs.mkdirSync(path.dirname(childPaths.transcription), { recursive: true });
+  fs.copyFileSync(parentPaths.transcription, childPaths.transcription);
+
+  // Video discovery looks for uploads/originals/<jobId>.<ext> first
+  if (child.file_path && fs.existsSync(child.file_path)) {
+    const originalCopy = path.join('uploads', 'originals', `${childJobId}${path.extname(child.file_path)}`);
+    linkOrCopy(child.file_path, originalCopy);
+  }
+};
+
+/**
+ * Seed every pending child with the parent's artifacts and queue it from the translation step
+ * @param {string} parentJobId - Parent job ID
+ * @param {Object} options - Parent job options (source language, engine, ...)
+ * @returns {Promise<Object[]>} - [{ jobId, target_language, queued }]
+ */
+export const fanOutToChildJobs = async (parentJobId, options = {}) => {
+  const children = await Upload.find({ parent_job_id: parentJobId }).sort({ createdAt: 1 });
+
+  if (children.length === 0) {
+    throw new Error(`Multi-language job ${parentJobId} has no child jobs`);
+  }
+
+  if (!fs.existsSync(getArtifactPaths(parentJobId).transcription)) {
+    throw new Error(`Cannot fan out job ${parentJobId}: transcription artifact missing`);
+  }
+
+  const results = [];
+
+  for (const child of children) {
+    const childJobId = child._id.toString();
+
+    // A resumed parent only re-runs languages that didn't finish
+    if (child.processing_status === 'completed' || ['queued', 'leased', 'running'].includes(child.queue_state)) {
+      results.push({ jobId: childJobId, target_language: child.target_language, queued: false, status: child.processing_status });
+      continue;
+    }
+
+    seedChildArtifacts(parentJobId, child);
+
+    await enqueueJob(childJobId, {
+      sourceLanguage: options.sourceLanguage || child.source_language,
+      targetLanguage: child.target_language,
+      sourceLanguageName: child.sourceLanguageName,
+      targetLanguageName: child.targetLanguageName,
+      translationEngine: options.translationEngine || child.translation_engine || null,
+      outputMode: options.outputMode || child.output_mode,
+      outputContainer: options.outputContainer || child.output_container,
+      review: options.review || child.review_mode || 'off',
+      originalFilename: child.originalName,
+      uploadedFilename: child.filename,
+      filePath: child.file_path,
+      jobId: childJobId,
+      parentJobId: String(parentJobId),
+      fromStep: 'translation'
+    });
+
+    results.push({ jobId: childJobId, target_language: child.target_language, queued: true, status: 'queued' });
+  }
+
+  await Upload.findByIdAndUpdate(parentJobId, { fanned_out_at: new Date() });
+
+  console.log(`[${parentJobId}] 🌐 Fanned out to ${results.filter(r => r.queued).length}/${children.length} language jobs: ${children.map(c => c.target_language).join(', ')}`);
+
+  return results;
+};
+
+// ===== PARENT STATUS =====
+const summarizeChildren = (children) => {
+  const counts = { total: children.length, completed: 0, failed: 0, cancelled: 0, active: 0 };
+  for (const child of children) {
+    if (TERMINAL_STATUSES.includes(child.processing_status)) {
+      counts[child.processing_status]++;
+    } else {
+      counts.active++;
+    }
+  }
+  return counts;
+};
+
+/**
+ * Recompute the parent's status from its children
+ * All completed -> completed, none completed -> failed, otherwise partially_completed
+ * @param {string} parentJobId - Parent job ID
+ * @returns {Promise<Object|null>} - Child counts, or null if the parent is gone
+ */
+export const refreshParentJob = async (parentJobId) => {
+  const parent = await Upload.findById(parentJobId)
+    .select('processing_status fanned_out_at processing_started_at queued_at createdAt file_path source_language output_mode output_container')
+    .lean();
+  if (!parent) return null;
+
+  const children = await Upload.find({ parent_job_id: parentJobId })
+    .select('target_language processing_status error_message processed_file_path')
+    .lean();
+  const counts = summarizeChildren(children);
+
+  // Parent still transcribing, or cancelled as a whole
+  if (!parent.fanned_out_at || parent.processing_status === 'cancelled') {
+    return counts;
+  }
+
+  // Subscribers to the parent's event stream follow the languages as they settle
+  const settled = counts.total - counts.active;
+  reportProgress(parentJobId, 'awaiting_children', settled, counts.total, `${settled}/${counts.total} languages finished`);
+
+  if (counts.active > 0) {
+    await recordJobEvent(parentJobId, 'processing', 'awaiting_children', { children: counts }, { emit: false });
+  } else {
+    const completedAt = new Date();
+    const status = counts.completed === counts.total ? 'completed'
+      : counts.completed === 0 ? 'failed'
+      : 'partially_completed';
+    const unfinished = children.filter(child => child.processing_status !== 'completed');
+
+    const combinedPath = parent.output_mode === 'multitrack' && counts.completed > 0
+      ? await muxCombinedOutput(parentJobId, parent, children.filter(child => child.processing_status === 'completed'))
+      : null;
+
+    console.log(`[${parentJobId}] 🌐 Multi-language job ${status}: ${counts.completed}/${counts.total} languages completed`);
+
+    await recordJobEvent(parentJobId, status, status, {
+      ...(combinedPath && { processed_file_path: combinedPath }),
+      completed_at: completedAt,
+      processing_duration_ms: completedAt - (parent.processing_started_at || parent.queued_at || parent.createdAt || completedAt),
+      ...(status === 'failed' && { failed_at: completedAt }),
+      error_message: unfinished.length > 0
+        ? unfinished.map(child => `${child.target_language}: ${child.error_message || child.processing_status}`).join('; ')
+        : null,
+      children: counts,
+      artifacts: { final_video: combinedPath ? `/${combinedPath.split(path.sep).join('/')}` : null }
+    });
+  }
+
+  return counts;
+};
+
+// ===== COMBINED MULTI-TRACK OUTPUT =====
+// One file with the original audio plus every completed language, taken from the children's outputs
+const muxCombinedOutput = async (parentJobId, parent, completedChildren) => {
+  const tracks = completedChildren
+    .filter(child => child.processed_file_path && fs.existsSync(child.processed_file_path))
+    .map(child => ({ jobId: child._id.toString(), language: child.target_language, path: child.processed_file_path }));
+
+  if (tracks.length === 0 || !parent.file_path || !fs.existsSync(parent.file_path)) {
+    console.warn(`[${parentJobId}] ⚠️ Skipping combined multi-track output: no child outputs or original video`);
+    return null;
+  }
+
+  const container = parent.output_container || 'mp4';
+  const outputPath = path.join('uploads', 'processed', `${parentJobId}_final.${container}`);
+  const captionPath = (jobId, suffix) => path.join('uploads', 'captions', `${jobId}_captions_${suffix}.vtt`);
+
+  try {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    await muxMultiTrackVideo({
+      videoPath: parent.file_path,
+      // The first audio stream of each child output is its synced dubbed track
+      audioTracks: tracks.map(track => ({ path: track.path, language: track.language })),
+      subtitleTracks: [
+        ...tracks.map(track => ({ path: captionPath(track.jobId, 'accurate'), language: track.language })),
+        { path: captionPath(tracks[0].jobId, 'source'), language: parent.source_language }
+      ],
+      sourceLanguage: parent.source_language,
+      container,
+      outputPath,
+      jobId: parentJobId
+    });
+    return outputPath;
+  } catch (error) {
+    console.warn(`[${parentJobId}] ⚠️ Combined multi-track output failed: ${error.message}`);
+    return null;
+  }
+};
+
+// Queue worker hook: a settled child updates its parent; a parent that stopped early releases its children
+export const handleJobSettled = async (jobId, job, status) => {
+  if (job?.parent_job_id) {
+    await refreshParentJob(job.parent_job_id.toString());
+  } else if (job?.child_job_ids?.length > 0 && ['failed', 'cancelled'].includes(status)) {
+    const released = await cancelChildJobs(jobId, `Parent job ${status}`);
+    if (released > 0) {
+      console.log(`[${jobId}] 🌐 Cancelled ${released} language jobs after parent ${status}`);
+    }
+  }
+};
+
+// ===== CANCELLATION =====
+// Waiting/queued children stop immediately; running ones are flagged for their worker
+export const cancelChildJobs = async (parentJobId, reason = 'Parent job cancelled') => {
+  const children = await Upload.find({
+    parent_job_id: parentJobId,
+    processing_status: { $nin: TERMINAL_STATUSES }
+  }).select('queue_state processing_step').lean();
+
+  for (const child of children) {
+    const childJobId = child._id.toString();
+
+    if (['leased', 'running'].includes(child.queue_state)) {
+      await Upload.findByIdAndUpdate(childJobId, { cancel_requested: true, cancellation_reason: reason });
+      cancelJob(childJobId, reason);
+    } else {
+      await recordJobEvent(childJobId, 'cancelled', 'cancelled', {
+        cancelled_at: new Date(),
+        cancelled_step: child.processing_step,
+        cancellation_reason: reason
+      }, {
+        source: 'api',
+        update: child.queue_state === 'queued' ? { queue_state: 'done' } : {}
+      });
+    }
+  }
+
+  return children.length;
+};
+
+// ===== STATUS FOR THE API =====
+const STATUS_PROGRESS_STEPS = ['audio_extraction', 'transcription', 'translation', 'tts_generation', 'aligning_translation', 'video_assembly'];
+
+const existingPath = (filePath) => fs.existsSync(filePath) ? `./${filePath.replace(/\\/g, '/')}` : null;
+
+/**
+ * Per-language progress and outputs of a parent job
+ * @param {string} parentJobId - Parent job ID
+ * @returns {Promise<Object>} - { summary, children }
+ */
+export const getChildJobStatuses = async (parentJobId) => {
+  const children = await Upload.find({ parent_job_id: parentJobId })
+    .sort({ createdAt: 1 })
+    .select('target_language processing_status processing_step queue_state error_message completed_at processed_file_path')
+    .lean();
+
+  const statuses = children.map(child => {
+    const jobId = child._id.toString();
+    const status = child.processing_status;
+    const step = child.processing_step;
+
+    const stepIndex = STATUS_PROGRESS_STEPS.indexOf(step);
+    const progress = status === 'completed' ? 100
+      : stepIndex >= 0 ? Math.round((stepIndex / STATUS_PROGRESS_STEPS.length) * 100)
+      : 0;
+
+    return {
+      jobId,
+      target_language: child.target_language,
+      status,
+      step,
+      progress_percentage: progress,
+      completed_at: child.completed_at || null,
+      error_message: child.error_message || null,
+      outputs: {
+        final_video: child.processed_file_path || existingPath(path.join('uploads', 'processed', `${jobId}_final.mp4`)),
+        captions: existingPath(path.join('uploads', 'captions', `${jobId}_captions.vtt`)),
+        srt: existingPath(path.join('uploads', 'captions', `${jobId}_captions.srt`)),
+        translation: existingPath(getArtifactPaths(jobId).translation)
+      }
+    };
+  });
+
+  const counts = summarizeChildren(children);
+
+  return {
+    summary: {
+      ...counts,
+      progress_percentage: statuses.length > 0
+        ? Math.round(statuses.reduce((sum, child) => sum + child.progress_percentage, 0) / statuses.length)
+        : 0
+    },
+    children: statuses
+  };
+};
+
+export default {
+  parseTargetLanguages,
+  createChildJobs,
+  fanOutToChildJobs,
+  refreshParentJob,
+  handleJobSettled,
+  cancelChildJobs,
+  getChildJobStatuses
+};
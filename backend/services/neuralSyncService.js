@@ -1,6 +1,6 @@
 // services/neuralSyncService.js - FIXED FFMPEG FILTER & LIBROSA IMPORT WITH AI NEURAL SYNC
 
-import { exec } from 'child_process';
+import { exec } from '../utils/jobContext.js';
 import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
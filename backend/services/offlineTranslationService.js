@@ -0,0 +1,185 @@
+// services/offlineTranslationService.js - OFFLINE TRANSLATION WITH A LOCAL ONNX MODEL
+
+import fs from 'fs';
+import path from 'path';
+import { getTranslationConfig } from '../config/translationConfig.js';
+import { getSupportedLanguageCodes } from '../config/languageConfig.js';
+
+// ===== LANGUAGE CODES =====
+// FLORES-200 codes used by NLLB and IndicTrans2
+const FLORES_CODES = {
+  'hi': 'hin_Deva',
+  'bn': 'ben_Beng',
+  'ta': 'tam_Taml',
+  'te': 'tel_Telu',
+  'mr': 'mar_Deva',
+  'gu': 'guj_Gujr',
+  'kn': 'kan_Knda',
+  'ml': 'mal_Mlym',
+  'pa': 'pan_Guru',
+  'ur': 'urd_Arab',
+  'en': 'eng_Latn',
+  'as': 'asm_Beng',
+  'or': 'ory_Orya',
+  'ne': 'npi_Deva',
+  'si': 'sin_Sinh',
+  'my': 'mya_Mymr'
+};
+
+export const getOfflineLanguageCode = (languageCode) => {
+  const { offlineLanguageCodes } = getTranslationConfig();
+  if (offlineLanguageCodes === 'iso') {
+    return languageCode;
+  }
+  return FLORES_CODES[languageCode] || null;
+};
+
+// Every language the pipeline offers must be translatable offline
+const unmappedLanguages = getSupportedLanguageCodes().filter(code => !FLORES_CODES[code]);
+if (unmappedLanguages.length > 0) {
+  console.warn(`⚠️ Offline translation has no model code for: ${unmappedLanguages.join(', ')}`);
+}
+
+// ===== MODEL LOADING =====
+let translatorPromise = null;
+let loadedModelPath = null;
+
+const getModelPath = () => {
+  const { offlineModelDir, offlineModel } = getTranslationConfig();
+  return path.resolve(offlineModelDir, offlineModel);
+};
+
+// transformers.js expects config.json plus an onnx/ folder with the encoder and decoder
+export const isOfflineModelAvailable = () => {
+  const modelPath = getModelPath();
+  return fs.existsSync(path.join(modelPath, 'config.json')) &&
+         fs.existsSync(path.join(modelPath, 'onnx'));
+};
+
+const getTranslator = () => {
+  const modelPath = getModelPath();
+
+  if (translatorPromise && loadedModelPath === modelPath) {
+    return translatorPromise;
+  }
+
+  const { offlineModelDir, offlineModel } = getTranslationConfig();
+  loadedModelPath = modelPath;
+
+  translatorPromise = import('@xenova/transformers')
+    .then(async ({ pipeline, env }) => {
+      // Only ever read from the local directory - this engine must work without network
+      env.localModelPath = path.resolve(offlineModelDir);
+      env.allowRemoteModels = false;
+      env.allowLocalModels = true;
+
+      console.log(`📦 Loading offline translation model from ${modelPath}...`);
+      const started = Date.now();
+      const translator = await pipeline('translation', offlineModel);
+      console.log(`✅ Offline translation model loaded in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+      return translator;
+    })
+    .catch(error => {
+      // Allow a retry once the model has been put in place
+      translatorPromise = null;
+      loadedModelPath = null;
+      throw new Error(`Offline translation model unavailable (${modelPath}): ${error.message}`);
+    });
+
+  return translatorPromise;
+};
+
+// ===== TRANSLATION =====
+/**
+ * Translate a list of texts with the local model, batchSize at a time
+ * @param {string[]} texts - Texts to translate (empty strings are passed through)
+ * @param {string} sourceLang - Source language code (e.g. 'hi')
+ * @param {string} targetLang - Target language code (e.g. 'bn')
+ * @param {string} jobId - Job identifier for logging
+ * @returns {Promise<string[]>} - Translations in the same order
+ */
+export const translateBatchOffline = async (texts, sourceLang, targetLang, jobId = 'unknown') => {
+  const srcCode = getOfflineLanguageCode(sourceLang);
+  const tgtCode = getOfflineLanguageCode(targetLang);
+
+  if (!srcCode || !tgtCode) {
+    throw new Error(`Offline model has no language code for ${sourceLang} → ${targetLang}`);
+  }
+
+  const translator = await getTranslator();
+  const { offlineBatchSize } = getTranslationConfig();
+  const results = new Array(texts.length).fill('');
+
+  // Only non-empty texts go to the model
+  const pending = texts
+    .map((text, index) => ({ text: (text || '').trim(), index }))
+    .filter(item => item.text.length > 0);
+
+  console.log(`[${jobId}] 📦 Offline translation: ${pending.length} texts in batches of ${offlineBatchSize} (${srcCode} → ${tgtCode})`);
+
+  for (let i = 0; i < pending.length; i += offlineBatchSize) {
+    const batch = pending.slice(i, i + offlineBatchSize);
+    const output = await translator(batch.map(item => item.text), {
+      src_lang: srcCode,
+      tgt_lang: tgtCode
+    });
+
+    // A single input comes back as one object rather than an array
+    const outputs = Array.isArray(output) ? output : [output];
+    batch.forEach((item, j) => {
+      results[item.index] = (outputs[j]?.translation_text || '').trim();
+    });
+
+    console.log(`[${jobId}] 📦 Offline batch ${Math.floor(i / offlineBatchSize) + 1}/${Math.ceil(pending.length / offlineBatchSize)} done`);
+  }
+
+  return results;
+};
+
+export const translateOffline = async (text, sourceLang, targetLang, jobId = 'unknown') => {
+  const [translated] = await translateBatchOffline([text], sourceLang, targetLang, jobId);
+
+  return {
+    text: translated,
+    sourceLang: sourceLang,
+    targetLang: targetLang,
+    engine: 'local',
+    success: true
+  };
+};
+
+// ===== NETWORK REACHABILITY =====
+let lastProbe = { at: 0, reachable: true };
+
+// Cached so a long job doesn't probe before every segment
+export const isNetworkReachable = async () => {
+  const { networkProbeUrl, networkProbeTtlMs } = getTranslationConfig();
+
+  if (Date.now() - lastProbe.at < networkProbeTtlMs) {
+    return lastProbe.reachable;
+  }
+
+  let reachable = false;
+  try {
+    // Any HTTP response means the network is up, even an error status
+    await fetch(networkProbeUrl, { method: 'HEAD', signal: AbortSignal.timeout(3000) });
+    reachable = true;
+  } catch {
+    reachable = false;
+  }
+
+  if (reachable !== lastProbe.reachable) {
+    console.log(reachable ? '🌐 Network translation engines reachable again' : '📴 Network unreachable - offline translation will be used');
+  }
+
+  lastProbe = { at: Date.now(), reachable };
+  return reachable;
+};
+
+export default {
+  getOfflineLanguageCode,
+  isOfflineModelAvailable,
+  translateBatchOffline,
+  translateOffline,
+  isNetworkReachable
+};
@@ -1,4 +1,4 @@
-import { exec } from 'child_process';
+import { exec } from '../utils/jobContext.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -0,0 +1,254 @@
+// services/reviewService.js - HUMAN REVIEW OF TRANSLATIONS BEFORE TTS
+//
+// Jobs uploaded with a review mode stop after translation in the 'awaiting_review' state:
+// 'always' stops every time, 'auto' only when validateTranslationQuality scores the translation
+// below QUALITY_THRESHOLD (which fails the job outright when there is no review mode). A reviewer
+// edits the translated segments through the segments API and approves; the job is then re-queued
+// from tts_generation and dubs the edited translation artifact.
+
+import Upload from '../models/uploadModel.js';
+import { enqueueJob } from './jobQueueService.js';
+import { loadTranslationArtifact, saveTranslationArtifact, checkResumeArtifacts } from './jobArtifactService.js';
+import { loadValidationResults, QUALITY_THRESHOLD } from './validationService.js';
+import { calculateSpeechDuration } from './durationAwareTranslation.js';
+
+export const REVIEW_MODES = ['off', 'always', 'auto'];
+
+// Estimated speech longer than its slot is sped up by TTS; past this ratio it sounds rushed or overruns
+const OVER_BUDGET_RATIO = 1.25;
+
+// ===== ERRORS =====
+export class ReviewError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'ReviewError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// 'true'/'on' mean always; anything unrecognised is returned as-is for the caller to reject
+export const parseReviewMode = (value) => {
+  const mode = String(value ?? '').trim().toLowerCase();
+  if (['', 'false', '0', 'off', 'none'].includes(mode)) return 'off';
+  if (['true', '1', 'on', 'yes'].includes(mode)) return 'always';
+  return mode;
+};
+
+/**
+ * Whether a freshly translated job stops for review
+ * @param {string} mode - Job's review mode
+ * @param {Object|null} validation - validateTranslationQuality report, null when validation didn't run
+ * @returns {boolean}
+ */
+export const shouldPauseForReview = (mode, validation) => {
+  if (mode === 'always') return true;
+  return mode === 'auto' && validation !== null && validation.overallScore < QUALITY_THRESHOLD;
+};
+
+const loadReviewJob = async (jobId) => {
+  const upload = await Upload.findById(jobId)
+    .select('processing_status target_language review_mode review_requested_at review_quality_score review_approved_at reviewed_by reviewed_segments job_options queue_state')
+    .lean();
+  if (!upload) throw new ReviewError(`Job ${jobId} not found`, 404);
+  return upload;
+};
+
+const requireAwaitingReview = (jobId, upload) => {
+  if (upload.processing_status !== 'awaiting_review') {
+    throw new ReviewError(`Job ${jobId} is not awaiting review`, 409, { status: upload.processing_status });
+  }
+};
+
+const loadTranslation = (jobId) => {
+  try {
+    return loadTranslationArtifact(jobId);
+  } catch {
+    throw new ReviewError(`Job ${jobId} has no translation to review`, 404);
+  }
+};
+
+// ===== SEGMENT TABLE =====
+const durationBudget = (segment, language) => {
+  const slot = Math.max(0, (segment.end ?? 0) - (segment.start ?? 0));
+  const estimated = calculateSpeechDuration(segment.text || '', language);
+  const ratio = slot > 0 ? estimated / slot : null;
+  const status = ratio === null ? 'unknown' : ratio > OVER_BUDGET_RATIO ? 'over' : ratio > 1 ? 'tight' : 'ok';
+
+  return {
+    slot_seconds: Math.round(slot * 100) / 100,
+    estimated_seconds: Math.round(estimated * 100) / 100,
+    ratio: ratio === null ? null : Math.round(ratio * 100) / 100,
+    status,
+    ...(status === 'over' && {
+      warning: `Needs about ${estimated.toFixed(1)}s of speech but the segment lasts ${slot.toFixed(1)}s; shorten the text`
+    })
+  };
+};
+
+const toReviewSegment = (segment, index, language, issuesByIndex) => ({
+  index,
+  id: segment.id ?? index,
+  start: segment.start,
+  end: segment.end,
+  ...(segment.speaker && { speaker: segment.speaker }),
+  original_text: segment.original_text ?? segment.originaltext ?? null,
+  text: segment.text,
+  edited: Boolean(segment.reviewed_at),
+  ...(segment.machine_text !== undefined && { machine_text: segment.machine_text }),
+  budget: durationBudget(segment, language),
+  issues: issuesByIndex.get(index) || []
+});
+
+/**
+ * A job's translated segments with duration budgets and validation issues
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - { status, review, quality, summary, segments }
+ */
+export const getReviewSegments = async (jobId) => {
+  const upload = await loadReviewJob(jobId);
+  const translation = loadTranslation(jobId);
+  const language = translation.language || upload.target_language;
+  const validation = loadValidationResults(jobId);
+
+  const issuesByIndex = new Map();
+  for (const issue of validation?.issues || []) {
+    if (!Number.isInteger(issue.segmentIndex)) continue;
+    const { segmentIndex, segmentId, start, end, ...rest } = issue;
+    issuesByIndex.set(segmentIndex, [...(issuesByIndex.get(segmentIndex) || []), rest]);
+  }
+
+  const segments = (translation.segments || []).map((segment, index) => toReviewSegment(segment, index, language, issuesByIndex));
+
+  return {
+    status: upload.processing_status,
+    target_language: language,
+    review: {
+      mode: upload.review_mode || 'off',
+      requested_at: upload.review_requested_at || null,
+      approved_at: upload.review_approved_at || null,
+      reviewed_by: upload.reviewed_by || null
+    },
+    quality: validation ? {
+      score: validation.overallScore,
+      threshold: QUALITY_THRESHOLD,
+      recommendations: validation.recommendations || []
+    } : null,
+    summary: {
+      total: segments.length,
+      edited: segments.filter(segment => segment.edited).length,
+      over_budget: segments.filter(segment => segment.budget.status === 'over').length,
+      with_issues: segments.filter(segment => segment.issues.length > 0).length
+    },
+    segments
+  };
+};
+
+// ===== EDITS =====
+/**
+ * Replace the translated text of some segments
+ * @param {string} jobId - Job ID
+ * @param {Array<Object>} edits - [{ index, text }]; index as listed by getReviewSegments
+ * @returns {Promise<Object>} - The updated segment table
+ * @throws {ReviewError} - Job not awaiting review, or an invalid edit
+ */
+export const updateReviewSegments = async (jobId, edits) => {
+  if (!Array.isArray(edits) || edits.length === 0) {
+    throw new ReviewError('Send { segments: [{ index, text }, ...] } with at least one edit');
+  }
+
+  const upload = await loadReviewJob(jobId);
+  requireAwaitingReview(jobId, upload);
+
+  const translation = loadTranslation(jobId);
+  const segments = translation.segments || [];
+
+  // Checked up front so a bad edit leaves the artifact untouched
+  for (const edit of edits) {
+    if (!Number.isInteger(edit?.index) || edit.index < 0 || edit.index >= segments.length) {
+      throw new ReviewError(`Segment index ${edit?.index} is out of range (0-${segments.length - 1})`, 400, { edit });
+    }
+    if (typeof edit.text !== 'string' || edit.text.trim().length === 0) {
+      throw new ReviewError(`Segment ${edit.index} needs non-empty text`, 400, { edit });
+    }
+  }
+
+  const reviewedAt = new Date().toISOString();
+  for (const { index, text } of edits) {
+    const segment = segments[index];
+    const trimmed = text.trim();
+    if (segment.text === trimmed) continue;
+
+    // The engine's output is kept once, however often the segment is edited
+    if (segment.machine_text === undefined) {
+      segment.machine_text = segment.text;
+    }
+    // Captions and translation memory read translated_text before text
+    segment.text = trimmed;
+    segment.translated_text = trimmed;
+    segment.reviewed_at = reviewedAt;
+  }
+
+  translation.text = segments.map(segment => segment.text).join(' ');
+  translation.reviewed = true;
+  saveTranslationArtifact(jobId, translation);
+
+  await Upload.findByIdAndUpdate(jobId, {
+    reviewed_segments: segments.filter(segment => segment.reviewed_at).length
+  });
+
+  console.log(`[${jobId}] 📝 Review: ${edits.length} segment edit(s) saved`);
+  return getReviewSegments(jobId);
+};
+
+// ===== APPROVAL =====
+/**
+ * Approve the (edited) translation and queue TTS and assembly
+ * @param {string} jobId - Job ID
+ * @param {Object} [options]
+ * @param {string} [options.reviewer] - Who approved, recorded on the job
+ * @returns {Promise<Object>} - { queuePosition, reviewedSegments }
+ * @throws {ReviewError} - Job not awaiting review (or already approved), or its artifacts are gone
+ */
+export const approveReview = async (jobId, { reviewer = null } = {}) => {
+  const upload = await loadReviewJob(jobId);
+  requireAwaitingReview(jobId, upload);
+
+  const resumeCheck = checkResumeArtifacts(jobId, 'tts_generation');
+  if (!resumeCheck.ok) {
+    throw new ReviewError(`Cannot continue job ${jobId}: ${resumeCheck.missing.map(m => m.artifact).join(', ')} not found`, 409, {
+      missing: resumeCheck.missing
+    });
+  }
+
+  // Only one approval re-queues the job
+  const approved = await Upload.findOneAndUpdate(
+    { _id: jobId, processing_status: 'awaiting_review', review_approved_at: null },
+    { review_approved_at: new Date(), reviewed_by: reviewer }
+  );
+  if (!approved) {
+    throw new ReviewError(`Job ${jobId} has already been approved`, 409);
+  }
+
+  await enqueueJob(jobId, {
+    ...(upload.job_options || {}),
+    jobId,
+    fromStep: 'tts_generation'
+  });
+
+  console.log(`[${jobId}] ✅ Review approved${reviewer ? ` by ${reviewer}` : ''}, queued from tts_generation`);
+  return {
+    queuePosition: await Upload.getQueuePosition(jobId),
+    reviewedSegments: upload.reviewed_segments || 0
+  };
+};
+
+export default {
+  REVIEW_MODES,
+  parseReviewMode,
+  shouldPauseForReview,
+  getReviewSegments,
+  updateReviewSegments,
+  approveReview,
+  ReviewError
+};
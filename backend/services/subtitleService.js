@@ -0,0 +1,129 @@
+// services/subtitleService.js - SRT / WEBVTT PARSING
+//
+// Existing captions are turned into the same timed segments Whisper produces, so they can go
+// through translation, glossary enforcement, caption generation and (with a video) TTS and
+// assembly without transcribing anything.
+
+export const SUBTITLE_FORMATS = ['srt', 'vtt'];
+
+export class SubtitleParseError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SubtitleParseError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+// ===== TIMESTAMPS =====
+// 01:02:03,456 (SRT), 01:02:03.456 or 02:03.456 (WebVTT)
+const TIMING_LINE = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+const parseTimestamp = (value) => {
+  const [clock, fraction] = value.replace(',', '.').split('.');
+  const parts = clock.split(':').map(Number);
+  while (parts.length < 3) parts.unshift(0);
+  const [hours, minutes, seconds] = parts;
+  return hours * 3600 + minutes * 60 + seconds + Number(`0.${fraction}`);
+};
+
+// Styling the translation can't keep: <i>, <c.yellow>, <v Speaker>, {\an8}, &amp;
+const cleanCueText = (lines) => lines
+  .join(' ')
+  .replace(/<v\s+[^>]*>/gi, '')
+  .replace(/<[^>]+>/g, '')
+  .replace(/\{\\[^}]*\}/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// WebVTT voice spans name the speaker: <v Alice>Hello
+const getCueSpeaker = (lines) => lines.join(' ').match(/<v(?:\.[^\s>]+)?\s+([^>]+)>/i)?.[1]?.trim() || null;
+
+// ===== PARSING =====
+export const detectSubtitleFormat = (content) => (/^\uFEFF?WEBVTT/.test(content) ? 'vtt' : 'srt');
+
+/**
+ * Parse SRT or WebVTT into timed segments
+ * @param {string} content - File contents
+ * @param {string} [format] - 'srt' or 'vtt'; detected from the header when omitted
+ * @returns {Array<Object>} - [{ id, start, end, text, speaker? }] in time order
+ * @throws {SubtitleParseError} - No cues, or cues with impossible timings
+ */
+export const parseSubtitles = (content, format = null) => {
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    throw new SubtitleParseError('Subtitle file is empty');
+  }
+
+  const resolvedFormat = format || detectSubtitleFormat(content);
+  if (!SUBTITLE_FORMATS.includes(resolvedFormat)) {
+    throw new SubtitleParseError(`Unsupported subtitle format '${format}'`, { supported: SUBTITLE_FORMATS });
+  }
+
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/);
+
+  const segments = [];
+  blocks.forEach((block, blockIndex) => {
+    const lines = block.split('\n').filter(line => line.trim().length > 0);
+    const timingIndex = lines.findIndex(line => TIMING_LINE.test(line));
+
+    // Header, NOTE, STYLE and REGION blocks carry no timing line
+    if (timingIndex === -1) return;
+
+    const [, startValue, endValue] = lines[timingIndex].match(TIMING_LINE);
+    const start = parseTimestamp(startValue);
+    const end = parseTimestamp(endValue);
+    const textLines = lines.slice(timingIndex + 1);
+    const text = cleanCueText(textLines);
+
+    if (!(end > start)) {
+      throw new SubtitleParseError(`Cue ${segments.length + 1} ends before it starts (${startValue} --> ${endValue})`, { block: blockIndex + 1 });
+    }
+    if (!text) return;
+
+    const speaker = resolvedFormat === 'vtt' ? getCueSpeaker(textLines) : null;
+    segments.push({
+      start,
+      end,
+      text,
+      ...(speaker && { speaker })
+    });
+  });
+
+  if (segments.length === 0) {
+    throw new SubtitleParseError(`No cues found in the ${resolvedFormat.toUpperCase()} file`);
+  }
+
+  return segments
+    .sort((a, b) => a.start - b.start)
+    .map((segment, index) => ({ id: index, ...segment }));
+};
+
+/**
+ * Transcription-shaped object for the translation pipeline, as Whisper would have produced
+ * @param {Array<Object>} segments - From parseSubtitles
+ * @param {string} language - Language of the subtitles
+ * @returns {Object} - { text, language, duration, segments, transcription_source }
+ */
+export const subtitlesToTranscription = (segments, language) => ({
+  text: segments.map(segment => segment.text).join(' '),
+  language,
+  duration: segments[segments.length - 1].end,
+  segments,
+  confidence: 1,
+  transcription_source: 'subtitles'
+});
+
+export default {
+  SUBTITLE_FORMATS,
+  detectSubtitleFormat,
+  parseSubtitles,
+  subtitlesToTranscription,
+  SubtitleParseError
+};
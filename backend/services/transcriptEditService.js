@@ -0,0 +1,440 @@
+// services/transcriptEditService.js - CORRECTING THE SOURCE TRANSCRIPT AND RE-DUBBING THE CHANGES
+//
+// Recognition errors (a small Whisper model on Indian-language lectures, technical terms, names)
+// carry through translation, TTS and captions. The transcript API edits the saved
+// transcription_results.json: segment text and timings, merging neighbours and splitting one
+// segment in two. Applying the edits re-translates only the segments whose source text changed,
+// keeps every other translated segment (including a reviewer's edits) on its new timings, and
+// re-queues the job from tts_generation, where unchanged segments reuse their audio.
+
+import Upload from '../models/uploadModel.js';
+import { enqueueJob } from './jobQueueService.js';
+import {
+  loadTranscriptionArtifact,
+  updateTranscriptionArtifact,
+  loadTranslationArtifact,
+  saveTranslationArtifact
+} from './jobArtifactService.js';
+import { translateTranscription } from './translationService.js';
+import { getGlossaryTerms } from './glossaryService.js';
+
+// Shortest segment a split or timing edit may leave; TTS can't say anything in less
+const MIN_SEGMENT_SECONDS = 0.2;
+
+// Small overlaps from rounding in the client are not worth rejecting an edit for
+const TIMING_TOLERANCE = 0.001;
+
+// ===== ERRORS =====
+export class TranscriptEditError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'TranscriptEditError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// ===== JOB CHECKS =====
+const loadEditableJob = async (jobId) => {
+  const upload = await Upload.findById(jobId)
+    .select('processing_status queue_state source_language target_language job_options child_job_ids transcript_edited_at transcript_applied_at transcript_edited_segments')
+    .lean();
+  if (!upload) throw new TranscriptEditError(`Job ${jobId} not found`, 404);
+  return upload;
+};
+
+// The pipeline rewrites the artifacts while it runs
+const requireIdle = (jobId, upload) => {
+  if (['queued', 'leased', 'running'].includes(upload.queue_state)) {
+    throw new TranscriptEditError(`Job ${jobId} is queued or running; edit the transcript once it stops`, 409, {
+      status: upload.processing_status,
+      queue_state: upload.queue_state
+    });
+  }
+  // Each language job translates its own copy of the transcript
+  if (upload.child_job_ids?.length > 0) {
+    throw new TranscriptEditError(`Job ${jobId} was split into language jobs; edit the transcript of each language job`, 409, {
+      child_job_ids: upload.child_job_ids.map(String)
+    });
+  }
+};
+
+const loadTranscription = (jobId) => {
+  try {
+    return loadTranscriptionArtifact(jobId);
+  } catch {
+    throw new TranscriptEditError(`Job ${jobId} has no transcription to edit`, 404);
+  }
+};
+
+const hasPendingEdits = (upload) => Boolean(upload.transcript_edited_at) &&
+  (!upload.transcript_applied_at || upload.transcript_edited_at > upload.transcript_applied_at);
+
+// ===== SEGMENT TABLE =====
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const toTranscriptSegment = (segment, index) => ({
+  index,
+  id: segment.id ?? index,
+  start: segment.start,
+  end: segment.end,
+  ...(segment.speaker && { speaker: segment.speaker }),
+  text: segment.text,
+  edited: Boolean(segment.edited_at),
+  ...(segment.asr_text !== undefined && { asr_text: segment.asr_text })
+});
+
+/**
+ * A job's source transcript as editable segments
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - { status, source_language, duration, edits, summary, segments }
+ */
+export const getTranscript = async (jobId) => {
+  const upload = await loadEditableJob(jobId);
+  const transcription = loadTranscription(jobId);
+  const segments = (transcription.segments || []).map(toTranscriptSegment);
+
+  return {
+    status: upload.processing_status,
+    source_language: transcription.language || upload.source_language,
+    duration: transcription.duration ?? null,
+    edits: {
+      edited_at: upload.transcript_edited_at || null,
+      applied_at: upload.transcript_applied_at || null,
+      pending: hasPendingEdits(upload)
+    },
+    summary: {
+      total: segments.length,
+      edited: segments.filter(segment => segment.edited).length
+    },
+    segments
+  };
+};
+
+// ===== VALIDATION =====
+const checkIndex = (index, segments) => {
+  if (!Number.isInteger(index) || index < 0 || index >= segments.length) {
+    throw new TranscriptEditError(`Segment index ${index} is out of range (0-${segments.length - 1})`);
+  }
+};
+
+const checkTime = (value, name, index) => {
+  if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+    throw new TranscriptEditError(`Segment ${index}: ${name} must be a number of seconds`, 400, { [name]: value });
+  }
+};
+
+// Segments stay in time order, without overlaps, long enough to speak and inside the media
+const checkTimeline = (segments, duration) => {
+  segments.forEach((segment, index) => {
+    if (segment.end - segment.start < MIN_SEGMENT_SECONDS - TIMING_TOLERANCE) {
+      throw new TranscriptEditError(`Segment ${index} must last at least ${MIN_SEGMENT_SECONDS}s (${segment.start}s - ${segment.end}s)`, 400, { index });
+    }
+    if (duration && segment.end > duration + TIMING_TOLERANCE) {
+      throw new TranscriptEditError(`Segment ${index} ends at ${segment.end}s, after the media ends (${duration}s)`, 400, { index });
+    }
+    const previous = segments[index - 1];
+    if (previous && segment.start < previous.end - TIMING_TOLERANCE) {
+      throw new TranscriptEditError(`Segment ${index} starts at ${segment.start}s, before segment ${index - 1} ends (${previous.end}s)`, 400, { index });
+    }
+  });
+};
+
+// ===== SAVING =====
+// The recogniser's text is kept once, however often the segment is edited
+const markEdited = (segment, editedAt) => {
+  if (segment.asr_text === undefined) {
+    segment.asr_text = segment.text;
+  }
+  segment.edited_at = editedAt;
+  return segment;
+};
+
+const saveTranscript = async (jobId, transcription, editedAt, message) => {
+  transcription.segments = transcription.segments.map((segment, index) => ({ ...segment, id: index }));
+  transcription.text = transcription.segments.map(segment => segment.text).join(' ');
+  transcription.edited = true;
+  updateTranscriptionArtifact(jobId, transcription);
+
+  await Upload.findByIdAndUpdate(jobId, {
+    transcript_edited_at: editedAt,
+    transcript_edited_segments: transcription.segments.filter(segment => segment.edited_at).length
+  });
+
+  console.log(`[${jobId}] ✏️ Transcript: ${message}`);
+  return getTranscript(jobId);
+};
+
+const prepareEdit = async (jobId) => {
+  const upload = await loadEditableJob(jobId);
+  requireIdle(jobId, upload);
+
+  const transcription = loadTranscription(jobId);
+  if (!Array.isArray(transcription.segments) || transcription.segments.length === 0) {
+    throw new TranscriptEditError(`Job ${jobId}'s transcription has no timed segments to edit`, 409);
+  }
+  return transcription;
+};
+
+// ===== EDITS =====
+/**
+ * Correct the text and/or timing of some segments
+ * @param {string} jobId - Job ID
+ * @param {Array<Object>} edits - [{ index, text?, start?, end? }]; index as listed by getTranscript
+ * @returns {Promise<Object>} - The updated transcript
+ * @throws {TranscriptEditError} - Job busy, or an edit that leaves an invalid timeline
+ */
+export const updateTranscriptSegments = async (jobId, edits) => {
+  if (!Array.isArray(edits) || edits.length === 0) {
+    throw new TranscriptEditError('Send { segments: [{ index, text, start, end }, ...] } with at least one edit');
+  }
+
+  const transcription = await prepareEdit(jobId);
+  const segments = transcription.segments.map(segment => ({ ...segment }));
+
+  // Applied to a copy and checked as a whole, so a bad edit leaves the artifact untouched
+  for (const edit of edits) {
+    checkIndex(edit?.index, segments);
+    checkTime(edit.start, 'start', edit.index);
+    checkTime(edit.end, 'end', edit.index);
+    if (edit.text !== undefined && (typeof edit.text !== 'string' || edit.text.trim().length === 0)) {
+      throw new TranscriptEditError(`Segment ${edit.index} needs non-empty text`, 400, { edit });
+    }
+  }
+
+  const editedAt = new Date();
+  let changed = 0;
+  for (const { index, text, start, end } of edits) {
+    const segment = segments[index];
+    const newText = text === undefined ? segment.text : text.trim();
+    const newStart = start === undefined || start === segment.start ? segment.start : round(start);
+    const newEnd = end === undefined || end === segment.end ? segment.end : round(end);
+    if (newText === segment.text && newStart === segment.start && newEnd === segment.end) continue;
+
+    markEdited(segment, editedAt.toISOString());
+    // Word timings describe what the recogniser heard, not the corrected text
+    if (newText !== segment.text) delete segment.words;
+    Object.assign(segment, { text: newText, start: newStart, end: newEnd });
+    changed++;
+  }
+
+  if (changed === 0) {
+    return getTranscript(jobId);
+  }
+
+  checkTimeline(segments, transcription.duration);
+  transcription.segments = segments;
+  return saveTranscript(jobId, transcription, editedAt, `${changed} segment edit(s) saved`);
+};
+
+/**
+ * Merge consecutive segments into one
+ * @param {string} jobId - Job ID
+ * @param {Array<number>} indexes - Two or more consecutive indexes
+ * @param {Object} [options]
+ * @param {string} [options.text] - Text of the merged segment; the segments' texts joined by default
+ * @returns {Promise<Object>} - The updated transcript
+ */
+export const mergeTranscriptSegments = async (jobId, indexes, { text } = {}) => {
+  if (!Array.isArray(indexes) || indexes.length < 2) {
+    throw new TranscriptEditError('Send { indexes: [first, ..., last] } with at least two consecutive segments');
+  }
+
+  const transcription = await prepareEdit(jobId);
+  const segments = transcription.segments;
+  const sorted = [...indexes].sort((a, b) => a - b);
+  sorted.forEach(index => checkIndex(index, segments));
+  if (sorted.some((index, position) => position > 0 && index !== sorted[position - 1] + 1)) {
+    throw new TranscriptEditError(`Only consecutive segments can be merged (got ${sorted.join(', ')})`);
+  }
+  if (text !== undefined && (typeof text !== 'string' || text.trim().length === 0)) {
+    throw new TranscriptEditError('Merged segment text must not be empty');
+  }
+
+  const parts = segments.slice(sorted[0], sorted[sorted.length - 1] + 1);
+  const editedAt = new Date();
+  const merged = {
+    id: sorted[0],
+    start: parts[0].start,
+    end: parts[parts.length - 1].end,
+    text: text?.trim() || parts.map(part => part.text.trim()).join(' '),
+    // The first speaker keeps the line; diarization rarely splits one sentence correctly anyway
+    ...(parts[0].speaker && { speaker: parts[0].speaker }),
+    ...(text === undefined && parts.every(part => Array.isArray(part.words)) && { words: parts.flatMap(part => part.words) }),
+    asr_text: parts.map(part => part.asr_text ?? part.text).join(' '),
+    edited_at: editedAt.toISOString()
+  };
+
+  transcription.segments = [...segments.slice(0, sorted[0]), merged, ...segments.slice(sorted[sorted.length - 1] + 1)];
+  return saveTranscript(jobId, transcription, editedAt, `segments ${sorted[0]}-${sorted[sorted.length - 1]} merged`);
+};
+
+// Word timings give the exact cut; otherwise words are shared out in proportion to time
+const splitText = (segment, at) => {
+  if (Array.isArray(segment.words) && segment.words.length > 1) {
+    const before = segment.words.filter(word => (word.start + word.end) / 2 < at);
+    const after = segment.words.filter(word => (word.start + word.end) / 2 >= at);
+    if (before.length > 0 && after.length > 0) {
+      return [before, after].map(words => words.map(word => (word.text ?? word.word ?? '').trim()).join(' '));
+    }
+  }
+
+  const words = segment.text.trim().split(/\s+/);
+  if (words.length < 2) return null;
+  const cut = Math.min(words.length - 1, Math.max(1, Math.round(words.length * (at - segment.start) / (segment.end - segment.start))));
+  return [words.slice(0, cut).join(' '), words.slice(cut).join(' ')];
+};
+
+/**
+ * Split one segment in two at a point in time
+ * @param {string} jobId - Job ID
+ * @param {number} index - Segment to split
+ * @param {number} at - Split time in seconds, inside the segment
+ * @param {Object} [options]
+ * @param {Array<string>} [options.texts] - [before, after]; derived from word timings or time share when omitted
+ * @returns {Promise<Object>} - The updated transcript
+ */
+export const splitTranscriptSegment = async (jobId, index, at, { texts } = {}) => {
+  const transcription = await prepareEdit(jobId);
+  const segments = transcription.segments;
+  checkIndex(index, segments);
+
+  const segment = segments[index];
+  if (typeof at !== 'number' || !Number.isFinite(at) ||
+      at - segment.start < MIN_SEGMENT_SECONDS || segment.end - at < MIN_SEGMENT_SECONDS) {
+    throw new TranscriptEditError(
+      `Split point must lie inside segment ${index} (${segment.start}s - ${segment.end}s), at least ${MIN_SEGMENT_SECONDS}s from either end`,
+      400,
+      { at }
+    );
+  }
+
+  if (texts !== undefined && (!Array.isArray(texts) || texts.length !== 2 || texts.some(part => typeof part !== 'string' || part.trim().length === 0))) {
+    throw new TranscriptEditError('texts must be [textBefore, textAfter], both non-empty');
+  }
+  const [textBefore, textAfter] = texts?.map(part => part.trim()) || splitText(segment, at) || [];
+  if (!textBefore || !textAfter) {
+    throw new TranscriptEditError(`Segment ${index} has a single word; send texts: [textBefore, textAfter]`);
+  }
+
+  const editedAt = new Date();
+  const splitAt = round(at);
+  const { words, ...rest } = segment;
+  const halves = [
+    { ...rest, end: splitAt, text: textBefore },
+    { ...rest, start: splitAt, text: textAfter }
+  ].map(half => markEdited({ ...half, asr_text: segment.asr_text ?? segment.text }, editedAt.toISOString()));
+
+  transcription.segments = [...segments.slice(0, index), ...halves, ...segments.slice(index + 1)];
+  return saveTranscript(jobId, transcription, editedAt, `segment ${index} split at ${splitAt}s`);
+};
+
+// ===== RE-TRANSLATION =====
+// Translated segments by the source text they were made from, in order, so repeated lines each find one
+const indexBySourceText = (segments) => {
+  const bySource = new Map();
+  for (const segment of segments) {
+    const key = (segment.original_text ?? segment.originaltext ?? '').trim();
+    bySource.set(key, [...(bySource.get(key) || []), segment]);
+  }
+  return bySource;
+};
+
+/**
+ * Re-translate the segments whose source text changed and queue the job to re-dub them
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - { retranslated, reused, queued, fromStep, queuePosition }
+ * @throws {TranscriptEditError} - Job busy, nothing to apply, or not translated yet
+ */
+export const applyTranscriptEdits = async (jobId) => {
+  const upload = await loadEditableJob(jobId);
+  requireIdle(jobId, upload);
+  if (!hasPendingEdits(upload)) {
+    throw new TranscriptEditError(`Job ${jobId} has no transcript edits to apply`, 409);
+  }
+
+  const transcription = loadTranscription(jobId);
+  let translation;
+  try {
+    translation = loadTranslationArtifact(jobId);
+  } catch {
+    throw new TranscriptEditError(`Job ${jobId} has no translation yet; resume it from translation instead`, 409, {
+      resume: `/api/process/jobs/${jobId}/resume?fromStep=translation`
+    });
+  }
+
+  const options = upload.job_options || {};
+  const sourceLanguage = options.sourceLanguage || upload.source_language || transcription.language;
+  const targetLanguage = options.targetLanguage || upload.target_language || translation.language;
+
+  // Unchanged source text keeps its translation (and any reviewer edit), only its timing moves
+  // Segments whose translation failed are tried again
+  const previous = indexBySourceText((translation.segments || []).filter(segment => !segment.translation_failed));
+  const segments = transcription.segments.map((source, index) => {
+    const match = previous.get(source.text.trim())?.shift();
+    if (!match) return null;
+    return { ...match, id: index, start: source.start, end: source.end, ...(source.speaker && { speaker: source.speaker }) };
+  });
+
+  const changed = transcription.segments
+    .map((source, index) => ({ ...source, id: index }))
+    .filter((source, index) => !segments[index]);
+
+  if (changed.length > 0) {
+    console.log(`[${jobId}] 🔁 Re-translating ${changed.length}/${segments.length} corrected segment(s)`);
+    const glossary = await getGlossaryTerms(sourceLanguage, targetLanguage, jobId);
+    const retranslated = await translateTranscription(
+      { segments: changed, language: sourceLanguage, duration: transcription.duration },
+      sourceLanguage,
+      targetLanguage,
+      jobId,
+      { glossary, engine: options.translationEngine }
+    );
+    retranslated.segments.forEach(segment => {
+      segments[segment.id] = { ...segment, retranslated_at: new Date().toISOString() };
+    });
+  }
+
+  const translatedCount = segments.filter(segment => segment.text).length;
+  saveTranslationArtifact(jobId, {
+    ...translation,
+    text: segments.map(segment => segment.text).filter(Boolean).join(' '),
+    originaltext: transcription.text,
+    originalduration: transcription.duration ?? translation.originalduration,
+    segments,
+    totalsegments: segments.length,
+    successfulsegments: translatedCount,
+    glossary_violation_segments: segments.filter(segment => segment.glossary_violations).length,
+    transcript_edits_applied: true
+  });
+
+  const appliedAt = new Date();
+  await Upload.findByIdAndUpdate(jobId, { transcript_applied_at: appliedAt });
+  const result = { retranslated: changed.length, reused: segments.length - changed.length };
+
+  // A job waiting for review stays there; approving it dubs the re-translated segments
+  if (upload.processing_status === 'awaiting_review') {
+    console.log(`[${jobId}] ✅ Transcript edits applied, translation back in review`);
+    return { ...result, queued: false, fromStep: null, queuePosition: null };
+  }
+
+  await enqueueJob(jobId, {
+    ...options,
+    sourceLanguage,
+    targetLanguage,
+    jobId,
+    fromStep: 'tts_generation'
+  });
+
+  console.log(`[${jobId}] ✅ Transcript edits applied (${result.retranslated} re-translated, ${result.reused} reused), queued from tts_generation`);
+  return { ...result, queued: true, fromStep: 'tts_generation', queuePosition: await Upload.getQueuePosition(jobId) };
+};
+
+export default {
+  getTranscript,
+  updateTranscriptSegments,
+  mergeTranscriptSegments,
+  splitTranscriptSegment,
+  applyTranscriptEdits,
+  TranscriptEditError
+};
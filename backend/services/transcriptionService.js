@@ -1,10 +1,11 @@
 // services/transcriptionService.js - REAL AUDIO TRANSCRIPTION SERVICE
 import util from 'util';
-import { exec } from 'child_process';
+import { exec, registerTempPath } from '../utils/jobContext.js';
 import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
 import { translateText } from './translationService.js';
+import { diarizeTranscription } from './diarizationService.js';
 
 const execPromise = util.promisify(exec);
 
@@ -14,14 +15,18 @@ const execPromise = util.promisify(exec);
  * with precise word-level timestamps.
  * @param {string} audioPath Path to the input audio file.
  * @param {string} language The language of the audio.
+ * @param {string} [prompt] Initial prompt, e.g. glossary terms to bias spelling.
  * @returns {Promise<object>} The parsed JSON output from Whisper.
  */
-export const transcribeWithLocalWhisper = async (audioPath, language) => {
+// Local Whisper model size (tiny, base, small, medium, large); part of the transcription cache key
+export const getWhisperModel = () => process.env.WHISPER_MODEL || 'tiny';
+
+export const transcribeWithLocalWhisper = async (audioPath, language, prompt = null) => {
   console.log(`[LocalWhisper] Starting process for ${audioPath} in ${language}...`);
 
   // Define paths
   const scriptPath = path.join(process.cwd(), 'scripts', 'run_whisper.py');
-  const tempDir = path.join(process.cwd(), 'uploads', 'temp', `whisper_${Date.now()}`);
+  const tempDir = registerTempPath(path.join(process.cwd(), 'uploads', 'temp', `whisper_${Date.now()}`));
   const outputPath = path.join(tempDir, 'result.json');
 
   // Ensure temp directory exists
@@ -30,7 +35,11 @@ export const transcribeWithLocalWhisper = async (audioPath, language) => {
   }
 
   // Build the command to execute the Python script
-  const command = `python "${scriptPath}" "${audioPath}" "${outputPath}" --language ${language}`;
+  let command = `python "${scriptPath}" "${audioPath}" "${outputPath}" --language ${language} --model ${getWhisperModel()}`;
+  if (prompt) {
+    // Strip characters the shell would interpret inside double quotes
+    command += ` --initial-prompt "${prompt.replace(/["`$\\]/g, '')}"`;
+  }
   
   console.log(`[LocalWhisper] Executing command: ${command}`);
 
@@ -128,7 +137,8 @@ export const transcribeAudio = async (audioPath, jobId, sourceLanguage, targetLa
     sourceLanguage: sourceLanguage,
     targetLanguage: targetLanguage,
     diarization: enableDiarization,
-    enhancement: enableEnhancement
+    enhancement: enableEnhancement,
+    prompt: options.prompt ? `${options.prompt.length} chars` : 'none'
   });
 
   
@@ -139,6 +149,15 @@ export const transcribeAudio = async (audioPath, jobId, sourceLanguage, targetLa
   }
   const transcriptionFile = path.join(tempDir, 'transcription_results.json');
   
+  // Speaker labels are added before the result is saved, so resumed jobs keep them
+  const finalizeTranscription = async (result) => {
+    if (enableDiarization) {
+      await diarizeTranscription(result, audioPath, jobId, { numSpeakers: options.numSpeakers });
+    }
+    await saveTranscriptionResults(result, transcriptionFile, jobId);
+    return result;
+  };
+  
   // ✅ FIX: This function is now a pure async function. The 'new Promise' wrapper, which
   // was the cause of the hanging bug, has been removed. 'return' now resolves the promise,
   // and 'throw' now rejects it.
@@ -151,8 +170,7 @@ export const transcribeAudio = async (audioPath, jobId, sourceLanguage, targetLa
     if (transcriptionResult && transcriptionResult.text) {
       console.log(`[${jobId}] ✅ Transcription successful with OpenAI API.`);
 const finalResult = await transliterateIfNecessary(transcriptionResult, sourceLanguage, jobId);
-      await saveTranscriptionResults(finalResult, transcriptionFile, jobId);
-      return finalResult; // This correctly returns the result and ends the function.
+      return await finalizeTranscription(finalResult); // This correctly returns the result and ends the function.
     }
   } catch (error) {
     console.warn(`[${jobId}] Primary OpenAI API failed: ${error.message}. Falling back...`);
@@ -162,13 +180,12 @@ const finalResult = await transliterateIfNecessary(transcriptionResult, sourceLa
   try {
     console.log(`[${jobId}] Attempting local Whisper AI transcription fallback...`);
     // ✅ FIX: Calling the correct 'transcribeWithLocalWhisper' function.
-    const transcriptionResult = await transcribeWithLocalWhisper(audioPath, sourceLanguage);
+    const transcriptionResult = await transcribeWithLocalWhisper(audioPath, sourceLanguage, options.prompt);
     
     if (transcriptionResult && transcriptionResult.text) {
       console.log(`[${jobId}] ✅ Transcription successful with Local Whisper.`);
       const finalResult = await transliterateIfNecessary(transcriptionResult, sourceLanguage, jobId);
-      await saveTranscriptionResults(finalResult, transcriptionFile, jobId);
-      return finalResult; // This correctly returns the result and ends the function.
+      return await finalizeTranscription(finalResult); // This correctly returns the result and ends the function.
     }
   } catch (error) {
     console.warn(`[${jobId}] Local Whisper AI fallback failed: ${error.message}. Falling back...`);
@@ -181,8 +198,7 @@ const finalResult = await transliterateIfNecessary(transcriptionResult, sourceLa
     
     if (transcriptionResult && transcriptionResult.text) {
       console.log(`[${jobId}] ✅ Google Speech API transcription successful.`);
-      await saveTranscriptionResults(transcriptionResult, transcriptionFile, jobId);
-      return transcriptionResult;
+      return await finalizeTranscription(transcriptionResult);
     }
   } catch (error) {
     console.warn(`[${jobId}] Google Speech API failed: ${error.message}. Falling back...`);
@@ -192,8 +208,7 @@ const finalResult = await transliterateIfNecessary(transcriptionResult, sourceLa
   try {
     console.log(`[${jobId}] All transcription models failed. Using real audio analysis fallback...`);
     const transcriptionResult = await createRealAudioTranscription(audioPath, jobId, language);
-    await saveTranscriptionResults(transcriptionResult, transcriptionFile, jobId);
-    return transcriptionResult;
+    return await finalizeTranscription(transcriptionResult);
   } catch (error) {
     console.error(`[${jobId}] All transcription methods, including final fallback, have failed:`, error.message);
     throw error; // This correctly rejects the promise and stops the pipeline.
@@ -575,7 +590,8 @@ const transcribeWithOpenAIWhisper = async (audioPath, jobId, language = 'hi', op
       model: "whisper-1",
       language: language,
       response_format: "verbose_json",
-      timestamp_granularities: ["segment"]
+      timestamp_granularities: ["segment"],
+      ...(options.prompt && { prompt: options.prompt })
     });
     
     console.log(`[${jobId}] ✅ OpenAI Whisper API transcription successful`);
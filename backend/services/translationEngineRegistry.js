@@ -0,0 +1,70 @@
+// services/translationEngineRegistry.js - PLUGGABLE TRANSLATION ENGINES
+
+import { getTranslationConfig } from '../config/translationConfig.js';
+
+// name -> { name, label, isAvailable(), translate(text, sourceLang, targetLang, { jobId, context }), translateBatch? }
+const engines = new Map();
+const warnedUnknown = new Set();
+
+// ===== REGISTRATION =====
+export const registerTranslationEngine = (name, adapter) => {
+  if (!name || typeof adapter?.translate !== 'function') {
+    throw new Error(`Translation engine '${name}' must provide a translate() function`);
+  }
+
+  const key = name.toLowerCase();
+  engines.set(key, {
+    name: key,
+    label: adapter.label || key,
+    requiresNetwork: adapter.requiresNetwork !== false,
+    isAvailable: adapter.isAvailable || (() => true),
+    translate: adapter.translate,
+    // Optional: (texts, sourceLang, targetLang, { jobId }) => Promise<string[]>
+    translateBatch: adapter.translateBatch || null
+  });
+};
+
+export const getTranslationEngine = (name) => engines.get((name || '').toLowerCase()) || null;
+
+export const isKnownEngine = (name) => engines.has((name || '').toLowerCase());
+
+export const listTranslationEngines = () => {
+  const { engineChain } = getTranslationConfig();
+
+  return [...engines.values()].map(engine => ({
+    name: engine.name,
+    label: engine.label,
+    available: Boolean(engine.isAvailable()),
+    requires_network: engine.requiresNetwork,
+    chain_position: engineChain.includes(engine.name) ? engineChain.indexOf(engine.name) + 1 : null
+  }));
+};
+
+// ===== CHAIN RESOLUTION =====
+// The job's preferred engine(s) go first, the configured chain follows as fallback
+export const resolveEngineChain = (preferred = null) => {
+  const { engineChain } = getTranslationConfig();
+
+  const preferredList = (Array.isArray(preferred) ? preferred : String(preferred || '').split(','))
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const chain = [...new Set([...preferredList, ...engineChain])];
+
+  return chain.filter(name => {
+    if (engines.has(name)) return true;
+    if (!warnedUnknown.has(name)) {
+      warnedUnknown.add(name);
+      console.warn(`⚠️ Unknown translation engine '${name}' ignored. Registered: ${[...engines.keys()].join(', ')}`);
+    }
+    return false;
+  });
+};
+
+export default {
+  registerTranslationEngine,
+  getTranslationEngine,
+  isKnownEngine,
+  listTranslationEngines,
+  resolveEngineChain
+};
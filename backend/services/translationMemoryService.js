@@ -0,0 +1,338 @@
+// services/translationMemoryService.js - TRANSLATION MEMORY (EXACT + FUZZY REUSE, TMX)
+
+import mongoose from 'mongoose';
+import TranslationMemory from '../models/translationMemoryModel.js';
+import { getTranslationConfig } from '../config/translationConfig.js';
+import { normalizeText, editSimilarity } from '../utils/textMetrics.js';
+
+// Bulk writes are split so a large TMX import doesn't build one huge request
+const BULK_WRITE_CHUNK = 500;
+
+// ===== KEYS =====
+export const normalizeSegment = (text) => normalizeText(text);
+
+// "Lecture 13" and "Lecture 14" are close by edit distance but must never share a translation
+const extractNumbers = (text) => (text.match(/\p{N}+/gu) || []).join(' ');
+
+// Without a connection mongoose buffers queries for 10s - far too long to wait per segment
+const isMemoryReady = () => getTranslationConfig().memoryEnabled && mongoose.connection.readyState === 1;
+
+// ===== LOOKUP =====
+/**
+ * Find a stored translation for a segment, exact first, then fuzzy by edit similarity
+ * @param {string} text - Source segment
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @param {string} jobId - Job identifier for logging
+ * @returns {Promise<Object|null>} - { text, match: 'exact'|'fuzzy', similarity, entryId } or null
+ */
+export const lookupTranslationMemory = async (text, sourceLang, targetLang, jobId = 'unknown') => {
+  const normalized = normalizeSegment(text);
+  if (!normalized || !isMemoryReady()) {
+    return null;
+  }
+
+  const { memoryFuzzyThreshold, memoryFuzzyCandidates } = getTranslationConfig();
+
+  try {
+    let best = null;
+
+    const exact = await TranslationMemory.findOne({
+      source_language: sourceLang,
+      target_language: targetLang,
+      normalized_source: normalized
+    }).lean();
+
+    if (exact) {
+      best = { entry: exact, match: 'exact', similarity: 1 };
+    } else if (memoryFuzzyThreshold < 1) {
+      const numbers = extractNumbers(normalized);
+      const candidates = await TranslationMemory.findFuzzyCandidates(
+        sourceLang, targetLang, normalized.length, memoryFuzzyThreshold, memoryFuzzyCandidates
+      );
+
+      for (const candidate of candidates) {
+        if (extractNumbers(candidate.normalized_source) !== numbers) continue;
+        const similarity = editSimilarity(normalized, candidate.normalized_source);
+        if (similarity >= memoryFuzzyThreshold && (!best || similarity > best.similarity)) {
+          best = { entry: candidate, match: 'fuzzy', similarity };
+        }
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    // Usage stats are informational, don't hold up translation for them
+    TranslationMemory.updateOne(
+      { _id: best.entry._id },
+      { $inc: { usage_count: 1 }, $set: { last_used_at: new Date() } }
+    ).catch(() => {});
+
+    return {
+      text: best.entry.target_text,
+      match: best.match,
+      similarity: Math.round(best.similarity * 1000) / 1000,
+      entryId: best.entry._id
+    };
+  } catch (error) {
+    console.warn(`[${jobId}] ⚠️ Translation memory lookup failed: ${error.message}`);
+    return null;
+  }
+};
+
+// ===== STORE =====
+const upsertEntries = async (entries) => {
+  let inserted = 0;
+  let updated = 0;
+
+  for (let i = 0; i < entries.length; i += BULK_WRITE_CHUNK) {
+    const now = new Date();
+    const result = await TranslationMemory.bulkWrite(
+      entries.slice(i, i + BULK_WRITE_CHUNK).map(entry => ({
+        updateOne: {
+          filter: {
+            source_language: entry.source_language,
+            target_language: entry.target_language,
+            normalized_source: entry.normalized_source
+          },
+          update: {
+            $set: { ...entry, updatedAt: now },
+            $setOnInsert: { createdAt: now, usage_count: 0 }
+          },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+    inserted += result.upsertedCount;
+    updated += result.modifiedCount;
+  }
+
+  return { inserted, updated };
+};
+
+/**
+ * Add the segments of a completed job to the memory
+ * @param {Object[]} segments - Translated segments ({ original_text, translated_text, engine })
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object>} - { stored, inserted, updated }
+ */
+export const storeTranslationMemory = async (segments, sourceLang, targetLang, jobId = 'unknown') => {
+  if (sourceLang === targetLang || !isMemoryReady()) {
+    return { stored: 0, inserted: 0, updated: 0 };
+  }
+
+  // Memory hits are already stored; glossary misses shouldn't be reused
+  const entries = new Map();
+  for (const segment of segments || []) {
+    const sourceText = (segment.original_text || '').trim();
+    const targetText = (segment.translated_text || '').trim();
+    const normalized = normalizeSegment(sourceText);
+
+    if (!normalized || !targetText) continue;
+    if (segment.engine === 'memory' || segment.engine === 'none') continue;
+    if (segment.glossary_violations?.length > 0) continue;
+
+    entries.set(normalized, {
+      source_language: sourceLang,
+      target_language: targetLang,
+      source_text: sourceText,
+      normalized_source: normalized,
+      source_length: normalized.length,
+      target_text: targetText,
+      origin: 'job',
+      engine: segment.engine,
+      job_id: String(jobId)
+    });
+  }
+
+  if (entries.size === 0) {
+    return { stored: 0, inserted: 0, updated: 0 };
+  }
+
+  try {
+    const { inserted, updated } = await upsertEntries([...entries.values()]);
+    console.log(`[${jobId}] 🧠 Translation memory: ${inserted} new, ${updated} updated segments (${sourceLang} → ${targetLang})`);
+    return { stored: entries.size, inserted, updated };
+  } catch (error) {
+    console.warn(`[${jobId}] ⚠️ Could not update translation memory: ${error.message}`);
+    return { stored: 0, inserted: 0, updated: 0 };
+  }
+};
+
+// ===== TMX =====
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const getAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(["'])(.*?)\\1`, 'i'));
+  return match ? match[2] : null;
+};
+
+// "hi-IN" / "HI" -> "hi"
+const toLanguageCode = (tmxLang) => (tmxLang || '').split(/[-_]/)[0].toLowerCase() || null;
+
+// TMX date format: 20240131T120000Z
+const toTmxDate = (date) => new Date(date || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Inline codes (<bpt>, <ph>, ...) carry formatting from the original file, not text
+const readSegText = (seg) => unescapeXml(
+  seg
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => escapeXml(data))
+    .replace(/<(bpt|ept|ph|it|ut)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<[^>]+>/g, '')
+).replace(/\s+/g, ' ').trim();
+
+/**
+ * Export memory entries as a TMX 1.4 document
+ * @param {Object} filter - { source, target } language codes, both optional
+ * @returns {Promise<Object>} - { tmx, count }
+ */
+export const exportTmx = async ({ source, target } = {}) => {
+  const query = {};
+  if (source) query.source_language = source.toLowerCase();
+  if (target) query.target_language = target.toLowerCase();
+
+  const entries = await TranslationMemory.find(query)
+    .sort({ source_language: 1, target_language: 1, normalized_source: 1 })
+    .lean();
+
+  const sourceLanguages = [...new Set(entries.map(entry => entry.source_language))];
+  const srclang = sourceLanguages.length === 1 ? sourceLanguages[0] : '*all*';
+
+  const units = entries.map(entry => [
+    `    <tu creationdate="${toTmxDate(entry.createdAt)}" changedate="${toTmxDate(entry.updatedAt)}" usagecount="${entry.usage_count || 0}"${entry.last_used_at ? ` lastusagedate="${toTmxDate(entry.last_used_at)}"` : ''}>`,
+    `      <prop type="x-origin">${escapeXml(entry.origin || 'job')}</prop>`,
+    ...(entry.engine ? [`      <prop type="x-engine">${escapeXml(entry.engine)}</prop>`] : []),
+    `      <tuv xml:lang="${escapeXml(entry.source_language)}"><seg>${escapeXml(entry.source_text)}</seg></tuv>`,
+    `      <tuv xml:lang="${escapeXml(entry.target_language)}"><seg>${escapeXml(entry.target_text)}</seg></tuv>`,
+    '    </tu>'
+  ].join('\n'));
+
+  const tmx = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    `  <header creationtool="video-translation-backend" creationtoolversion="1.0.0" segtype="sentence" o-tmf="translation-memory" adminlang="en" srclang="${escapeXml(srclang)}" datatype="plaintext" creationdate="${toTmxDate()}"/>`,
+    '  <body>',
+    ...units,
+    '  </body>',
+    '</tmx>',
+    ''
+  ].join('\n');
+
+  return { tmx, count: entries.length };
+};
+
+/**
+ * Parse a TMX document into source/target pairs
+ * @param {string} xml - TMX document
+ * @param {Object} options - { source, target } to override header srclang / restrict the target
+ * @returns {Object[]} - [{ source_language, target_language, source_text, target_text }]
+ */
+export const parseTmx = (xml, { source = null, target = null } = {}) => {
+  if (!/<tmx\b/i.test(xml || '')) {
+    throw new Error('Not a TMX document (no <tmx> element)');
+  }
+
+  const header = (xml.match(/<header\b([^>]*)>/i) || [])[1] || '';
+  const headerSrcLang = getAttribute(header, 'srclang');
+  const defaultSource = toLanguageCode(source) || (headerSrcLang && headerSrcLang !== '*all*' ? toLanguageCode(headerSrcLang) : null);
+  const onlyTarget = toLanguageCode(target);
+
+  const pairs = [];
+
+  for (const [, tuAttributes, tuBody] of xml.matchAll(/<tu\b([^>]*)>([\s\S]*?)<\/tu>/gi)) {
+    const variants = [...tuBody.matchAll(/<tuv\b([^>]*)>([\s\S]*?)<\/tuv>/gi)]
+      .map(([, attributes, body]) => ({
+        lang: toLanguageCode(getAttribute(attributes, 'xml:lang') || getAttribute(attributes, 'lang')),
+        text: readSegText((body.match(/<seg\b[^>]*>([\s\S]*?)<\/seg>/i) || [])[1] || '')
+      }))
+      .filter(variant => variant.lang && variant.text);
+
+    const unitSource = toLanguageCode(getAttribute(tuAttributes, 'srclang')) || defaultSource;
+    const sourceVariant = variants.find(variant => variant.lang === unitSource);
+    if (!sourceVariant) continue;
+
+    for (const variant of variants) {
+      if (variant.lang === unitSource) continue;
+      if (onlyTarget && variant.lang !== onlyTarget) continue;
+
+      pairs.push({
+        source_language: unitSource,
+        target_language: variant.lang,
+        source_text: sourceVariant.text,
+        target_text: variant.text
+      });
+    }
+  }
+
+  return pairs;
+};
+
+/**
+ * Import a TMX document into the memory, replacing entries with the same source segment
+ * @param {string} xml - TMX document
+ * @param {Object} options - { source, target } language codes
+ * @returns {Promise<Object>} - { units, inserted, updated, skipped, pairs }
+ */
+export const importTmx = async (xml, options = {}) => {
+  const parsed = parseTmx(xml, options);
+
+  const entries = new Map();
+  for (const pair of parsed) {
+    const normalized = normalizeSegment(pair.source_text);
+    if (!normalized) continue;
+
+    entries.set(`${pair.source_language}|${pair.target_language}|${normalized}`, {
+      ...pair,
+      normalized_source: normalized,
+      source_length: normalized.length,
+      origin: 'import'
+    });
+  }
+
+  const { inserted, updated } = entries.size > 0
+    ? await upsertEntries([...entries.values()])
+    : { inserted: 0, updated: 0 };
+
+  const pairs = {};
+  for (const entry of entries.values()) {
+    const key = `${entry.source_language}-${entry.target_language}`;
+    pairs[key] = (pairs[key] || 0) + 1;
+  }
+
+  console.log(`🧠 TMX import: ${parsed.length} translation units, ${inserted} new, ${updated} updated`);
+
+  return {
+    units: parsed.length,
+    inserted,
+    updated,
+    skipped: parsed.length - entries.size,
+    pairs
+  };
+};
+
+export default {
+  normalizeSegment,
+  lookupTranslationMemory,
+  storeTranslationMemory,
+  exportTmx,
+  parseTmx,
+  importTmx
+};
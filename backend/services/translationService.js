@@ -2,6 +2,13 @@ import dotenv from 'dotenv';
 import https from 'https';
 import fs from 'fs';
 import path from 'path';
+import { throwIfCancelled, JobCancelledError } from '../utils/jobContext.js';
+import { translateWithGlossary, prepareGlossaryText, finishGlossaryText } from './glossaryService.js';
+import { registerTranslationEngine, getTranslationEngine, resolveEngineChain } from './translationEngineRegistry.js';
+import { getTranslationConfig } from '../config/translationConfig.js';
+import { lookupTranslationMemory } from './translationMemoryService.js';
+import { isOfflineModelAvailable, isNetworkReachable, translateOffline, translateBatchOffline } from './offlineTranslationService.js';
+import { reportProgress, reportWarning } from './jobEventService.js';
 
 
 
@@ -30,10 +37,10 @@ let lastResetDate = new Date().toDateString();
 let googleBlocked = false;
 let blockUntil = null;
 
-import { validateTranslationQuality } from './validationService.js';
+// Glossary placeholder inserted by glossaryService.protectTerms
+const PLACEHOLDER_PATTERN = /__TERM_\d+__/;
 
-
-const translateWithOpenAI = async (text, sourceLang, targetLang, jobId) => {
+const translateWithOpenAI = async (text, sourceLang, targetLang, jobId, context = null) => {
   console.log(`[${jobId}] Using OpenAI for translation...`);
 
   try {
@@ -46,12 +53,23 @@ const translateWithOpenAI = async (text, sourceLang, targetLang, jobId) => {
       apiKey: process.env.OPENAI_API_KEY
     });
 
+    // Neighbouring segments are given for reference only, so pronouns and terms stay consistent
+    let systemPrompt = `You are a professional translator. Translate the following text from ${sourceLang} to ${targetLang}. Return only the translated text, nothing else.`;
+    if (PLACEHOLDER_PATTERN.test(text)) {
+      systemPrompt += ` Keep placeholder tokens such as __TERM_0__ exactly as they are.`;
+    }
+    if (context && (context.previous || context.next)) {
+      systemPrompt += ` The text is one subtitle segment of a longer video. Surrounding segments are provided as context only - do not translate or include them.`;
+      if (context.previous) systemPrompt += `\nPrevious segment: "${context.previous}"`;
+      if (context.next) systemPrompt += `\nNext segment: "${context.next}"`;
+    }
+
     const completion = await openai.chat.completions.create({
       model: "gpt-3.5-turbo",
       messages: [
         {
           role: "system",
-          content: `You are a professional translator. Translate the following text from ${sourceLang} to ${targetLang}. Return only the translated text, nothing else.`
+          content: systemPrompt
         },
         {
           role: "user",
@@ -233,8 +251,97 @@ const translateWithGoogleTranslate = async (text, sourceLang, targetLang, jobId)
 };
 
 
-// ===== MAIN TRANSLATION FUNCTION - WITH LIBRETRANSLATE RETRY LOGIC =====
-export const translateText = async (text, sourceLang, targetLang, jobId = 'unknown') => {
+// ===== LIBRETRANSLATE-COMPATIBLE HTTP ENGINE =====
+const translateWithLibreTranslate = async (text, sourceLang, targetLang, jobId) => {
+  const { libreTranslateUrl, libreTranslateApiKey, requestTimeoutMs } = getTranslationConfig();
+  console.log(`[${jobId}] Using LibreTranslate at ${libreTranslateUrl}...`);
+
+  if (!libreTranslateUrl) {
+    throw new Error('LIBRETRANSLATE_URL not configured');
+  }
+
+  const response = await fetch(`${libreTranslateUrl}/translate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      q: text,
+      source: sourceLang,
+      target: targetLang,
+      format: 'text',
+      ...(libreTranslateApiKey && { api_key: libreTranslateApiKey })
+    }),
+    signal: AbortSignal.timeout(requestTimeoutMs)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.translatedText) {
+    throw new Error(`LibreTranslate error ${response.status}: ${data.error || 'empty response'}`);
+  }
+
+  return {
+    text: data.translatedText,
+    sourceLang: sourceLang,
+    targetLang: targetLang,
+    engine: 'libretranslate',
+    success: true
+  };
+};
+
+// ===== ENGINE REGISTRATION =====
+// Names used by TRANSLATION_ENGINE_CHAIN and the per-job translationEngine option
+registerTranslationEngine('openai', {
+  label: 'OpenAI GPT',
+  isAvailable: () => Boolean(process.env.OPENAI_API_KEY),
+  translate: (text, sourceLang, targetLang, { jobId, context }) => translateWithOpenAI(text, sourceLang, targetLang, jobId, context)
+});
+
+registerTranslationEngine('mymemory', {
+  label: 'MyMemory',
+  translate: (text, sourceLang, targetLang, { jobId }) => translateWithMyMemory(text, sourceLang, targetLang, jobId)
+});
+
+registerTranslationEngine('google', {
+  label: 'Google Translate',
+  translate: (text, sourceLang, targetLang, { jobId }) => translateWithGoogleTranslate(text, sourceLang, targetLang, jobId)
+});
+
+registerTranslationEngine('libretranslate', {
+  label: 'LibreTranslate',
+  isAvailable: () => Boolean(getTranslationConfig().libreTranslateUrl),
+  translate: (text, sourceLang, targetLang, { jobId }) => translateWithLibreTranslate(text, sourceLang, targetLang, jobId)
+});
+
+registerTranslationEngine('local', {
+  label: 'Offline transformers model',
+  requiresNetwork: false,
+  isAvailable: isOfflineModelAvailable,
+  translate: (text, sourceLang, targetLang, { jobId }) => translateOffline(text, sourceLang, targetLang, jobId),
+  translateBatch: (texts, sourceLang, targetLang, { jobId }) => translateBatchOffline(texts, sourceLang, targetLang, jobId)
+});
+
+// ===== OFFLINE SELECTION =====
+// With no network the offline model goes first; otherwise it is the last resort behind the chain
+const resolveJobEngineChain = async (preferred) => {
+  const chain = resolveEngineChain(preferred);
+  const local = getTranslationEngine('local');
+
+  if (!local || !local.isAvailable()) {
+    return chain;
+  }
+
+  if (chain[0] !== 'local' && !(await isNetworkReachable())) {
+    return ['local', ...chain.filter(name => name !== 'local')];
+  }
+
+  return chain.includes('local') ? chain : [...chain, 'local'];
+};
+
+
+// Importing from here guarantees the built-in engines above are registered
+export { listTranslationEngines, isKnownEngine } from './translationEngineRegistry.js';
+
+// ===== MAIN TRANSLATION FUNCTION - CONFIGURABLE ENGINE CHAIN =====
+export const translateText = async (text, sourceLang, targetLang, jobId = 'unknown', options = {}) => {
   console.log(`[${jobId}] Starting translation: ${sourceLang} → ${targetLang}`);
 
   // ADD THESE LINES:
@@ -251,54 +358,247 @@ export const translateText = async (text, sourceLang, targetLang, jobId = 'unkno
     };
   }
 
-  // ===== PRIORITY 1: OPENAI TRANSLATION =====
-  try {
-    if (process.env.OPENAI_API_KEY) {
-      console.log(`[${jobId}] Attempting OpenAI translation...`);
-      const result = await translateWithOpenAI(text, sourceLang, targetLang, jobId);
+  // ===== TRANSLATION MEMORY FIRST =====
+  // Glossary-protected text (__TERM_0__) never matches a stored segment, so callers pass the original as memorySource
+  const memorySource = options.memorySource || text;
+  if (options.memory !== false && !PLACEHOLDER_PATTERN.test(memorySource)) {
+    const memoryHit = await lookupTranslationMemory(memorySource, sourceLang, targetLang, jobId);
+    if (memoryHit) {
+      console.log(`[${jobId}] 🧠 Translation memory ${memoryHit.match} match (similarity ${memoryHit.similarity})`);
+      return {
+        text: memoryHit.text,
+        language: targetLang,
+        sourceLang: sourceLang,
+        targetLang: targetLang,
+        engine: 'memory',
+        memory_match: memoryHit.match,
+        memory_similarity: memoryHit.similarity,
+        success: true
+      };
+    }
+  }
+
+  // ===== TRY EACH ENGINE IN THE CHAIN =====
+  const chain = await resolveJobEngineChain(options.engine);
+  const failures = [];
+
+  for (const name of chain) {
+    const engine = getTranslationEngine(name);
+
+    if (!engine.isAvailable()) {
+      console.log(`[${jobId}] Skipping ${engine.label}: not configured`);
+      continue;
+    }
+
+    try {
+      console.log(`[${jobId}] Attempting ${engine.label} translation...`);
+      const result = await engine.translate(text, sourceLang, targetLang, { jobId, context: options.context });
+
       if (result && result.text) {
-        console.log(`[${jobId}] ✅ OpenAI translation successful`);
+        console.log(`[${jobId}] ✅ ${engine.label} translation successful`);
         if (!verifyProperScript(result.text, targetLang)) {
           console.warn(`[${jobId}] ⚠️ Translation may be romanized, not proper script`);
         }
-        return result;
+        return {
+          ...result,
+          language: targetLang,
+          sourceLang: sourceLang,
+          targetLang: targetLang,
+          engine: engine.name,
+          success: true
+        };
       }
+
+      failures.push(`${engine.name}: empty result`);
+    } catch (engineError) {
+      console.warn(`[${jobId}] ${engine.label} translation failed: ${engineError.message}`);
+      failures.push(`${engine.name}: ${engineError.message}`);
     }
-  } catch (openaiError) {
-    console.warn(`[${jobId}] OpenAI translation failed: ${openaiError.message}`);
   }
 
-  // ===== PRIORITY 2: MYMEMORY API (PRIMARY FREE FALLBACK) =====
+  // All services failed
+  throw new Error(`All translation services failed for ${sourceLang} → ${targetLang}` +
+    (failures.length > 0 ? ` (${failures.join('; ')})` : ' (no engine configured)'));
+};
+
+// ===== BATCH TRANSLATION =====
+// Engines with translateBatch (the offline model) take every segment at once; null means translate one by one
+const translateSegmentsInBatch = async (sourceSegments, sourceLang, targetLang, jobId, options) => {
+  const chain = await resolveJobEngineChain(options.engine);
+  const engine = getTranslationEngine(chain.find(name => getTranslationEngine(name).isAvailable()));
+
+  if (!engine?.translateBatch) {
+    return null;
+  }
+
+  const glossary = options.glossary || [];
+  const originals = sourceSegments.map(segment => (segment.text || '').trim());
+  const prepared = originals.map(text => prepareGlossaryText(text, glossary));
+
+  // Same order as translateText: memory hits never reach the engine
+  const memoryHits = await Promise.all(originals.map(text =>
+    text ? lookupTranslationMemory(text, sourceLang, targetLang, jobId) : null
+  ));
+  const pending = originals.map((text, i) => i).filter(i => originals[i] && !memoryHits[i]);
+  if (pending.length < originals.length) {
+    console.log(`[${jobId}] 🧠 Translation memory covered ${originals.filter(Boolean).length - pending.length} segments`);
+  }
+
   try {
-    console.log(`[${jobId}] Attempting MyMemory API translation...`);
-    const result = await translateWithMyMemory(text, sourceLang, targetLang, jobId);
+    const translations = pending.length > 0
+      ? await engine.translateBatch(pending.map(i => prepared[i].text), sourceLang, targetLang, { jobId })
+      : [];
+    throwIfCancelled(jobId, 'translation');
 
-    if (result && result.text) {
-      console.log(`[${jobId}] ✅ MyMemory translation successful`);
-      if (!verifyProperScript(result.text, targetLang)) {
-        console.warn(`[${jobId}] ⚠️ Translation may be romanized, not proper script`);
-      }
-      return result;
+    const translated = new Map(pending.map((index, j) => [index, translations[j] || '']));
+
+    return originals.map((text, i) => ({
+      ...finishGlossaryText(text, memoryHits[i] ? memoryHits[i].text : (translated.get(i) || ''), prepared[i]),
+      engine: memoryHits[i] ? 'memory' : engine.name
+    }));
+  } catch (error) {
+    if (error instanceof JobCancelledError) throw error;
+    console.warn(`[${jobId}] ⚠️ Batch translation with ${engine.name} failed, translating segment by segment: ${error.message}`);
+    return null;
+  }
+};
+
+// ===== SEGMENT-LEVEL TRANSLATION - KEEPS WHISPER TIMING =====
+// Each Whisper segment is translated on its own (with its neighbours as context), so every
+// translated segment keeps the source start/end that TTS, captions and validation rely on.
+export const translateTranscription = async (transcription, sourceLang, targetLang, jobId = 'unknown', options = {}) => {
+  const sourceSegments = (transcription?.segments || [])
+    .filter(segment => Number.isFinite(segment.start) && Number.isFinite(segment.end));
+
+  const duration = transcription?.duration ||
+                   (sourceSegments.length > 0 ? sourceSegments[sourceSegments.length - 1].end : 0);
+
+  // Nothing to align to - translate the whole text as one timed segment
+  if (sourceSegments.length === 0) {
+    console.warn(`[${jobId}] ⚠️ Transcription has no timed segments, translating full text as one segment`);
+    if (!transcription?.text) {
+      throw new Error('Transcription has neither segments nor text to translate');
     }
-  } catch (myMemoryError) {
-    console.warn(`[${jobId}] MyMemory translation failed: ${myMemoryError.message}`);
+    sourceSegments.push({ id: 0, start: 0, end: duration || 30, text: transcription.text });
   }
 
-  // ===== PRIORITY 3: GOOGLE TRANSLATE (LAST RESORT) =====
-  try {
-    console.log(`[${jobId}] Attempting Google Translate...`);
-    const result = await translateWithMyMemory(jobId, sourceLang, targetLang, text);
+  const contextWindow = options.contextWindow ?? 1;
+  const glossary = options.glossary || [];
+  console.log(`[${jobId}] Translating ${sourceSegments.length} segments individually (${sourceLang} → ${targetLang}, context ±${contextWindow})`);
+
+  const segments = [];
+  const engineCounts = {};
+  let failedCount = 0;
+  let lastFailure = null;
+  const batchResults = sourceLang !== targetLang
+    ? await translateSegmentsInBatch(sourceSegments, sourceLang, targetLang, jobId, options)
+    : null;
+
+  for (let i = 0; i < sourceSegments.length; i++) {
+    throwIfCancelled(jobId, 'translation');
+
+    const source = sourceSegments[i];
+    const originalText = (source.text || '').trim();
+    let translatedText = '';
+    let engine = 'none';
+    let glossaryViolations = [];
+    let failed = false;
+
+    if (originalText.length > 0 && batchResults) {
+      translatedText = batchResults[i].text.trim();
+      engine = batchResults[i].engine;
+      engineCounts[engine] = (engineCounts[engine] || 0) + 1;
+      glossaryViolations = batchResults[i].glossary_violations;
+    } else if (originalText.length > 0) {
+      const context = contextWindow > 0 ? {
+        previous: sourceSegments.slice(Math.max(0, i - contextWindow), i).map(s => (s.text || '').trim()).join(' '),
+        next: sourceSegments.slice(i + 1, i + 1 + contextWindow).map(s => (s.text || '').trim()).join(' ')
+      } : null;
+
+      try {
+        const result = await translateWithGlossary(originalText, glossary, (text) =>
+          translateText(text, sourceLang, targetLang, jobId, { context, engine: options.engine, memorySource: originalText })
+        );
+        translatedText = result.text.trim();
+        engine = result.engine;
+        engineCounts[engine] = (engineCounts[engine] || 0) + 1;
+        glossaryViolations = result.glossary_violations;
+      } catch (segmentError) {
+        if (segmentError instanceof JobCancelledError) throw segmentError;
+
+        // One segment's engine outage doesn't throw away the segments already translated
+        console.warn(`[${jobId}] ⚠️ Segment ${i + 1} could not be translated, keeping the source text: ${segmentError.message}`);
+        reportWarning(jobId, `Segment ${i + 1} could not be translated; it keeps the source text`, {
+          step: 'translation',
+          segment: i + 1,
+          error: segmentError.message
+        });
+        translatedText = originalText;
+        failed = true;
+        failedCount++;
+        lastFailure = segmentError.message;
+      }
+    }
+
+    if (glossaryViolations.length > 0) {
+      console.warn(`[${jobId}] ⚠️ Segment ${i + 1}: glossary terms not honoured: ${glossaryViolations.map(v => v.source_term).join(', ')}`);
+      reportWarning(jobId, `Segment ${i + 1}: glossary terms not honoured`, {
+        step: 'translation',
+        terms: glossaryViolations.map(v => v.source_term)
+      });
+    }
+    reportProgress(jobId, 'translation', i + 1, sourceSegments.length, `Translated segment ${i + 1}/${sourceSegments.length}`);
+
+    segments.push({
+      id: source.id ?? i,
+      start: source.start,
+      end: source.end,
+      original_text: originalText,
+      translated_text: translatedText,
+      text: translatedText,
+      engine,
+      ...(failed && { translation_failed: true }),
+      ...(source.speaker && { speaker: source.speaker }),
+      ...(glossaryViolations.length > 0 && { glossary_violations: glossaryViolations })
+    });
 
-    if (result && result.text) {
-      console.log(`[${jobId}] ✅ Google Translate successful`);
-      return result;
+    if ((i + 1) % 10 === 0 || i === sourceSegments.length - 1) {
+      console.log(`[${jobId}] Translated ${i + 1}/${sourceSegments.length} segments`);
     }
-  } catch (googleError) {
-    console.warn(`[${jobId}] Google Translate failed: ${googleError.message}`);
   }
 
-  // All services failed
-  throw new Error(`All translation services failed for ${sourceLang} → ${targetLang}`);
+  // Nothing translated at all is an outage, not a partial result worth dubbing
+  if (failedCount > 0 && failedCount === segments.filter(s => s.original_text.length > 0).length) {
+    throw new Error(`Translation failed for all ${failedCount} segments (${sourceLang} → ${targetLang}): ${lastFailure}`);
+  }
+
+  const translatedCount = segments.filter(s => s.translated_text.length > 0).length - failedCount;
+  const glossaryViolationCount = segments.filter(s => s.glossary_violations).length;
+  const primaryEngine = Object.entries(engineCounts).sort((a, b) => b[1] - a[1])[0]?.[0] || 'none';
+
+  console.log(`[${jobId}] ✅ Segment translation complete: ${translatedCount}/${segments.length} segments (engine: ${primaryEngine})`);
+
+  return {
+    text: segments.map(s => s.translated_text).filter(Boolean).join(' '),
+    originaltext: transcription?.text || segments.map(s => s.original_text).join(' '),
+    language: targetLang,
+    languagename: getLanguageName(targetLang),
+    sourceLang,
+    targetLang,
+    originallanguage: sourceLang,
+    segments,
+    timing_source: 'whisper',
+    originalduration: duration,
+    engine: primaryEngine,
+    engines_used: engineCounts,
+    requested_engine: options.engine || null,
+    totalsegments: segments.length,
+    successfulsegments: translatedCount,
+    failedsegments: failedCount,
+    glossary_terms: glossary.length,
+    glossary_violation_segments: glossaryViolationCount,
+    success: true
+  };
 };
 
 function verifyProperScript(text, targetLanguage) {
@@ -633,6 +933,7 @@ export const isLanguagePairSupported = (sourceLang, targetLang) => {
 // ===== EXPORT ALL FUNCTIONS =====
 export default {
   translateText,
+  translateTranscription,
   getSupportedIndianLanguages,
   getMostCommonIndianLanguages,
   getBestTranslationPairs,
@@ -1,9 +1,11 @@
 // services/ttsService.js - FIXED TTS SEGMENT REPETITION ISSUE
 
-import { exec } from 'child_process';
+import { exec } from '../utils/jobContext.js';
 import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
+import { reportProgress, reportWarning } from './jobEventService.js';
+import { digestOf } from './artifactCache.js';
 
 const execAsync = promisify(exec);
 
@@ -102,6 +104,9 @@ const generateTTSWithVoice = async (translation, jobId, voiceConfig, targetLangu
   try {
     console.log(`[${jobId}] Generating TTS with voice configuration...`);
     
+    // Per-job voice, base rate and pitch chosen at upload
+    voiceConfig = applyVoiceSelection(voiceConfig, options.voiceSelection);
+    
     // ===== GET ACTUAL DURATION =====
     let actualDuration = translation.originalduration || 
                         translation.duration || 
@@ -109,21 +114,30 @@ const generateTTSWithVoice = async (translation, jobId, voiceConfig, targetLangu
                          translation.segments[translation.segments.length - 1].end : 0) || 
                         30;
     
-    // Try to get actual video duration
-    try {
-      const originalVideoPath = await discoverOriginalVideoFile(jobId);
-      if (originalVideoPath && fs.existsSync(originalVideoPath)) {
-        const videoDuration = await getVideoDurationDirect(originalVideoPath);
-        actualDuration = videoDuration;
-        console.log(`[${jobId}] Using actual video duration: ${actualDuration}s`);
+    // Audio-only jobs pass the source duration; there is no video to look for
+    if (options.sourceDuration) {
+      actualDuration = options.sourceDuration;
+      console.log(`[${jobId}] Using source audio duration: ${actualDuration}s`);
+    } else {
+      // Try to get actual video duration
+      try {
+        const originalVideoPath = await discoverOriginalVideoFile(jobId);
+        if (originalVideoPath && fs.existsSync(originalVideoPath)) {
+          const videoDuration = await getVideoDurationDirect(originalVideoPath);
+          actualDuration = videoDuration;
+          console.log(`[${jobId}] Using actual video duration: ${actualDuration}s`);
+        }
+      } catch (durationError) {
+        console.warn(`[${jobId}] Failed to get video duration:`, durationError.message);
       }
-    } catch (durationError) {
-      console.warn(`[${jobId}] Failed to get video duration:`, durationError.message);
     }
     
     console.log(`[${jobId}] TTS CONFIGURATION:`);
     console.log(`[${jobId}]   Language: ${targetLanguage} (${getLanguageName(targetLanguage)})`);
     console.log(`[${jobId}]   Voice: ${voiceConfig.voice} (${voiceConfig.quality})`);
+    if (voiceConfig.baseRate || voiceConfig.pitch) {
+      console.log(`[${jobId}]   Base rate: ${voiceConfig.baseRate || '+0%'}, pitch: ${voiceConfig.pitch || '+0Hz'}`);
+    }
     console.log(`[${jobId}]   Target duration: ${actualDuration}s`);
     
     // ===== CREATE OUTPUT DIRECTORY =====
@@ -138,7 +152,7 @@ const generateTTSWithVoice = async (translation, jobId, voiceConfig, targetLangu
     // ===== CHOOSE TTS GENERATION METHOD =====
     if (translation.segments && translation.segments.length > 0) {
       console.log(`[${jobId}] Using segment-based TTS generation...`);
-      return await generateSegmentBasedTTS(translation, voiceConfig, audioFilePath, jobId, actualDuration, targetLanguage);
+      return await generateSegmentBasedTTS(translation, voiceConfig, audioFilePath, jobId, actualDuration, targetLanguage, options.speakerVoices);
     } else {
       console.log(`[${jobId}] Using full-text TTS generation...`);
       return await generateFullTextTTS(translation, voiceConfig, audioFilePath, jobId, actualDuration, targetLanguage);
@@ -217,8 +231,9 @@ const validateTranslationQuality = async (segments, targetLanguage, jobId) => {
         // VALIDATION 2: Check for untranslated content (original text = translated text)
         let untranslatedCount = 0;
         segments.forEach((segment, index) => {
-            // Check if 'originaltext' exists and is different from the translated 'text'
-            if (segment.text && segment.originaltext && segment.text.trim() === segment.originaltext.trim() && segment.text.trim().length > 5) {
+            // Check if the source text exists and is different from the translated 'text'
+            const originalText = segment.original_text || segment.originaltext;
+            if (segment.text && originalText && segment.text.trim() === originalText.trim() && segment.text.trim().length > 5) {
                 untranslatedCount++;
                 console.warn(`[${jobId}] Segment ${index + 1} appears untranslated: "${segment.text.substring(0, 50)}..."`);
             }
@@ -266,7 +281,7 @@ const validateTranslationQuality = async (segments, targetLanguage, jobId) => {
             console.error(`[${jobId}]   - Sample segments:`, segments.slice(0, 3).map((s, i) => ({
                 index: i + 1,
                 text: s.text ? s.text.substring(0, 100) : 'NO_TEXT',
-                originaltext: s.originaltext ? s.originaltext.substring(0, 100) : 'NO_ORIGINAL'
+                originaltext: (s.original_text || s.originaltext || 'NO_ORIGINAL').substring(0, 100)
             })));
         }
         
@@ -275,8 +290,40 @@ const validateTranslationQuality = async (segments, targetLanguage, jobId) => {
 };
 
 
+// ===== PER-SEGMENT AUDIO REUSE =====
+// Fitted segment audio is kept under uploads/tts_segments/<jobId>/, named by a digest of everything
+// that shaped it. Re-running TTS after transcript or translation corrections then only synthesises
+// the segments whose text, voice or timing changed.
+const SEGMENT_AUDIO_DIR = path.join('uploads', 'tts_segments');
+
+const getSegmentAudioPath = (jobId, text, voiceConfig, timing, targetLanguage) => path.join(
+  SEGMENT_AUDIO_DIR,
+  String(jobId),
+  `${digestOf({
+    text,
+    language: targetLanguage,
+    voice: voiceConfig.voice,
+    alternative: voiceConfig.alternative,
+    baseRate: voiceConfig.baseRate,
+    pitch: voiceConfig.pitch,
+    speechRate: timing.speechRate,
+    duration: Math.round(timing.duration * 1000)
+  })}.wav`
+);
+
+// Segments that are no longer part of the translation would never be reused
+const pruneSegmentAudio = (jobId, keptPaths) => {
+  const jobDir = path.join(SEGMENT_AUDIO_DIR, String(jobId));
+  if (!fs.existsSync(jobDir)) return;
+
+  for (const name of fs.readdirSync(jobDir)) {
+    const filePath = path.join(jobDir, name);
+    if (!keptPaths.has(filePath)) fs.rmSync(filePath, { force: true });
+  }
+};
+
 // ===== CRITICAL FIX: SEGMENT-BASED TTS GENERATION WITH VALIDATION =====
-const generateSegmentBasedTTS = async (translation, voiceConfig, outputPath, jobId, actualDuration, targetLanguage) => {
+const generateSegmentBasedTTS = async (translation, voiceConfig, outputPath, jobId, actualDuration, targetLanguage, speakerVoices = null) => {
   console.log(`[${jobId}] Starting segment-based TTS generation...`);
   
   const tempDir = './uploads/temp_audio';
@@ -285,6 +332,8 @@ const generateSegmentBasedTTS = async (translation, voiceConfig, outputPath, job
   }
   
   const segmentAudioFiles = [];
+  const keptSegmentAudio = new Set();
+  let reusedSegments = 0;
   
   try {
     let segmentsToProcess = translation.segments || [];
@@ -324,6 +373,14 @@ const generateSegmentBasedTTS = async (translation, voiceConfig, outputPath, job
       const segment = segmentsToProcess[i];
       
       console.log(`[${jobId}] Processing segment ${i + 1}/${segmentTimings.length}: ${segmentTiming.start.toFixed(2)}s - ${segmentTiming.end.toFixed(2)}s`);
+      reportProgress(jobId, 'tts_generation', i, segmentTimings.length, `TTS segment ${i + 1}/${segmentTimings.length}`);
+      
+      // Pause in the source speech before this segment
+      if (segmentTiming.leadingSilence > 0.01) {
+        const gapFile = path.join(tempDir, `${jobId}_segment_${i}_gap.wav`);
+        await createPrecisionSilence(gapFile, segmentTiming.leadingSilence);
+        segmentAudioFiles.push({ file: gapFile, isSilence: true });
+      }
       
       if (!segment.text || segment.text.trim().length === 0) {
         const silenceFile = path.join(tempDir, `${jobId}_segment_${i}_silence.wav`);
@@ -336,9 +393,20 @@ const generateSegmentBasedTTS = async (translation, voiceConfig, outputPath, job
       
       try {
         const segmentText = segment.text.trim();
-        console.log(`[${jobId}] Generating TTS for segment ${i + 1} (${targetLanguage}): "${segmentText.substring(0, 50)}..."`);
+        const segmentVoice = getSpeakerVoiceConfig(voiceConfig, speakerVoices, segment.speaker);
+        const segmentAudioPath = getSegmentAudioPath(jobId, segmentText, segmentVoice, segmentTiming, targetLanguage);
         
-        await generateTTSForSegment(segmentText, voiceConfig, segmentFile, segmentTiming, jobId, i + 1, targetLanguage);
+        if (fs.existsSync(segmentAudioPath)) {
+          fs.copyFileSync(segmentAudioPath, segmentFile);
+          segmentAudioFiles.push({ file: segmentFile, isSilence: false });
+          keptSegmentAudio.add(segmentAudioPath);
+          reusedSegments++;
+          continue;
+        }
+        
+        console.log(`[${jobId}] Generating TTS for segment ${i + 1} (${targetLanguage}${segment.speaker ? `, ${segment.speaker}` : ''}): "${segmentText.substring(0, 50)}..."`);
+        
+        await generateTTSForSegment(segmentText, segmentVoice, segmentFile, segmentTiming, jobId, i + 1, targetLanguage);
         
         const generatedDuration = await getAudioDurationPrecise(segmentFile);
         const durationError = Math.abs(generatedDuration - segmentTiming.duration);
@@ -349,9 +417,13 @@ const generateSegmentBasedTTS = async (translation, voiceConfig, outputPath, job
         }
         
         segmentAudioFiles.push({ file: segmentFile, isSilence: false });
+        fs.mkdirSync(path.dirname(segmentAudioPath), { recursive: true });
+        fs.copyFileSync(segmentFile, segmentAudioPath);
+        keptSegmentAudio.add(segmentAudioPath);
         
       } catch (segmentError) {
         console.warn(`[${jobId}] Segment ${i + 1} failed: ${segmentError.message}`);
+        reportWarning(jobId, `TTS failed for segment ${i + 1}; it will be silent`, { step: 'tts_generation', segment: i + 1 });
         const fallbackSilenceFile = path.join(tempDir, `${jobId}_segment_${i}_fallback_silence.wav`);
         await createPrecisionSilence(fallbackSilenceFile, segmentTiming.duration);
         segmentAudioFiles.push({ file: fallbackSilenceFile, isSilence: true });
@@ -362,6 +434,15 @@ const generateSegmentBasedTTS = async (translation, voiceConfig, outputPath, job
       }
     }
     
+    // Pad to the full video length after the last spoken segment
+    const trailingSilence = segmentTimings[segmentTimings.length - 1]?.trailingSilence || 0;
+    if (trailingSilence > 0.01) {
+      const tailFile = path.join(tempDir, `${jobId}_segment_tail_silence.wav`);
+      await createPrecisionSilence(tailFile, trailingSilence);
+      segmentAudioFiles.push({ file: tailFile, isSilence: true });
+    }
+    
+    reportProgress(jobId, 'tts_generation', segmentTimings.length, segmentTimings.length, 'Concatenating segments');
     console.log(`[${jobId}] Concatenating ${segmentAudioFiles.length} audio segments...`);
     await concatenateAudioSegments(segmentAudioFiles, outputPath, jobId);
     
@@ -372,7 +453,11 @@ const generateSegmentBasedTTS = async (translation, voiceConfig, outputPath, job
     console.log(`[${jobId}]   Target: ${actualDuration.toFixed(3)}s`);
     console.log(`[${jobId}]   Generated: ${finalDuration.toFixed(3)}s`);
     console.log(`[${jobId}]   Accuracy: ${accuracyPercentage.toFixed(1)}%`);
+    if (reusedSegments > 0) {
+      console.log(`[${jobId}]   Reused audio: ${reusedSegments} unchanged segment(s)`);
+    }
     
+    pruneSegmentAudio(jobId, keptSegmentAudio);
     await cleanupTempFiles(segmentAudioFiles, tempDir, jobId);
     return outputPath;
     
@@ -406,7 +491,7 @@ const generateFullTextTTS = async (translation, voiceConfig, outputPath, jobId,
   }
   
   // Calculate optimal speech rate
-  const speechRate = calculateOptimalSpeechRate(textToConvert, actualDuration, targetLanguage);
+  const speechRate = addPercentRate(calculateOptimalSpeechRate(textToConvert, actualDuration, targetLanguage), voiceConfig.baseRate);
   
   console.log(`[${jobId}] Full-text TTS configuration:`);
   console.log(`[${jobId}]   Text length: ${textToConvert.length} characters`);
@@ -416,7 +501,7 @@ const generateFullTextTTS = async (translation, voiceConfig, outputPath, jobId,
   
   try {
     // Generate TTS
-    await executeTTSCommand(textToConvert, voiceConfig.voice, outputPath, speechRate, jobId, targetLanguage);
+    await executeTTSCommand(textToConvert, voiceConfig.voice, outputPath, speechRate, jobId, targetLanguage, voiceConfig.pitch);
     
     // Adjust duration if needed
     const generatedDuration = await getAudioDurationPrecise(outputPath);
@@ -445,7 +530,7 @@ const generateFullTextTTS = async (translation, voiceConfig, outputPath, jobId,
       console.log(`[${jobId}] Trying alternative voice: ${voiceConfig.alternative}`);
       try {
         // ✅ FIX: textToConvert is now accessible here
-        await executeTTSCommand(textToConvert, voiceConfig.alternative, outputPath, speechRate, jobId, targetLanguage);
+        await executeTTSCommand(textToConvert, voiceConfig.alternative, outputPath, speechRate, jobId, targetLanguage, voiceConfig.pitch);
         console.log(`[${jobId}] ✅ Alternative voice succeeded`);
         return outputPath;
       } catch (alternativeError) {
@@ -467,16 +552,16 @@ const generateTTSForSegment = async (text, voiceConfig, outputPath, timing, jobI
     throw new Error('Empty text after cleaning');
   }
   
-  const rateParam = timing.speechRate || '+0%';
+  const rateParam = addPercentRate(timing.speechRate || '+0%', voiceConfig.baseRate);
   
   console.log(`[${jobId}] Generating TTS for segment ${segmentNumber} (${targetLanguage}): "${cleanText.substring(0, 30)}..."`);
   
   try {
-    await executeTTSCommand(cleanText, voiceConfig.voice, outputPath, rateParam, jobId, targetLanguage);
+    await executeTTSCommand(cleanText, voiceConfig.voice, outputPath, rateParam, jobId, targetLanguage, voiceConfig.pitch);
   } catch (primaryError) {
     if (voiceConfig.alternative) {
       console.warn(`[${jobId}] Primary voice failed for segment ${segmentNumber}, trying alternative`);
-      await executeTTSCommand(cleanText, voiceConfig.alternative, outputPath, rateParam, jobId, targetLanguage);
+      await executeTTSCommand(cleanText, voiceConfig.alternative, outputPath, rateParam, jobId, targetLanguage, voiceConfig.pitch);
     } else {
       throw primaryError;
     }
@@ -484,10 +569,11 @@ const generateTTSForSegment = async (text, voiceConfig, outputPath, timing, jobI
 };
 
 // Execute TTS command using edge-tts
-const executeTTSCommand = async (text, voice, outputPath, rateParam, jobId, targetLanguage) => {
+const executeTTSCommand = async (text, voice, outputPath, rateParam, jobId, targetLanguage, pitch = null) => {
   return new Promise((resolve, reject) => {
     const cleanText = text.replace(/"/g, '\\"').trim();
-    const edgeTTSCommand = `edge-tts --voice "${voice}" --text "${cleanText}" --rate="${rateParam}" --write-media "${outputPath}"`;
+    const pitchParam = pitch && pitch !== '+0Hz' ? ` --pitch="${pitch}"` : '';
+    const edgeTTSCommand = `edge-tts --voice "${voice}" --text "${cleanText}" --rate="${rateParam}"${pitchParam} --write-media "${outputPath}"`;
     
     console.log(`[${jobId}] Executing TTS command for ${targetLanguage}: ${text.length} chars, rate: ${rateParam}`);
     
@@ -531,6 +617,10 @@ const executeTTSCommand = async (text, voice, outputPath, rateParam, jobId, targ
 // Replace the entire 'prepareSegmentTimings' function with this complete version.
 
 const prepareSegmentTimings = (segments, totalDuration, jobId) => {
+    if (hasSourceTiming(segments)) {
+        return prepareSourceSegmentTimings(segments, totalDuration, jobId);
+    }
+
     console.log(`[${jobId}] Calculating DYNAMIC segment timings based on text length...`);
 
     const totalTextLength = segments.reduce((sum, seg) => sum + (seg.text?.trim().length || 0), 0);
@@ -605,6 +695,48 @@ if (calculatedTotal > 0 && Math.abs(calculatedTotal - totalDuration) > 0.01) {
 };
 
 
+// Segments from translateTranscription keep the Whisper start/end of the source speech
+const hasSourceTiming = (segments) => {
+    return segments.length > 0 && segments.every(seg =>
+        Number.isFinite(seg.start) && Number.isFinite(seg.end) && seg.end > seg.start
+    );
+};
+
+// Place each segment at its source start/end, filling pauses with silence
+const prepareSourceSegmentTimings = (segments, totalDuration, jobId) => {
+    console.log(`[${jobId}] Using source segment timing from transcription (${segments.length} segments)...`);
+
+    const timings = [];
+    let cursor = 0;
+
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        // Overlapping Whisper segments start where the previous one ended
+        const start = Math.min(Math.max(segment.start, cursor), totalDuration);
+        const end = Math.min(Math.max(segment.end, start + 0.1), Math.max(totalDuration, start + 0.1));
+        const duration = end - start;
+
+        timings.push({
+            start,
+            end,
+            duration,
+            leadingSilence: start - cursor,
+            speechRate: calculateSpeechRateForSegment(segment.text, duration),
+            segmentIndex: i,
+            textLength: segment.text?.trim().length || 0,
+            sourceTiming: true
+        });
+        cursor = end;
+    }
+
+    timings[timings.length - 1].trailingSilence = Math.max(0, totalDuration - cursor);
+
+    const gapTotal = timings.reduce((sum, t) => sum + t.leadingSilence, 0);
+    console.log(`[${jobId}] ✅ Source timings: ${timings[0].start.toFixed(2)}s to ${cursor.toFixed(2)}s, ${gapTotal.toFixed(2)}s of pauses preserved`);
+
+    return timings;
+};
+
 // Calculate speech rate for segment
 const calculateSpeechRateForSegment = (text, duration) => {
   if (!text || duration <= 0) return '+0%';
@@ -653,6 +785,125 @@ const calculateOptimalSpeechRate = (text, duration, language) => {
   return '+0%';
 };
 
+// Voice for a diarized segment: the speaker's mapped voice/pitch, falling back to the language voice.
+// The job's pitch shifts every speaker alike, so speakers sharing a voice stay apart.
+const getSpeakerVoiceConfig = (voiceConfig, speakerVoices, speaker) => {
+  const mapped = speaker && speakerVoices?.[speaker];
+  if (!mapped?.voice) return voiceConfig;
+
+  return {
+    ...voiceConfig,
+    voice: mapped.voice,
+    alternative: mapped.voice === voiceConfig.voice ? voiceConfig.alternative : voiceConfig.voice,
+    pitch: addPitch(mapped.pitch || '+0Hz', voiceConfig.pitch)
+  };
+};
+
+// ===== PER-JOB VOICE SELECTION =====
+export const VOICE_GENDERS = ['female', 'male'];
+export const MAX_BASE_RATE_PERCENT = 50;
+export const MAX_PITCH_HZ = 50;
+
+const RATE_PATTERN = /^[+-]\d{1,3}%$/;
+const PITCH_PATTERN = /^[+-]\d{1,3}Hz$/;
+
+// edge-tts takes signed values such as '+10%' or '-12Hz'
+const formatSigned = (value, unit) => `${value >= 0 ? '+' : ''}${value}${unit}`;
+
+// Segment rate plus the job's base rate, kept within what edge-tts still renders intelligibly
+const addPercentRate = (rate, baseRate) => {
+  if (!baseRate) return rate;
+  const total = (parseInt(rate, 10) || 0) + (parseInt(baseRate, 10) || 0);
+  return formatSigned(Math.max(-50, Math.min(100, total)), '%');
+};
+
+const addPitch = (pitch, basePitch) => {
+  if (!basePitch) return pitch;
+  return formatSigned((parseInt(pitch, 10) || 0) + (parseInt(basePitch, 10) || 0), 'Hz');
+};
+
+/**
+ * Voices available per language, as offered to uploads
+ * @param {string} [languageCode] - Only this language
+ * @returns {Object[]} - [{ language, name, region, quality, voices: [{ voice, gender, default }] }]
+ */
+export const getVoiceCatalogue = (languageCode = null) => {
+  const supported = getSupportedVoices();
+  const codes = languageCode ? [languageCode] : Object.keys(supported);
+
+  return codes.filter(code => supported[code]).map(code => {
+    const config = supported[code];
+    return {
+      language: code,
+      name: config.name,
+      region: config.region,
+      quality: config.quality,
+      voices: [
+        { voice: config.voice, gender: config.gender, default: true },
+        { voice: config.alternative, gender: config.alternativeGender, default: false }
+      ]
+    };
+  });
+};
+
+/**
+ * Check upload voice options against the catalogue of every target language
+ * @param {string[]} targetLanguages - Target language codes
+ * @param {Object} selection - { voice, voiceGender, baseRate, pitch }
+ * @returns {string|null} - Error message, or null when the selection is valid
+ */
+export const validateVoiceSelection = (targetLanguages, { voice, voiceGender, baseRate, pitch } = {}) => {
+  if (voice) {
+    const missing = targetLanguages.filter(language =>
+      !getVoiceCatalogue(language)[0]?.voices.some(entry => entry.voice === voice)
+    );
+    if (missing.length > 0) {
+      return targetLanguages.length > 1
+        ? `Voice '${voice}' does not cover every target language; use voiceGender for multi-language uploads`
+        : `Voice '${voice}' is not available for '${missing[0]}'`;
+    }
+  }
+
+  if (voiceGender && !VOICE_GENDERS.includes(voiceGender)) {
+    return `voiceGender must be one of: ${VOICE_GENDERS.join(', ')}`;
+  }
+
+  if (baseRate && (!RATE_PATTERN.test(baseRate) || Math.abs(parseInt(baseRate, 10)) > MAX_BASE_RATE_PERCENT)) {
+    return `baseRate must look like +10% or -5%, within ±${MAX_BASE_RATE_PERCENT}%`;
+  }
+
+  if (pitch && (!PITCH_PATTERN.test(pitch) || Math.abs(parseInt(pitch, 10)) > MAX_PITCH_HZ)) {
+    return `pitch must look like +12Hz or -8Hz, within ±${MAX_PITCH_HZ}Hz`;
+  }
+
+  return null;
+};
+
+// Language voice config with the job's choice applied: the chosen voice (or gender) leads, the other
+// stays as the fallback, and baseRate/pitch ride along for every TTS call
+const applyVoiceSelection = (voiceConfig, selection = {}) => {
+  if (!selection) return voiceConfig;
+
+  const useAlternative = selection.voice
+    ? selection.voice === voiceConfig.alternative
+    : Boolean(selection.voiceGender) && selection.voiceGender !== voiceConfig.gender &&
+      selection.voiceGender === voiceConfig.alternativeGender;
+
+  const config = useAlternative
+    ? {
+        ...voiceConfig,
+        voice: voiceConfig.alternative,
+        alternative: voiceConfig.voice,
+        gender: voiceConfig.alternativeGender,
+        alternativeGender: voiceConfig.gender
+      }
+    : { ...voiceConfig };
+
+  config.baseRate = selection.baseRate || null;
+  config.pitch = selection.pitch || null;
+  return config;
+};
+
 // Get voice configuration for language
 const getVoiceForLanguage = (languageCode) => {
   const voices = getSupportedVoices();
@@ -949,6 +1200,7 @@ export const getSupportedVoices = () => {
       name: 'Hindi',
       quality: 'excellent',
       gender: 'female',
+      alternativeGender: 'male',
       region: 'India'
     },
     'bn': {
@@ -957,6 +1209,7 @@ export const getSupportedVoices = () => {
       name: 'Bengali',
       quality: 'excellent',
       gender: 'male',
+      alternativeGender: 'female',
       region: 'India/Bangladesh'
     },
     'te': {
@@ -965,6 +1218,7 @@ export const getSupportedVoices = () => {
       name: 'Telugu',
       quality: 'excellent',
       gender: 'female',
+      alternativeGender: 'male',
       region: 'India'
     },
     'ta': {
@@ -973,6 +1227,7 @@ export const getSupportedVoices = () => {
       name: 'Tamil',
       quality: 'excellent',
       gender: 'female',
+      alternativeGender: 'male',
       region: 'India/Sri Lanka'
     },
     'mr': {
@@ -981,6 +1236,7 @@ export const getSupportedVoices = () => {
       name: 'Marathi',
       quality: 'excellent',
       gender: 'female',
+      alternativeGender: 'male',
       region: 'India'
     },
     'gu': {
@@ -989,6 +1245,7 @@ export const getSupportedVoices = () => {
       name: 'Gujarati',
       quality: 'excellent',
       gender: 'female',
+      alternativeGender: 'male',
       region: 'India'
     },
     'kn': {
@@ -997,6 +1254,7 @@ export const getSupportedVoices = () => {
       name: 'Kannada',
       quality: 'excellent',
       gender: 'female',
+      alternativeGender: 'male',
       region: 'India'
     },
     'ml': {
@@ -1005,6 +1263,7 @@ export const getSupportedVoices = () => {
       name: 'Malayalam',
       quality: 'excellent',
       gender: 'female',
+      alternativeGender: 'male',
       region: 'India'
     },
     'pa': {
@@ -1013,6 +1272,7 @@ export const getSupportedVoices = () => {
       name: 'Punjabi',
       quality: 'good',
       gender: 'male',
+      alternativeGender: 'female',
       region: 'India/Pakistan'
     },
     'ur': {
@@ -1021,6 +1281,7 @@ export const getSupportedVoices = () => {
       name: 'Urdu',
       quality: 'good',
       gender: 'male',
+      alternativeGender: 'female',
       region: 'Pakistan/India'
     },
     'en': {
@@ -1029,6 +1290,7 @@ export const getSupportedVoices = () => {
       name: 'English (India)',
       quality: 'excellent',
       gender: 'female',
+      alternativeGender: 'male',
       region: 'India'
     }
   };
@@ -1039,5 +1301,7 @@ export const getSupportedVoices = () => {
 export default {
   generateTTS,
   getSupportedVoices,
+  getVoiceCatalogue,
+  validateVoiceSelection,
   validateTranslationQuality  // ✅ Add this export
 };
@@ -0,0 +1,347 @@
+// services/uploadSessionService.js - RESUMABLE CHUNKED UPLOADS
+//
+// A client announces the file (name, type, size and the usual upload options), then sends it
+// in chunks with PATCH requests carrying Upload-Offset and an Upload-Checksum of the chunk,
+// following the tus core protocol and checksum extension. Chunks are written at their offset
+// into uploads/chunks/<sessionId>.part; after a network drop the client asks for the offset
+// and carries on from there. Once the last byte is in, the file moves to uploads/originals
+// and the job is created exactly once. A file that fails media inspection ends the session.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import UploadSession from '../models/uploadSessionModel.js';
+import { getUploadConfig } from '../config/uploadConfig.js';
+import { ALLOWED_MEDIA_TYPES, generateStoredFilename } from '../middleware/multer.js';
+import { MediaProbeError } from './mediaProbeService.js';
+
+const CHUNKS_DIR = path.join('uploads', 'chunks');
+const ORIGINALS_DIR = path.join('uploads', 'originals');
+
+// A chunk writer that dies holding the session's write lock blocks it for at most this long
+const CHUNK_WRITE_LOCK_MS = 60 * 1000;
+
+let cleanupTimer = null;
+
+export class UploadSessionError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'UploadSessionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// ===== API VIEW =====
+export const toSessionSummary = (session) => ({
+  sessionId: session._id.toString(),
+  status: session.status,
+  fileName: session.original_name,
+  size: session.size,
+  offset: session.offset,
+  complete: session.offset >= session.size,
+  chunksReceived: session.chunks_received,
+  chunkSize: getUploadConfig().chunkSizeBytes,
+  expiresAt: session.expires_at,
+  ...(session.job_id && { jobId: session.job_id.toString() }),
+  ...(session.error_message && { error_message: session.error_message })
+});
+
+// ===== CREATE =====
+/**
+ * Start a resumable upload
+ * @param {Object} params
+ * @param {string} params.originalName - Client file name
+ * @param {string} params.mimeType - Video MIME type
+ * @param {number} params.size - Total size in bytes
+ * @param {Object} params.uploadOptions - POST /api/upload form fields, validated by the caller
+ * @returns {Promise<Object>} - UploadSession document
+ */
+export const createUploadSession = async ({ originalName, mimeType, size, uploadOptions = {} }) => {
+  const { maxUploadSizeBytes, maxUploadSizeMb, sessionTtlMs } = getUploadConfig();
+
+  if (!originalName || typeof originalName !== 'string') {
+    throw new UploadSessionError('fileName is required');
+  }
+  if (!ALLOWED_MEDIA_TYPES.includes(mimeType)) {
+    throw new UploadSessionError(`Unsupported media type '${mimeType}'`, 415, { supported: ALLOWED_MEDIA_TYPES });
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new UploadSessionError('size must be the file size in bytes');
+  }
+  if (size > maxUploadSizeBytes) {
+    throw new UploadSessionError(`File exceeds the ${maxUploadSizeMb}MB upload limit`, 413, { maxSize: `${maxUploadSizeMb}MB` });
+  }
+
+  fs.mkdirSync(CHUNKS_DIR, { recursive: true });
+
+  const session = new UploadSession({
+    original_name: path.basename(originalName),
+    mime_type: mimeType,
+    size,
+    part_path: 'pending',
+    upload_options: uploadOptions,
+    expires_at: new Date(Date.now() + sessionTtlMs)
+  });
+  session.part_path = path.join(CHUNKS_DIR, `${session._id}.part`);
+
+  fs.writeFileSync(session.part_path, Buffer.alloc(0));
+  await session.save();
+
+  console.log(`[UPLOAD] 📦 Resumable upload ${session._id} started: ${session.original_name} (${Math.round(size / 1024 / 1024)}MB)`);
+  return session;
+};
+
+export const getUploadSession = async (sessionId) => {
+  const session = await UploadSession.findById(sessionId);
+  if (!session || session.status === 'aborted') {
+    throw new UploadSessionError('Upload session not found', 404);
+  }
+  return session;
+};
+
+// ===== CHUNKS =====
+// tus checksum extension: "Upload-Checksum: sha256 <base64 digest>"
+const verifyChunkChecksum = (chunk, header) => {
+  if (!header) {
+    throw new UploadSessionError('Upload-Checksum header is required (sha256 <base64 digest>)');
+  }
+
+  const [algorithm, digest] = String(header).trim().split(/\s+/);
+  if (algorithm?.toLowerCase() !== 'sha256' || !digest) {
+    throw new UploadSessionError(`Unsupported checksum '${header}'; use sha256 <base64 digest>`);
+  }
+
+  const actual = crypto.createHash('sha256').update(chunk).digest('base64');
+  if (actual !== digest) {
+    // 460 Checksum Mismatch, as in the tus checksum extension
+    throw new UploadSessionError('Chunk checksum mismatch, send the chunk again', 460);
+  }
+};
+
+/**
+ * Write one chunk at its offset
+ * @param {string} sessionId - Upload session ID
+ * @param {number} offset - Upload-Offset the client sent; must equal the bytes received so far
+ * @param {Buffer} chunk - Chunk bytes
+ * @param {string} checksum - Upload-Checksum header
+ * @returns {Promise<Object>} - Updated UploadSession document
+ */
+export const appendChunk = async (sessionId, offset, chunk, checksum) => {
+  const { chunkSizeBytes, sessionTtlMs } = getUploadConfig();
+  const session = await getUploadSession(sessionId);
+
+  if (session.status !== 'uploading') {
+    throw new UploadSessionError(`Upload session is ${session.status}`, 409, { offset: session.offset });
+  }
+  if (!Number.isInteger(offset) || offset !== session.offset) {
+    throw new UploadSessionError(`Upload-Offset must be ${session.offset}`, 409, { offset: session.offset });
+  }
+  if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+    throw new UploadSessionError('Chunk body is empty; send it as application/offset+octet-stream');
+  }
+  if (chunk.length > chunkSizeBytes) {
+    throw new UploadSessionError(`Chunks may be at most ${chunkSizeBytes} bytes`, 413);
+  }
+  if (offset + chunk.length > session.size) {
+    throw new UploadSessionError(`Chunk runs past the announced size of ${session.size} bytes`, 400, { offset: session.offset });
+  }
+
+  verifyChunkChecksum(chunk, checksum);
+
+  // Claimed before touching the file, so two requests for the same offset never both write
+  const now = new Date();
+  const claimed = await UploadSession.findOneAndUpdate(
+    {
+      _id: sessionId,
+      status: 'uploading',
+      offset,
+      $or: [{ chunk_lock_until: null }, { chunk_lock_until: { $lt: now } }]
+    },
+    { $set: { chunk_lock_until: new Date(now.getTime() + CHUNK_WRITE_LOCK_MS) } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const current = await UploadSession.findById(sessionId).select('offset').lean();
+    throw new UploadSessionError('Another chunk for this offset is being written or arrived first', 409, { offset: current?.offset ?? 0 });
+  }
+
+  // Writing at the offset makes a chunk resent after a lost response harmless
+  try {
+    const handle = await fs.promises.open(session.part_path, 'r+');
+    try {
+      await handle.write(chunk, 0, chunk.length, offset);
+    } finally {
+      await handle.close();
+    }
+  } catch (error) {
+    await UploadSession.updateOne({ _id: sessionId, chunk_lock_until: claimed.chunk_lock_until }, { chunk_lock_until: null });
+    throw error;
+  }
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: sessionId, status: 'uploading', offset, chunk_lock_until: claimed.chunk_lock_until },
+    {
+      $set: {
+        offset: offset + chunk.length,
+        chunk_lock_until: null,
+        last_chunk_at: new Date(),
+        expires_at: new Date(Date.now() + sessionTtlMs)
+      },
+      $inc: { chunks_received: 1 }
+    },
+    { new: true }
+  );
+
+  // Only when the write outlasted its lock and another request took the offset over
+  if (!updated) {
+    const current = await UploadSession.findById(sessionId).select('offset').lean();
+    throw new UploadSessionError('Chunk write took too long; resend it', 409, { offset: current?.offset ?? 0 });
+  }
+
+  return updated;
+};
+
+// ===== COMPLETION =====
+/**
+ * Move a fully received file to uploads/originals and create its job, once
+ * A failed job creation puts the file back so the client can retry
+ * @param {string} sessionId - Upload session ID
+ * @param {Function} createJob - (file) => response body; file is { filename, originalname, size, mimetype }
+ * @returns {Promise<Object>} - Completed UploadSession document
+ */
+export const completeUploadSession = async (sessionId, createJob) => {
+  const session = await UploadSession.findOneAndUpdate(
+    { _id: sessionId, status: 'uploading', $expr: { $gte: ['$offset', '$size'] } },
+    { status: 'assembling' },
+    { new: true }
+  );
+
+  if (!session) {
+    const current = await getUploadSession(sessionId);
+    if (current.status === 'completed') return current;
+    if (current.status === 'rejected') {
+      throw new UploadSessionError(`Upload was rejected: ${current.error_message}`, 422);
+    }
+    throw new UploadSessionError(
+      current.status === 'assembling' ? 'Upload is being assembled' : `Upload incomplete: ${current.offset}/${current.size} bytes received`,
+      409,
+      { offset: current.offset }
+    );
+  }
+
+  const filename = generateStoredFilename(session.original_name);
+  const finalPath = path.join(ORIGINALS_DIR, filename);
+
+  try {
+    const { size } = fs.statSync(session.part_path);
+    if (size !== session.size) {
+      throw new Error(`Assembled file is ${size} bytes, expected ${session.size}`);
+    }
+
+    fs.mkdirSync(ORIGINALS_DIR, { recursive: true });
+    fs.renameSync(session.part_path, finalPath);
+
+    const jobResponse = await createJob({
+      filename,
+      originalname: session.original_name,
+      size: session.size,
+      mimetype: session.mime_type
+    });
+
+    const completed = await UploadSession.findByIdAndUpdate(session._id, {
+      status: 'completed',
+      job_id: jobResponse.jobId,
+      job_response: jobResponse,
+      error_message: null
+    }, { new: true });
+
+    console.log(`[UPLOAD] ✅ Resumable upload ${session._id} complete, job ${jobResponse.jobId} created`);
+    return completed;
+
+  } catch (error) {
+    // Resending the same bytes can't fix a file ffprobe rejected; job creation already removed it
+    if (error instanceof MediaProbeError) {
+      await UploadSession.findByIdAndUpdate(session._id, { status: 'rejected', error_message: error.message });
+      console.warn(`[UPLOAD] 🚫 Resumable upload ${session._id} rejected: ${error.message}`);
+      throw error;
+    }
+
+    if (fs.existsSync(finalPath)) {
+      fs.renameSync(finalPath, session.part_path);
+    }
+    await UploadSession.findByIdAndUpdate(session._id, { status: 'uploading', error_message: error.message });
+    console.error(`[UPLOAD] ❌ Resumable upload ${session._id} could not be completed:`, error.message);
+    throw error;
+  }
+};
+
+// ===== ABORT AND EXPIRY =====
+const removePartFile = (session) => {
+  try {
+    if (session.part_path && fs.existsSync(session.part_path)) {
+      fs.unlinkSync(session.part_path);
+    }
+  } catch (error) {
+    console.warn(`[UPLOAD] ⚠️ Could not remove ${session.part_path}:`, error.message);
+  }
+};
+
+export const abortUploadSession = async (sessionId) => {
+  const session = await getUploadSession(sessionId);
+  if (session.status !== 'uploading') {
+    throw new UploadSessionError(`Upload session is ${session.status}`, 409);
+  }
+
+  removePartFile(session);
+  await UploadSession.findByIdAndUpdate(sessionId, { status: 'aborted' });
+  console.log(`[UPLOAD] 🗑️ Resumable upload ${sessionId} aborted`);
+};
+
+// Unfinished sessions past their expiry lose their partial file; completed ones are kept as the job's record
+export const cleanupExpiredUploadSessions = async () => {
+  const expired = await UploadSession.find({
+    status: { $in: ['uploading', 'rejected', 'aborted'] },
+    expires_at: { $lt: new Date() }
+  }).select('part_path').lean();
+
+  for (const session of expired) {
+    removePartFile(session);
+  }
+
+  if (expired.length > 0) {
+    await UploadSession.deleteMany({ _id: { $in: expired.map(session => session._id) } });
+    console.log(`[UPLOAD] 🧹 Removed ${expired.length} expired upload sessions`);
+  }
+
+  return expired.length;
+};
+
+export const startUploadSessionCleanup = () => {
+  if (cleanupTimer) return;
+
+  cleanupTimer = setInterval(() => {
+    cleanupExpiredUploadSessions().catch(error => console.warn(`[UPLOAD] ⚠️ Session cleanup failed:`, error.message));
+  }, getUploadConfig().cleanupIntervalMs);
+  cleanupTimer.unref?.();
+};
+
+export const stopUploadSessionCleanup = () => {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+};
+
+export default {
+  createUploadSession,
+  getUploadSession,
+  appendChunk,
+  completeUploadSession,
+  abortUploadSession,
+  cleanupExpiredUploadSessions,
+  startUploadSessionCleanup,
+  stopUploadSessionCleanup,
+  toSessionSummary
+};
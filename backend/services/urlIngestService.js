@@ -0,0 +1,181 @@
+// services/urlIngestService.js - DOWNLOAD A VIDEO OR AUDIO FILE FROM AN HTTP(S) URL INTO uploads/originals
+//
+// Redirects are followed by hand so every hop is checked against the allowed hosts and counted.
+// The body is streamed to disk with the upload size limit enforced as bytes arrive (Content-Length
+// is only a hint), and the saved file's type comes from its leading bytes, not from the server.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { getIngestConfig } from '../config/ingestConfig.js';
+import { getUploadConfig } from '../config/uploadConfig.js';
+import { ALLOWED_MEDIA_TYPES, generateStoredFilename } from '../middleware/multer.js';
+import { sniffMediaType, EXTENSION_FOR_TYPE } from './mediaProbeService.js';
+
+const DOWNLOAD_DIR = path.join('uploads', 'chunks');
+const ORIGINALS_DIR = path.join('uploads', 'originals');
+
+export class UrlIngestError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'UrlIngestError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// ===== URL CHECKS =====
+const checkUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new UrlIngestError(`Invalid URL: ${url}`);
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new UrlIngestError(`Only http and https URLs can be downloaded: ${url}`);
+  }
+
+  const { urlAllowedHosts } = getIngestConfig();
+  if (urlAllowedHosts.length > 0 && !urlAllowedHosts.includes(parsed.hostname.toLowerCase())) {
+    throw new UrlIngestError(`Downloads from ${parsed.hostname} are not allowed`, 403, { allowedHosts: urlAllowedHosts });
+  }
+
+  return parsed;
+};
+
+// File name from Content-Disposition, else the last path segment
+const getRemoteFileName = (response, url) => {
+  const disposition = response.headers.get('content-disposition') || '';
+  const encoded = disposition.match(/filename\*=(?:UTF-8'')?([^;]+)/i);
+  const plain = disposition.match(/filename="?([^";]+)"?/i);
+
+  let name = null;
+  try {
+    name = encoded ? decodeURIComponent(encoded[1].trim()) : plain?.[1]?.trim();
+  } catch {
+    name = plain?.[1]?.trim();
+  }
+  if (!name) {
+    const segment = url.pathname.split('/').filter(Boolean).pop() || '';
+    try {
+      name = decodeURIComponent(segment);
+    } catch {
+      // Malformed escapes such as %ZZ; the raw segment still makes a usable name
+      name = segment;
+    }
+  }
+
+  return path.basename(name || 'download');
+};
+
+// ===== REQUEST WITH REDIRECTS =====
+const fetchFollowingRedirects = async (url, signal) => {
+  const { urlMaxRedirects } = getIngestConfig();
+  let current = checkUrl(url);
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await fetch(current, { redirect: 'manual', signal });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      if (redirects >= urlMaxRedirects) {
+        throw new UrlIngestError(`Too many redirects (more than ${urlMaxRedirects})`, 502);
+      }
+      current = checkUrl(new URL(response.headers.get('location'), current).href);
+      continue;
+    }
+
+    if (!response.ok || !response.body) {
+      throw new UrlIngestError(`Remote server answered ${response.status} ${response.statusText}`.trim(), 502, {
+        remoteStatus: response.status
+      });
+    }
+
+    return { response, finalUrl: current };
+  }
+};
+
+// ===== DOWNLOAD =====
+/**
+ * Download a video or audio file into uploads/originals
+ * @param {string} url - http(s) URL of the media
+ * @returns {Promise<Object>} - { file: { filename, originalname, size, mimetype }, finalUrl }
+ * @throws {UrlIngestError} - Bad URL, remote error, too large, timed out or not a supported media type
+ */
+export const downloadVideoFromUrl = async (url) => {
+  const { urlTimeoutMs } = getIngestConfig();
+  const { maxUploadSizeBytes, maxUploadSizeMb } = getUploadConfig();
+  const tooLarge = () => new UrlIngestError(`File exceeds the ${maxUploadSizeMb}MB upload limit`, 413, { maxSize: `${maxUploadSizeMb}MB` });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), urlTimeoutMs);
+  const tempPath = path.join(DOWNLOAD_DIR, `${crypto.randomUUID()}.download`);
+
+  try {
+    const { response, finalUrl } = await fetchFollowingRedirects(url, controller.signal);
+
+    const announced = parseInt(response.headers.get('content-length'), 10);
+    if (announced > maxUploadSizeBytes) {
+      controller.abort();
+      throw tooLarge();
+    }
+
+    console.log(`[UPLOAD] 🌐 Downloading ${finalUrl.href}${announced ? ` (${Math.round(announced / 1024 / 1024)}MB)` : ''}`);
+
+    let received = 0;
+    const limitSize = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        callback(received > maxUploadSizeBytes ? tooLarge() : null, chunk);
+      }
+    });
+
+    fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
+    await pipeline(Readable.fromWeb(response.body), limitSize, fs.createWriteStream(tempPath));
+
+    if (received === 0) {
+      throw new UrlIngestError('Remote file is empty', 422);
+    }
+
+    const mimetype = sniffMediaType(tempPath);
+    if (!mimetype) {
+      throw new UrlIngestError('Downloaded file is not a supported video or audio file', 415, {
+        contentType: response.headers.get('content-type'),
+        supported: ALLOWED_MEDIA_TYPES
+      });
+    }
+
+    let originalname = getRemoteFileName(response, finalUrl);
+    if (!path.extname(originalname)) {
+      originalname += EXTENSION_FOR_TYPE[mimetype];
+    }
+
+    const filename = generateStoredFilename(originalname);
+    fs.mkdirSync(ORIGINALS_DIR, { recursive: true });
+    fs.renameSync(tempPath, path.join(ORIGINALS_DIR, filename));
+
+    console.log(`[UPLOAD] ✅ Downloaded ${originalname} (${Math.round(received / 1024)}KB, ${mimetype})`);
+    return {
+      file: { filename, originalname, size: received, mimetype },
+      finalUrl: finalUrl.href
+    };
+
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    if (error instanceof UrlIngestError) throw error;
+    if (controller.signal.aborted) {
+      throw new UrlIngestError(`Download timed out after ${Math.round(urlTimeoutMs / 1000)}s`, 504);
+    }
+    throw new UrlIngestError(`Download failed: ${error.cause?.message || error.message}`, 502);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+export default {
+  downloadVideoFromUrl,
+  UrlIngestError
+};
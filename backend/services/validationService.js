@@ -1,8 +1,29 @@
 // services/validationService.js
 import fs from 'fs';
 import path from 'path';
+import { getGlossaryTerms, findTermsInText, findGlossaryViolations } from './glossaryService.js';
+import { translateText } from './translationService.js';
+import { chrF, bleu, tokenOverlap, normalizeText } from '../utils/textMetrics.js';
+import { throwIfCancelled } from '../utils/jobContext.js';
 
-export const validateTranslationQuality = async (translationSegments, targetLanguage, jobId) => {
+// Overall score (0-100) below which a job fails, or pauses for review when it has a review mode
+export const QUALITY_THRESHOLD = 70;
+// Segments scoring below this (0-100) after the round trip are flagged for review
+const SEGMENT_FLAG_THRESHOLD = 35;
+// How many of the lowest-scoring segments are listed in the report
+const WORST_SEGMENT_COUNT = 5;
+
+// Carries the full validation report so a reviewer can see what failed
+export class TranslationQualityError extends Error {
+  constructor(message, validation) {
+    super(message);
+    this.name = 'TranslationQualityError';
+    this.score = validation.overallScore;
+    this.validation = validation;
+  }
+}
+
+export const validateTranslationQuality = async (translationSegments, targetLanguage, jobId, options = {}) => {
   const validationResults = {
     overallScore: 0,
     segments: [],
@@ -18,12 +39,13 @@ export const validateTranslationQuality = async (translationSegments, targetLang
     validationResults.lengthCheck = lengthValidation;
 
     // Method 2: Terminology consistency check
-    const terminologyValidation = await validateTerminologyConsistency(translationSegments, targetLanguage, jobId);
+    const terminologyValidation = await validateTerminologyConsistency(translationSegments, targetLanguage, jobId, options);
     validationResults.terminologyCheck = terminologyValidation;
 
     // Method 3: Back-translation validation (optional but recommended)
-    const backTranslationValidation = await performBackTranslationCheck(translationSegments, targetLanguage, jobId);
-    validationResults.backTranslationCheck = backTranslationValidation;
+    const backTranslationValidation = await performBackTranslationCheck(translationSegments, targetLanguage, jobId, options);
+    validationResults.backTranslationCheck = backTranslationValidation.summary;
+    validationResults.segments = backTranslationValidation.segments;
 
     // Calculate overall quality score
     validationResults.overallScore = calculateOverallQualityScore(
@@ -37,14 +59,34 @@ export const validateTranslationQuality = async (translationSegments, targetLang
     console.log(`[${jobId}]   Overall Score: ${validationResults.overallScore}%`);
     console.log(`[${jobId}]   Length Check: ${lengthValidation.score}%`);
     console.log(`[${jobId}]   Terminology Check: ${terminologyValidation.score}%`);
-    console.log(`[${jobId}]   Back-translation Check: ${backTranslationValidation.score}%`);
+    console.log(`[${jobId}]   Back-translation Check: ${backTranslationValidation.score ?? 'skipped'}${backTranslationValidation.score !== null ? '%' : ''}`);
+
+    // Collect segment-level problems from every check in one place
+    validationResults.issues = [
+      ...lengthValidation.issues.map(issue => ({ check: 'length', ...issue })),
+      ...terminologyValidation.issues.map(issue => ({ check: 'terminology', ...issue })),
+      ...backTranslationValidation.segments
+        .filter(segment => segment.flagged)
+        .map(segment => ({
+          check: 'back_translation',
+          segmentIndex: segment.segmentIndex,
+          segmentId: segment.segmentId,
+          start: segment.start,
+          end: segment.end,
+          issue: 'Low back-translation similarity',
+          score: segment.score,
+          reasons: segment.reasons,
+          severity: segment.score !== null && segment.score < SEGMENT_FLAG_THRESHOLD / 2 ? 'high' : 'medium'
+        }))
+    ];
+    validationResults.recommendations = buildRecommendations(validationResults);
 
     // Save validation results to file system
     await saveValidationResults(jobId, validationResults);
 
     // Throw error if quality is below threshold
-    if (validationResults.overallScore < 70) {
-      throw new Error(`Translation quality below acceptable threshold: ${validationResults.overallScore}%. Manual review required.`);
+    if (validationResults.overallScore < QUALITY_THRESHOLD) {
+      throw new TranslationQualityError(`Translation quality below acceptable threshold: ${validationResults.overallScore}%. Manual review required.`, validationResults);
     }
 
     return validationResults;
@@ -60,9 +102,17 @@ const validateTranslationLength = (segments, jobId) => {
   let totalScore = 0;
   const issues = [];
 
+  let comparedSegments = 0;
+
   segments.forEach((segment, index) => {
-    const originalLength = segment.original?.length || segment.text?.length || 0;
-    const translatedLength = segment.translated?.length || segment.text?.length || 0;
+    // Segments from translateTranscription carry both sides; older shapes fall back to originaltext
+    const originalText = segment.original_text ?? segment.originaltext ?? segment.original ?? '';
+    const translatedText = segment.translated_text ?? segment.translated ?? segment.text ?? '';
+    const originalLength = originalText.trim().length;
+    const translatedLength = translatedText.trim().length;
+
+    if (originalLength === 0) return;
+    comparedSegments++;
     
     // Acceptable length ratio between 0.5x to 2.5x
     const lengthRatio = translatedLength / originalLength;
@@ -70,6 +120,9 @@ const validateTranslationLength = (segments, jobId) => {
     if (lengthRatio < 0.3 || lengthRatio > 3.0) {
       issues.push({
         segmentIndex: index,
+        segmentId: segment.id ?? index,
+        start: segment.start,
+        end: segment.end,
         issue: 'Length anomaly',
         ratio: lengthRatio,
         severity: lengthRatio < 0.1 || lengthRatio > 5.0 ? 'high' : 'medium'
@@ -77,41 +130,237 @@ const validateTranslationLength = (segments, jobId) => {
     }
   });
 
-  const score = Math.max(0, 100 - (issues.length * 10));
+  // Penalise by the share of anomalous segments so long videos aren't failed by a handful of outliers
+  const score = comparedSegments > 0
+    ? Math.max(0, Math.round(100 * (1 - issues.length / comparedSegments)))
+    : 100;
   
   console.log(`[${jobId}] Length validation: ${score}% (${issues.length} issues found)`);
   
   return { score, issues };
 };
 
-// Helper function for terminology consistency
-const validateTerminologyConsistency = async (segments, targetLanguage, jobId) => {
+// Helper function for terminology consistency - checks every segment against the glossary
+const validateTerminologyConsistency = async (segments, targetLanguage, jobId, options = {}) => {
   console.log(`[${jobId}] Performing terminology consistency check...`);
-  
-  // Simplified implementation - you can expand this
-  return { 
-    score: 85, 
-    issues: [],
-    consistentTerms: [],
-    inconsistentTerms: []
+
+  const terms = options.glossary || await getGlossaryTerms(options.sourceLanguage, targetLanguage, jobId);
+
+  if (terms.length === 0) {
+    console.log(`[${jobId}] No glossary terms for ${options.sourceLanguage || '*'} → ${targetLanguage}, terminology check skipped`);
+    return { score: 100, issues: [], consistentTerms: [], inconsistentTerms: [], termsChecked: 0, segmentsWithTerms: 0 };
+  }
+
+  const issues = [];
+  const usedTerms = new Set();
+  const violatedTerms = new Set();
+  let segmentsWithTerms = 0;
+
+  (segments || []).forEach((segment, index) => {
+    const originalText = segment.original_text ?? segment.originaltext ?? segment.original ?? '';
+    const translatedText = segment.translated_text ?? segment.translated ?? segment.text ?? '';
+
+    const matchedTerms = findTermsInText(originalText, terms);
+    if (matchedTerms.length === 0) return;
+
+    segmentsWithTerms++;
+    matchedTerms.forEach(term => usedTerms.add(term.source_term));
+
+    const violations = findGlossaryViolations(originalText, translatedText, matchedTerms);
+    if (violations.length > 0) {
+      violations.forEach(v => violatedTerms.add(v.source_term));
+      issues.push({
+        segmentIndex: index,
+        segmentId: segment.id ?? index,
+        start: segment.start,
+        end: segment.end,
+        issue: 'Glossary violation',
+        violations,
+        severity: violations.some(v => v.issue === 'missing_term') ? 'high' : 'medium'
+      });
+    }
+  });
+
+  const score = segmentsWithTerms > 0
+    ? Math.round(100 * (1 - issues.length / segmentsWithTerms))
+    : 100;
+
+  console.log(`[${jobId}] Terminology validation: ${score}% (${issues.length}/${segmentsWithTerms} segments with glossary violations)`);
+
+  return {
+    score,
+    issues,
+    consistentTerms: [...usedTerms].filter(term => !violatedTerms.has(term)),
+    inconsistentTerms: [...violatedTerms],
+    termsChecked: terms.length,
+    segmentsWithTerms
   };
 };
 
 // Helper function for back-translation validation
-const performBackTranslationCheck = async (segments, targetLanguage, jobId) => {
+// Translates each segment back to the source language through the normal engine chain and
+// compares the round trip with the source transcript
+const performBackTranslationCheck = async (segments, targetLanguage, jobId, options = {}) => {
   console.log(`[${jobId}] Performing back-translation validation...`);
-  
-  // Simplified implementation - you can integrate with Google Translate API
-  return { 
-    score: 80, 
-    bleuScore: 0.75,
-    semanticSimilarity: 0.82
+
+  const sourceLanguage = options.sourceLanguage;
+  const skipped = (reason) => {
+    console.log(`[${jobId}] Back-translation check skipped: ${reason}`);
+    return { score: null, segments: [], summary: { score: null, skipped: true, reason } };
   };
+
+  if (!sourceLanguage) return skipped('source language unknown');
+  if (sourceLanguage === targetLanguage) return skipped('source and target language are the same');
+
+  const candidates = (segments || [])
+    .map((segment, index) => ({ segment, index }))
+    .filter(({ segment }) => (segment.original_text ?? segment.originaltext ?? '').trim().length > 0);
+
+  if (candidates.length === 0) return skipped('no segments with source text');
+
+  // Optional cap for long videos - checks an evenly spaced sample
+  const maxSegments = parseInt(process.env.BACK_TRANSLATION_MAX_SEGMENTS, 10) || 0;
+  const sampled = maxSegments > 0 && candidates.length > maxSegments
+    ? Array.from({ length: maxSegments }, (_, i) => candidates[Math.floor(i * candidates.length / maxSegments)])
+    : candidates;
+
+  const results = [];
+
+  for (const { segment, index } of sampled) {
+    throwIfCancelled(jobId, 'translation');
+
+    const originalText = (segment.original_text ?? segment.originaltext).trim();
+    const translatedText = (segment.translated_text ?? segment.text ?? '').trim();
+    const result = {
+      segmentIndex: index,
+      segmentId: segment.id ?? index,
+      start: segment.start,
+      end: segment.end,
+      original_text: originalText,
+      translated_text: translatedText,
+      back_translation: null,
+      engine: null,
+      chrf: null,
+      bleu: null,
+      token_overlap: null,
+      score: null,
+      flagged: false,
+      reasons: []
+    };
+
+    if (!translatedText) {
+      result.score = 0;
+      result.flagged = true;
+      result.reasons.push('Translation is empty');
+      results.push(result);
+      continue;
+    }
+
+    if (normalizeText(translatedText) === normalizeText(originalText)) {
+      result.reasons.push('Translation is identical to the source text');
+    }
+
+    try {
+      // A stored reverse translation would just echo the memory back, so always ask an engine
+      const back = await translateText(translatedText, targetLanguage, sourceLanguage, jobId, { memory: false });
+      result.back_translation = back.text;
+      result.engine = back.engine;
+    } catch (error) {
+      // Engine outage says nothing about this segment - leave it out of the score
+      result.reasons.push(`Back-translation failed: ${error.message}`);
+      results.push(result);
+      continue;
+    }
+
+    result.chrf = round(chrF(result.back_translation, originalText));
+    result.bleu = round(bleu(result.back_translation, originalText));
+    result.token_overlap = round(tokenOverlap(result.back_translation, originalText));
+    // chrF carries most weight: it copes with inflection and spelling variants BLEU punishes
+    result.score = Math.round((result.chrf * 0.5 + result.token_overlap * 0.3 + result.bleu * 0.2) * 100);
+
+    if (result.chrf < 0.3) result.reasons.push(`Low character overlap with source (chrF ${result.chrf})`);
+    if (result.token_overlap < 0.2) result.reasons.push(`Few source words survive the round trip (overlap ${result.token_overlap})`);
+    if (result.bleu < 0.05 && result.token_overlap >= 0.2) result.reasons.push(`Word order or phrasing differs strongly (BLEU ${result.bleu})`);
+
+    result.flagged = result.score < SEGMENT_FLAG_THRESHOLD || result.reasons.length > 0;
+    results.push(result);
+  }
+
+  const scored = results.filter(r => r.score !== null);
+  const failed = results.length - scored.length;
+
+  if (scored.length === 0) {
+    const summary = { score: null, skipped: true, reason: 'back-translation failed for every segment', failedSegments: failed };
+    console.warn(`[${jobId}] ⚠️ Back-translation unavailable for all ${results.length} segments`);
+    return { score: null, segments: results, summary };
+  }
+
+  // Weight by source length so one-word segments don't dominate
+  const weights = scored.map(r => Math.max(1, r.original_text.length));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const weighted = (key) => scored.reduce((sum, r, i) => sum + r[key] * weights[i], 0) / totalWeight;
+
+  const score = Math.round(weighted('score'));
+  const worstSegments = [...scored]
+    .sort((a, b) => a.score - b.score)
+    .slice(0, WORST_SEGMENT_COUNT)
+    .map(r => ({
+      segmentIndex: r.segmentIndex,
+      segmentId: r.segmentId,
+      start: r.start,
+      end: r.end,
+      score: r.score,
+      reasons: r.reasons.length > 0 ? r.reasons : ['Lowest round-trip similarity in this job']
+    }));
+
+  const summary = {
+    score,
+    chrF: round(weighted('chrf')),
+    bleuScore: round(weighted('bleu')),
+    tokenOverlap: round(weighted('token_overlap')),
+    segmentsChecked: scored.length,
+    segmentsTotal: candidates.length,
+    failedSegments: failed,
+    flaggedSegments: results.filter(r => r.flagged).length,
+    sourceLanguage,
+    targetLanguage,
+    worstSegments
+  };
+
+  console.log(`[${jobId}] Back-translation validation: ${score}% (chrF ${summary.chrF}, BLEU ${summary.bleuScore}, overlap ${summary.tokenOverlap}) over ${scored.length} segments, ${summary.flaggedSegments} flagged`);
+
+  return { score, segments: results, summary };
 };
 
+const round = (value) => Math.round(value * 1000) / 1000;
+
 const calculateOverallQualityScore = (lengthScore, terminologyScore, backTranslationScore) => {
-  // Weighted average of all scores
-  return Math.round((lengthScore * 0.3) + (terminologyScore * 0.4) + (backTranslationScore * 0.3));
+  // Weighted average of all scores - a skipped check (null) hands its weight to the others
+  const checks = [
+    { score: lengthScore, weight: 0.3 },
+    { score: terminologyScore, weight: 0.4 },
+    { score: backTranslationScore, weight: 0.3 }
+  ].filter(check => check.score !== null && check.score !== undefined);
+
+  const totalWeight = checks.reduce((sum, check) => sum + check.weight, 0);
+  return Math.round(checks.reduce((sum, check) => sum + check.score * check.weight, 0) / totalWeight);
+};
+
+const buildRecommendations = (results) => {
+  const recommendations = [];
+
+  if (results.lengthCheck?.issues?.length > 0) {
+    recommendations.push(`Review ${results.lengthCheck.issues.length} segment(s) whose translation length is far off the source`);
+  }
+  if (results.terminologyCheck?.inconsistentTerms?.length > 0) {
+    recommendations.push(`Glossary terms not applied: ${results.terminologyCheck.inconsistentTerms.join(', ')}`);
+  }
+  const worst = results.backTranslationCheck?.worstSegments || [];
+  if (results.backTranslationCheck?.flaggedSegments > 0 && worst.length > 0) {
+    recommendations.push(`Check segments ${worst.map(w => w.segmentId).join(', ')} first - they lose the most meaning in back-translation`);
+  }
+
+  return recommendations;
 };
 
 const saveValidationResults = async (jobId, results) => {
@@ -128,3 +377,15 @@ const saveValidationResults = async (jobId, results) => {
   
   console.log(`[${jobId}] Validation results saved to: ${validationPath}`);
 };
+
+// Latest saved report for a job, or null
+export const loadValidationResults = (jobId) => {
+  const validationPath = path.join(process.env.PROCESSING_DIR || './processing', jobId, 'validation_results.json');
+  if (!fs.existsSync(validationPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(validationPath, 'utf8'));
+  } catch {
+    return null;
+  }
+};
@@ -4,9 +4,9 @@ import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
 import fs from 'fs';
 import path from 'path';
-import { exec } from 'child_process';
+import { exec } from '../utils/jobContext.js';
 import { promisify } from 'util';
-import { extractAudio, extractAudioForcedAlignment, replaceAudioInVideo } from './audioService.js';
+import { extractAudio, extractAudioForcedAlignment, replaceAudioInVideo, mixBackgroundUnderVoice } from './audioService.js';
 import { transcribeAudio } from './transcriptionService.js';
 import { translateText } from './translationService.js';
 import { generateTTS } from './ttsService.js';
@@ -27,9 +27,10 @@ import {
 } from './durationAwareTranslation.js';
 import { validateTranslationQuality } from './validationService.js';
 import lipSyncAnalyzer from './lipSyncAnalyzer.js';
-import { spawn } from 'child_process';
-import { generateAccurateCaptions } from './captionService.js';
-import { getConfig } from '../config/languageConfig.js';
+import { spawn } from '../utils/jobContext.js';
+import { generateAccurateCaptions, generateSourceCaptions } from './captionService.js';
+import { getConfig, getIso6392Code } from '../config/languageConfig.js';
+import { reportProgress } from './jobEventService.js';
 
 const escapeSubtitlePath = (windowsPath) => {
   return windowsPath
@@ -38,6 +39,12 @@ const escapeSubtitlePath = (windowsPath) => {
     .replace(/:/g, '\\:'); // Escape colons for filter syntax
 };
 
+// FFmpeg's "time=00:01:23.45" progress stamp in seconds
+const parseFfmpegTime = (timestamp) => {
+  const [hours, minutes, seconds] = timestamp.split(':').map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
 
 const execAsync = promisify(exec);
 ffmpeg.setFfmpegPath(ffmpegStatic);
@@ -45,7 +52,14 @@ ffmpeg.setFfmpegPath(ffmpegStatic);
 // In videoService.js
 // Replace your entire existing 'assembleVideoWithCaptions' function with this complete version.
 
-export const assembleVideoWithCaptions = async (jobId, alignmentData, translation, lipSyncData = null) => {
+/**
+ * @param {Object} [options]
+ * @param {string} [options.outputMode='burned'] - 'burned' (dubbed audio + burned-in captions) or 'multitrack'
+ * @param {string} [options.outputContainer='mp4'] - 'mp4' or 'mkv', multitrack only
+ * @param {string} [options.sourceLanguage] - Language of the original audio track
+ * @param {string} [options.backgroundAudioPath] - Separated music/ambience to mix under the dubbed voice
+ */
+export const assembleVideoWithCaptions = async (jobId, alignmentData, translation, lipSyncData = null, options = {}) => {
 
   console.log(`🐛 [${jobId}] DEBUG (assembleVideo): Function started. Translation object received:`, !!translation);
 
@@ -69,7 +83,9 @@ export const assembleVideoWithCaptions = async (jobId, alignmentData, translatio
 
       const originalVideoPath = filePaths.originalVideo;
       const translatedAudioPath = filePaths.translatedAudio || `./uploads/translated_audio/${jobId}_translated.wav`;
-      const outputVideoPath = `./uploads/processed/${jobId}_final.mp4`;
+      const outputMode = options.outputMode === 'multitrack' ? 'multitrack' : 'burned';
+      const outputContainer = outputMode === 'multitrack' && options.outputContainer === 'mkv' ? 'mkv' : 'mp4';
+      const outputVideoPath = `./uploads/processed/${jobId}_final.${outputContainer}`;
 
       console.log(`[${jobId}] 🔍 ADVANCED FILE DISCOVERY SUMMARY:`);
       console.log(`[${jobId}]   Video: ${filePaths.originalVideo ? '✅ FOUND' : '❌ MISSING'}`);
@@ -190,21 +206,75 @@ export const assembleVideoWithCaptions = async (jobId, alignmentData, translatio
 
 
 
+      // ===== STEP 6.8: BACKGROUND PRESERVATION =====
+      // The sync offset is applied to the voice inside the mix, so the bed keeps its original timing
+      let assemblyAudioPath = neuralCorrectedAudioPath;
+      let assemblySyncResults = neuralSyncResults;
+      let backgroundMixedPath = null;
+      if (options.backgroundAudioPath && fs.existsSync(options.backgroundAudioPath)) {
+        console.log(`[${jobId}] Step 6.8/8: Mixing original background under the dubbed voice...`);
+        try {
+          backgroundMixedPath = await mixBackgroundUnderVoice(
+            neuralCorrectedAudioPath,
+            options.backgroundAudioPath,
+            `./uploads/translated_audio/${jobId}_with_background.wav`,
+            jobId,
+            { voiceOffset: neuralSyncResults?.neural?.sync_offset || 0 }
+          );
+          assemblyAudioPath = backgroundMixedPath;
+          assemblySyncResults = null;
+        } catch (mixError) {
+          console.warn(`[${jobId}] ⚠️ Background mix failed, assembling with voice only: ${mixError.message}`);
+        }
+      }
+
       // ===== STEP 7: FRAME-PERFECT VIDEO ASSEMBLY WITH FIXED SUBTITLE EMBEDDING =====
-      console.log(`[${jobId}] Step 7/8: Frame-perfect video assembly with embedded sync data...`);
-      const hasCaptions = accurateCaptionPath && fs.existsSync(accurateCaptionPath);
-      const assemblyResults = await performFramePerfectVideoAssemblyFixed(
-        originalVideoPath,
-        neuralCorrectedAudioPath,
-        accurateCaptionPath || null, // Pass null if captions not available
-        outputVideoPath,
-        frameLevelValidation,
-        neuralSyncResults,
-        lipSyncValidation,
-        jobId,
-        translation.language
-      );
-      console.log(`[${jobId}] ✅ Frame-perfect assembly completed successfully`);
+      let assemblyResults;
+      if (outputMode === 'multitrack') {
+        console.log(`[${jobId}] Step 7/8: Multi-track ${outputContainer.toUpperCase()} assembly (original + dubbed audio, soft subtitles)...`);
+        const sourceLanguage = options.sourceLanguage || translation.sourceLanguage || 'en';
+
+        let sourceCaptionPath = null;
+        try {
+          sourceCaptionPath = await generateSourceCaptions(translation.segments, jobId, sourceLanguage);
+        } catch (captionError) {
+          console.warn(`[${jobId}] ⚠️ Source caption generation failed: ${captionError.message}`);
+        }
+
+        assemblyResults = await muxMultiTrackVideo({
+          videoPath: originalVideoPath,
+          audioTracks: [{
+            path: assemblyAudioPath,
+            language: translation.language,
+            filters: buildDubbedAudioFilters(frameLevelValidation.videoDuration, assemblySyncResults, jobId)
+          }],
+          subtitleTracks: [
+            { path: accurateCaptionPath, language: translation.language },
+            { path: sourceCaptionPath, language: sourceLanguage, title: `${getLanguageName(sourceLanguage)} (Original)` }
+          ],
+          sourceLanguage,
+          container: outputContainer,
+          outputPath: outputVideoPath,
+          duration: frameLevelValidation.videoDuration,
+          fps: frameLevelValidation.fps,
+          jobId
+        });
+        console.log(`[${jobId}] ✅ Multi-track assembly completed successfully`);
+      } else {
+        console.log(`[${jobId}] Step 7/8: Frame-perfect video assembly with embedded sync data...`);
+        assemblyResults = await performFramePerfectVideoAssemblyFixed(
+          originalVideoPath,
+          assemblyAudioPath,
+          accurateCaptionPath || null, // Pass null if captions not available
+          outputVideoPath,
+          frameLevelValidation,
+          assemblySyncResults,
+          lipSyncValidation,
+          jobId,
+          translation.language
+        );
+        console.log(`[${jobId}] ✅ Frame-perfect assembly completed successfully`);
+      }
 
       // ===== STEP 8: COMPREHENSIVE FINAL VALIDATION =====
       console.log(`[${jobId}] Step 8/8: Comprehensive final validation...`);
@@ -219,13 +289,20 @@ export const assembleVideoWithCaptions = async (jobId, alignmentData, translatio
       // ===== CLEANUP ADVANCED TEMPORARY FILES =====
       await cleanupAdvancedTemporaryFiles([
         realTimeSyncedAudioPath,
-        neuralCorrectedAudioPath
-      ], translatedAudioPath, jobId);
+        neuralCorrectedAudioPath,
+        backgroundMixedPath
+      ].filter(Boolean), translatedAudioPath, jobId);
 
       // ===== RETURN COMPREHENSIVE RESULTS =====
       const comprehensiveResults = {
         outputPath: outputVideoPath,
+        outputMode,
+        container: outputContainer,
+        tracks: outputMode === 'multitrack'
+          ? { audio: assemblyResults.audioTracks, subtitles: assemblyResults.subtitleTracks }
+          : null,
         validation: finalValidation,
+        backgroundPreserved: Boolean(backgroundMixedPath),
         lipSync: {
           reference: lipSyncReference,
           validation: lipSyncValidation,
@@ -244,7 +321,7 @@ export const assembleVideoWithCaptions = async (jobId, alignmentData, translatio
             'neural_validation',
             'lip_sync_analysis',
             'phoneme_alignment',
-            'subtitle_embedding'
+            outputMode === 'multitrack' ? 'multitrack_mux' : 'subtitle_embedding'
           ]
         }
       };
@@ -1011,6 +1088,27 @@ const validateFinalLipSync = async (videoPath, audioPath, lipSyncReference, word
   }
 };
 
+// ===== DUBBED AUDIO FILTERS (FADES + NEURAL SYNC OFFSET) =====
+const buildDubbedAudioFilters = (targetDuration, neuralSyncResults, jobId) => {
+  const audioFilters = [
+    'aresample=44100',
+    'afade=in:st=0:d=0.005',
+    `afade=out:st=${targetDuration - 0.005}:d=0.005`
+  ];
+
+  // Audio sync correction
+  if (neuralSyncResults?.neural && Math.abs(neuralSyncResults.neural.sync_offset) > 0.01) {
+    const offset = neuralSyncResults.neural.sync_offset;
+    const delayFilter = offset > 0
+      ? `adelay=${Math.round(offset * 1000)}|${Math.round(offset * 1000)}`
+      : `atrim=start=${Math.abs(offset)}`;
+    audioFilters.unshift(delayFilter);
+    console.log(`[${jobId}] ⏱️ Audio sync offset applied: ${offset.toFixed(3)}s`);
+  }
+
+  return audioFilters;
+};
+
 // ✅ CRITICAL FIX: FRAME-PERFECT VIDEO ASSEMBLY WITH PROPER SUBTITLE EMBEDDING
 const performFramePerfectVideoAssemblyFixed = async (
   videoPath,
@@ -1053,11 +1151,7 @@ const performFramePerfectVideoAssemblyFixed = async (
       ];
 
       const videoFilters = ['scale=-2:720', `fps=${fps}`];
-      const audioFilters = [
-        'aresample=44100',
-        'afade=in:st=0:d=0.005',
-        `afade=out:st=${targetDuration - 0.005}:d=0.005`
-      ];
+      const audioFilters = buildDubbedAudioFilters(targetDuration, neuralSyncResults, jobId);
 
       // ✅ CORRECTED: Proper subtitle handling with COMPREHENSIVE DEBUGGING
       if (hasCaptions) {
@@ -1225,16 +1319,6 @@ const subtitleStyle = [
         console.log(`[${jobId}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
       }
 
-      // Audio sync correction
-      if (neuralSyncResults?.neural && Math.abs(neuralSyncResults.neural.sync_offset) > 0.01) {
-        const offset = neuralSyncResults.neural.sync_offset;
-        const delayFilter = offset > 0
-          ? `adelay=${Math.round(offset * 1000)}|${Math.round(offset * 1000)}`
-          : `atrim=start=${Math.abs(offset)}`;
-        audioFilters.unshift(delayFilter);
-        console.log(`[${jobId}] ⏱️ Audio sync offset applied: ${offset.toFixed(3)}s`);
-      }
-
       // Add filters to FFmpeg args
       if (videoFilters.length > 0) {
         args.push('-vf', videoFilters.join(','));
@@ -1293,6 +1377,7 @@ const subtitleStyle = [
         if (progressMatch && progressMatch[1] !== lastProgress) {
           lastProgress = progressMatch[1];
           console.log(`[${jobId}] ⏳ Progress: ${progressMatch[1]}`);
+          reportProgress(jobId, 'video_assembly', parseFfmpegTime(progressMatch[1]), targetDuration, `Encoded ${progressMatch[1]}`);
         }
       });
 
@@ -1338,6 +1423,176 @@ const subtitleStyle = [
 
 
 
+// ===== MULTI-TRACK OUTPUT (ORIGINAL + DUBBED AUDIO, SOFT SUBTITLES) =====
+// 'audio' jobs never reach this file: see audioOutputService
+export const OUTPUT_MODES = ['burned', 'multitrack', 'audio'];
+export const OUTPUT_CONTAINERS = ['mp4', 'mkv'];
+
+// MP4 only carries mov_text subtitles; MKV keeps them as SubRip
+const SUBTITLE_CODECS = { mp4: 'mov_text', mkv: 'srt' };
+
+const hasAudioStream = async (mediaPath) => {
+  try {
+    const { stdout } = await execAsync(
+      `ffprobe -v quiet -select_streams a -show_entries stream=index -of csv=p=0 "${path.resolve(mediaPath)}"`,
+      { timeout: 20000 }
+    );
+    return stdout.trim().length > 0;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Mux one video with its original audio, one or more dubbed audio tracks and soft subtitle streams
+ * @param {Object} params
+ * @param {string} params.videoPath - Source video; its first audio stream becomes the "Original" track
+ * @param {Object[]} params.audioTracks - Dubbed tracks [{ path, language, title, filters }], the first one is default
+ * @param {Object[]} params.subtitleTracks - Subtitle files [{ path, language, title }] (VTT or SRT)
+ * @param {string} params.sourceLanguage - Language of the original audio
+ * @param {string} params.container - 'mp4' or 'mkv'
+ * @param {string} params.outputPath - Output file
+ * @param {number} [params.duration] - Cut the output at this many seconds
+ * @param {number} [params.fps] - Output frame rate (kept from the source when omitted)
+ * @param {boolean} [params.includeOriginalAudio=true]
+ * @param {string} params.jobId - Job ID for logging
+ * @returns {Promise<Object>} - { outputPath, container, audioTracks, subtitleTracks, stats }
+ */
+export const muxMultiTrackVideo = async ({
+  videoPath,
+  audioTracks = [],
+  subtitleTracks = [],
+  sourceLanguage,
+  container = 'mp4',
+  outputPath,
+  duration = null,
+  fps = null,
+  includeOriginalAudio = true,
+  jobId
+}) => {
+  if (!OUTPUT_CONTAINERS.includes(container)) {
+    throw new Error(`Unsupported output container: ${container}`);
+  }
+  if (!fs.existsSync(videoPath)) throw new Error(`Video input not found: ${videoPath}`);
+  if (audioTracks.length === 0) throw new Error('At least one dubbed audio track is required');
+  audioTracks.forEach(track => {
+    if (!fs.existsSync(track.path)) throw new Error(`Audio input not found: ${track.path}`);
+  });
+
+  const subtitles = subtitleTracks.filter(track => track.path && fs.existsSync(track.path) && fs.statSync(track.path).size > 0);
+  const keepOriginal = includeOriginalAudio && await hasAudioStream(videoPath);
+
+  console.log(`[${jobId}] 🎛️ Muxing ${container.toUpperCase()}: ${audioTracks.length} dubbed track(s)${keepOriginal ? ' + original audio' : ''}, ${subtitles.length} subtitle stream(s)`);
+
+  const stats = { startTime: Date.now() };
+  const args = ['-i', path.resolve(videoPath)];
+  audioTracks.forEach(track => args.push('-i', path.resolve(track.path)));
+  subtitles.forEach(track => args.push('-i', path.resolve(track.path)));
+
+  // Stream order: video, dubbed tracks, original audio, subtitles
+  args.push('-map', '0:v:0');
+  audioTracks.forEach((track, i) => args.push('-map', `${i + 1}:a:0`));
+  if (keepOriginal) args.push('-map', '0:a:0');
+  subtitles.forEach((track, i) => args.push('-map', `${audioTracks.length + 1 + i}:0`));
+
+  const videoFilters = ['scale=-2:720'];
+  if (fps) videoFilters.push(`fps=${fps}`);
+  args.push('-vf', videoFilters.join(','));
+
+  audioTracks.forEach((track, i) => {
+    if (track.filters?.length > 0) args.push(`-filter:a:${i}`, track.filters.join(','));
+  });
+
+  const audioLabels = audioTracks.map(track => ({
+    language: getIso6392Code(track.language),
+    title: track.title || `${getLanguageName(track.language)} (Dubbed)`
+  }));
+  if (keepOriginal) {
+    audioLabels.push({
+      language: getIso6392Code(sourceLanguage),
+      title: `Original (${getLanguageName(sourceLanguage)})`
+    });
+  }
+
+  audioLabels.forEach((label, i) => {
+    args.push(
+      `-metadata:s:a:${i}`, `language=${label.language}`,
+      `-metadata:s:a:${i}`, `title=${label.title}`,
+      `-disposition:a:${i}`, i === 0 ? 'default' : '0'
+    );
+  });
+
+  subtitles.forEach((track, i) => {
+    args.push(
+      `-metadata:s:s:${i}`, `language=${getIso6392Code(track.language)}`,
+      `-metadata:s:s:${i}`, `title=${track.title || getLanguageName(track.language)}`,
+      `-disposition:s:${i}`, '0'
+    );
+  });
+
+  args.push(
+    '-c:v', 'libx264', '-b:v', '2000k', '-preset', 'medium', '-crf', '23',
+    '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac', '-b:a', '192k', '-ar', '44100'
+  );
+  if (subtitles.length > 0) args.push('-c:s', SUBTITLE_CODECS[container]);
+  if (container === 'mp4') args.push('-movflags', '+faststart');
+  args.push('-avoid_negative_ts', 'make_zero', '-fflags', '+genpts');
+  if (duration) args.push('-t', Number(duration).toFixed(3));
+  args.push('-y', path.resolve(outputPath));
+
+  audioLabels.forEach((label, i) => console.log(`[${jobId}]    🔊 a:${i} ${label.language} "${label.title}"${i === 0 ? ' (default)' : ''}`));
+  subtitles.forEach((track, i) => console.log(`[${jobId}]    📝 s:${i} ${getIso6392Code(track.language)} "${track.title || getLanguageName(track.language)}"`));
+
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn(ffmpegStatic, args);
+
+    let stderr = '';
+    let lastProgress = '';
+
+    ffmpegProcess.stderr.on('data', (data) => {
+      const chunk = data.toString();
+      stderr += chunk;
+
+      const progressMatch = chunk.match(/time=(\d{2}:\d{2}:\d{2}\.\d{2})/);
+      if (progressMatch && progressMatch[1] !== lastProgress) {
+        lastProgress = progressMatch[1];
+        console.log(`[${jobId}] ⏳ Mux progress: ${progressMatch[1]}`);
+        if (duration) {
+          reportProgress(jobId, 'video_assembly', parseFfmpegTime(progressMatch[1]), Number(duration), `Muxed ${progressMatch[1]}`);
+        }
+      }
+    });
+
+    ffmpegProcess.on('close', (code) => {
+      if (code === 0) {
+        stats.outputSize = fs.existsSync(outputPath) ? fs.statSync(outputPath).size : 0;
+        stats.processingTime = Date.now() - stats.startTime;
+        console.log(`[${jobId}] ✅ Multi-track ${container.toUpperCase()} written: ${path.basename(outputPath)} (${(stats.outputSize / 1024 / 1024).toFixed(2)}MB)`);
+
+        resolve({
+          outputPath,
+          container,
+          audioTracks: audioLabels,
+          subtitleTracks: subtitles.map(track => ({
+            language: getIso6392Code(track.language),
+            title: track.title || getLanguageName(track.language)
+          })),
+          stats
+        });
+      } else {
+        console.error(`[${jobId}] ❌ Multi-track mux failed with exit code ${code}`);
+        console.error(stderr.slice(-4000));
+        reject(new Error(`FFmpeg multi-track mux failed with exit code ${code}.`));
+      }
+    });
+
+    ffmpegProcess.on('error', (err) => {
+      reject(new Error(`Failed to start FFmpeg subprocess: ${err.message}`));
+    });
+  });
+};
+
 // ===== COMPREHENSIVE FINAL VALIDATION =====
 const performComprehensiveFinalValidation = async (outputPath, originalVideoPath, audioPath, lipSyncValidation, jobId) => {
   console.log(`[${jobId}] Performing comprehensive final validation...`);
@@ -2626,9 +2881,15 @@ export const getProcessingSystemHealth = async () => {
 };
 
 
+// Delegates to the pipeline in processController, which reloads upstream artifacts.
+// Accepts a step name or the legacy 1-based step number.
 export const resumeProcessing = async (jobId, fromStep = 1) => {
-  console.log(`[${jobId}] Resuming processing from step ${fromStep}...`);
-  return await assembleVideoWithCaptions(jobId, null, null);
+  const { PIPELINE_STEPS } = await import('./jobArtifactService.js');
+  const stepName = typeof fromStep === 'number' ? PIPELINE_STEPS[fromStep - 1] : fromStep;
+
+  console.log(`[${jobId}] Resuming processing from step ${stepName || fromStep}...`);
+  const { resumeProcessing: resumePipeline } = await import('../controllers/processController.js');
+  return await resumePipeline(jobId, stepName || null);
 };
 
 
@@ -2638,6 +2899,7 @@ export default {
   // Main processing functions
   assembleVideoWithCaptions,
   assembleVideoWithAudioOnly,
+  muxMultiTrackVideo,
 
   // File discovery and validation
   discoverJobFiles: discoverJobFilesAdvanced,
@@ -0,0 +1,218 @@
+// services/watchFolderService.js - CREATE JOBS FROM VIDEOS (AND AUDIO) DROPPED INTO A WATCHED DIRECTORY
+//
+// WATCH_FOLDER is polled for new video and audio files. A file is ingested once its size has stopped
+// changing (large copies from a file server take a while), with its upload options taken from,
+// in order of precedence:
+//   lecture.mp4.json or lecture.json  - sidecar with the same fields as the upload form
+//   en-hi/lecture.mp4                 - folder named <source>-<targets>, e.g. en-hi or en-hi,ta
+//   WATCH_FOLDER_SOURCE/TARGET_LANGUAGE
+// The original is copied to uploads/originals; afterwards it moves to processed/ (with a
+// <name>.job.json receipt) or failed/ (with <name>.error.json), so it is never picked up twice.
+
+import fs from 'fs';
+import path from 'path';
+import { getIngestConfig } from '../config/ingestConfig.js';
+import { generateStoredFilename } from '../middleware/multer.js';
+import { sniffMediaType } from './mediaProbeService.js';
+
+const ORIGINALS_DIR = path.join('uploads', 'originals');
+const PROCESSED_DIR = 'processed';
+const FAILED_DIR = 'failed';
+const MEDIA_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.avi', '.wmv', '.mp3', '.wav', '.m4a', '.ogg'];
+const LANGUAGE_FOLDER = /^([a-z]{2,3})-([a-z]{2,3}(?:,[a-z]{2,3})*)$/i;
+
+let pollTimer = null;
+let polling = false;
+let createJob = null;
+
+// path -> { size, mtimeMs, unchangedSince } from earlier polls
+const pendingFiles = new Map();
+
+// ===== UPLOAD OPTIONS =====
+const readSidecar = (filePath) => {
+  const { dir, name, base } = path.parse(filePath);
+  const sidecarPath = [path.join(dir, `${base}.json`), path.join(dir, `${name}.json`)].find(candidate => fs.existsSync(candidate));
+  if (!sidecarPath) return { fields: {}, sidecarPath: null };
+
+  try {
+    return { fields: JSON.parse(fs.readFileSync(sidecarPath, 'utf8')), sidecarPath };
+  } catch (error) {
+    throw new Error(`Sidecar ${path.basename(sidecarPath)} is not valid JSON: ${error.message}`);
+  }
+};
+
+/**
+ * Upload form fields for a watched file
+ * @param {string} filePath - Video or audio file in the watch folder
+ * @param {string} watchFolder - Watch folder root
+ * @returns {Object} - { fields, sidecarPath }
+ */
+export const getWatchedFileOptions = (filePath, watchFolder) => {
+  const { watchDefaultSourceLanguage, watchDefaultTargetLanguage } = getIngestConfig();
+  const folder = path.relative(watchFolder, path.dirname(filePath)).split(path.sep)[0];
+  const languages = folder.match(LANGUAGE_FOLDER);
+  const { fields, sidecarPath } = readSidecar(filePath);
+
+  // The sidecar may name languages with any of the form's field names
+  const hasSource = ['fromLang', 'sourceLang', 'sourceLanguage', 'source_language'].some(key => fields[key]);
+  const hasTarget = ['toLang', 'targetLang', 'targetLanguage', 'target_language', 'targetLanguages'].some(key => fields[key]);
+
+  return {
+    fields: {
+      ...(!hasSource && { fromLang: languages?.[1].toLowerCase() || watchDefaultSourceLanguage || undefined }),
+      ...(!hasTarget && { toLang: languages?.[2].toLowerCase() || watchDefaultTargetLanguage || undefined }),
+      ...fields
+    },
+    sidecarPath
+  };
+};
+
+// ===== SCANNING =====
+// Media files in the root and one level of (language) folders, skipping processed/ and failed/
+const listCandidateFiles = (watchFolder) => {
+  const files = [];
+  const visit = (dir, depth) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (depth === 0 && ![PROCESSED_DIR, FAILED_DIR].includes(entry.name)) visit(entryPath, 1);
+      } else if (entry.isFile() && MEDIA_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(entryPath);
+      }
+    }
+  };
+  visit(watchFolder, 0);
+  return files;
+};
+
+// True once the file has kept the same size and mtime for watchStableMs
+const isStable = (filePath, now) => {
+  const { watchStableMs } = getIngestConfig();
+  const { size, mtimeMs } = fs.statSync(filePath);
+  const seen = pendingFiles.get(filePath);
+
+  if (!seen || seen.size !== size || seen.mtimeMs !== mtimeMs) {
+    pendingFiles.set(filePath, { size, mtimeMs, unchangedSince: now });
+    return false;
+  }
+  return size > 0 && now - seen.unchangedSince >= watchStableMs;
+};
+
+// Moves the original (and its sidecar) out of the watch folder, keeping the folder structure
+const archive = (watchFolder, filePath, sidecarPath, outcome, record) => {
+  const relative = path.relative(watchFolder, filePath);
+  const target = path.join(watchFolder, outcome, relative);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+
+  fs.renameSync(filePath, target);
+  if (sidecarPath && fs.existsSync(sidecarPath)) {
+    fs.renameSync(sidecarPath, path.join(path.dirname(target), path.basename(sidecarPath)));
+  }
+  fs.writeFileSync(`${target}.${outcome === PROCESSED_DIR ? 'job' : 'error'}.json`, JSON.stringify(record, null, 2));
+};
+
+// ===== INGEST =====
+const ingestFile = async (watchFolder, filePath) => {
+  const originalname = path.basename(filePath);
+  let sidecarPath = null;
+  let storedPath = null;
+
+  try {
+    const options = getWatchedFileOptions(filePath, watchFolder);
+    sidecarPath = options.sidecarPath;
+
+    const mimetype = sniffMediaType(filePath);
+    if (!mimetype) {
+      throw new Error('Not a supported video or audio file');
+    }
+
+    // Copied, not moved: a rejected file stays available in failed/
+    const filename = generateStoredFilename(originalname);
+    storedPath = path.join(ORIGINALS_DIR, filename);
+    fs.mkdirSync(ORIGINALS_DIR, { recursive: true });
+    fs.copyFileSync(filePath, storedPath, fs.constants.COPYFILE_FICLONE);
+
+    const response = await createJob(
+      { filename, originalname, size: fs.statSync(storedPath).size, mimetype },
+      options.fields
+    );
+
+    archive(watchFolder, filePath, sidecarPath, PROCESSED_DIR, {
+      jobId: response.jobId,
+      ingestedAt: new Date().toISOString(),
+      options: options.fields
+    });
+    console.log(`[WATCH] ✅ ${originalname} → job ${response.jobId}`);
+
+  } catch (error) {
+    console.error(`[WATCH] ❌ Could not ingest ${originalname}: ${error.message}`);
+    if (storedPath) fs.rmSync(storedPath, { force: true });
+    archive(watchFolder, filePath, sidecarPath, FAILED_DIR, {
+      error: error.message,
+      ...(error.reason && { reason: error.reason }),
+      failedAt: new Date().toISOString()
+    });
+  } finally {
+    pendingFiles.delete(filePath);
+  }
+};
+
+const pollWatchFolder = async () => {
+  const { watchFolder } = getIngestConfig();
+  if (polling || !fs.existsSync(watchFolder)) return;
+  polling = true;
+
+  try {
+    const now = Date.now();
+    const files = listCandidateFiles(watchFolder);
+
+    // Forget files that were removed before they settled
+    for (const known of pendingFiles.keys()) {
+      if (!files.includes(known)) pendingFiles.delete(known);
+    }
+
+    for (const filePath of files) {
+      if (pollTimer && isStable(filePath, now)) {
+        await ingestFile(watchFolder, filePath);
+      }
+    }
+  } catch (error) {
+    console.warn(`[WATCH] ⚠️ Scan of ${watchFolder} failed:`, error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+// ===== LIFECYCLE =====
+/**
+ * Start polling WATCH_FOLDER; does nothing when it isn't configured
+ * @param {Object} params
+ * @param {Function} params.createJob - (file, fields) => upload response; file is { filename, originalname, size, mimetype }
+ */
+export const startWatchFolder = ({ createJob: jobFactory }) => {
+  const { watchFolder, watchIntervalMs, watchStableMs } = getIngestConfig();
+  if (pollTimer || !watchFolder) return;
+
+  fs.mkdirSync(watchFolder, { recursive: true });
+  createJob = jobFactory;
+  pollTimer = setInterval(pollWatchFolder, watchIntervalMs);
+  pollTimer.unref?.();
+  setImmediate(pollWatchFolder);
+
+  console.log(`[WATCH] 📂 Watching ${path.resolve(watchFolder)} (every ${Math.round(watchIntervalMs / 1000)}s, settle ${Math.round(watchStableMs / 1000)}s)`);
+};
+
+export const stopWatchFolder = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  pendingFiles.clear();
+};
+
+export default {
+  startWatchFolder,
+  stopWatchFolder,
+  getWatchedFileOptions
+};
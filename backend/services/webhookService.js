@@ -0,0 +1,381 @@
+// services/webhookService.js - OUTBOUND WEBHOOKS ON JOB LIFECYCLE EVENTS
+//
+// Job events from jobEventService become signed JSON deliveries to the upload's callbackUrl and to
+// every matching global subscription. Deliveries are stored in Mongo and sent by a polling worker
+// with exponential backoff, so they survive restarts and can be redelivered by hand.
+
+import crypto from 'crypto';
+import Upload from '../models/uploadModel.js';
+import WebhookSubscription from '../models/webhookSubscriptionModel.js';
+import WebhookDelivery from '../models/webhookDeliveryModel.js';
+import { getWebhookConfig } from '../config/webhookConfig.js';
+import { subscribeToAllJobEvents } from './jobEventService.js';
+
+export const WEBHOOK_EVENTS = ['job.started', 'job.step_completed', 'job.awaiting_review', 'job.completed', 'job.failed', 'job.cancelled'];
+
+// Job event type -> webhook event
+const EVENT_TYPE_MAP = {
+  started: 'job.started',
+  step_completed: 'job.step_completed',
+  awaiting_review: 'job.awaiting_review',
+  completed: 'job.completed',
+  partially_completed: 'job.completed',
+  failed: 'job.failed',
+  cancelled: 'job.cancelled'
+};
+
+const MAX_ATTEMPT_LOG = 20;
+const MAX_DELIVERIES_PER_POLL = 50;
+
+let pollTimer = null;
+let polling = false;
+let stopping = false;
+let unsubscribe = null;
+const dispatchChains = new Map(); // jobId -> promise, keeps a job's deliveries in event order
+
+// ===== ERRORS =====
+export class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+  }
+}
+
+// ===== URLS, EVENTS AND SECRETS =====
+export const validateWebhookUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? null : `Webhook URL must be http or https: ${url}`;
+  } catch {
+    return `Invalid webhook URL: ${url}`;
+  }
+};
+
+export const validateWebhookEvents = (events) => {
+  const unknown = (events || []).filter(event => !WEBHOOK_EVENTS.includes(event));
+  return unknown.length > 0 ? `Unknown webhook events: ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}` : null;
+};
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature sent as X-Webhook-Signature: HMAC-SHA256 over "<timestamp>.<body>"
+ * Receivers recompute it with their secret and the X-Webhook-Timestamp header
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} - 'sha256=<hex>'
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Exponential backoff with ±10% jitter so failed receivers are not hit in lockstep
+export const getRetryDelayMs = (attempt) => {
+  const { retryBaseMs, retryMaxMs } = getWebhookConfig();
+  const delay = Math.min(retryBaseMs * 2 ** (attempt - 1), retryMaxMs);
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+};
+
+// ===== PAYLOAD =====
+const withBaseUrl = (artifacts, baseUrl) => {
+  if (!artifacts || !baseUrl) return artifacts;
+  return Object.fromEntries(Object.entries(artifacts).map(([name, url]) => [name, url ? `${baseUrl}${url}` : null]));
+};
+
+const buildPayload = (event, jobEvent, upload) => {
+  const { id, type, jobId, timestamp, error_stack, ...data } = jobEvent;
+
+  return {
+    event,
+    sequence: id,
+    created_at: timestamp,
+    job: {
+      id: jobId,
+      parent_job_id: upload.parent_job_id ? upload.parent_job_id.toString() : null,
+      original_name: upload.originalName || null,
+      source_language: upload.source_language || null,
+      target_language: upload.target_language || null,
+      target_languages: upload.target_languages || []
+    },
+    data: {
+      ...data,
+      ...(data.artifacts && { artifacts: withBaseUrl(data.artifacts, getWebhookConfig().publicBaseUrl) })
+    }
+  };
+};
+
+// ===== DISPATCH =====
+/**
+ * Record one delivery per receiver of a job event and wake the delivery worker
+ * @param {Object} jobEvent - Event from jobEventService
+ * @returns {Promise<Object[]>} - Created deliveries
+ */
+export const dispatchJobWebhooks = async (jobEvent) => {
+  const event = EVENT_TYPE_MAP[jobEvent.type];
+  if (!event) return [];
+
+  const upload = await Upload.findById(jobEvent.jobId)
+    .select('callback_url parent_job_id originalName source_language target_language target_languages')
+    .lean();
+  if (!upload) return [];
+
+  const subscriptions = await WebhookSubscription.findForEvent(event);
+  const receivers = [
+    ...(upload.callback_url ? [{ url: upload.callback_url, subscription_id: null }] : []),
+    ...subscriptions.map(subscription => ({ url: subscription.url, subscription_id: subscription._id }))
+  ];
+  if (receivers.length === 0) return [];
+
+  const payload = buildPayload(event, jobEvent, upload);
+  const deliveries = await WebhookDelivery.insertMany(receivers.map(receiver => ({
+    job_id: upload._id,
+    subscription_id: receiver.subscription_id,
+    url: receiver.url,
+    event,
+    payload
+  })));
+
+  console.log(`[${jobEvent.jobId}] 🪝 ${event} queued for ${deliveries.length} webhook receiver(s)`);
+  setImmediate(pollDeliveries);
+  return deliveries;
+};
+
+// Events of one job are dispatched one after another so their deliveries keep the event order
+const enqueueDispatch = (jobEvent) => {
+  const jobId = jobEvent.jobId;
+  const chain = (dispatchChains.get(jobId) || Promise.resolve())
+    .then(() => dispatchJobWebhooks(jobEvent))
+    .catch(error => console.warn(`[${jobId}] ⚠️ Webhook dispatch failed for ${jobEvent.type}: ${error.message}`));
+
+  dispatchChains.set(jobId, chain);
+  chain.finally(() => {
+    if (dispatchChains.get(jobId) === chain) dispatchChains.delete(jobId);
+  });
+};
+
+// ===== DELIVERY =====
+// Oldest due delivery, or one whose worker died mid-request
+const claimDueDelivery = async () => {
+  const { timeoutMs } = getWebhookConfig();
+  const now = new Date();
+
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', next_attempt_at: { $lte: now } },
+        { status: 'delivering', lease_expires_at: { $lt: now } }
+      ]
+    },
+    { $set: { status: 'delivering', lease_expires_at: new Date(now.getTime() + timeoutMs * 3) } },
+    { sort: { next_attempt_at: 1, createdAt: 1 }, new: true }
+  ).lean();
+};
+
+// Secrets are looked up at send time so a rotated secret applies to pending retries
+const resolveSecret = async (delivery) => {
+  if (delivery.subscription_id) {
+    const subscription = await WebhookSubscription.findById(delivery.subscription_id).select('+secret').lean();
+    return subscription?.secret || null;
+  }
+
+  const upload = await Upload.findById(delivery.job_id).select('callback_secret').lean();
+  return upload?.callback_secret || getWebhookConfig().defaultSecret;
+};
+
+const attemptDelivery = async (delivery) => {
+  const { timeoutMs, maxAttempts } = getWebhookConfig();
+  const deliveryId = delivery._id.toString();
+  const jobId = delivery.job_id.toString();
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const secret = await resolveSecret(delivery);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'VideoTranslation-Webhooks/1.0',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': deliveryId,
+    'X-Webhook-Timestamp': timestamp,
+    ...(secret && { 'X-Webhook-Signature': signWebhookPayload(secret, timestamp, body) })
+  };
+
+  const startedAt = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    statusCode = response.status;
+    await response.body?.cancel();
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `Receiver responded with HTTP ${statusCode}`;
+    }
+  } catch (requestError) {
+    error = requestError.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : (requestError.cause?.message || requestError.message);
+  }
+
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+  const logEntry = { at: now, status_code: statusCode, error, duration_ms: now - startedAt };
+
+  let update;
+  if (!error) {
+    update = { status: 'delivered', delivered_at: now };
+    console.log(`[${jobId}] 🪝 ${delivery.event} delivered to ${delivery.url} (HTTP ${statusCode}, attempt ${attempts})`);
+  } else if (attempts >= maxAttempts) {
+    update = { status: 'failed' };
+    console.warn(`[${jobId}] ❌ ${delivery.event} to ${delivery.url} failed permanently after ${attempts} attempts: ${error}`);
+  } else {
+    const delayMs = getRetryDelayMs(attempts);
+    update = { status: 'pending', next_attempt_at: new Date(now.getTime() + delayMs) };
+    console.warn(`[${jobId}] ⚠️ ${delivery.event} to ${delivery.url} failed (${error}); retry ${attempts + 1}/${maxAttempts} in ${Math.round(delayMs / 1000)}s`);
+  }
+
+  await WebhookDelivery.findByIdAndUpdate(deliveryId, {
+    $set: {
+      ...update,
+      attempts,
+      lease_expires_at: null,
+      last_attempt_at: now,
+      last_status_code: statusCode,
+      last_error: error
+    },
+    $push: { attempt_log: { $each: [logEntry], $slice: -MAX_ATTEMPT_LOG } }
+  });
+};
+
+// ===== POLL LOOP =====
+const pollDeliveries = async () => {
+  if (polling || stopping) return;
+  polling = true;
+
+  try {
+    for (let sent = 0; sent < MAX_DELIVERIES_PER_POLL && !stopping; sent++) {
+      const delivery = await claimDueDelivery();
+      if (!delivery) break;
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    console.warn(`[WEBHOOKS] ⚠️ Delivery poll failed:`, error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+// ===== START / STOP =====
+export const startWebhookWorker = () => {
+  if (pollTimer) return;
+
+  const { pollIntervalMs, maxAttempts } = getWebhookConfig();
+  stopping = false;
+  unsubscribe = subscribeToAllJobEvents((jobEvent) => {
+    if (EVENT_TYPE_MAP[jobEvent.type]) enqueueDispatch(jobEvent);
+  });
+
+  pollTimer = setInterval(pollDeliveries, pollIntervalMs);
+  setImmediate(pollDeliveries);
+
+  console.log(`[WEBHOOKS] 🪝 Delivery worker started (poll ${Math.round(pollIntervalMs / 1000)}s, ${maxAttempts} attempts)`);
+};
+
+export const stopWebhookWorker = () => {
+  stopping = true;
+
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+};
+
+// ===== DELIVERY LOG AND REDELIVERY =====
+/**
+ * Webhook deliveries of a job, oldest first
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object[]>}
+ */
+export const getJobDeliveries = (jobId) =>
+  WebhookDelivery.find({ job_id: jobId }).sort({ createdAt: 1 }).lean();
+
+/**
+ * Send a delivery's payload again, as a new delivery with its own attempts
+ * @param {string} deliveryId - Delivery to repeat
+ * @returns {Promise<Object>} - The new delivery
+ */
+export const redeliverWebhook = async (deliveryId) => {
+  const original = await WebhookDelivery.findById(deliveryId).lean();
+  if (!original) throw new WebhookError(`Delivery ${deliveryId} not found`, 404);
+
+  const delivery = await WebhookDelivery.create({
+    job_id: original.job_id,
+    subscription_id: original.subscription_id,
+    url: original.url,
+    event: original.event,
+    payload: original.payload,
+    redelivery_of: original._id
+  });
+
+  console.log(`[${original.job_id}] 🪝 Redelivering ${original.event} to ${original.url}`);
+  setImmediate(pollDeliveries);
+  return delivery.toObject();
+};
+
+// ===== GLOBAL SUBSCRIPTIONS =====
+/**
+ * Register a global subscription; the secret is generated unless given and only returned here
+ * @param {Object} input - { url, events, secret, description }
+ * @returns {Promise<Object>} - Subscription including its secret
+ */
+export const createWebhookSubscription = async ({ url, events = [], secret, description } = {}) => {
+  const problem = validateWebhookUrl(url || '') || validateWebhookEvents(events);
+  if (problem) throw new WebhookError(problem);
+
+  const subscription = await WebhookSubscription.create({
+    url,
+    events,
+    secret: secret || generateWebhookSecret(),
+    description
+  });
+
+  return subscription.toObject();
+};
+
+export const updateWebhookSubscription = async (subscriptionId, { url, events, secret, description, active } = {}) => {
+  const update = {};
+  if (url !== undefined) update.url = url;
+  if (events !== undefined) update.events = events;
+  if (secret !== undefined) update.secret = secret;
+  if (description !== undefined) update.description = description;
+  if (active !== undefined) update.active = Boolean(active);
+
+  const problem = (update.url !== undefined && validateWebhookUrl(update.url)) ||
+    (update.events !== undefined && validateWebhookEvents(update.events));
+  if (problem) throw new WebhookError(problem);
+  if (update.secret !== undefined && !update.secret) throw new WebhookError('secret cannot be empty');
+
+  const subscription = await WebhookSubscription.findByIdAndUpdate(subscriptionId, update, { new: true }).lean();
+  if (!subscription) throw new WebhookError(`Subscription ${subscriptionId} not found`, 404);
+  return subscription;
+};
+
+export default {
+  WEBHOOK_EVENTS,
+  signWebhookPayload,
+  dispatchJobWebhooks,
+  startWebhookWorker,
+  stopWebhookWorker,
+  getJobDeliveries,
+  redeliverWebhook,
+  createWebhookSubscription,
+  updateWebhookSubscription
+};
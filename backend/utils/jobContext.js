@@ -0,0 +1,305 @@
+// utils/jobContext.js
+
+import { AsyncLocalStorage } from 'async_hooks';
+import childProcess from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+
+const jobStorage = new AsyncLocalStorage();
+const activeContexts = new Map(); // jobId -> context
+const isWindows = process.platform === 'win32';
+
+/**
+ * Thrown at a pipeline checkpoint once a job has been cancelled
+ */
+export class JobCancelledError extends Error {
+  constructor(jobId, step = null, reason = 'Job cancelled') {
+    super(step ? `${reason} (at step: ${step})` : reason);
+    this.name = 'JobCancelledError';
+    this.jobId = jobId;
+    this.step = step;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Run a job inside its own context so spawned processes and temp paths are tracked
+ * @param {string} jobId - Job identifier
+ * @param {Function} fn - Async function running the pipeline
+ * @returns {Promise<*>} - Result of fn
+ */
+export const runWithJobContext = (jobId, fn) => {
+  const context = {
+    jobId,
+    cancelled: false,
+    reason: null,
+    shuttingDown: false,
+    children: new Set(),
+    tempPaths: new Set()
+  };
+
+  activeContexts.set(jobId, context);
+
+  return jobStorage.run(context, async () => {
+    try {
+      return await fn();
+    } finally {
+      activeContexts.delete(jobId);
+    }
+  });
+};
+
+/**
+ * Get the context of a running job, or of the current async call chain
+ * @param {string} [jobId] - Job identifier
+ * @returns {Object|null} - Job context
+ */
+export const getJobContext = (jobId = null) => {
+  if (jobId) {
+    return activeContexts.get(jobId) || null;
+  }
+  return jobStorage.getStore() || null;
+};
+
+/**
+ * Check whether a job is running in this process
+ * @param {string} jobId - Job identifier
+ * @returns {boolean}
+ */
+export const isJobActive = (jobId) => activeContexts.has(jobId);
+
+/**
+ * Check whether cancellation was requested for a running job
+ * @param {string} jobId - Job identifier
+ * @returns {boolean}
+ */
+export const isJobCancelled = (jobId) => activeContexts.get(jobId)?.cancelled === true;
+
+/**
+ * Check whether a running job was interrupted by shutdown rather than cancelled by a user
+ * @param {string} jobId - Job identifier
+ * @returns {boolean}
+ */
+export const isJobShuttingDown = (jobId) => activeContexts.get(jobId)?.shuttingDown === true;
+
+/**
+ * Cancellation checkpoint - throws JobCancelledError if the job was cancelled
+ * @param {string} jobId - Job identifier
+ * @param {string} step - Step about to start
+ */
+export const throwIfCancelled = (jobId, step = null) => {
+  const context = activeContexts.get(jobId);
+  if (context?.cancelled) {
+    throw new JobCancelledError(jobId, step, context.reason || 'Job cancelled');
+  }
+};
+
+/**
+ * Request cancellation of a running job and kill every process it spawned
+ * @param {string} jobId - Job identifier
+ * @param {string} reason - Cancellation reason
+ * @returns {boolean} - True if the job was running in this process
+ */
+export const cancelJob = (jobId, reason = 'User requested cancellation') => {
+  const context = activeContexts.get(jobId);
+  if (!context) return false;
+
+  if (!context.cancelled) {
+    context.cancelled = true;
+    context.reason = reason;
+    console.log(`[${jobId}] 🛑 Cancellation requested: ${reason}`);
+    console.log(`[${jobId}] 🛑 Killing ${context.children.size} child process(es)`);
+
+    for (const child of context.children) {
+      killProcessTree(child);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Kill every tracked child process of all running jobs (used on shutdown)
+ * The jobs are marked as shutting down first: they were handed back to the queue, so the
+ * pipeline must not record the killed processes as a failure or cancellation
+ */
+export const terminateTrackedProcesses = () => {
+  for (const context of activeContexts.values()) {
+    context.shuttingDown = true;
+    context.cancelled = true;
+    context.reason = 'Server shutting down';
+    for (const child of context.children) {
+      killProcessTree(child);
+    }
+  }
+};
+
+/**
+ * Register a spawned process with the current job so it can be killed on cancel
+ * @param {ChildProcess} child - Spawned process
+ * @param {string} [jobId] - Job identifier, defaults to the current context
+ * @returns {ChildProcess} - The same process
+ */
+export const trackChildProcess = (child, jobId = null) => {
+  const context = getJobContext(jobId);
+  if (!context || !child) return child;
+
+  context.children.add(child);
+  child.once('exit', () => context.children.delete(child));
+  child.once('error', () => context.children.delete(child));
+
+  // Job was cancelled while this process was being started
+  if (context.cancelled) {
+    killProcessTree(child);
+  }
+
+  return child;
+};
+
+/**
+ * Track the process behind a fluent-ffmpeg command once it starts
+ * @param {Object} command - fluent-ffmpeg command
+ * @returns {Object} - The same command for chaining
+ */
+export const trackFfmpegCommand = (command) => {
+  const context = getJobContext();
+  if (!context) return command;
+
+  command.on('start', () => {
+    if (command.ffmpegProc) {
+      trackChildProcess(command.ffmpegProc, context.jobId);
+    }
+  });
+
+  return command;
+};
+
+/**
+ * Register a temporary file or directory to delete when the job is cancelled
+ * @param {string} tempPath - Path to remove on cancellation
+ * @returns {string} - The same path
+ */
+export const registerTempPath = (tempPath) => {
+  const context = getJobContext();
+  if (context && tempPath) {
+    context.tempPaths.add(tempPath);
+  }
+  return tempPath;
+};
+
+/**
+ * Remove the temporary paths registered by a job
+ * @param {string} jobId - Job identifier
+ * @param {string[]} extraPaths - Additional job-specific temp paths
+ * @returns {number} - Number of paths removed
+ */
+export const cleanupJobTempPaths = (jobId, extraPaths = []) => {
+  const context = activeContexts.get(jobId);
+  const paths = [...(context?.tempPaths || []), ...extraPaths];
+  let removed = 0;
+
+  for (const tempPath of paths) {
+    try {
+      if (fs.existsSync(tempPath)) {
+        fs.rmSync(tempPath, { recursive: true, force: true });
+        removed++;
+      }
+    } catch (error) {
+      console.warn(`[${jobId}] Failed to remove temp path ${tempPath}:`, error.message);
+    }
+  }
+
+  return removed;
+};
+
+// ===== TRACKED CHILD PROCESS WRAPPERS =====
+// Drop-in replacements for child_process.exec/spawn that register with the current job
+
+export const exec = (command, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+
+  return trackChildProcess(childProcess.exec(command, options, callback));
+};
+
+exec[promisify.custom] = (command, options) => new Promise((resolve, reject) => {
+  exec(command, options, (error, stdout, stderr) => {
+    if (error) {
+      error.stdout = stdout;
+      error.stderr = stderr;
+      reject(error);
+    } else {
+      resolve({ stdout, stderr });
+    }
+  });
+});
+
+export const spawn = (command, args = [], options = {}) => {
+  return trackChildProcess(childProcess.spawn(command, args, options));
+};
+
+// exec() runs commands through a shell, so the real worker (python, ffmpeg, edge-tts)
+// is a grandchild - kill the whole tree, deepest processes first
+const killProcessTree = (child) => {
+  if (!child || child.exitCode !== null || child.signalCode !== null || !child.pid) return;
+
+  if (isWindows) {
+    childProcess.exec(`taskkill /pid ${child.pid} /T /F`, () => {});
+    return;
+  }
+
+  const pids = [...getDescendantPids(child.pid).reverse(), child.pid];
+  const signalAll = (signal) => {
+    for (const pid of pids) {
+      try { process.kill(pid, signal); } catch { /* already exited */ }
+    }
+  };
+
+  signalAll('SIGTERM');
+  setTimeout(() => signalAll('SIGKILL'), 5000).unref();
+};
+
+const getDescendantPids = (rootPid) => {
+  try {
+    const output = childProcess.execFileSync('ps', ['-A', '-o', 'pid=,ppid='], { encoding: 'utf8' });
+    const childrenOf = new Map();
+
+    for (const line of output.trim().split('\n')) {
+      const [pid, ppid] = line.trim().split(/\s+/).map(Number);
+      if (!childrenOf.has(ppid)) childrenOf.set(ppid, []);
+      childrenOf.get(ppid).push(pid);
+    }
+
+    const descendants = [];
+    const stack = [rootPid];
+    while (stack.length > 0) {
+      for (const pid of childrenOf.get(stack.pop()) || []) {
+        descendants.push(pid);
+        stack.push(pid);
+      }
+    }
+    return descendants;
+  } catch {
+    return [];
+  }
+};
+
+export default {
+  JobCancelledError,
+  runWithJobContext,
+  getJobContext,
+  isJobActive,
+  isJobCancelled,
+  isJobShuttingDown,
+  throwIfCancelled,
+  cancelJob,
+  terminateTrackedProcesses,
+  trackChildProcess,
+  trackFfmpegCommand,
+  registerTempPath,
+  cleanupJobTempPaths,
+  exec,
+  spawn
+};
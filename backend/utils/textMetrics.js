@@ -0,0 +1,204 @@
+// utils/textMetrics.js
+
+/**
+ * Normalise text for comparison: lowercase, Unicode NFC, punctuation removed
+ * @param {string} text - Input text
+ * @returns {string} - Normalised text
+ */
+export const normalizeText = (text) => {
+  return (text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Split text into word tokens (works for Indic scripts, where \w does not)
+ * @param {string} text - Input text
+ * @returns {string[]} - Tokens
+ */
+export const tokenize = (text) => {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+};
+
+// Multiset of n-grams as a Map of gram -> count
+const countNgrams = (items, n) => {
+  const counts = new Map();
+  for (let i = 0; i + n <= items.length; i++) {
+    const gram = items.slice(i, i + n).join('\u0001');
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  return counts;
+};
+
+// Clipped matches between two n-gram multisets
+const countOverlap = (hypothesisCounts, referenceCounts) => {
+  let matches = 0;
+  for (const [gram, count] of hypothesisCounts) {
+    matches += Math.min(count, referenceCounts.get(gram) || 0);
+  }
+  return matches;
+};
+
+const sumCounts = (counts) => {
+  let total = 0;
+  for (const count of counts.values()) total += count;
+  return total;
+};
+
+/**
+ * Character n-gram F-score (chrF, Popović 2015)
+ * @param {string} hypothesis - Candidate text (e.g. back-translation)
+ * @param {string} reference - Reference text (e.g. source transcript)
+ * @param {Object} options - { maxN: 6, beta: 2 }
+ * @returns {number} - Score between 0 and 1
+ */
+export const chrF = (hypothesis, reference, { maxN = 6, beta = 2 } = {}) => {
+  // Whitespace is ignored, as in the reference implementation
+  const hypChars = [...normalizeText(hypothesis).replace(/\s/g, '')];
+  const refChars = [...normalizeText(reference).replace(/\s/g, '')];
+
+  if (hypChars.length === 0 || refChars.length === 0) {
+    return hypChars.length === refChars.length ? 1 : 0;
+  }
+
+  let precisionSum = 0;
+  let recallSum = 0;
+  let orders = 0;
+
+  for (let n = 1; n <= maxN; n++) {
+    const hypCounts = countNgrams(hypChars, n);
+    const refCounts = countNgrams(refChars, n);
+    const hypTotal = sumCounts(hypCounts);
+    const refTotal = sumCounts(refCounts);
+    if (hypTotal === 0 || refTotal === 0) break;
+
+    const matches = countOverlap(hypCounts, refCounts);
+    precisionSum += matches / hypTotal;
+    recallSum += matches / refTotal;
+    orders++;
+  }
+
+  if (orders === 0) return 0;
+
+  const precision = precisionSum / orders;
+  const recall = recallSum / orders;
+  if (precision === 0 && recall === 0) return 0;
+
+  const betaSquared = beta * beta;
+  return ((1 + betaSquared) * precision * recall) / (betaSquared * precision + recall);
+};
+
+/**
+ * Sentence-level BLEU with add-one smoothing for higher n-gram orders
+ * @param {string} hypothesis - Candidate text
+ * @param {string} reference - Reference text
+ * @param {Object} options - { maxN: 4 }
+ * @returns {number} - Score between 0 and 1
+ */
+export const bleu = (hypothesis, reference, { maxN = 4 } = {}) => {
+  const hypTokens = tokenize(hypothesis);
+  const refTokens = tokenize(reference);
+
+  if (hypTokens.length === 0 || refTokens.length === 0) {
+    return hypTokens.length === refTokens.length ? 1 : 0;
+  }
+
+  let logPrecisionSum = 0;
+
+  for (let n = 1; n <= maxN; n++) {
+    const hypCounts = countNgrams(hypTokens, n);
+    const refCounts = countNgrams(refTokens, n);
+    const hypTotal = sumCounts(hypCounts);
+    const matches = countOverlap(hypCounts, refCounts);
+
+    // Unigrams are unsmoothed so a sentence with no word in common scores 0
+    const precision = n === 1
+      ? (hypTotal > 0 ? matches / hypTotal : 0)
+      : (matches + 1) / (hypTotal + 1);
+
+    if (precision === 0) return 0;
+    logPrecisionSum += Math.log(precision);
+  }
+
+  const brevityPenalty = hypTokens.length >= refTokens.length
+    ? 1
+    : Math.exp(1 - refTokens.length / hypTokens.length);
+
+  return brevityPenalty * Math.exp(logPrecisionSum / maxN);
+};
+
+/**
+ * Token overlap F1 between two texts (bag of words)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - Score between 0 and 1
+ */
+export const tokenOverlap = (a, b) => {
+  const aCounts = countNgrams(tokenize(a), 1);
+  const bCounts = countNgrams(tokenize(b), 1);
+  const aTotal = sumCounts(aCounts);
+  const bTotal = sumCounts(bCounts);
+
+  if (aTotal === 0 || bTotal === 0) {
+    return aTotal === bTotal ? 1 : 0;
+  }
+
+  const matches = countOverlap(aCounts, bCounts);
+  if (matches === 0) return 0;
+
+  const precision = matches / aTotal;
+  const recall = matches / bTotal;
+  return (2 * precision * recall) / (precision + recall);
+};
+
+/**
+ * Levenshtein edit distance between two strings (by code point)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits
+ */
+export const levenshtein = (a, b) => {
+  const aChars = [...(a || '')];
+  const bChars = [...(b || '')];
+
+  if (aChars.length === 0) return bChars.length;
+  if (bChars.length === 0) return aChars.length;
+
+  let previous = Array.from({ length: bChars.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= aChars.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= bChars.length; j++) {
+      const cost = aChars[i - 1] === bChars[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[bChars.length];
+};
+
+/**
+ * Similarity from edit distance, 1 = identical
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Score between 0 and 1
+ */
+export const editSimilarity = (a, b) => {
+  const maxLength = Math.max([...(a || '')].length, [...(b || '')].length);
+  return maxLength === 0 ? 1 : 1 - levenshtein(a, b) / maxLength;
+};
+
+export default {
+  normalizeText,
+  tokenize,
+  chrF,
+  bleu,
+  tokenOverlap,
+  levenshtein,
+  editSimilarity
+};
@@ -10,10 +10,26 @@ document.addEventListener("DOMContentLoaded", () => {
     const fromLang = document.getElementById("fromLang");
     const toLang = document.getElementById("toLang");
     const translateBtn = document.getElementById("translateBtn");
+    const videoUrl = document.getElementById("videoUrl");
+    const useUrlBtn = document.getElementById("useUrlBtn");
     const notification = document.getElementById("notification");
     const notificationText = document.getElementById("notificationText");
 
+    const API_BASE = "http://localhost:5000";
+    // Share of the overall progress bar each pipeline step starts at
+    const STEP_PROGRESS = {
+        queued: 0, audio_extraction: 5, transcription: 15, translation: 35, awaiting_children: 35,
+        tts_generation: 50, aligning_translation: 75, video_assembly: 80, completed: 100
+    };
+    const STEP_LABELS = {
+        queued: "Waiting in queue", audio_extraction: "Extracting audio", transcription: "Transcribing speech",
+        translation: "Translating", awaiting_children: "Dubbing each language", tts_generation: "Generating speech",
+        aligning_translation: "Aligning speech", video_assembly: "Assembling video"
+    };
+
     let selectedFile = null;
+    let selectedUrl = null;
+    let jobEvents = null;
 
     // Drag & Drop
     uploadZone.addEventListener("click", () => fileInput.click());
@@ -27,12 +43,13 @@ document.addEventListener("DOMContentLoaded", () => {
     fileInput.addEventListener("change", (e) => { if(e.target.files.length>0) handleFileSelect(e.target.files[0]); });
 
     function handleFileSelect(file) {
-        const allowedTypes = ["video/mp4","video/avi","video/quicktime","video/x-ms-wmv"];
-        if(!allowedTypes.includes(file.type)){ showNotification("❌ Invalid video type"); return; }
-        const maxSize = 100*1024*1024;
-        if(file.size>maxSize){ showNotification("❌ File exceeds 100MB"); return; }
+        // Audio files (podcasts, lessons) come back as a dubbed audio file with captions
+        const allowedTypes = ["video/mp4","video/avi","video/quicktime","video/x-ms-wmv","audio/mpeg","audio/mp3","audio/wav","audio/x-wav","audio/wave","audio/mp4","audio/x-m4a","audio/ogg"];
+        if(!allowedTypes.includes(file.type)){ showNotification("❌ Invalid video or audio type"); return; }
+        // Size limit is enforced by the server when the upload session starts
 
         selectedFile = file;
+        selectedUrl = null;
         fileName.textContent = file.name;
         fileSize.textContent = (file.size/1024/1024).toFixed(2) + " MB";
         fileInfo.style.display = "block";
@@ -40,6 +57,21 @@ document.addEventListener("DOMContentLoaded", () => {
         simulateUploadProgress();
     }
 
+    // A link is downloaded by the server instead of uploaded from this browser
+    useUrlBtn.addEventListener("click", () => {
+        const url = videoUrl.value.trim();
+        if(!/^https?:\/\//i.test(url)){ showNotification("❌ Enter an http(s) link to a video"); return; }
+
+        selectedUrl = url;
+        selectedFile = null;
+        fileName.textContent = url;
+        fileSize.textContent = "downloaded by the server";
+        fileInfo.style.display = "block";
+        languageSelector.style.display = "block";
+        translateBtn.classList.add("active");
+        showNotification("✅ Link ready! Select languages and click Translate.");
+    });
+
     function simulateUploadProgress(){
         progressFill.style.width="0%";
         let progress=0;
@@ -58,29 +90,180 @@ document.addEventListener("DOMContentLoaded", () => {
 
     translateBtn.addEventListener("click", async ()=>{
         if(!translateBtn.classList.contains("active")) return;
-        if(!selectedFile){ showNotification("❌ No file selected!"); return; }
+        if(!selectedFile && !selectedUrl){ showNotification("❌ No file selected!"); return; }
 
-        const formData = new FormData();
-        formData.append("video", selectedFile);
-        formData.append("fromLang", fromLang.value);
-        formData.append("toLang", toLang.value);
-
-        showNotification("🚀 Uploading video...");
+        showNotification(selectedUrl ? "🌐 Downloading video..." : "🚀 Uploading video...");
 
         try{
-            const response = await fetch("http://localhost:5000/api/upload", { method:"POST", body:formData });
+            const fields = { fromLang: fromLang.value, toLang: toLang.value };
+            const job = selectedUrl ? await uploadFromUrl(selectedUrl, fields) : await uploadResumable(selectedFile, fields);
+            showNotification("✅ Upload complete! Processing started...");
+            watchJobProgress(job.jobId);
+        }catch(err){
+            console.error(err);
+            showNotification(`❌ Upload failed: ${err.message}`);
+        }
+    });
+
+    async function uploadFromUrl(url, fields){
+        const response = await fetch(`${API_BASE}/api/upload/from-url`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ url, ...fields })
+        });
+        const data = await response.json().catch(() => ({}));
+        if(!response.ok) throw new Error(data.message || data.error || `Download failed (${response.status})`);
+        return data;
+    }
+
+    // Resumable upload in checksummed chunks; an interrupted upload of the same file picks up where it stopped
+    const MAX_CHUNK_RETRIES = 5;
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    async function sha256Base64(blob){
+        const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", await blob.arrayBuffer()));
+        let binary = "";
+        digest.forEach(byte => binary += String.fromCharCode(byte));
+        return btoa(binary);
+    }
+
+    async function uploadResumable(file, fields){
+        const resumeKey = `upload:${file.name}:${file.size}:${file.lastModified}:${fields.fromLang}:${fields.toLang}`;
+        let session = null;
+
+        const savedSessionId = localStorage.getItem(resumeKey);
+        if(savedSessionId){
+            const response = await fetch(`${API_BASE}/api/upload/sessions/${savedSessionId}`).catch(() => null);
+            if(response?.ok) session = await response.json();
+        }
+
+        if(!session){
+            const response = await fetch(`${API_BASE}/api/upload/sessions`, {
+                method:"POST",
+                headers:{ "Content-Type":"application/json" },
+                body: JSON.stringify({ fileName:file.name, size:file.size, mimeType:file.type, ...fields })
+            });
             const data = await response.json();
+            if(!response.ok) throw new Error(data.message || data.error || "Could not start upload");
+            session = data;
+            localStorage.setItem(resumeKey, session.sessionId);
+        }else if(session.offset > 0){
+            showNotification(`⏯️ Resuming upload at ${Math.round(session.offset / file.size * 100)}%`);
+        }
 
-            if(response.ok){
-                showNotification(`✅ Upload complete! Download: ${data.downloadUrl}`);
+        const sessionUrl = `${API_BASE}/api/upload/sessions/${session.sessionId}`;
+        let offset = session.offset;
+        let job = session.job || null;
+        let retries = 0;
+
+        while(!job){
+            progressFill.style.width = Math.round(offset / file.size * 100) + "%";
+
+            let response = null;
+            if(offset >= file.size){
+                // Every byte is in but the job wasn't created yet
+                response = await fetch(`${sessionUrl}/complete`, { method:"POST" }).catch(() => null);
             }else{
-                showNotification(`❌ Error: ${data.error || "Unknown error"}`);
+                const chunk = file.slice(offset, offset + session.chunkSize);
+                response = await fetch(sessionUrl, {
+                    method:"PATCH",
+                    headers:{
+                        "Content-Type":"application/offset+octet-stream",
+                        "Upload-Offset": String(offset),
+                        "Upload-Checksum": `sha256 ${await sha256Base64(chunk)}`
+                    },
+                    body: chunk
+                }).catch(() => null);
+            }
+            const data = response ? await response.json().catch(() => ({})) : {};
+
+            if(response?.ok){
+                offset = data.offset;
+                job = data.job || null;
+                retries = 0;
+                continue;
+            }
+            // Out of step with the server (e.g. a chunk landed but its response was lost)
+            if(response?.status === 409 && data.offset !== undefined){
+                offset = data.offset;
+                continue;
+            }
+            // 460 = checksum mismatch; network errors and 5xx are retried too
+            if(response && response.status !== 460 && response.status < 500){
+                localStorage.removeItem(resumeKey);
+                throw new Error(data.message || data.error || `Upload failed (${response.status})`);
+            }
+            if(++retries > MAX_CHUNK_RETRIES){
+                throw new Error("Connection lost. Select the same file and click Translate to resume.");
+            }
+            showNotification(`📶 Connection problem, retrying upload (${retries}/${MAX_CHUNK_RETRIES})...`);
+            await wait(Math.min(1000 * 2 ** retries, 30000));
+
+            const status = await fetch(sessionUrl).then(res => res.ok ? res.json() : null).catch(() => null);
+            if(status){
+                offset = status.offset;
+                job = status.job || null;
             }
-        }catch(err){
-            console.error(err);
-            showNotification(`❌ Network/server error: ${err.message}`);
         }
-    });
+
+        localStorage.removeItem(resumeKey);
+        progressFill.style.width = "100%";
+        return job;
+    }
+
+    // Live progress from the server (Server-Sent Events)
+    function watchJobProgress(jobId){
+        if(jobEvents) jobEvents.close();
+        const source = new EventSource(`${API_BASE}/api/process/jobs/${jobId}/events`);
+        jobEvents = source;
+        progressBar.style.display = "block";
+        progressFill.style.width = "0%";
+
+        const setProgress = (step, percent = 0) => {
+            const start = STEP_PROGRESS[step];
+            if(start === undefined) return;
+            const next = Object.values(STEP_PROGRESS).find(value => value > start) ?? 100;
+            progressFill.style.width = (start + (next - start) * percent / 100) + "%";
+        };
+        const finish = (message) => {
+            if(source.readyState === EventSource.CLOSED) return;
+            source.close();
+            if(jobEvents === source) jobEvents = null;
+            showNotification(message);
+        };
+        const finishCompleted = (artifacts) => {
+            const output = artifacts?.final_video || artifacts?.final_audio;
+            progressFill.style.width = "100%";
+            finish(output ? `✅ Translation ready! Download: ${API_BASE}${output}` : "✅ Translation finished");
+        };
+
+        source.addEventListener("snapshot", (e) => {
+            const { status, step, error_message, artifacts } = JSON.parse(e.data);
+            setProgress(step);
+            // Finished before we connected: the stream ends here, so stop reconnecting
+            if(["completed", "partially_completed"].includes(status)) finishCompleted(artifacts);
+            else if(status === "failed") finish(`❌ Processing failed: ${error_message || "Unknown error"}`);
+            else if(status === "cancelled") finish("🛑 Processing cancelled");
+            else if(status === "awaiting_review") finish("📝 Translation is waiting for review");
+        });
+        source.addEventListener("step", (e) => {
+            const { step } = JSON.parse(e.data);
+            setProgress(step);
+            if(STEP_LABELS[step]) showNotification(`⏳ ${STEP_LABELS[step]}...`);
+        });
+        source.addEventListener("progress", (e) => {
+            const { step, percent, message } = JSON.parse(e.data);
+            setProgress(step, percent);
+            if(message) notificationText.textContent = `⏳ ${message}`;
+        });
+        source.addEventListener("warning", (e) => showNotification(`⚠️ ${JSON.parse(e.data).message}`));
+        ["completed", "partially_completed"].forEach(type =>
+            source.addEventListener(type, (e) => finishCompleted(JSON.parse(e.data).artifacts)));
+        source.addEventListener("failed", (e) => finish(`❌ Processing failed: ${JSON.parse(e.data).error_message || "Unknown error"}`));
+        source.addEventListener("cancelled", () => finish("🛑 Processing cancelled"));
+        // Paused until a reviewer approves the translation; nothing more arrives on this stream
+        source.addEventListener("awaiting_review", () => finish("📝 Translation is waiting for review"));
+    }
 
     function showNotification(message){
         notificationText.textContent = message;